@@ -1,11 +1,16 @@
 const { ethers } = require('ethers');
 
+// How long to wait for a sent transaction to be mined before giving up on it
+const TX_TIMEOUT_MS = parseInt(process.env.BLOCKCHAIN_TX_TIMEOUT_MS) || 10 * 60 * 1000;
+
 class BlockchainService {
   constructor() {
+    this.txTimeoutMs = TX_TIMEOUT_MS;
     this.provider = null;
     this.signer = null;
     this.contract = null;
-    this.init();
+    this.sharesContract = null;
+    this.ready = this.init();
   }
 
   async init() {
@@ -24,13 +29,52 @@ class BlockchainService {
         // For now, we'll define it inline (you should replace this with the actual ABI)
         const contractABI = [
           // Add your contract ABI here after deployment
-          "function mintCompany(string memory name, string memory description, string memory industry, uint256 valuation, string memory tokenURI) public returns (uint256)",
+          "function mintCompany(string memory name, string memory description, string memory industry, uint256 valuation, string memory uri) public returns (uint256)",
+          "function mintCompanyTo(address to, string memory name, string memory description, string memory industry, uint256 valuation, string memory uri) public returns (uint256)",
+          "function ownerOf(uint256 tokenId) public view returns (address)",
+          "function tokenURI(uint256 tokenId) public view returns (string)",
+          "function setMetadataBaseURI(string memory baseURI) public",
+          "function setTokenURI(uint256 tokenId, string memory uri) public",
           "function investInCompany(uint256 companyTokenId) public payable",
           "function completeMilestone(uint256 companyTokenId, string memory milestoneType, string memory description, uint256 valuationImpact) public",
+          "function verifyMilestone(uint256 companyTokenId, uint256 milestoneIndex) public",
+          "function updateCompanyValuation(uint256 tokenId, uint256 newValuation) public",
           "function getCompany(uint256 tokenId) public view returns (tuple(uint256 tokenId, string name, string description, string industry, uint256 valuation, uint256 totalInvestment, uint256 milestoneCount, address owner, uint256 createdAt, bool isActive))",
-          "function getCompanyInvestments(uint256 tokenId) public view returns (tuple(uint256 companyTokenId, address investor, uint256 amount, uint256 timestamp, uint256 ownershipPercentage)[])",
+          "function getCompanyInvestments(uint256 tokenId) public view returns (tuple(uint256 companyTokenId, address investor, uint256 amount, uint256 timestamp, uint256 ownershipPercentage, uint256 roundId, uint256 shares, uint256 cancellableUntil, bool refunded)[])",
           "function getUserInvestments(address user) public view returns (uint256[])",
-          "function getCompanyMilestones(uint256 tokenId) public view returns (tuple(uint256 companyTokenId, string milestoneType, string description, uint256 timestamp, bool verified, uint256 valuationImpact)[])"
+          "function getCompanyMilestones(uint256 tokenId) public view returns (tuple(uint256 companyTokenId, string milestoneType, string description, uint256 timestamp, bool verified, uint256 valuationImpact)[])",
+          "function createFundingRound(uint256 companyTokenId, string memory roundName, uint256 targetAmount, uint256 valuationCap, uint256 minimumInvestment, uint256 duration) public returns (uint256)",
+          "function investInFundingRound(uint256 roundId) public payable",
+          "function investInFundingRoundFor(uint256 roundId, address investor) public payable",
+          "function withdrawFundingRound(uint256 roundId) public",
+          "function claimRefund(uint256 roundId) public",
+          "function claimRefundFor(uint256 roundId, address investor) public",
+          "function issueConvertedShares(uint256 tokenId, address investor, uint256 shares, uint256 principal, uint256 conversionPrice) public",
+          "function cancelContribution(uint256 roundId, uint256 contributionId) public",
+          "function cancelContributionFor(uint256 roundId, address investor, uint256 contributionId) public",
+          "function releaseShares(uint256 roundId, address investor) public",
+          "function roundShares(uint256 roundId, address investor) public view returns (uint256)",
+          "function coolingOffPeriod() public view returns (uint256)",
+          "function roundContributions(uint256 roundId, address investor) public view returns (uint256)",
+          "function getFundingRound(uint256 roundId) public view returns (tuple(uint256 companyTokenId, string roundName, uint256 targetAmount, uint256 raisedAmount, uint256 valuationCap, uint256 minimumInvestment, uint256 startTime, uint256 endTime, bool isActive, bool isCompleted))",
+          "function getCompanyFundingRounds(uint256 tokenId) public view returns (uint256[])",
+          "function shareToken() public view returns (address)",
+          "function pricePerShare(uint256 tokenId) public view returns (uint256)",
+          "function sharesOutstanding(uint256 tokenId) public view returns (uint256)",
+          "event CompanyCreated(uint256 indexed tokenId, string name, uint256 valuation, address indexed owner, uint256 timestamp)",
+          "event MilestoneCompleted(uint256 indexed companyTokenId, uint256 milestoneIndex, string milestoneType, uint256 valuationImpact, uint256 timestamp)",
+          "event MilestoneVerified(uint256 indexed companyTokenId, uint256 milestoneIndex, address indexed verifier, uint256 valuationImpact, uint256 timestamp)",
+          "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+          "event ValuationUpdated(uint256 indexed tokenId, uint256 oldValuation, uint256 newValuation, string reason)",
+          "event MetadataUpdate(uint256 _tokenId)",
+          "event InvestmentReceived(uint256 indexed companyTokenId, address indexed investor, uint256 indexed roundId, uint256 amount, uint256 ownershipPercentage, uint256 timestamp)",
+          "event FundingRoundCreated(uint256 indexed companyTokenId, uint256 indexed roundId, string roundName, uint256 targetAmount, uint256 valuationCap, uint256 minimumInvestment, uint256 startTime, uint256 endTime)",
+          "event FundingRoundCompleted(uint256 indexed roundId, uint256 indexed companyTokenId, uint256 totalRaised, uint256 timestamp)",
+          "event ContributionRecorded(uint256 indexed roundId, address indexed investor, uint256 contributionId, uint256 amount, uint256 cancellableUntil)",
+          "event RefundClaimed(uint256 indexed roundId, address indexed investor, uint256 amount, uint256 timestamp)",
+          "event ContributionCancelled(uint256 indexed roundId, address indexed investor, uint256 contributionId, uint256 amount, uint256 shares, uint256 timestamp)",
+          "event SharesIssued(uint256 indexed companyTokenId, address indexed investor, uint256 shares, uint256 pricePerShare)",
+          "event SharesReleased(uint256 indexed roundId, address indexed investor, uint256 shares)"
         ];
 
         this.contract = new ethers.Contract(
@@ -38,12 +82,28 @@ class BlockchainService {
           contractABI,
           this.signer || this.provider
         );
+
+        // Investor shares live in a separate ERC-1155 contract registered on VyaaparAI
+        const sharesAddress = await this.contract.shareToken().catch(() => ethers.ZeroAddress);
+        if (sharesAddress !== ethers.ZeroAddress) {
+          this.sharesContract = new ethers.Contract(
+            sharesAddress,
+            [
+              "function balanceOf(address account, uint256 id) public view returns (uint256)",
+              "function balanceOfBatch(address[] accounts, uint256[] ids) public view returns (uint256[])",
+              "function totalSupply(uint256 id) public view returns (uint256)",
+              "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)"
+            ],
+            this.provider
+          );
+        }
       }
       const net = await this.provider.getNetwork().catch(() => null);
       const signerAddr = this.signer ? await this.signer.getAddress().catch(() => null) : null;
       console.log('✅ Blockchain service initialized', {
         rpc: process.env.BLOCKCHAIN_RPC_URL ? 'set' : 'missing',
         contract: process.env.CONTRACT_ADDRESS || 'missing',
+        shares: this.sharesContract ? this.sharesContract.target : 'missing',
         hasSigner: !!this.signer,
         signerAddr,
         network: net ? { chainId: net.chainId?.toString?.(), name: net.name } : null
@@ -54,11 +114,15 @@ class BlockchainService {
   }
 
   // Company Methods
+  // Mints the company NFT to the founder's wallet (fromAddress) so they own it on-chain.
   async mintCompany(name, description, industry, valuation, tokenURI, fromAddress) {
     try {
       if (!this.contract) {
         throw new Error('Contract not initialized');
       }
+      if (!this.isValidAddress(fromAddress)) {
+        throw new Error('A valid founder wallet address is required to mint');
+      }
       const signerAddr = this.signer ? await this.signer.getAddress().catch(() => null) : null;
       const net = this.provider ? await this.provider.getNetwork().catch(() => null) : null;
       console.log('🧱 mintCompany()', {
@@ -69,7 +133,8 @@ class BlockchainService {
         network: net ? { chainId: net.chainId?.toString?.(), name: net.name } : null
       });
 
-      const tx = await this.contract.mintCompany(
+      const tx = await this.contract.mintCompanyTo(
+        fromAddress,
         name,
         description,
         industry,
@@ -77,7 +142,7 @@ class BlockchainService {
         tokenURI
       );
 
-      const receipt = await tx.wait();
+      const receipt = await tx.wait(1, this.txTimeoutMs);
       console.log('📦 mintCompany receipt', { txHash: tx.hash, status: receipt.status, logs: receipt.logs?.length });
       
       // Parse the event to get the token ID
@@ -90,9 +155,11 @@ class BlockchainService {
       });
 
       let tokenId = null;
+      let owner = null;
       if (event) {
         const parsedEvent = this.contract.interface.parseLog(event);
         tokenId = parsedEvent.args.tokenId.toString();
+        owner = parsedEvent.args.owner;
       }
 
       // Fallback: detect ERC721 Transfer (mint) event to get tokenId
@@ -107,6 +174,7 @@ class BlockchainService {
             // Mint should be from zero address
             if (from.toLowerCase() === '0x0000000000000000000000000000000000000000') {
               tokenId = tid;
+              owner = ethers.getAddress(to);
               console.log('🔎 Derived tokenId from Transfer event', { tokenId, to });
               break;
             }
@@ -114,10 +182,15 @@ class BlockchainService {
         }
       }
 
+      if (owner && owner.toLowerCase() !== fromAddress.toLowerCase()) {
+        console.warn('⚠️  Minted token owner does not match founder wallet', { tokenId, owner, fromAddress });
+      }
+
       return {
         success: true,
         txHash: tx.hash,
         tokenId,
+        owner,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed.toString()
       };
@@ -130,6 +203,100 @@ class BlockchainService {
     }
   }
 
+  // Metadata Methods (contract owner only)
+  async setMetadataBaseURI(baseURI) {
+    try {
+      if (!this.contract) {
+        throw new Error('Contract not initialized');
+      }
+
+      const tx = await this.contract.setMetadataBaseURI(baseURI);
+      const receipt = await tx.wait(1, this.txTimeoutMs);
+
+      return {
+        success: true,
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      console.error('Error setting metadata base URI:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async setTokenURI(tokenId, uri) {
+    try {
+      if (!this.contract) {
+        throw new Error('Contract not initialized');
+      }
+
+      const tx = await this.contract.setTokenURI(tokenId, uri);
+      const receipt = await tx.wait(1, this.txTimeoutMs);
+
+      return {
+        success: true,
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      console.error('Error setting token URI:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async getTokenURI(tokenId) {
+    try {
+      if (!this.contract) {
+        throw new Error('Contract not initialized');
+      }
+
+      const uri = await this.contract.tokenURI(tokenId);
+      return { success: true, data: uri };
+    } catch (error) {
+      console.error('Error getting token URI:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async updateCompanyValuation(tokenId, newValuation) {
+    try {
+      if (!this.contract) {
+        throw new Error('Contract not initialized');
+      }
+
+      const tx = await this.contract.updateCompanyValuation(
+        tokenId,
+        ethers.parseEther(newValuation.toString())
+      );
+
+      const receipt = await tx.wait(1, this.txTimeoutMs);
+
+      return {
+        success: true,
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      console.error('Error updating company valuation:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   async investInCompany(companyTokenId, investmentAmount) {
     try {
       if (!this.contract) {
@@ -140,7 +307,7 @@ class BlockchainService {
         value: ethers.parseEther(investmentAmount.toString())
       });
 
-      const receipt = await tx.wait();
+      const receipt = await tx.wait(1, this.txTimeoutMs);
 
       return {
         success: true,
@@ -170,11 +337,25 @@ class BlockchainService {
         ethers.parseEther(valuationImpact.toString())
       );
 
-      const receipt = await tx.wait();
+      const receipt = await tx.wait(1, this.txTimeoutMs);
+
+      let milestoneIndex = null;
+      for (const log of receipt.logs || []) {
+        try {
+          const parsed = this.contract.interface.parseLog(log);
+          if (parsed?.name === 'MilestoneCompleted') {
+            milestoneIndex = Number(parsed.args.milestoneIndex);
+            break;
+          }
+        } catch {
+          // Not one of our events
+        }
+      }
 
       return {
         success: true,
         txHash: tx.hash,
+        milestoneIndex,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed.toString()
       };
@@ -187,6 +368,307 @@ class BlockchainService {
     }
   }
 
+  async verifyMilestone(companyTokenId, milestoneIndex) {
+    try {
+      if (!this.contract) {
+        throw new Error('Contract not initialized');
+      }
+
+      const tx = await this.contract.verifyMilestone(companyTokenId, milestoneIndex);
+      const receipt = await tx.wait(1, this.txTimeoutMs);
+
+      return {
+        success: true,
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      console.error('Error verifying milestone:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Funding Round Methods
+  async createFundingRound(companyTokenId, roundName, targetAmount, valuationCap, minimumInvestment, durationSeconds) {
+    try {
+      if (!this.contract) {
+        throw new Error('Contract not initialized');
+      }
+
+      const tx = await this.contract.createFundingRound(
+        companyTokenId,
+        roundName,
+        ethers.parseEther(targetAmount.toString()),
+        ethers.parseEther(valuationCap.toString()),
+        ethers.parseEther(minimumInvestment.toString()),
+        durationSeconds
+      );
+
+      const receipt = await tx.wait(1, this.txTimeoutMs);
+
+      let roundId = null;
+      for (const log of receipt.logs || []) {
+        try {
+          const parsed = this.contract.interface.parseLog(log);
+          if (parsed?.name === 'FundingRoundCreated') {
+            roundId = parsed.args.roundId.toString();
+            break;
+          }
+        } catch {
+          // Not one of our events
+        }
+      }
+
+      return {
+        success: true,
+        txHash: tx.hash,
+        roundId,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      console.error('Error creating funding round:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // First event named `name` that this contract emitted in a receipt
+  findEvent(receipt, name) {
+    const contractAddress = String(this.contract.target).toLowerCase();
+    for (const log of receipt.logs || []) {
+      if (log.address?.toLowerCase() !== contractAddress) continue;
+      try {
+        const parsed = this.contract.interface.parseLog(log);
+        if (parsed?.name === name) return parsed;
+      } catch {
+        // Not one of our events
+      }
+    }
+    return null;
+  }
+
+  // The round contribution a transaction made: its id on the contract and the deadline the
+  // contract fixed for cancelling it. Null for transactions that made none.
+  roundContribution(receipt) {
+    const event = this.findEvent(receipt, 'ContributionRecorded');
+    if (!event) return null;
+    return {
+      contributionId: event.args.contributionId.toString(),
+      coolingOffEndsAt: new Date(Number(event.args.cancellableUntil) * 1000)
+    };
+  }
+
+  async getRoundContribution(txHash) {
+    const receipt = await this.provider.getTransactionReceipt(txHash);
+    return receipt ? this.roundContribution(receipt) : null;
+  }
+
+  // Contribute to a round's escrow for the investor's wallet, so the position and any refund
+  // are theirs. contributionId and coolingOffEndsAt are the contract's own.
+  async investInFundingRound(roundId, investmentAmount, investorAddress) {
+    try {
+      if (!this.contract) {
+        throw new Error('Contract not initialized');
+      }
+
+      const tx = await this.contract.investInFundingRoundFor(roundId, investorAddress, {
+        value: ethers.parseEther(investmentAmount.toString())
+      });
+
+      const receipt = await tx.wait(1, this.txTimeoutMs);
+
+      return {
+        success: true,
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        ...this.roundContribution(receipt)
+      };
+    } catch (error) {
+      console.error('Error investing in funding round:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async withdrawFundingRound(roundId) {
+    try {
+      if (!this.contract) {
+        throw new Error('Contract not initialized');
+      }
+
+      const tx = await this.contract.withdrawFundingRound(roundId);
+      const receipt = await tx.wait(1, this.txTimeoutMs);
+
+      return {
+        success: true,
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      console.error('Error withdrawing funding round:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async claimRefund(roundId) {
+    try {
+      if (!this.contract) {
+        throw new Error('Contract not initialized');
+      }
+
+      const tx = await this.contract.claimRefund(roundId);
+      const receipt = await tx.wait(1, this.txTimeoutMs);
+
+      return {
+        success: true,
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      console.error('Error claiming refund:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Take one cancelled contribution back out of a round's escrow (within its own cooling-off
+  // period); the contract pays what it holds for it, `amountEth`, to the investor's wallet
+  async cancelContribution(roundId, investorAddress, contributionId) {
+    try {
+      if (!this.contract) {
+        throw new Error('Contract not initialized');
+      }
+
+      const tx = await this.contract.cancelContributionFor(roundId, investorAddress, contributionId);
+      const receipt = await tx.wait(1, this.txTimeoutMs);
+      const event = this.findEvent(receipt, 'ContributionCancelled');
+
+      return {
+        success: true,
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        amountEth: event ? ethers.formatEther(event.args.amount) : null
+      };
+    } catch (error) {
+      console.error('Error cancelling round contribution:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Return everything an investor put into a round that failed, from escrow to their wallet
+  async claimRefundFor(roundId, investorAddress) {
+    try {
+      if (!this.contract) {
+        throw new Error('Contract not initialized');
+      }
+
+      const tx = await this.contract.claimRefundFor(roundId, investorAddress);
+      const receipt = await tx.wait(1, this.txTimeoutMs);
+      const event = this.findEvent(receipt, 'RefundClaimed');
+
+      return {
+        success: true,
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        amountEth: event ? ethers.formatEther(event.args.amount) : null
+      };
+    } catch (error) {
+      console.error('Error refunding failed round contribution:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Mint the shares a SAFE or note converted into to the investor's wallet; the principal was
+  // paid off-chain and only moves the on-chain valuation
+  async issueConvertedShares(tokenId, investorAddress, shares, principal, conversionPrice) {
+    try {
+      if (!this.contract) {
+        throw new Error('Contract not initialized');
+      }
+
+      const tx = await this.contract.issueConvertedShares(
+        tokenId,
+        investorAddress,
+        shares,
+        ethers.parseEther(principal.toString()),
+        ethers.parseEther(conversionPrice.toString())
+      );
+      const receipt = await tx.wait(1, this.txTimeoutMs);
+
+      return {
+        success: true,
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+    } catch (error) {
+      console.error('Error issuing converted shares:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Unlock the escrowed shares of every contributor to a succeeded round. Contributors are
+  // read from the company's on-chain investments; anyone already released is skipped.
+  async releaseRoundShares(roundId, companyTokenId) {
+    try {
+      if (!this.contract) {
+        throw new Error('Contract not initialized');
+      }
+
+      const investments = await this.contract.getCompanyInvestments(companyTokenId);
+      const investors = [...new Set(investments.map(inv => inv.investor))];
+      const txHashes = [];
+
+      for (const investor of investors) {
+        const locked = await this.contract.roundShares(roundId, investor);
+        if (locked === 0n) continue;
+
+        const tx = await this.contract.releaseShares(roundId, investor);
+        await tx.wait(1, this.txTimeoutMs);
+        txHashes.push(tx.hash);
+      }
+
+      return {
+        success: true,
+        txHashes
+      };
+    } catch (error) {
+      console.error('Error releasing round shares:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   // Query Methods
   async getCompany(tokenId) {
     try {
@@ -215,7 +697,9 @@ class BlockchainService {
       console.error('Error getting company:', error);
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        // Revert reason, so callers can tell a missing token from an RPC failure
+        reason: error.reason || null
       };
     }
   }
@@ -235,7 +719,11 @@ class BlockchainService {
           investor: investment.investor,
           amount: ethers.formatEther(investment.amount),
           timestamp: investment.timestamp.toString(),
-          ownershipPercentage: investment.ownershipPercentage.toString()
+          ownershipPercentage: investment.ownershipPercentage.toString(),
+          roundId: investment.roundId.toString(),
+          shares: investment.shares.toString(),
+          cancellableUntil: investment.cancellableUntil.toString(),
+          refunded: investment.refunded
         }))
       };
     } catch (error) {
@@ -296,6 +784,216 @@ class BlockchainService {
     }
   }
 
+  async getFundingRound(roundId) {
+    try {
+      if (!this.contract) {
+        throw new Error('Contract not initialized');
+      }
+
+      const round = await this.contract.getFundingRound(roundId);
+
+      return {
+        success: true,
+        data: {
+          companyTokenId: round.companyTokenId.toString(),
+          roundName: round.roundName,
+          targetAmount: ethers.formatEther(round.targetAmount),
+          raisedAmount: ethers.formatEther(round.raisedAmount),
+          valuationCap: ethers.formatEther(round.valuationCap),
+          minimumInvestment: ethers.formatEther(round.minimumInvestment),
+          startTime: round.startTime.toString(),
+          endTime: round.endTime.toString(),
+          isActive: round.isActive,
+          isCompleted: round.isCompleted
+        }
+      };
+    } catch (error) {
+      console.error('Error getting funding round:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async getCompanyFundingRounds(tokenId) {
+    try {
+      if (!this.contract) {
+        throw new Error('Contract not initialized');
+      }
+
+      const roundIds = await this.contract.getCompanyFundingRounds(tokenId);
+      const rounds = [];
+      for (const id of roundIds) {
+        const round = await this.getFundingRound(id);
+        if (!round.success) {
+          throw new Error(round.error);
+        }
+        rounds.push({ roundId: id.toString(), ...round.data });
+      }
+
+      return {
+        success: true,
+        data: rounds
+      };
+    } catch (error) {
+      console.error('Error getting company funding rounds:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async getRoundContribution(roundId, investorAddress) {
+    try {
+      if (!this.contract) {
+        throw new Error('Contract not initialized');
+      }
+
+      const amount = await this.contract.roundContributions(roundId, investorAddress);
+
+      return {
+        success: true,
+        data: ethers.formatEther(amount)
+      };
+    } catch (error) {
+      console.error('Error getting round contribution:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Share Token Methods
+  // Ownership is shares / sharesOutstanding, expressed in percent like investments.ownership_percentage
+  async getShareBalances(walletAddress, tokenIds) {
+    try {
+      if (!this.sharesContract) {
+        throw new Error('Share token not initialized');
+      }
+
+      const ids = tokenIds.map(id => BigInt(id));
+      const [balances, outstanding] = await Promise.all([
+        this.sharesContract.balanceOfBatch(ids.map(() => walletAddress), ids),
+        Promise.all(ids.map(id => this.contract.sharesOutstanding(id)))
+      ]);
+
+      return {
+        success: true,
+        data: ids.map((id, i) => ({
+          tokenId: id.toString(),
+          shares: balances[i].toString(),
+          sharesOutstanding: outstanding[i].toString(),
+          ownershipPercentage: outstanding[i] > 0n ? Number(balances[i] * 1000000n / outstanding[i]) / 10000 : 0
+        }))
+      };
+    } catch (error) {
+      console.error('Error getting share balances:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async getShareInfo(tokenId) {
+    try {
+      if (!this.sharesContract) {
+        throw new Error('Share token not initialized');
+      }
+
+      const [totalSupply, sharesOutstanding, pricePerShare] = await Promise.all([
+        this.sharesContract.totalSupply(tokenId),
+        this.contract.sharesOutstanding(tokenId),
+        this.contract.pricePerShare(tokenId)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          tokenId: tokenId.toString(),
+          issuedShares: totalSupply.toString(),
+          sharesOutstanding: sharesOutstanding.toString(),
+          pricePerShare: ethers.formatEther(pricePerShare)
+        }
+      };
+    } catch (error) {
+      console.error('Error getting share info:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Verification Methods
+  async verifyInvestmentTransaction(txHash, { companyTokenId, investorAddress }) {
+    try {
+      if (!this.contract) {
+        throw new Error('Contract not initialized');
+      }
+
+      const receipt = await this.provider.getTransactionReceipt(txHash);
+      if (!receipt) {
+        return { success: false, error: 'Transaction not found on blockchain' };
+      }
+      if (receipt.status !== 1) {
+        return { success: false, error: 'Transaction failed on blockchain' };
+      }
+
+      const contractAddress = String(this.contract.target).toLowerCase();
+      if (receipt.to?.toLowerCase() !== contractAddress) {
+        return { success: false, error: 'Transaction was not sent to the VyaaparAI contract' };
+      }
+
+      const event = this.findEvent(receipt, 'InvestmentReceived');
+      if (!event) {
+        return { success: false, error: 'No InvestmentReceived event in transaction' };
+      }
+
+      if (event.args.companyTokenId.toString() !== String(companyTokenId)) {
+        return { success: false, error: 'Transaction invested in a different company' };
+      }
+
+      if (!investorAddress || event.args.investor.toLowerCase() !== investorAddress.toLowerCase()) {
+        return { success: false, error: 'Transaction was not sent from your wallet' };
+      }
+
+      const tx = await this.provider.getTransaction(txHash);
+      if (!tx || tx.value !== event.args.amount) {
+        return { success: false, error: 'Transaction value does not match the recorded investment' };
+      }
+
+      // Round contributions sit in escrow; direct investments (round 0) were paid out at once
+      const roundId = event.args.roundId.toString();
+
+      return {
+        success: true,
+        data: {
+          companyTokenId: event.args.companyTokenId.toString(),
+          roundId,
+          contributionId: null,
+          coolingOffEndsAt: null,
+          ...(roundId === '0' ? {} : this.roundContribution(receipt)),
+          investor: event.args.investor,
+          amountWei: event.args.amount.toString(),
+          amount: ethers.formatEther(event.args.amount),
+          ownershipPercentage: event.args.ownershipPercentage.toString(),
+          timestamp: event.args.timestamp.toString(),
+          blockNumber: receipt.blockNumber
+        }
+      };
+    } catch (error) {
+      console.error('Error verifying investment transaction:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   // Utility Methods
   async getBalance(address) {
     try {
@@ -0,0 +1,10 @@
+-- Progress of the blockchain event indexer, one row per contract
+CREATE TABLE IF NOT EXISTS blockchain_indexer_state (
+    contract_address VARCHAR(42) PRIMARY KEY,
+    last_processed_block BIGINT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Lookups the indexer performs for every event
+CREATE INDEX IF NOT EXISTS idx_milestones_blockchain_tx_hash ON milestones(blockchain_tx_hash);
+CREATE INDEX IF NOT EXISTS idx_profiles_wallet_address ON profiles(wallet_address);
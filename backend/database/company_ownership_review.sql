@@ -0,0 +1,5 @@
+-- Track company NFTs transferred to wallets that no profile owns yet
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS owner_review_required BOOLEAN DEFAULT FALSE;
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS pending_owner_wallet VARCHAR(42);
+
+CREATE INDEX IF NOT EXISTS idx_companies_owner_review ON companies(owner_review_required) WHERE owner_review_required = true;
@@ -0,0 +1,11 @@
+-- SAFEs and notes that convert in a priced round of a company registered on-chain have
+-- their shares issued by the contract too. onchain_conversion_status is pending until the
+-- platform sends the issuance, issuing while it is in flight (so no two backends mint the
+-- same position) and issued once mined (conversion_tx_hash). conversion_error keeps the
+-- last failure.
+ALTER TABLE investments ADD COLUMN IF NOT EXISTS onchain_conversion_status VARCHAR(20)
+  CHECK (onchain_conversion_status IN ('pending', 'issuing', 'issued'));
+ALTER TABLE investments ADD COLUMN IF NOT EXISTS conversion_tx_hash TEXT;
+ALTER TABLE investments ADD COLUMN IF NOT EXISTS conversion_error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_investments_onchain_conversion ON investments(company_id) WHERE onchain_conversion_status = 'pending';
@@ -0,0 +1,23 @@
+-- Funding round instruments: priced equity, SAFEs and convertible notes.
+-- SAFE and note investments hold no shares until the company's next priced round,
+-- where they convert at the lower of the cap price and the discounted round price.
+ALTER TABLE funding_rounds ADD COLUMN IF NOT EXISTS instrument_type VARCHAR(20) NOT NULL DEFAULT 'priced_equity'
+  CHECK (instrument_type IN ('priced_equity', 'safe', 'convertible_note'));
+ALTER TABLE funding_rounds ADD COLUMN IF NOT EXISTS discount_rate DECIMAL(5,2) CHECK (discount_rate >= 0 AND discount_rate < 100);
+ALTER TABLE funding_rounds ADD COLUMN IF NOT EXISTS interest_rate DECIMAL(5,2) CHECK (interest_rate >= 0);
+ALTER TABLE funding_rounds ADD COLUMN IF NOT EXISTS maturity_date TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE investments ADD COLUMN IF NOT EXISTS funding_round_id UUID REFERENCES funding_rounds(id) ON DELETE SET NULL;
+ALTER TABLE investments ADD COLUMN IF NOT EXISTS instrument_type VARCHAR(20) NOT NULL DEFAULT 'priced_equity'
+  CHECK (instrument_type IN ('priced_equity', 'safe', 'convertible_note'));
+-- Terms copied from the round at investment time: valuationCap, discountRate, interestRate, maturityDate
+ALTER TABLE investments ADD COLUMN IF NOT EXISTS instrument_terms JSONB;
+ALTER TABLE investments ADD COLUMN IF NOT EXISTS conversion_status VARCHAR(20)
+  CHECK (conversion_status IN ('unconverted', 'converted'));
+ALTER TABLE investments ADD COLUMN IF NOT EXISTS converted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE investments ADD COLUMN IF NOT EXISTS converted_by_round_id UUID REFERENCES funding_rounds(id) ON DELETE SET NULL;
+ALTER TABLE investments ADD COLUMN IF NOT EXISTS conversion_price DECIMAL(20,8);
+ALTER TABLE investments ADD COLUMN IF NOT EXISTS accrued_interest DECIMAL(15,2);
+
+CREATE INDEX IF NOT EXISTS idx_investments_funding_round ON investments(funding_round_id);
+CREATE INDEX IF NOT EXISTS idx_investments_unconverted ON investments(company_id) WHERE conversion_status = 'unconverted';
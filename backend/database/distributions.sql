@@ -0,0 +1,72 @@
+-- Cash returned to investors (dividends, exit proceeds, returns of capital). Feeds the
+-- DPI and TVPI portfolio metrics; investment_id is set when a payout belongs to one position.
+CREATE TABLE IF NOT EXISTS distributions (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  company_id UUID REFERENCES companies(id) ON DELETE CASCADE NOT NULL,
+  investor_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  investment_id UUID REFERENCES investments(id) ON DELETE SET NULL,
+  amount DECIMAL(15,2) NOT NULL CHECK (amount > 0),
+  distribution_type TEXT NOT NULL DEFAULT 'dividend'
+    CHECK (distribution_type IN ('dividend', 'exit', 'return_of_capital')),
+  distributed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_distributions_investor ON distributions(investor_id);
+CREATE INDEX IF NOT EXISTS idx_distributions_company ON distributions(company_id);
+
+ALTER TABLE distributions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Investors can view own distributions" ON distributions
+  FOR SELECT USING (auth.uid() = investor_id);
+
+CREATE POLICY "Company owners can view their distributions" ON distributions
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM companies WHERE companies.id = company_id AND companies.owner_id = auth.uid())
+  );
+
+-- Diversification was distinct industries * 10 / investment count, which falls as a
+-- portfolio grows. It is now 100 * (1 - HHI) of invested amounts across industries:
+-- 0 when everything is in one industry, approaching 100 as it spreads evenly.
+-- Cancelled and refunded investments are left out.
+CREATE OR REPLACE FUNCTION get_portfolio_analytics(p_user_id UUID)
+RETURNS JSON AS $$
+DECLARE
+  result JSON;
+BEGIN
+  WITH standing AS (
+    SELECT i.amount, c.industry
+    FROM investments i
+    JOIN companies c ON i.company_id = c.id
+    WHERE i.investor_id = p_user_id
+      AND i.status IN ('pending', 'confirmed')
+  ),
+  sectors AS (
+    SELECT industry, COUNT(*) AS count, SUM(amount) AS total_amount
+    FROM standing
+    GROUP BY industry
+  ),
+  totals AS (
+    SELECT NULLIF(SUM(total_amount), 0) AS total FROM sectors
+  )
+  SELECT json_build_object(
+    'diversificationScore', COALESCE(
+      (SELECT ROUND((100 * (1 - SUM(POWER(s.total_amount / t.total, 2))))::numeric, 2)
+       FROM sectors s, totals t), 0),
+    'totalInvestments', (SELECT COUNT(*) FROM standing),
+    'totalAmount', COALESCE((SELECT SUM(amount) FROM standing), 0),
+    'sectorAllocation', COALESCE(
+      (SELECT json_agg(
+         json_build_object(
+           'industry', industry,
+           'count', count,
+           'totalAmount', total_amount
+         )
+       )
+       FROM sectors), '[]'::json)
+  ) INTO result;
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql;
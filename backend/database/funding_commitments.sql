@@ -0,0 +1,99 @@
+-- Commitment rounds: instead of investing directly, investors pledge amounts while the
+-- round is open. At close the allocation engine (services/allocation.js) fills the
+-- target pro-rata or by priority and releases whatever does not fit.
+ALTER TABLE funding_rounds ADD COLUMN IF NOT EXISTS allocation_method VARCHAR(20) NOT NULL DEFAULT 'first_come'
+  CHECK (allocation_method IN ('first_come', 'pro_rata', 'priority'));
+ALTER TABLE funding_rounds ADD COLUMN IF NOT EXISTS committed_amount DECIMAL(15,2) NOT NULL DEFAULT 0;
+ALTER TABLE funding_rounds ADD COLUMN IF NOT EXISTS allocated_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS funding_commitments (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  funding_round_id UUID REFERENCES funding_rounds(id) ON DELETE CASCADE NOT NULL,
+  investor_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  amount DECIMAL(15,2) NOT NULL CHECK (amount > 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'pledged' CHECK (status IN ('pledged', 'withdrawn', 'allocated', 'released')),
+  -- 0 = existing shareholder, 1 = new investor (priority rounds)
+  priority_tier SMALLINT,
+  allocated_amount DECIMAL(15,2),
+  released_amount DECIMAL(15,2),
+  investment_id UUID REFERENCES investments(id) ON DELETE SET NULL,
+  allocated_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(funding_round_id, investor_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_funding_commitments_round ON funding_commitments(funding_round_id, status);
+CREATE INDEX IF NOT EXISTS idx_funding_commitments_investor ON funding_commitments(investor_id);
+
+ALTER TABLE funding_commitments ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Investors can view their own commitments" ON funding_commitments
+  FOR SELECT USING (auth.uid() = investor_id);
+
+-- Create or change an investor's pledge, keeping committed_amount in step.
+-- Pledges may exceed the target; that is what allocation resolves.
+CREATE OR REPLACE FUNCTION set_round_commitment(p_round_id UUID, p_investor_id UUID, p_amount DECIMAL)
+RETURNS SETOF funding_commitments AS $$
+DECLARE
+  round_row funding_rounds%ROWTYPE;
+  previous DECIMAL := 0;
+BEGIN
+  SELECT * INTO round_row FROM funding_rounds WHERE id = p_round_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Funding round not found';
+  END IF;
+  IF round_row.allocation_method = 'first_come' THEN
+    RAISE EXCEPTION '% does not take commitments', round_row.round_name;
+  END IF;
+  IF round_row.status NOT IN ('open', 'closing_soon') OR round_row.start_time > NOW() OR round_row.end_time <= NOW() THEN
+    RAISE EXCEPTION '% is not open for commitments', round_row.round_name;
+  END IF;
+  IF p_amount < COALESCE(round_row.minimum_investment, 0) THEN
+    RAISE EXCEPTION 'Minimum commitment in % is %', round_row.round_name, round_row.minimum_investment;
+  END IF;
+
+  SELECT amount INTO previous FROM funding_commitments
+  WHERE funding_round_id = p_round_id AND investor_id = p_investor_id AND status = 'pledged';
+
+  UPDATE funding_rounds
+  SET committed_amount = committed_amount - COALESCE(previous, 0) + p_amount,
+      updated_at = NOW()
+  WHERE id = p_round_id;
+
+  RETURN QUERY
+  INSERT INTO funding_commitments (funding_round_id, investor_id, amount, status)
+  VALUES (p_round_id, p_investor_id, p_amount, 'pledged')
+  ON CONFLICT (funding_round_id, investor_id)
+  DO UPDATE SET amount = EXCLUDED.amount, status = 'pledged', updated_at = NOW()
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION withdraw_round_commitment(p_round_id UUID, p_investor_id UUID)
+RETURNS SETOF funding_commitments AS $$
+DECLARE
+  round_row funding_rounds%ROWTYPE;
+BEGIN
+  SELECT * INTO round_row FROM funding_rounds WHERE id = p_round_id FOR UPDATE;
+
+  IF NOT FOUND OR round_row.status NOT IN ('open', 'closing_soon') OR round_row.end_time <= NOW() THEN
+    RAISE EXCEPTION 'Commitments can only be withdrawn while the round is open';
+  END IF;
+
+  RETURN QUERY
+  WITH withdrawn AS (
+    UPDATE funding_commitments
+    SET status = 'withdrawn', updated_at = NOW()
+    WHERE funding_round_id = p_round_id AND investor_id = p_investor_id AND status = 'pledged'
+    RETURNING *
+  ), adjusted AS (
+    UPDATE funding_rounds
+    SET committed_amount = GREATEST(committed_amount - COALESCE((SELECT SUM(amount) FROM withdrawn), 0), 0),
+        updated_at = NOW()
+    WHERE id = p_round_id
+  )
+  SELECT * FROM withdrawn;
+END;
+$$ LANGUAGE plpgsql;
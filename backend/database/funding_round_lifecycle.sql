@@ -0,0 +1,16 @@
+-- Funding round lifecycle: upcoming -> open -> closing_soon -> succeeded | failed.
+-- Transitions are made by the backend's funding scheduler (services/fundingScheduler.js).
+ALTER TABLE funding_rounds ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'open'
+  CHECK (status IN ('upcoming', 'open', 'closing_soon', 'succeeded', 'failed'));
+ALTER TABLE funding_rounds ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_funding_rounds_status ON funding_rounds(status);
+
+-- Backfill from the existing flags and times
+UPDATE funding_rounds SET status = CASE
+  WHEN is_completed OR COALESCE(raised_amount, 0) >= target_amount THEN 'succeeded'
+  WHEN end_time <= NOW() THEN 'failed'
+  WHEN start_time > NOW() THEN 'upcoming'
+  ELSE 'open'
+END;
+UPDATE funding_rounds SET is_active = FALSE WHERE status IN ('succeeded', 'failed');
@@ -0,0 +1,7 @@
+-- Link funding rounds to their on-chain counterparts
+-- Round IDs come from the contract's dedicated round counter and are unique platform-wide
+ALTER TABLE funding_rounds ADD COLUMN IF NOT EXISTS blockchain_round_id VARCHAR(100) UNIQUE;
+ALTER TABLE funding_rounds ADD COLUMN IF NOT EXISTS blockchain_tx_hash VARCHAR(66);
+ALTER TABLE funding_rounds ADD COLUMN IF NOT EXISTS is_blockchain_verified BOOLEAN DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_funding_rounds_blockchain_round ON funding_rounds(blockchain_round_id);
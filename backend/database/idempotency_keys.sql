@@ -0,0 +1,20 @@
+-- Stored responses for requests sent with an Idempotency-Key header (middleware/idempotency.js).
+-- Keys are scoped to the user; a retry with the same key replays the stored response.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  idempotency_key VARCHAR(255) NOT NULL,
+  method VARCHAR(10) NOT NULL,
+  path TEXT NOT NULL,
+  request_hash VARCHAR(64) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed')),
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+  PRIMARY KEY (user_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,5 @@
+-- On-chain investments record `amount` in the platform currency (USD at ETH_USD_RATE for
+-- /api/blockchain/invest and the indexer), but the contract only knows wei. amount_eth keeps
+-- the ETH that actually moved, so escrow refunds and cancellations are asked for the amount
+-- the contract holds rather than the converted figure. NULL for off-chain investments.
+ALTER TABLE investments ADD COLUMN IF NOT EXISTS amount_eth DECIMAL(36, 18);
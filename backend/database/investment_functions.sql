@@ -0,0 +1,524 @@
+-- Every plpgsql/sql function behind investment and funding round bookkeeping, one
+-- definition each. Apply this file after the table migrations it reads from
+-- (schema.sql, funding_rounds_blockchain.sql, share_pricing.sql, convertible_instruments.sql,
+-- funding_round_lifecycle.sql, investment_status.sql, investment_amount_eth.sql,
+-- round_contribution_ids.sql, round_refunds.sql, investment_round_counted.sql,
+-- conversion_shares_onchain.sql and the later column migrations), and
+-- re-apply it whenever one of these functions changes. No other migration defines them.
+
+-- Atomic funding round accounting. reserve_round_allocation adds an investment to
+-- raised_amount only while the round is open, the amount meets the minimum and the target
+-- is not exceeded; reaching the target moves the round straight to succeeded. Returns no
+-- row when the investment is rejected.
+CREATE OR REPLACE FUNCTION reserve_round_allocation(p_round_id UUID, p_amount DECIMAL)
+RETURNS SETOF funding_rounds AS $$
+  UPDATE funding_rounds
+  SET raised_amount = COALESCE(raised_amount, 0) + p_amount,
+      is_completed = COALESCE(raised_amount, 0) + p_amount >= target_amount,
+      is_active = COALESCE(raised_amount, 0) + p_amount < target_amount,
+      status = CASE WHEN COALESCE(raised_amount, 0) + p_amount >= target_amount THEN 'succeeded' ELSE status END,
+      status_changed_at = CASE WHEN COALESCE(raised_amount, 0) + p_amount >= target_amount THEN NOW() ELSE status_changed_at END,
+      updated_at = NOW()
+  WHERE id = p_round_id
+    AND is_active
+    AND NOT is_completed
+    AND status IN ('open', 'closing_soon')
+    AND start_time <= NOW()
+    AND end_time > NOW()
+    AND p_amount >= COALESCE(minimum_investment, 0)
+    AND COALESCE(raised_amount, 0) + p_amount <= target_amount
+  RETURNING *;
+$$ LANGUAGE sql;
+
+-- Undo a reservation whose investment could not be recorded or was cancelled, reopening
+-- the round if that reservation was what completed it
+CREATE OR REPLACE FUNCTION release_round_allocation(p_round_id UUID, p_amount DECIMAL)
+RETURNS SETOF funding_rounds AS $$
+  UPDATE funding_rounds
+  SET raised_amount = GREATEST(COALESCE(raised_amount, 0) - p_amount, 0),
+      is_completed = is_completed AND COALESCE(raised_amount, 0) - p_amount >= target_amount,
+      is_active = is_active OR (is_completed AND COALESCE(raised_amount, 0) - p_amount < target_amount AND end_time > NOW()),
+      status = CASE
+        WHEN status = 'succeeded' AND COALESCE(raised_amount, 0) - p_amount < target_amount AND end_time > NOW() THEN 'open'
+        ELSE status
+      END,
+      updated_at = NOW()
+  WHERE id = p_round_id
+  RETURNING *;
+$$ LANGUAGE sql;
+
+-- Record an investment, its company aggregates and the investor's activity row in one
+-- transaction. The company row is locked first, so concurrent investments in the same
+-- company are serialised. Priced-equity investments are priced here: the share price,
+-- share count, post-money valuation and valuation_history row all come from the locked
+-- row, so concurrent investments cannot overwrite each other's valuation from a stale
+-- quote. investor_count only counts investments that still stand. Pricing mirrors
+-- shared/pricing quoteInvestment:
+--   shares = floor(amount * shares_outstanding / valuation), valuation += amount
+-- SAFE and note positions (conversion_status set) keep the fields they are given and
+-- leave the valuation alone. A NULL activity description skips the activity row, for
+-- callers that log their own (commitment allocation).
+CREATE OR REPLACE FUNCTION record_investment(p_investment JSONB, p_activity_description TEXT, p_activity_metadata JSONB DEFAULT '{}'::jsonb)
+RETURNS JSONB AS $$
+DECLARE
+  company_uuid UUID := (p_investment->>'company_id')::uuid;
+  invested DECIMAL := (p_investment->>'amount')::decimal;
+  priced BOOLEAN := p_investment->>'conversion_status' IS NULL;
+  inv investments%ROWTYPE;
+  company_row companies%ROWTYPE;
+  previous_valuation DECIMAL;
+  outstanding BIGINT;
+  new_shares BIGINT := 0;
+BEGIN
+  SELECT * INTO company_row FROM companies WHERE id = company_uuid FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Company % not found', company_uuid;
+  END IF;
+
+  previous_valuation := COALESCE(company_row.valuation, 0);
+  outstanding := COALESCE(NULLIF(company_row.shares_outstanding, 0), 10000000);
+  IF priced AND invested > 0 AND previous_valuation > 0 THEN
+    new_shares := FLOOR(invested * outstanding / previous_valuation);
+  END IF;
+
+  INSERT INTO investments (
+    company_id,
+    investor_id,
+    amount,
+    amount_eth,
+    ownership_percentage,
+    share_count,
+    price_per_share,
+    pre_money_valuation,
+    investment_type,
+    blockchain_tx_hash,
+    blockchain_contribution_id,
+    counted_in_round,
+    is_blockchain_verified,
+    funding_round_id,
+    instrument_type,
+    instrument_terms,
+    conversion_status,
+    status,
+    cooling_off_ends_at,
+    confirmed_at,
+    created_at
+  ) VALUES (
+    company_uuid,
+    (p_investment->>'investor_id')::uuid,
+    invested,
+    (p_investment->>'amount_eth')::decimal,
+    CASE WHEN priced THEN new_shares * 100.0 / (outstanding + new_shares)
+      ELSE COALESCE((p_investment->>'ownership_percentage')::decimal, 0) END,
+    CASE WHEN priced THEN new_shares ELSE (p_investment->>'share_count')::bigint END,
+    CASE WHEN priced THEN previous_valuation / outstanding ELSE (p_investment->>'price_per_share')::decimal END,
+    CASE WHEN priced THEN previous_valuation ELSE (p_investment->>'pre_money_valuation')::decimal END,
+    COALESCE(p_investment->>'investment_type', 'traditional'),
+    p_investment->>'blockchain_tx_hash',
+    (p_investment->>'blockchain_contribution_id')::bigint,
+    COALESCE((p_investment->>'counted_in_round')::boolean, TRUE),
+    COALESCE((p_investment->>'is_blockchain_verified')::boolean, FALSE),
+    (p_investment->>'funding_round_id')::uuid,
+    COALESCE(p_investment->>'instrument_type', 'priced_equity'),
+    p_investment->'instrument_terms',
+    p_investment->>'conversion_status',
+    COALESCE(p_investment->>'status', 'confirmed'),
+    (p_investment->>'cooling_off_ends_at')::timestamptz,
+    CASE WHEN COALESCE(p_investment->>'status', 'confirmed') = 'confirmed' THEN NOW() END,
+    COALESCE((p_investment->>'created_at')::timestamptz, NOW())
+  )
+  RETURNING * INTO inv;
+
+  UPDATE companies
+  SET total_investment = COALESCE(total_investment, 0) + inv.amount,
+      investor_count = (
+        SELECT COUNT(DISTINCT investor_id) FROM investments
+        WHERE company_id = company_uuid AND status IN ('pending', 'confirmed')
+      ),
+      valuation = CASE WHEN new_shares > 0 THEN previous_valuation + inv.amount ELSE valuation END,
+      shares_outstanding = CASE WHEN new_shares > 0 THEN outstanding + new_shares ELSE shares_outstanding END,
+      updated_at = NOW()
+  WHERE id = company_uuid
+  RETURNING * INTO company_row;
+
+  IF new_shares > 0 THEN
+    INSERT INTO valuation_history (company_id, previous_valuation, new_valuation, change_reason, created_at)
+    VALUES (company_uuid, previous_valuation, company_row.valuation, 'investment', NOW());
+  END IF;
+
+  IF p_activity_description IS NOT NULL THEN
+    INSERT INTO user_activities (user_id, activity_type, description, metadata)
+    VALUES (
+      inv.investor_id,
+      'investment_made',
+      p_activity_description,
+      COALESCE(p_activity_metadata, '{}'::jsonb) || jsonb_build_object('companyId', company_uuid, 'investmentId', inv.id)
+    );
+  END IF;
+
+  RETURN jsonb_build_object(
+    'investment', to_jsonb(inv),
+    'previous_valuation', previous_valuation,
+    'valuation', company_row.valuation,
+    'shares_outstanding', company_row.shares_outstanding,
+    'total_investment', company_row.total_investment,
+    'investor_count', company_row.investor_count
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Take an investment that no longer stands back out of its company: total_investment,
+-- investor_count and the shares it was issued (cancelled at the current share price, as
+-- the contract does). The caller has already locked the company row and moved the
+-- investment out of pending/confirmed. Returns the updated company.
+CREATE OR REPLACE FUNCTION reverse_investment(inv investments)
+RETURNS companies AS $$
+DECLARE
+  company_row companies%ROWTYPE;
+  outstanding BIGINT;
+BEGIN
+  SELECT COALESCE(shares_outstanding, 10000000) INTO outstanding FROM companies WHERE id = inv.company_id;
+
+  UPDATE companies
+  SET total_investment = GREATEST(COALESCE(total_investment, 0) - inv.amount, 0),
+      investor_count = (
+        SELECT COUNT(DISTINCT investor_id) FROM investments
+        WHERE company_id = inv.company_id AND status IN ('pending', 'confirmed')
+      ),
+      shares_outstanding = CASE
+        WHEN COALESCE(inv.share_count, 0) > 0 THEN outstanding - inv.share_count
+        ELSE shares_outstanding
+      END,
+      valuation = CASE
+        WHEN COALESCE(inv.share_count, 0) > 0 THEN valuation * (outstanding - inv.share_count) / outstanding
+        ELSE valuation
+      END,
+      updated_at = NOW()
+  WHERE id = inv.company_id
+  RETURNING * INTO company_row;
+
+  RETURN company_row;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Cancel a pending investment inside its cooling-off window and reverse everything it
+-- did to the company in one transaction, including its round allocation. Returns NULL
+-- when the investment is not the investor's or can no longer be cancelled.
+CREATE OR REPLACE FUNCTION cancel_investment(p_investment_id UUID, p_investor_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  company_uuid UUID;
+  inv investments%ROWTYPE;
+  company_row companies%ROWTYPE;
+  previous_valuation DECIMAL;
+BEGIN
+  SELECT company_id INTO company_uuid FROM investments WHERE id = p_investment_id;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO company_row FROM companies WHERE id = company_uuid FOR UPDATE;
+  previous_valuation := company_row.valuation;
+
+  UPDATE investments
+  SET status = 'cancelled',
+      cancelled_at = NOW()
+  WHERE id = p_investment_id
+    AND investor_id = p_investor_id
+    AND status = 'pending'
+    AND cooling_off_ends_at > NOW()
+  RETURNING * INTO inv;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  company_row := reverse_investment(inv);
+
+  IF inv.funding_round_id IS NOT NULL AND inv.counted_in_round THEN
+    PERFORM release_round_allocation(inv.funding_round_id, inv.amount);
+  END IF;
+
+  INSERT INTO user_activities (user_id, activity_type, description, metadata)
+  VALUES (
+    inv.investor_id,
+    'investment_cancelled',
+    'Cancelled investment of ' || inv.amount || ' in ' || company_row.name,
+    jsonb_build_object('companyId', company_uuid, 'investmentId', inv.id, 'amount', inv.amount)
+  );
+
+  RETURN jsonb_build_object(
+    'investment', to_jsonb(inv),
+    'previous_valuation', previous_valuation,
+    'valuation', company_row.valuation,
+    'total_investment', company_row.total_investment,
+    'investor_count', company_row.investor_count
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Close a round below its target and reverse every investment in it that still stands,
+-- in one transaction. Escrowed on-chain contributions become refundable until the
+-- contract has paid them back; the others are refunded. The round gives up what it
+-- raised. Returns NULL when the round has already left p_previous_status.
+CREATE OR REPLACE FUNCTION fail_funding_round(p_round_id UUID, p_previous_status TEXT)
+RETURNS JSONB AS $$
+DECLARE
+  round_row funding_rounds%ROWTYPE;
+  company_row companies%ROWTYPE;
+  previous_valuation DECIMAL;
+  inv investments%ROWTYPE;
+  reversed JSONB := '[]'::jsonb;
+BEGIN
+  SELECT * INTO round_row FROM funding_rounds WHERE id = p_round_id;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  -- Same lock order as record_investment: company, then round
+  SELECT * INTO company_row FROM companies WHERE id = round_row.company_id FOR UPDATE;
+  previous_valuation := company_row.valuation;
+
+  UPDATE funding_rounds
+  SET status = 'failed',
+      is_active = FALSE,
+      is_completed = FALSE,
+      status_changed_at = NOW(),
+      updated_at = NOW()
+  WHERE id = p_round_id
+    AND status = p_previous_status
+  RETURNING * INTO round_row;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  FOR inv IN
+    UPDATE investments
+    SET status = CASE
+          WHEN investment_type = 'blockchain' AND round_row.blockchain_round_id IS NOT NULL THEN 'refundable'
+          ELSE 'refunded'
+        END,
+        refunded_at = CASE
+          WHEN investment_type = 'blockchain' AND round_row.blockchain_round_id IS NOT NULL THEN NULL
+          ELSE NOW()
+        END
+    WHERE funding_round_id = p_round_id
+      AND status IN ('pending', 'confirmed')
+    RETURNING *
+  LOOP
+    company_row := reverse_investment(inv);
+    reversed := reversed || to_jsonb(inv);
+  END LOOP;
+
+  UPDATE funding_rounds
+  SET raised_amount = GREATEST(COALESCE(raised_amount, 0) - (
+        SELECT COALESCE(SUM((r->>'amount')::decimal), 0) FROM jsonb_array_elements(reversed) r
+        WHERE (r->>'counted_in_round')::boolean
+      ), 0)
+  WHERE id = p_round_id
+  RETURNING * INTO round_row;
+
+  RETURN jsonb_build_object(
+    'round', to_jsonb(round_row),
+    'investments', reversed,
+    'previous_valuation', previous_valuation,
+    'valuation', company_row.valuation
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Mark investments refunded by the contract in p_tx_hash (a ContributionCancelled or
+-- RefundClaimed event), in one transaction under the company row lock. One that still
+-- stood is reversed first, as cancel_investment does; one the platform already cancelled
+-- or failed keeps its reversal. Investments already refunded are skipped, so events can
+-- be replayed. All the investments belong to one company.
+CREATE OR REPLACE FUNCTION record_onchain_refund(p_investment_ids UUID[], p_tx_hash TEXT)
+RETURNS JSONB AS $$
+DECLARE
+  company_row companies%ROWTYPE;
+  previous_valuation DECIMAL;
+  previous_status TEXT;
+  inv investments%ROWTYPE;
+  refunded JSONB := '[]'::jsonb;
+  investment_id UUID;
+BEGIN
+  SELECT * INTO company_row FROM companies
+  WHERE id = (SELECT company_id FROM investments WHERE id = p_investment_ids[1])
+  FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+  previous_valuation := company_row.valuation;
+
+  FOREACH investment_id IN ARRAY p_investment_ids LOOP
+    SELECT status INTO previous_status FROM investments WHERE id = investment_id FOR UPDATE;
+
+    UPDATE investments
+    SET status = 'refunded',
+        refunded_at = NOW(),
+        refund_tx_hash = p_tx_hash,
+        refund_error = NULL
+    WHERE id = investment_id
+      AND company_id = company_row.id
+      AND status IN ('pending', 'confirmed', 'cancelled', 'refund_failed', 'refundable')
+    RETURNING * INTO inv;
+
+    CONTINUE WHEN NOT FOUND;
+
+    IF previous_status IN ('pending', 'confirmed') THEN
+      company_row := reverse_investment(inv);
+      IF inv.funding_round_id IS NOT NULL AND inv.counted_in_round THEN
+        PERFORM release_round_allocation(inv.funding_round_id, inv.amount);
+      END IF;
+    END IF;
+    refunded := refunded || to_jsonb(inv);
+  END LOOP;
+
+  RETURN jsonb_build_object(
+    'investments', refunded,
+    'previous_valuation', previous_valuation,
+    'valuation', company_row.valuation,
+    'total_investment', company_row.total_investment,
+    'investor_count', company_row.investor_count
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Convert a company's outstanding SAFEs and convertible notes into shares once priced round
+-- p_round_id has closed successfully, in one transaction under the company row lock, so
+-- concurrent calls can neither convert a position twice nor read a stale capitalization.
+-- Every position converts against the pre-round capitalization (the round's own
+-- investments taken back out) at the lower of its cap price and the discounted round
+-- price; notes convert principal plus simple interest accrued until the round started.
+-- The valuation grows by the converted principal. Mirrors shared/pricing accruedInterest
+-- and convertPosition. Positions of companies registered on-chain are left pending
+-- on-chain issuance. Returns NULL for rounds that are not priced.
+CREATE OR REPLACE FUNCTION convert_round_positions(p_round_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  round_row funding_rounds%ROWTYPE;
+  company_row companies%ROWTYPE;
+  previous_valuation DECIMAL;
+  outstanding BIGINT;
+  pre_valuation DECIMAL;
+  pre_outstanding BIGINT;
+  round_price DECIMAL;
+  conversion_time TIMESTAMPTZ;
+  inv investments%ROWTYPE;
+  terms JSONB;
+  interest DECIMAL;
+  price DECIMAL;
+  method TEXT;
+  new_shares BIGINT;
+  issued BIGINT := 0;
+  converted_principal DECIMAL := 0;
+  converted JSONB := '[]'::jsonb;
+BEGIN
+  SELECT * INTO round_row FROM funding_rounds WHERE id = p_round_id;
+  IF NOT FOUND OR round_row.instrument_type <> 'priced_equity' THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO company_row FROM companies WHERE id = round_row.company_id FOR UPDATE;
+  previous_valuation := company_row.valuation;
+  outstanding := COALESCE(NULLIF(company_row.shares_outstanding, 0), 10000000);
+
+  SELECT previous_valuation - COALESCE(SUM(amount), 0), outstanding - COALESCE(SUM(share_count), 0)
+  INTO pre_valuation, pre_outstanding
+  FROM investments
+  WHERE funding_round_id = p_round_id
+    AND status IN ('pending', 'confirmed');
+
+  IF pre_outstanding <= 0 THEN
+    pre_outstanding := 10000000;
+  END IF;
+  round_price := pre_valuation / pre_outstanding;
+  conversion_time := COALESCE(round_row.start_time, NOW());
+
+  FOR inv IN
+    SELECT * FROM investments
+    WHERE company_id = company_row.id
+      AND conversion_status = 'unconverted'
+      AND status IN ('pending', 'confirmed')
+    ORDER BY created_at
+  LOOP
+    terms := COALESCE(inv.instrument_terms, '{}'::jsonb);
+
+    interest := 0;
+    IF inv.instrument_type = 'convertible_note' AND COALESCE((terms->>'interestRate')::decimal, 0) > 0 THEN
+      interest := inv.amount * (terms->>'interestRate')::decimal / 100
+        * GREATEST(EXTRACT(EPOCH FROM LEAST(conversion_time, COALESCE((terms->>'maturityDate')::timestamptz, conversion_time)) - inv.created_at), 0)
+        / 86400 / 365;
+    END IF;
+
+    method := 'round';
+    price := round_price;
+    IF COALESCE((terms->>'valuationCap')::decimal, 0) > 0
+      AND (terms->>'valuationCap')::decimal / pre_outstanding < price THEN
+      method := 'cap';
+      price := (terms->>'valuationCap')::decimal / pre_outstanding;
+    END IF;
+    IF COALESCE((terms->>'discountRate')::decimal, 0) > 0
+      AND (terms->>'discountRate')::decimal < 100
+      AND round_price * (1 - (terms->>'discountRate')::decimal / 100) > 0
+      AND round_price * (1 - (terms->>'discountRate')::decimal / 100) < price THEN
+      method := 'discount';
+      price := round_price * (1 - (terms->>'discountRate')::decimal / 100);
+    END IF;
+    new_shares := CASE WHEN price > 0 THEN FLOOR((inv.amount + interest) / price) ELSE 0 END;
+
+    UPDATE investments
+    SET conversion_status = 'converted',
+        converted_at = conversion_time,
+        converted_by_round_id = p_round_id,
+        conversion_price = price,
+        accrued_interest = interest,
+        share_count = new_shares,
+        price_per_share = price,
+        pre_money_valuation = pre_valuation,
+        onchain_conversion_status = CASE
+          WHEN company_row.blockchain_token_id IS NOT NULL AND new_shares > 0 THEN 'pending'
+        END
+    WHERE id = inv.id;
+
+    issued := issued + new_shares;
+    converted_principal := converted_principal + inv.amount;
+    converted := converted || jsonb_build_object(
+      'investment_id', inv.id,
+      'investor_id', inv.investor_id,
+      'instrument_type', inv.instrument_type,
+      'principal', inv.amount,
+      'accrued_interest', interest,
+      'method', method,
+      'conversion_price', price,
+      'shares', new_shares
+    );
+  END LOOP;
+
+  IF jsonb_array_length(converted) > 0 THEN
+    UPDATE investments
+    SET ownership_percentage = share_count * 100.0 / (outstanding + issued)
+    WHERE id IN (SELECT (c->>'investment_id')::uuid FROM jsonb_array_elements(converted) c);
+
+    UPDATE companies
+    SET valuation = valuation + converted_principal,
+        shares_outstanding = outstanding + issued,
+        updated_at = NOW()
+    WHERE id = company_row.id
+    RETURNING * INTO company_row;
+
+    IF converted_principal > 0 THEN
+      INSERT INTO valuation_history (company_id, previous_valuation, new_valuation, change_reason, created_at)
+      VALUES (company_row.id, previous_valuation, company_row.valuation, 'conversion', NOW());
+    END IF;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'conversions', converted,
+    'shares_issued', issued,
+    'previous_valuation', previous_valuation,
+    'valuation', company_row.valuation
+  );
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,4 @@
+-- Whether an investment's amount is in its round's raised_amount. A contribution the
+-- contract accepted outside the round's database limits is recorded uncounted, and is
+-- not taken back out of raised_amount when it is reversed.
+ALTER TABLE investments ADD COLUMN IF NOT EXISTS counted_in_round BOOLEAN NOT NULL DEFAULT TRUE;
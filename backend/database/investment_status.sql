@@ -0,0 +1,15 @@
+-- Investment lifecycle. New investments whose funds are still held (off-chain, or in a
+-- round's on-chain escrow) are pending until their cooling-off window ends, then
+-- confirmed. Investors can cancel while pending; cancelled escrowed contributions become
+-- refunded once the contract has returned the funds.
+ALTER TABLE investments
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'confirmed'
+    CHECK (status IN ('pending', 'confirmed', 'cancelled', 'refunded')),
+  ADD COLUMN IF NOT EXISTS cooling_off_ends_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS refund_tx_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_investments_status ON investments(status);
+CREATE INDEX IF NOT EXISTS idx_investments_cooling_off ON investments(cooling_off_ends_at) WHERE status = 'pending';
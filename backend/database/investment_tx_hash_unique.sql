@@ -0,0 +1,5 @@
+-- Each on-chain transaction may back at most one investment record
+-- Resolve any existing duplicates before running this migration
+CREATE UNIQUE INDEX IF NOT EXISTS idx_investments_blockchain_tx_hash
+  ON investments(blockchain_tx_hash)
+  WHERE blockchain_tx_hash IS NOT NULL;
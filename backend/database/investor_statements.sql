@@ -0,0 +1,20 @@
+-- Monthly investor statements. One row per investor per calendar month, holding the
+-- rendered PDF and the headline figures shown in the statement list.
+CREATE TABLE IF NOT EXISTS investor_statements (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  summary JSONB NOT NULL DEFAULT '{}'::jsonb,
+  pdf BYTEA NOT NULL,
+  emailed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, period_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_investor_statements_user ON investor_statements(user_id, period_start DESC);
+
+ALTER TABLE investor_statements ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Investors can view own statements" ON investor_statements
+  FOR SELECT USING (auth.uid() = user_id);
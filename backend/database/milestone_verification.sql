@@ -0,0 +1,8 @@
+-- Milestone verification by platform verifiers (mirrors VERIFIER_ROLE on the contract)
+ALTER TABLE profiles DROP CONSTRAINT IF EXISTS profiles_role_check;
+ALTER TABLE profiles ADD CONSTRAINT profiles_role_check CHECK (role IN ('user', 'verifier', 'admin'));
+
+-- Position of the milestone in the contract's companyMilestones array
+ALTER TABLE milestones ADD COLUMN IF NOT EXISTS blockchain_milestone_index INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_milestones_company_index ON milestones(company_id, blockchain_milestone_index);
@@ -0,0 +1,8 @@
+-- The contract only returns an escrowed contribution inside its cooling-off window. A
+-- cancelled contribution whose refund has not gone through by then is marked
+-- refund_failed, with the last error, for an admin to settle by hand.
+ALTER TABLE investments DROP CONSTRAINT IF EXISTS investments_status_check;
+ALTER TABLE investments ADD CONSTRAINT investments_status_check
+  CHECK (status IN ('pending', 'confirmed', 'cancelled', 'refunded', 'refund_failed'));
+
+ALTER TABLE investments ADD COLUMN IF NOT EXISTS refund_error TEXT;
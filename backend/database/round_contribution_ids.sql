@@ -0,0 +1,5 @@
+-- The contract tracks every round contribution separately, with its own cooling-off
+-- deadline, and cancels them one at a time by id (its index in the company's on-chain
+-- investments, from the ContributionRecorded event). NULL for investments that are not
+-- escrowed round contributions.
+ALTER TABLE investments ADD COLUMN IF NOT EXISTS blockchain_contribution_id BIGINT;
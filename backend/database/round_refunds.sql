@@ -0,0 +1,8 @@
+-- A round that closes below its target takes its investments back out of the company.
+-- Escrowed on-chain contributions are refundable until the contract has returned them
+-- to the investor's wallet, then refunded like a cancelled contribution.
+ALTER TABLE investments DROP CONSTRAINT IF EXISTS investments_status_check;
+ALTER TABLE investments ADD CONSTRAINT investments_status_check
+  CHECK (status IN ('pending', 'confirmed', 'cancelled', 'refunded', 'refund_failed', 'refundable'));
+
+CREATE INDEX IF NOT EXISTS idx_investments_refundable ON investments(funding_round_id) WHERE status = 'refundable';
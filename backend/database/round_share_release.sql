@@ -0,0 +1,7 @@
+-- Shares bought into an on-chain round's escrow stay locked in the share token until the
+-- round has succeeded and its cooling-off window is over. The funding scheduler then
+-- releases them and stamps the round so it is not visited again.
+ALTER TABLE funding_rounds ADD COLUMN IF NOT EXISTS shares_released_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_funding_rounds_unreleased_shares ON funding_rounds(status)
+  WHERE blockchain_round_id IS NOT NULL AND shares_released_at IS NULL;
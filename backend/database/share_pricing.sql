@@ -0,0 +1,32 @@
+-- Share-based ownership (see shared/pricing). Ownership of an investment is
+-- share_count / companies.shares_outstanding, so later rounds dilute earlier holders.
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS shares_outstanding BIGINT NOT NULL DEFAULT 10000000;
+ALTER TABLE investments ADD COLUMN IF NOT EXISTS share_count BIGINT;
+ALTER TABLE investments ADD COLUMN IF NOT EXISTS price_per_share DECIMAL(20,8);
+ALTER TABLE investments ADD COLUMN IF NOT EXISTS pre_money_valuation DECIMAL(15,2);
+
+-- Backfill existing rows: convert each recorded post-money percentage into shares
+-- issued on top of the founder's 10,000,000, in the order the investments were made
+DO $$
+DECLARE
+  inv RECORD;
+  outstanding BIGINT;
+  new_shares BIGINT;
+BEGIN
+  FOR inv IN
+    SELECT i.id, i.company_id, i.ownership_percentage
+    FROM investments i
+    WHERE i.share_count IS NULL
+    ORDER BY i.company_id, i.created_at
+  LOOP
+    SELECT shares_outstanding INTO outstanding FROM companies WHERE id = inv.company_id;
+    IF inv.ownership_percentage > 0 AND inv.ownership_percentage < 100 THEN
+      new_shares := FLOOR(outstanding * inv.ownership_percentage / (100 - inv.ownership_percentage));
+    ELSE
+      new_shares := 0;
+    END IF;
+
+    UPDATE investments SET share_count = new_shares WHERE id = inv.id;
+    UPDATE companies SET shares_outstanding = outstanding + new_shares WHERE id = inv.company_id;
+  END LOOP;
+END $$;
@@ -104,6 +104,17 @@ const adminMiddleware = (req, res, next) => {
   next();
 };
 
+// Role middleware: allows any of the given roles (admins always pass)
+const roleMiddleware = (...roles) => (req, res, next) => {
+  if (!req.user || (req.user.role !== 'admin' && !roles.includes(req.user.role))) {
+    return res.status(403).json({
+      success: false,
+      message: `Requires one of the following roles: ${['admin', ...roles].join(', ')}`
+    });
+  }
+  next();
+};
+
 // Wallet verification middleware
 const walletAuthMiddleware = async (req, res, next) => {
   try {
@@ -154,5 +165,6 @@ module.exports = {
   authMiddleware,
   optionalAuthMiddleware,
   adminMiddleware,
+  roleMiddleware,
   walletAuthMiddleware
 };
\ No newline at end of file
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const blockchainService = require('../config/blockchain');
+
+const KEY_TTL_MS = (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+// A request still in progress after this long is assumed to have died with its process.
+// Requests wait for at most one transaction to be mined, so this outlasts that wait;
+// re-running one that was only slow would send its transaction twice.
+const IN_PROGRESS_TIMEOUT_MS = blockchainService.txTimeoutMs + 5 * 60 * 1000;
+
+const requestHash = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path} ${JSON.stringify(req.body || {})}`)
+  .digest('hex');
+
+// Claim the key for this request. Returns null when claimed, otherwise the existing row.
+async function claimKey(req, key, hash) {
+  const row = {
+    user_id: req.user.id,
+    idempotency_key: key,
+    method: req.method,
+    path: `${req.baseUrl}${req.path}`,
+    request_hash: hash,
+    status: 'in_progress',
+    expires_at: new Date(Date.now() + KEY_TTL_MS).toISOString()
+  };
+
+  const { error } = await supabaseAdmin.from('idempotency_keys').insert(row);
+  if (!error) return null;
+  if (error.code !== '23505') throw error;
+
+  const { data: existing, error: fetchError } = await supabaseAdmin
+    .from('idempotency_keys')
+    .select('*')
+    .eq('user_id', req.user.id)
+    .eq('idempotency_key', key)
+    .maybeSingle();
+  if (fetchError) throw fetchError;
+
+  // Expired and abandoned keys are forgotten and can be claimed again
+  const abandoned = existing && (
+    new Date(existing.expires_at) <= new Date() ||
+    (existing.status === 'in_progress' && Date.now() - new Date(existing.created_at) > IN_PROGRESS_TIMEOUT_MS)
+  );
+  if (abandoned) {
+    await supabaseAdmin
+      .from('idempotency_keys')
+      .delete()
+      .eq('user_id', req.user.id)
+      .eq('idempotency_key', key)
+      .eq('created_at', existing.created_at);
+    return claimKey(req, key, hash);
+  }
+  return existing;
+}
+
+/**
+ * Honours an Idempotency-Key header on POST endpoints that create things. The first
+ * request with a key runs normally and its response is stored; repeats with the same
+ * key and body get that response back, marked with an Idempotent-Replayed header.
+ * Server errors (5xx) are not stored, so the client can retry with the same key.
+ * Must run after authMiddleware: keys are scoped to the user.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const hash = requestHash(req);
+  let existing;
+  try {
+    existing = await claimKey(req, key, hash);
+  } catch (error) {
+    console.error('❌ Idempotency key lookup failed:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to process Idempotency-Key'
+    });
+  }
+
+  if (existing) {
+    if (existing.request_hash !== hash) {
+      return res.status(422).json({
+        success: false,
+        message: 'Idempotency-Key was already used for a different request'
+      });
+    }
+    if (existing.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.response_status).json(existing.response_body);
+  }
+
+  let responseBody;
+  let finalized = false;
+  const finalize = async () => {
+    if (finalized) return;
+    finalized = true;
+
+    const match = supabaseAdmin.from('idempotency_keys');
+    const { error } = res.statusCode < 500 && responseBody !== undefined
+      ? await match
+        .update({ status: 'completed', response_status: res.statusCode, response_body: responseBody })
+        .eq('user_id', req.user.id)
+        .eq('idempotency_key', key)
+      : await match
+        .delete()
+        .eq('user_id', req.user.id)
+        .eq('idempotency_key', key);
+
+    if (error) {
+      console.error('❌ Failed to store idempotent response:', error);
+    }
+  };
+
+  // Store JSON responses as soon as they are sent; anything else is released on finish
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    const result = json(body);
+    finalize();
+    return result;
+  };
+  res.on('finish', finalize);
+
+  next();
+};
+
+module.exports = {
+  idempotency
+};
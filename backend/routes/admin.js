@@ -0,0 +1,174 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { supabaseAdmin } = require('../config/supabase');
+const { asyncHandler } = require('../middleware/errorHandler');
+const blockchainService = require('../config/blockchain');
+const reconciliation = require('../services/reconciliation');
+
+const router = express.Router();
+
+// Compare the database with the contract without changing anything
+router.get('/reconciliation', asyncHandler(async (req, res) => {
+  try {
+    const report = await reconciliation.run({ apply: false });
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Reconciliation failed',
+      error: error.message
+    });
+  }
+}));
+
+// Repair database drift; dry run unless apply is true
+router.post('/reconciliation/repair', [
+  body('apply').optional().isBoolean()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const apply = req.body.apply === true || req.body.apply === 'true';
+
+  try {
+    const report = await reconciliation.run({ apply });
+
+    // Record who changed what
+    if (apply && report.summary.repaired > 0) {
+      console.log('🛠️  Reconciliation repairs applied', {
+        by: req.user.id,
+        repaired: report.summary.repaired
+      });
+    }
+
+    res.json({
+      success: true,
+      message: apply
+        ? `Applied ${report.summary.repaired} repairs`
+        : `Dry run: ${report.summary.repairable} repairs would be applied`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Reconciliation repair error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Reconciliation repair failed',
+      error: error.message
+    });
+  }
+}));
+
+// Point the contract's token metadata at a new base URL (e.g. https://api.example.com/api/metadata/)
+router.post('/metadata/base-uri', [
+  body('baseURI').trim().isURL({ require_tld: false }).withMessage('A valid base URI is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const baseURI = req.body.baseURI.replace(/\/?$/, '/');
+  const result = await blockchainService.setMetadataBaseURI(baseURI);
+
+  if (!result.success) {
+    return res.status(502).json({
+      success: false,
+      message: `Failed to update metadata base URI: ${result.error}`
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Metadata base URI updated',
+    data: { baseURI, txHash: result.txHash }
+  });
+}));
+
+// Clear explicit token URIs so existing tokens resolve through the metadata base URI
+router.post('/metadata/repoint', [
+  body('tokenIds').optional().isArray(),
+  body('tokenIds.*').optional().isInt({ min: 0 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  let tokenIds = req.body.tokenIds;
+  if (!tokenIds || tokenIds.length === 0) {
+    const { data: companies, error } = await supabaseAdmin
+      .from('companies')
+      .select('blockchain_token_id')
+      .not('blockchain_token_id', 'is', null);
+
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch minted companies'
+      });
+    }
+    tokenIds = companies.map(c => c.blockchain_token_id);
+  }
+
+  const results = [];
+  for (const tokenId of tokenIds) {
+    const result = await blockchainService.setTokenURI(tokenId, '');
+    results.push({ tokenId: String(tokenId), success: result.success, txHash: result.txHash, error: result.error });
+  }
+
+  const updated = results.filter(r => r.success).length;
+  res.json({
+    success: updated === results.length,
+    message: `Re-pointed ${updated} of ${results.length} tokens`,
+    data: { results }
+  });
+}));
+
+// Companies whose NFT moved to a wallet with no matching profile
+router.get('/companies/ownership-review', asyncHandler(async (req, res) => {
+  const { data: companies, error } = await supabaseAdmin
+    .from('companies')
+    .select(`
+      id,
+      name,
+      blockchain_token_id,
+      pending_owner_wallet,
+      updated_at,
+      profiles:owner_id (
+        first_name,
+        last_name,
+        wallet_address
+      )
+    `)
+    .eq('owner_review_required', true)
+    .order('updated_at', { ascending: false });
+
+  if (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch companies pending ownership review'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { companies }
+  });
+}));
+
+module.exports = router;
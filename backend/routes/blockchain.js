@@ -2,8 +2,14 @@ const express = require('express');
 const router = express.Router();
 const { supabase, supabaseAdmin } = require('../config/supabase');
 const { authMiddleware } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { asyncHandler } = require('../middleware/errorHandler');
 const blockchainService = require('../config/blockchain');
+const blockchainIndexer = require('../services/blockchainIndexer');
+const { getWalletShareHoldings, nonZeroHoldings } = require('../utils/shareHoldings');
+const { onchainInvestmentFields, recordInvestment, adoptRecordedInvestment } = require('../utils/investmentRecords');
+const { releaseRoundAllocation } = require('../utils/fundingRounds');
+const fundingScheduler = require('../services/fundingScheduler');
 
 // Diagnostics: blockchain status
 router.get('/status', asyncHandler(async (req, res) => {
@@ -12,6 +18,7 @@ router.get('/status', asyncHandler(async (req, res) => {
       hasProvider: !!blockchainService.provider,
       hasSigner: !!blockchainService.signer,
       hasContract: !!blockchainService.contract,
+      hasShareToken: !!blockchainService.sharesContract,
       env: {
         rpc: !!process.env.BLOCKCHAIN_RPC_URL,
         contract: !!process.env.CONTRACT_ADDRESS,
@@ -28,18 +35,46 @@ router.get('/status', asyncHandler(async (req, res) => {
   }
 }));
 
+// Diagnostics: event indexer progress
+router.get('/indexer/status', asyncHandler(async (req, res) => {
+  res.json({ success: true, data: blockchainIndexer.getStatus() });
+}));
+
 // Make a blockchain investment
-router.post('/invest', authMiddleware, asyncHandler(async (req, res) => {
-  const { companyId, amount, txHash } = req.body;
+router.post('/invest', authMiddleware, idempotency, asyncHandler(async (req, res) => {
+  const { companyId } = req.body;
+  // Hashes are stored lower-case, as the indexer sees them
+  const txHash = typeof req.body.txHash === 'string' ? req.body.txHash.toLowerCase() : null;
   const userId = req.user.id;
 
-  if (!companyId || !amount || !txHash) {
+  if (!companyId || !txHash) {
     return res.status(400).json({
       success: false,
       message: 'Missing required fields'
     });
   }
 
+  if (!req.user.walletAddress) {
+    return res.status(400).json({
+      success: false,
+      message: 'Connect a wallet before recording blockchain investments'
+    });
+  }
+
+  // A transaction can back at most one investment
+  const { data: existingInvestment } = await supabaseAdmin
+    .from('investments')
+    .select('id')
+    .eq('blockchain_tx_hash', txHash)
+    .maybeSingle();
+
+  if (existingInvestment) {
+    return res.status(409).json({
+      success: false,
+      message: 'Transaction has already been recorded'
+    });
+  }
+
   // Get the company details first
   const { data: company, error: companyError } = await supabaseAdmin
     .from('companies')
@@ -54,31 +89,71 @@ router.post('/invest', authMiddleware, asyncHandler(async (req, res) => {
     });
   }
 
-  // Convert amount (ETH -> USD) if possible and compute ownership
-  const amountEth = parseFloat(amount);
+  if (company.blockchain_token_id === null || company.blockchain_token_id === undefined) {
+    return res.status(400).json({
+      success: false,
+      message: 'Company is not registered on-chain'
+    });
+  }
+
+  // Prove the investment on-chain before trusting any of it
+  const proof = await blockchainService.verifyInvestmentTransaction(txHash, {
+    companyTokenId: company.blockchain_token_id,
+    investorAddress: req.user.walletAddress
+  });
+
+  if (!proof.success) {
+    return res.status(400).json({
+      success: false,
+      message: `Investment transaction could not be verified: ${proof.error}`
+    });
+  }
+
+  // Convert the on-chain amount (ETH -> USD) if possible and compute ownership
+  const amountEth = parseFloat(proof.data.amount);
   const rate = parseFloat(process.env.ETH_USD_RATE || '0');
   const amountUsd = Number.isFinite(rate) && rate > 0 ? amountEth * rate : amountEth; // fallback to 1:1 if no rate provided
 
-  const ownershipPercentage = (amountUsd / (company.valuation + amountUsd)) * 100;
-  console.log('📈 Blockchain investment conversion:', { amountEth, rate, amountUsd, ownershipPercentage });
+  const amountRecorded = parseFloat(amountUsd.toFixed(2));
+  console.log('📈 Blockchain investment conversion:', { amountEth, rate, amountUsd });
 
-  // Create investment record (store amount in USD-equivalent)
-  const { data: investment, error: investmentError } = await supabaseAdmin
-    .from('investments')
-    .insert({
+  // The decoded event says which round, if any, the funds went to and so whether they are in escrow
+  const onchain = await onchainInvestmentFields(proof.data, amountRecorded);
+  if (onchain.error) {
+    return res.status(400).json({
+      success: false,
+      message: `Investment transaction could not be recorded: ${onchain.error}`
+    });
+  }
+
+  // Record the investment (amount in USD-equivalent), its shares, the post-money valuation,
+  // company totals and activity in one transaction
+  const { investment, totalInvestment: newTotalInvestment, investorCount: uniqueInvestors, error: investmentError } =
+    await recordInvestment({
       company_id: companyId,
       investor_id: userId,
-      amount: parseFloat(amountUsd.toFixed(2)),
-      ownership_percentage: ownershipPercentage,
+      amount: amountRecorded,
+      amount_eth: proof.data.amount,
       blockchain_tx_hash: txHash,
       is_blockchain_verified: true,
       investment_type: 'blockchain',
+      ...onchain.fields,
       created_at: new Date().toISOString()
-    })
-    .select()
-    .single();
+    }, {
+      description: `Invested ${amountEth} ETH (~$${amountUsd.toFixed(2)}) in ${company.name}`,
+      metadata: { txHash, amountEth, amountUsd }
+    });
 
   if (investmentError) {
+    if (investmentError.code === '23505') {
+      // Recorded by the indexer in the meantime, which may not have fitted it into the round
+      await adoptRecordedInvestment(txHash, onchain.countedRound?.id, amountRecorded);
+      return res.status(409).json({
+        success: false,
+        message: 'Transaction has already been recorded'
+      });
+    }
+    if (onchain.countedRound) await releaseRoundAllocation(onchain.countedRound.id, amountRecorded);
     return res.status(500).json({
       success: false,
       message: 'Failed to record investment',
@@ -86,56 +161,10 @@ router.post('/invest', authMiddleware, asyncHandler(async (req, res) => {
     });
   }
 
-  // Update company total investment and investor count (mirror traditional route behavior)
-  const currentTotal = company.total_investment || 0;
-  const newTotalInvestment = currentTotal + parseFloat(amountUsd.toFixed(2));
-  console.log('🔄 Updating company totals (blockchain):', { currentTotal, add: amountUsd, newTotalInvestment });
-
-  const { data: updatedCompany, error: updateError } = await supabaseAdmin
-    .from('companies')
-    .update({
-      total_investment: newTotalInvestment,
-      updated_at: new Date().toISOString()
-    })
-    .eq('id', companyId)
-    .select('id, name, total_investment, investor_count');
-
-  if (updateError) {
-    console.error('❌ Company update error (blockchain):', updateError);
-  } else {
-    console.log('✅ Company updated successfully (blockchain):', updatedCompany?.[0] || updatedCompany);
-  }
-
-  // Update investor count
-  const { count: uniqueInvestors, error: countQueryError } = await supabaseAdmin
-    .from('investments')
-    .select('investor_id', { count: 'exact' })
-    .eq('company_id', companyId);
-
-  if (countQueryError) {
-    console.error('❌ Error counting investors (blockchain):', countQueryError);
-  } else {
-    console.log('📊 Current investor count (blockchain):', uniqueInvestors);
-    const { error: investorCountUpdateError } = await supabaseAdmin
-      .from('companies')
-      .update({ investor_count: uniqueInvestors })
-      .eq('id', companyId);
-    if (investorCountUpdateError) {
-      console.error('❌ Investor count update error (blockchain):', investorCountUpdateError);
-    } else {
-      console.log('✅ Investor count updated (blockchain):', uniqueInvestors);
-    }
-  }
-
-  // Create activity log
-  await supabaseAdmin
-    .from('user_activities')
-    .insert({
-      user_id: userId,
-      activity_type: 'investment_made',
-      description: `Invested ${amountEth} ETH (~$${amountUsd.toFixed(2)}) in ${company.name}`,
-      metadata: { companyId, investmentId: investment.id, txHash, amountEth, amountUsd }
-    });
+  console.log('✅ Blockchain investment recorded:', investment.id, {
+    totalInvestment: newTotalInvestment,
+    investorCount: uniqueInvestors
+  });
 
   // Emit real-time updates via Socket.IO
   try {
@@ -145,7 +174,7 @@ router.post('/invest', authMiddleware, asyncHandler(async (req, res) => {
       io.to(`user:${userId}`).emit('portfolio:updated', {
         type: 'investment-created',
         investmentId: investment.id,
-        amount: parseFloat(amountUsd.toFixed(2)),
+        amount: amountRecorded,
         companyId,
         timestamp: Date.now()
       });
@@ -153,7 +182,7 @@ router.post('/invest', authMiddleware, asyncHandler(async (req, res) => {
       // Notify company room for dashboards listening to company changes
       io.to(`company:${companyId}`).emit('investment:created', {
         id: investment.id,
-        amount: parseFloat(amountUsd.toFixed(2)),
+        amount: amountRecorded,
         investmentType: 'blockchain',
         isBlockchainVerified: true,
         companyId,
@@ -167,6 +196,10 @@ router.post('/invest', authMiddleware, asyncHandler(async (req, res) => {
         totalInvestment: newTotalInvestment,
         investorCount: uniqueInvestors
       });
+
+      if (onchain.countedRound?.is_completed) {
+        await fundingScheduler.announceClosed(onchain.countedRound, company, io);
+      }
     }
   } catch (e) {
     console.warn('Socket emit failed (blockchain):', e.message);
@@ -178,10 +211,14 @@ router.post('/invest', authMiddleware, asyncHandler(async (req, res) => {
     data: {
       investment: {
         id: investment.id,
-        amount: parseFloat(amountUsd.toFixed(2)),
-        ownershipPercentage: ownershipPercentage,
+        amount: amountRecorded,
+        ownershipPercentage: investment.ownership_percentage,
+        shares: investment.share_count,
         investmentType: 'blockchain',
         isBlockchainVerified: true,
+        fundingRoundId: investment.funding_round_id,
+        status: investment.status,
+        coolingOffEndsAt: investment.cooling_off_ends_at,
         company: {
           id: investment.company_id,
           name: company.name,
@@ -195,6 +232,37 @@ router.post('/invest', authMiddleware, asyncHandler(async (req, res) => {
   });
 }));
 
+// Company share balances held by a wallet
+router.get('/shares/:address', asyncHandler(async (req, res) => {
+  const { address } = req.params;
+
+  if (!blockchainService.isValidAddress(address)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid wallet address'
+    });
+  }
+
+  await blockchainService.ready;
+  if (!blockchainService.sharesContract) {
+    return res.status(503).json({
+      success: false,
+      message: 'Share token is not configured'
+    });
+  }
+
+  const holdings = await getWalletShareHoldings(address);
+
+  res.json({
+    success: true,
+    data: {
+      address,
+      shareToken: blockchainService.sharesContract.target,
+      holdings: nonZeroHoldings(holdings)
+    }
+  });
+}));
+
 // Verify blockchain transaction
 router.post('/verify-transaction', authMiddleware, asyncHandler(async (req, res) => {
   const { txHash } = req.body;
@@ -2,10 +2,15 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const { supabase, supabaseAdmin } = require('../config/supabase');
 const { authMiddleware, optionalAuthMiddleware } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { asyncHandler } = require('../middleware/errorHandler');
 const blockchainService = require('../config/blockchain');
 const companyVerification = require('../utils/companyVerification');
 const riskAnalysis = require('../utils/riskAnalysis');
+const { recordValuationChange } = require('../utils/valuationHistory');
+const { pricePerShare } = require('@vyaapar/pricing');
+const capTableService = require('../services/capTable');
+const { ACTIVE_INVESTMENT_STATUSES } = require('../utils/investmentRecords');
 
 const router = express.Router();
 
@@ -78,7 +83,7 @@ const validateCompanyRegistration = [
 ];
 
 // Register a new company
-router.post('/register', authMiddleware, validateCompanyRegistration, asyncHandler(async (req, res) => {
+router.post('/register', authMiddleware, idempotency, validateCompanyRegistration, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -178,7 +183,8 @@ router.post('/register', authMiddleware, validateCompanyRegistration, asyncHandl
         hasAddress: !!process.env.CONTRACT_ADDRESS,
         hasPK: !!process.env.PRIVATE_KEY
       });
-      const tokenURI = `https://vyaapar.ai/company/${name.replace(/\s+/g, '-').toLowerCase()}`;
+      // Empty URI: the contract serves <metadata base URI><tokenId> from /api/metadata
+      const tokenURI = '';
       
       blockchainData = await blockchainService.mintCompany(
         name,
@@ -202,20 +208,22 @@ router.post('/register', authMiddleware, validateCompanyRegistration, asyncHandl
     }
   }
 
-  // Create company record in database
-  const { data: company, error: dbError } = await supabaseAdmin
-    .from('companies')
-    .insert({
-      name,
-      description,
-      industry,
-      valuation: parseFloat(valuation),
-      owner_id: userId,
-      blockchain_token_id: tokenId,
-      blockchain_tx_hash: blockchainData?.txHash,
-      is_blockchain_verified: !!tokenId,
-      created_at: new Date().toISOString()
-    })
+  // Create company record in database. The indexer may already have created the row from
+  // the mint's CompanyCreated event, so a minted company is upserted on its token id.
+  const companyRecord = {
+    name,
+    description,
+    industry,
+    valuation: parseFloat(valuation),
+    owner_id: userId,
+    blockchain_token_id: tokenId,
+    blockchain_tx_hash: blockchainData?.txHash?.toLowerCase(),
+    is_blockchain_verified: !!tokenId,
+    created_at: new Date().toISOString()
+  };
+  const { data: company, error: dbError } = await (tokenId
+    ? supabaseAdmin.from('companies').upsert(companyRecord, { onConflict: 'blockchain_token_id' })
+    : supabaseAdmin.from('companies').insert(companyRecord))
     .select(`
       *,
       profiles:owner_id (
@@ -543,6 +551,8 @@ router.get('/:id', optionalAuthMiddleware, asyncHandler(async (req, res) => {
         description: company.description,
         industry: company.industry,
         valuation: company.valuation,
+        sharesOutstanding: company.shares_outstanding,
+        pricePerShare: pricePerShare(company.valuation, company.shares_outstanding),
         totalInvestment,
         investorCount,
         completedMilestones,
@@ -569,6 +579,7 @@ router.get('/:id', optionalAuthMiddleware, asyncHandler(async (req, res) => {
         milestones: company.milestones.sort((a, b) => new Date(b.created_at) - new Date(a.created_at)),
         fundingRounds: company.funding_rounds.sort((a, b) => new Date(b.start_time) - new Date(a.start_time)),
         userInvestment,
+        isOwner: !!req.user && req.user.id === company.owner_id,
         blockchain: blockchainData,
         createdAt: company.created_at
       }
@@ -612,7 +623,7 @@ router.put('/:id', authMiddleware, [
   // Check ownership
   const { data: company } = await supabase
     .from('companies')
-    .select('owner_id, blockchain_token_id')
+    .select('owner_id, valuation, blockchain_token_id')
     .eq('id', id)
     .single();
 
@@ -623,6 +634,21 @@ router.put('/:id', authMiddleware, [
     });
   }
 
+  // Update the chain first so the database never shows a valuation the contract rejected
+  if (updates.valuation && company.blockchain_token_id && blockchainService.contract) {
+    const result = await blockchainService.updateCompanyValuation(
+      company.blockchain_token_id,
+      updates.valuation
+    );
+
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: `On-chain valuation update failed: ${result.error}`
+      });
+    }
+  }
+
   // Update database
   const { data: updatedCompany, error } = await supabase
     .from('companies')
@@ -641,16 +667,13 @@ router.put('/:id', authMiddleware, [
     });
   }
 
-  // Update blockchain if valuation changed and company is on blockchain
-  if (updates.valuation && company.blockchain_token_id) {
-    try {
-      await blockchainService.updateCompanyValuation(
-        company.blockchain_token_id,
-        updates.valuation
-      );
-    } catch (error) {
-      console.error('Failed to update blockchain valuation:', error);
-    }
+  if (updates.valuation !== undefined) {
+    await recordValuationChange({
+      companyId: id,
+      previousValuation: company.valuation,
+      newValuation: updatedCompany.valuation,
+      reason: 'owner_update'
+    });
   }
 
   res.json({
@@ -814,7 +837,8 @@ router.post('/:id/verify-blockchain', authMiddleware, asyncHandler(async (req, r
     return res.status(400).json({ success: false, message: 'Connect a wallet to verify on-chain' });
   }
 
-  const tokenURI = `https://vyaapar.ai/company/${company.name.replace(/\s+/g, '-').toLowerCase()}`;
+  // Empty URI: the contract serves <metadata base URI><tokenId> from /api/metadata
+  const tokenURI = '';
   try {
     const result = await blockchainService.mintCompany(
       company.name,
@@ -907,6 +931,138 @@ router.post('/:id/verify-email', authMiddleware, asyncHandler(async (req, res) =
   });
 }));
 
+// Get company valuation history, oldest first
+router.get('/:id/valuation-history', [
+  query('limit').optional().isInt({ min: 1, max: 500 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid query parameters',
+      errors: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+  const limit = parseInt(req.query.limit) || 100;
+
+  const { data: history, error } = await supabase
+    .from('valuation_history')
+    .select(`
+      id,
+      previous_valuation,
+      new_valuation,
+      change_reason,
+      milestone_id,
+      created_at,
+      milestones (
+        milestone_type,
+        description
+      )
+    `)
+    .eq('company_id', id)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch valuation history'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      history: history.map(entry => ({
+        id: entry.id,
+        previousValuation: parseFloat(entry.previous_valuation),
+        newValuation: parseFloat(entry.new_valuation),
+        change: parseFloat(entry.new_valuation) - parseFloat(entry.previous_valuation),
+        reason: entry.change_reason,
+        milestone: entry.milestone_id ? {
+          id: entry.milestone_id,
+          type: entry.milestones?.milestone_type,
+          description: entry.milestones?.description
+        } : null,
+        createdAt: entry.created_at
+      }))
+    }
+  });
+}));
+
+// Cap table: shareholders, fully diluted ownership and ownership after each round.
+// Visible to the founder, the company's investors and admins.
+router.get('/:id/cap-table', authMiddleware, [
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid query parameters',
+      errors: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+
+  const { data: company, error } = await supabaseAdmin
+    .from('companies')
+    .select('id, name, owner_id')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error || !company) {
+    return res.status(404).json({
+      success: false,
+      message: 'Company not found'
+    });
+  }
+
+  if (company.owner_id !== req.user.id && req.user.role !== 'admin') {
+    const { data: holding } = await supabaseAdmin
+      .from('investments')
+      .select('id')
+      .eq('company_id', id)
+      .eq('investor_id', req.user.id)
+      .in('status', ACTIVE_INVESTMENT_STATUSES)
+      .limit(1)
+      .maybeSingle();
+
+    if (!holding) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the founder and investors can view the cap table'
+      });
+    }
+  }
+
+  let capTable;
+  try {
+    capTable = await capTableService.build(id);
+  } catch (buildError) {
+    console.error('❌ Cap table error:', buildError);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to build cap table'
+    });
+  }
+
+  if (req.query.format === 'csv') {
+    const filename = `${company.name.replace(/[^a-z0-9]+/gi, '_').toLowerCase()}_cap_table.csv`;
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(capTableService.toCsv(capTable));
+  }
+
+  res.json({
+    success: true,
+    data: capTable
+  });
+}));
+
 // Get company risk analysis
 router.get('/:id/risk-analysis', asyncHandler(async (req, res) => {
   const { id } = req.params;
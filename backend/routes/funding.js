@@ -1,19 +1,54 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { supabase } = require('../config/supabase');
+const { supabase, supabaseAdmin } = require('../config/supabase');
 const { authMiddleware } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { INSTRUMENT_TYPES, isConvertible } = require('@vyaapar/pricing');
 const blockchainService = require('../config/blockchain');
+const conversions = require('../services/conversions');
+const fundingScheduler = require('../services/fundingScheduler');
+const allocation = require('../services/allocation');
+const { ACTIVE_INVESTMENT_STATUSES } = require('../utils/investmentRecords');
+
+const ALLOCATION_METHODS = ['first_come', 'pro_rata', 'priority'];
 
 const router = express.Router();
 
+// Map an on-chain funding round to a funding_rounds row
+const toFundingRoundRow = (companyId, round) => ({
+  company_id: companyId,
+  blockchain_round_id: round.roundId,
+  round_name: round.roundName,
+  target_amount: parseFloat(round.targetAmount),
+  raised_amount: parseFloat(round.raisedAmount),
+  valuation_cap: parseFloat(round.valuationCap),
+  minimum_investment: parseFloat(round.minimumInvestment),
+  start_time: new Date(Number(round.startTime) * 1000).toISOString(),
+  end_time: new Date(Number(round.endTime) * 1000).toISOString(),
+  is_active: round.isActive,
+  is_completed: round.isCompleted,
+  is_blockchain_verified: true
+});
+
 // Create funding round
-router.post('/', authMiddleware, [
+router.post('/', authMiddleware, idempotency, [
   body('companyId').isUUID().withMessage('Valid company ID is required'),
   body('roundName').trim().isLength({ min: 1 }).withMessage('Round name is required'),
   body('targetAmount').isNumeric().withMessage('Target amount must be a number'),
-  body('valuationCap').isNumeric().withMessage('Valuation cap must be a number'),
+  body('instrumentType').optional().isIn(Object.values(INSTRUMENT_TYPES)).withMessage('Invalid instrument type'),
+  body('valuationCap')
+    .if((value, { req }) => !isConvertible(req.body.instrumentType))
+    .isNumeric().withMessage('Valuation cap must be a number'),
+  body('valuationCap').optional({ nullable: true }).isNumeric().withMessage('Valuation cap must be a number'),
+  body('discountRate').optional({ nullable: true }).isFloat({ min: 0, max: 99.99 }).withMessage('Discount rate must be between 0 and 100'),
+  body('interestRate').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Interest rate must be positive'),
+  body('maturityDate')
+    .if(body('instrumentType').equals(INSTRUMENT_TYPES.CONVERTIBLE_NOTE))
+    .isISO8601().withMessage('Convertible notes require a maturity date'),
   body('minimumInvestment').optional().isNumeric(),
+  body('startTime').optional().isISO8601().withMessage('Start time must be a valid date'),
+  body('allocationMethod').optional().isIn(ALLOCATION_METHODS).withMessage('Invalid allocation method'),
   body('duration').isInt({ min: 1 }).withMessage('Duration must be a positive number')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -31,8 +66,23 @@ router.post('/', authMiddleware, [
     targetAmount,
     valuationCap,
     minimumInvestment = 100,
-    duration
+    duration,
+    instrumentType = INSTRUMENT_TYPES.PRICED_EQUITY,
+    discountRate = null,
+    interestRate = null,
+    maturityDate = null,
+    startTime: requestedStart = null,
+    allocationMethod = 'first_come'
   } = req.body;
+  const convertible = isConvertible(instrumentType);
+
+  // A SAFE or note without a cap or discount would just convert at the next round's price
+  if (convertible && !(parseFloat(valuationCap) > 0) && !(parseFloat(discountRate) > 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'SAFE and convertible note rounds need a valuation cap, a discount, or both'
+    });
+  }
 
   // Verify company ownership
   const { data: company } = await supabase
@@ -49,27 +99,75 @@ router.post('/', authMiddleware, [
     });
   }
 
-  const startTime = new Date();
-  const endTime = new Date();
+  // Rounds may be scheduled to start later; the funding scheduler opens them
+  const now = new Date();
+  const startTime = requestedStart && new Date(requestedStart) > now ? new Date(requestedStart) : now;
+  const upcoming = startTime > now;
+  const endTime = new Date(startTime);
   endTime.setDate(endTime.getDate() + parseInt(duration));
 
+  // Open priced rounds on-chain when the company has been minted; the contract has no convertible instruments
+  let blockchainData = null;
+  if (company.blockchain_token_id && blockchainService.contract && !convertible && !upcoming && allocationMethod === 'first_come') {
+    blockchainData = await blockchainService.createFundingRound(
+      company.blockchain_token_id,
+      roundName,
+      targetAmount,
+      valuationCap,
+      minimumInvestment,
+      parseInt(duration) * 24 * 60 * 60
+    );
+
+    // Without the on-chain round there is no escrow to invest into, so don't open it off-chain
+    if (!blockchainData.success) {
+      return res.status(502).json({
+        success: false,
+        message: `On-chain funding round creation failed: ${blockchainData.error}`
+      });
+    }
+  }
+
   // Create funding round
-  const { data: fundingRound, error } = await supabase
+  const roundRecord = {
+    company_id: companyId,
+    round_name: roundName,
+    instrument_type: instrumentType,
+    allocation_method: allocationMethod,
+    target_amount: parseFloat(targetAmount),
+    valuation_cap: valuationCap !== null && valuationCap !== undefined ? parseFloat(valuationCap) : null,
+    discount_rate: discountRate !== null ? parseFloat(discountRate) : null,
+    interest_rate: instrumentType === INSTRUMENT_TYPES.CONVERTIBLE_NOTE && interestRate !== null ? parseFloat(interestRate) : null,
+    maturity_date: instrumentType === INSTRUMENT_TYPES.CONVERTIBLE_NOTE ? new Date(maturityDate).toISOString() : null,
+    minimum_investment: parseFloat(minimumInvestment),
+    start_time: startTime.toISOString(),
+    end_time: endTime.toISOString(),
+    is_active: true,
+    status: upcoming ? 'upcoming' : 'open',
+    status_changed_at: now.toISOString(),
+    blockchain_round_id: blockchainData?.roundId || null,
+    blockchain_tx_hash: blockchainData?.txHash,
+    is_blockchain_verified: !!blockchainData?.roundId,
+    created_at: new Date().toISOString()
+  };
+
+  let { data: fundingRound, error } = await supabase
     .from('funding_rounds')
-    .insert({
-      company_id: companyId,
-      round_name: roundName,
-      target_amount: parseFloat(targetAmount),
-      valuation_cap: parseFloat(valuationCap),
-      minimum_investment: parseFloat(minimumInvestment),
-      start_time: startTime.toISOString(),
-      end_time: endTime.toISOString(),
-      is_active: true,
-      created_at: new Date().toISOString()
-    })
+    .insert(roundRecord)
     .select()
     .single();
 
+  // The indexer can record the on-chain round from its FundingRoundCreated event first; put
+  // the platform's terms on that row instead of failing
+  if (error?.code === '23505' && roundRecord.blockchain_round_id) {
+    ({ data: fundingRound, error } = await supabaseAdmin
+      .from('funding_rounds')
+      .update(roundRecord)
+      .eq('blockchain_round_id', roundRecord.blockchain_round_id)
+      .eq('company_id', companyId)
+      .select()
+      .single());
+  }
+
   if (error) {
     return res.status(500).json({
       success: false,
@@ -77,10 +175,17 @@ router.post('/', authMiddleware, [
     });
   }
 
+  if (!upcoming) {
+    await fundingScheduler.announceOpened(fundingRound, company, req.app.get('io'));
+  }
+
   res.status(201).json({
     success: true,
     message: 'Funding round created successfully',
-    data: { fundingRound }
+    data: {
+      fundingRound,
+      blockchain: blockchainData
+    }
   });
 }));
 
@@ -104,6 +209,7 @@ router.get('/active', asyncHandler(async (req, res) => {
       )
     `)
     .eq('is_active', true)
+    .in('status', ['open', 'closing_soon'])
     .lte('start_time', new Date().toISOString())
     .gte('end_time', new Date().toISOString())
     .order('created_at', { ascending: false });
@@ -121,6 +227,93 @@ router.get('/active', asyncHandler(async (req, res) => {
   });
 }));
 
+// Diagnostics: funding round scheduler
+router.get('/scheduler/status', asyncHandler(async (req, res) => {
+  res.json({ success: true, data: fundingScheduler.getStatus() });
+}));
+
+// Get all funding rounds of a company, oldest first
+router.get('/company/:companyId', asyncHandler(async (req, res) => {
+  const { companyId } = req.params;
+
+  const { data: fundingRounds, error } = await supabase
+    .from('funding_rounds')
+    .select('*')
+    .eq('company_id', companyId)
+    .order('start_time', { ascending: true });
+
+  if (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch funding rounds'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { fundingRounds }
+  });
+}));
+
+// Sync a company's funding rounds from the contract (owner only)
+router.post('/company/:companyId/sync', authMiddleware, asyncHandler(async (req, res) => {
+  const { companyId } = req.params;
+
+  const { data: company } = await supabase
+    .from('companies')
+    .select('id, owner_id, blockchain_token_id')
+    .eq('id', companyId)
+    .single();
+
+  if (!company || company.owner_id !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Company not found or access denied'
+    });
+  }
+
+  if (!company.blockchain_token_id) {
+    return res.status(400).json({
+      success: false,
+      message: 'Company is not registered on-chain'
+    });
+  }
+
+  const onchain = await blockchainService.getCompanyFundingRounds(company.blockchain_token_id);
+  if (!onchain.success) {
+    return res.status(502).json({
+      success: false,
+      message: 'Failed to read funding rounds from blockchain',
+      error: onchain.error
+    });
+  }
+
+  const rows = onchain.data.map(round => toFundingRoundRow(companyId, round));
+  let fundingRounds = [];
+
+  if (rows.length > 0) {
+    const { data, error } = await supabaseAdmin
+      .from('funding_rounds')
+      .upsert(rows, { onConflict: 'blockchain_round_id' })
+      .select();
+
+    if (error) {
+      console.error('Funding round sync error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to sync funding rounds'
+      });
+    }
+    fundingRounds = data;
+  }
+
+  res.json({
+    success: true,
+    message: `Synced ${fundingRounds.length} funding rounds`,
+    data: { fundingRounds }
+  });
+}));
+
 // Get funding round details
 router.get('/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -137,9 +330,12 @@ router.get('/:id', asyncHandler(async (req, res) => {
           wallet_address
         )
       ),
-      investments (
+      investments!funding_round_id (
         id,
         amount,
+        instrument_type,
+        conversion_status,
+        share_count,
         created_at,
         profiles:investor_id (
           first_name,
@@ -148,6 +344,8 @@ router.get('/:id', asyncHandler(async (req, res) => {
       )
     `)
     .eq('id', id)
+    // Cancelled and refunded contributions no longer count towards the round, as on the cap table
+    .in('investments.status', ACTIVE_INVESTMENT_STATUSES)
     .single();
 
   if (error || !fundingRound) {
@@ -157,7 +355,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
     });
   }
 
-  const totalRaised = fundingRound.investments.reduce((sum, inv) => sum + inv.amount, 0);
+  const totalRaised = fundingRound.investments.reduce((sum, inv) => sum + parseFloat(inv.amount), 0);
   const progressPercentage = (totalRaised / fundingRound.target_amount) * 100;
   const daysRemaining = Math.max(0, Math.ceil(
     (new Date(fundingRound.end_time) - new Date()) / (1000 * 60 * 60 * 24)
@@ -177,6 +375,229 @@ router.get('/:id', asyncHandler(async (req, res) => {
   });
 }));
 
+// Convert outstanding SAFEs and notes in a priced round, e.g. after a failed automatic conversion (owner only)
+router.post('/:id/convert', authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { data: fundingRound } = await supabaseAdmin
+    .from('funding_rounds')
+    .select(`
+      id,
+      instrument_type,
+      companies!inner (
+        owner_id
+      )
+    `)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (!fundingRound || fundingRound.companies.owner_id !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  if (isConvertible(fundingRound.instrument_type)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only priced equity rounds convert SAFEs and notes'
+    });
+  }
+
+  const result = await conversions.convertForRound(id);
+
+  res.json({
+    success: true,
+    message: `Converted ${result.converted} positions into ${result.sharesIssued} shares`,
+    data: result
+  });
+}));
+
+// Pledge to a commitment round, or change an existing pledge
+router.post('/:id/commitments', authMiddleware, [
+  body('amount').isFloat({ gt: 0 }).withMessage('Commitment amount must be a positive number')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+  const { data: fundingRound } = await supabaseAdmin
+    .from('funding_rounds')
+    .select('id, companies!inner (owner_id)')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (!fundingRound) {
+    return res.status(404).json({
+      success: false,
+      message: 'Funding round not found'
+    });
+  }
+
+  if (fundingRound.companies.owner_id === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot invest in your own company'
+    });
+  }
+
+  // The database function checks the round is open and the minimum is met
+  const { data, error } = await supabaseAdmin.rpc('set_round_commitment', {
+    p_round_id: id,
+    p_investor_id: req.user.id,
+    p_amount: parseFloat(req.body.amount)
+  });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  await supabaseAdmin
+    .from('user_activities')
+    .insert({
+      user_id: req.user.id,
+      activity_type: 'commitment_made',
+      description: `Committed ${req.body.amount} to a funding round`,
+      metadata: { roundId: id, amount: parseFloat(req.body.amount) }
+    });
+
+  res.status(201).json({
+    success: true,
+    message: 'Commitment recorded',
+    data: { commitment: data?.[0] || null }
+  });
+}));
+
+// Withdraw your pledge while the round is open
+router.delete('/:id/commitments', authMiddleware, asyncHandler(async (req, res) => {
+  const { data, error } = await supabaseAdmin.rpc('withdraw_round_commitment', {
+    p_round_id: req.params.id,
+    p_investor_id: req.user.id
+  });
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (!data || data.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'No open commitment to withdraw'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Commitment withdrawn',
+    data: { commitment: data[0] }
+  });
+}));
+
+// Commitments in a round: the owner sees all of them, investors only their own
+router.get('/:id/commitments', authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { data: fundingRound } = await supabaseAdmin
+    .from('funding_rounds')
+    .select('id, target_amount, committed_amount, allocation_method, status, companies!inner (owner_id)')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (!fundingRound) {
+    return res.status(404).json({
+      success: false,
+      message: 'Funding round not found'
+    });
+  }
+
+  const isOwner = fundingRound.companies.owner_id === req.user.id;
+  let query = supabaseAdmin
+    .from('funding_commitments')
+    .select(`
+      *,
+      profiles:investor_id (
+        first_name,
+        last_name
+      )
+    `)
+    .eq('funding_round_id', id)
+    .order('created_at', { ascending: true });
+  if (!isOwner) {
+    query = query.eq('investor_id', req.user.id);
+  }
+
+  const { data: commitments, error } = await query;
+  if (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch commitments'
+    });
+  }
+
+  const target = parseFloat(fundingRound.target_amount);
+  const committed = parseFloat(fundingRound.committed_amount || 0);
+
+  res.json({
+    success: true,
+    data: {
+      commitments,
+      summary: {
+        allocationMethod: fundingRound.allocation_method,
+        status: fundingRound.status,
+        targetAmount: target,
+        committedAmount: committed,
+        oversubscription: target > 0 ? committed / target : 0
+      }
+    }
+  });
+}));
+
+// Settle a closed commitment round, e.g. after a failed automatic run (owner only)
+router.post('/:id/allocate', authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { data: fundingRound } = await supabaseAdmin
+    .from('funding_rounds')
+    .select('id, status, allocation_method, companies!inner (owner_id)')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (!fundingRound || fundingRound.companies.owner_id !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+  }
+
+  if (fundingRound.allocation_method === 'first_come' || !['succeeded', 'failed'].includes(fundingRound.status)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only closed commitment rounds can be allocated'
+    });
+  }
+
+  const result = await allocation.settle(id);
+
+  res.json({
+    success: true,
+    message: `Allocated ${result.allocated} and released ${result.released}`,
+    data: result
+  });
+}));
+
 // Update funding round
 router.put('/:id', authMiddleware, [
   body('targetAmount').optional().isNumeric(),
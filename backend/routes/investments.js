@@ -1,9 +1,29 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, validationResult, query } = require('express-validator');
 const { supabase, supabaseAdmin } = require('../config/supabase');
 const { authMiddleware } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { isConvertible } = require('@vyaapar/pricing');
 const blockchainService = require('../config/blockchain');
+const { getWalletShareHoldings, resolveOwnership, nonZeroHoldings } = require('../utils/shareHoldings');
+const {
+  priceInvestment,
+  currentOwnershipPercentage,
+  convertibleInvestmentFields,
+  isUnconverted,
+  unconvertedValue
+} = require('../utils/investmentPricing');
+const {
+  findRoundForInvestment,
+  roundRuleViolation,
+  reserveRoundAllocation,
+  releaseRoundAllocation
+} = require('../utils/fundingRounds');
+const { ACTIVE_INVESTMENT_STATUSES, initialStatusFields, recordInvestment, adoptRecordedInvestment } = require('../utils/investmentRecords');
+const fundingScheduler = require('../services/fundingScheduler');
+const investmentLifecycle = require('../services/investmentLifecycle');
+const investmentExport = require('../services/investmentExport');
 
 const router = express.Router();
 
@@ -11,11 +31,12 @@ const router = express.Router();
 const validateInvestment = [
   body('companyId').isUUID().withMessage('Valid company ID is required'),
   body('amount').isNumeric().withMessage('Investment amount must be a number'),
-  body('useBlockchain').optional().isBoolean()
+  body('useBlockchain').optional().isBoolean(),
+  body('fundingRoundId').optional().isUUID().withMessage('Funding round ID must be a valid UUID')
 ];
 
 // Invest in a company
-router.post('/', authMiddleware, validateInvestment, asyncHandler(async (req, res) => {
+router.post('/', authMiddleware, idempotency, validateInvestment, asyncHandler(async (req, res) => {
   console.log('💰 Investment Request Received');
   console.log('User ID:', req.user.id);
   console.log('Request Body:', req.body);
@@ -30,7 +51,7 @@ router.post('/', authMiddleware, validateInvestment, asyncHandler(async (req, re
     });
   }
 
-  const { companyId, amount, useBlockchain = true } = req.body;
+  const { companyId, amount, useBlockchain = true, fundingRoundId } = req.body;
   const investorId = req.user.id;
   const investmentAmount = parseFloat(amount);
   
@@ -86,21 +107,61 @@ router.post('/', authMiddleware, validateInvestment, asyncHandler(async (req, re
     });
   }
 
-  // Calculate ownership percentage
-  const currentTotalInvestment = company.total_investment || 0;
-  const ownershipPercentage = (investmentAmount / (company.valuation + investmentAmount)) * 100;
+  // Investments go to the requested round or the company's active one, under its rules
+  const fundingRound = await findRoundForInvestment(companyId, fundingRoundId);
+  if (fundingRoundId && !fundingRound) {
+    return res.status(404).json({
+      success: false,
+      message: 'Funding round not found'
+    });
+  }
+
+  if (fundingRound) {
+    const violation = roundRuleViolation(fundingRound, investmentAmount);
+    if (violation) {
+      return res.status(400).json({
+        success: false,
+        message: violation
+      });
+    }
+  }
+
+  // SAFE and note rounds take an unconverted position; priced rounds issue shares now,
+  // priced by record_investment against the locked company row
+  const convertible = isConvertible(fundingRound?.instrument_type);
+  const quote = convertible ? null : priceInvestment(company, investmentAmount);
+  const investmentFields = convertible ? convertibleInvestmentFields(fundingRound) : {};
+
+  if (!convertible && quote.shares <= 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Investment is below the price of one share (${quote.pricePerShare})`
+    });
+  }
+
+  // Claim room in the round before any funds move; released again if the investment fails
+  let allocatedRound = null;
+  if (fundingRound) {
+    allocatedRound = await reserveRoundAllocation(fundingRound.id, investmentAmount);
+    if (!allocatedRound) {
+      return res.status(409).json({
+        success: false,
+        message: `${fundingRound.round_name} no longer has room for this investment`
+      });
+    }
+  }
 
   let blockchainData = null;
 
-  // Handle blockchain investment
-  if (useBlockchain && company.blockchain_token_id && req.user.walletAddress) {
+  // Handle blockchain investment (the contract only issues priced shares)
+  if (useBlockchain && !convertible && company.blockchain_token_id && req.user.walletAddress) {
     try {
-      blockchainData = await blockchainService.investInCompany(
-        company.blockchain_token_id,
-        investmentAmount
-      );
+      blockchainData = fundingRound?.blockchain_round_id
+        ? await blockchainService.investInFundingRound(fundingRound.blockchain_round_id, investmentAmount, req.user.walletAddress)
+        : await blockchainService.investInCompany(company.blockchain_token_id, investmentAmount);
 
       if (!blockchainData.success) {
+        if (allocatedRound) await releaseRoundAllocation(allocatedRound.id, investmentAmount);
         return res.status(400).json({
           success: false,
           message: `Blockchain investment failed: ${blockchainData.error}`
@@ -108,6 +169,7 @@ router.post('/', authMiddleware, validateInvestment, asyncHandler(async (req, re
       }
     } catch (error) {
       console.error('Blockchain investment error:', error);
+      if (allocatedRound) await releaseRoundAllocation(allocatedRound.id, investmentAmount);
       return res.status(500).json({
         success: false,
         message: 'Blockchain investment failed'
@@ -121,120 +183,70 @@ router.post('/', authMiddleware, validateInvestment, asyncHandler(async (req, re
     company_id: companyId,
     investor_id: investorId,
     amount: investmentAmount,
-    ownership_percentage: ownershipPercentage,
+    // The contract was sent this many ETH; refunds are asked for it, not `amount`
+    amount_eth: blockchainData?.success ? investmentAmount : null,
+    ...investmentFields,
+    funding_round_id: fundingRound?.id || null,
     blockchain_tx_hash: blockchainData?.txHash,
+    blockchain_contribution_id: blockchainData?.contributionId ?? null,
     is_blockchain_verified: !!blockchainData?.success,
     investment_type: (useBlockchain && blockchainData?.success) ? 'blockchain' : 'traditional',
+    // Off-chain funds and round escrow can be returned; direct on-chain investments pay the founder at once
+    ...initialStatusFields(!blockchainData || !!fundingRound?.blockchain_round_id, new Date(), blockchainData?.coolingOffEndsAt),
     created_at: new Date().toISOString()
   };
   
   console.log('Investment record to insert:', investmentRecord);
-  
-  const { data: investment, error: investmentError } = await supabaseAdmin
-    .from('investments')
-    .insert(investmentRecord)
-    .select(`
-      *,
-      companies (
-        name,
-        industry,
-        blockchain_token_id
-      ),
-      profiles:investor_id (
-        first_name,
-        last_name,
-        wallet_address
-      )
-    `)
-    .single();
 
-  if (investmentError) {
+  // Insert the row, move the company to its post-money valuation, update its totals and
+  // log the activity in one transaction
+  let { investment, totalInvestment: newTotalInvestment, investorCount: uniqueInvestors, error: investmentError } =
+    await recordInvestment(investmentRecord, {
+      description: `Invested ${useBlockchain ? investmentAmount + ' ETH' : '$' + investmentAmount} in ${company.name}`,
+      metadata: {
+        amount: investmentAmount,
+        txHash: blockchainData?.txHash
+      }
+    });
+
+  // The indexer can record the mined transaction before this request does: answer with its row,
+  // and keep this request's round reservation only if the indexer's did not fit
+  let alreadyRecorded = null;
+  if (investmentError?.code === '23505' && blockchainData?.txHash) {
+    alreadyRecorded = await adoptRecordedInvestment(blockchainData.txHash, allocatedRound?.id, investmentAmount);
+    investment = alreadyRecorded.investment;
+  } else if (investmentError && allocatedRound) {
+    await releaseRoundAllocation(allocatedRound.id, investmentAmount);
+  }
+
+  if (investmentError && !investment) {
     console.error('❌ Investment creation error:', investmentError);
     return res.status(500).json({
       success: false,
       message: 'Failed to record investment'
     });
   }
-  
-  console.log('✅ Investment created successfully:', investment.id);
 
-  // Update company's total investment
-  console.log('🔄 Updating company totals...');
-  const newTotalInvestment = currentTotalInvestment + investmentAmount;
-  console.log('New total investment:', newTotalInvestment);
-  
-  const { data: updatedCompany, error: updateError } = await supabaseAdmin
-    .from('companies')
-    .update({
-      total_investment: newTotalInvestment,
-      updated_at: new Date().toISOString()
-    })
-    .eq('id', companyId)
-    .select('id, name, total_investment, investor_count');
-    
-  if (updateError) {
-    console.error('❌ Company update error:', updateError);
+  if (alreadyRecorded) {
+    console.log('✅ Investment already recorded by the indexer:', investment.id);
   } else {
-    console.log('✅ Company updated successfully:', updatedCompany?.[0] || updatedCompany);
-  }
-  
-  // Update investor count separately
-  console.log('👥 Updating investor count...');
-  
-  // First, get current unique investor count
-  const { count: uniqueInvestors, error: countQueryError } = await supabaseAdmin
-    .from('investments')
-    .select('investor_id', { count: 'exact' })
-    .eq('company_id', companyId);
-    
-  if (countQueryError) {
-    console.error('❌ Error counting investors:', countQueryError);
-  } else {
-    console.log('📊 Current investor count:', uniqueInvestors);
-    
-    // Update the company with new investor count
-    const { error: investorCountUpdateError } = await supabaseAdmin
-      .from('companies')
-      .update({ investor_count: uniqueInvestors })
-      .eq('id', companyId);
-      
-    if (investorCountUpdateError) {
-      console.error('❌ Investor count update error:', investorCountUpdateError);
-    } else {
-      console.log('✅ Investor count updated to:', uniqueInvestors);
-    }
-  }
-
-  // Create activity log
-  console.log('📝 Creating activity log...');
-  const { data: activityLog, error: activityError } = await supabaseAdmin
-    .from('user_activities')
-    .insert({
-      user_id: investorId,
-      activity_type: 'investment_made',
-      description: `Invested ${useBlockchain ? investmentAmount + ' ETH' : '$' + investmentAmount} in ${company.name}`,
-      metadata: { 
-        companyId, 
-        amount: investmentAmount,
-        txHash: blockchainData?.txHash
-      }
-    })
-    .select('*')
-    .single();
-    
-  if (activityError) {
-    console.error('❌ Activity log creation error:', activityError);
-  } else {
-    console.log('✅ Activity log created:', activityLog.id);
+    console.log('✅ Investment created successfully:', investment.id, {
+      totalInvestment: newTotalInvestment,
+      investorCount: uniqueInvestors
+    });
   }
 
   // Send notification to company owner (you can implement this later)
   // await sendNotification(company.owner_id, 'new_investment', {...});
 
-  // Emit real-time updates via Socket.IO
+  // Emit real-time updates via Socket.IO; the indexer already did for a row it recorded
   try {
     const io = req.app.get('io');
-    if (io) {
+    if (io && alreadyRecorded) {
+      if (alreadyRecorded.countedHere && allocatedRound?.is_completed) {
+        await fundingScheduler.announceClosed(allocatedRound, company, io);
+      }
+    } else if (io) {
       // Notify the investing user (portfolio updates)
       io.to(`user:${investorId}`).emit('portfolio:updated', {
         type: 'investment-created',
@@ -261,24 +273,41 @@ router.post('/', authMiddleware, validateInvestment, asyncHandler(async (req, re
         totalInvestment: newTotalInvestment,
         investorCount: uniqueInvestors
       });
+
+      if (allocatedRound?.is_completed) {
+        await fundingScheduler.announceClosed(allocatedRound, company, io);
+      }
     }
   } catch (e) {
     console.warn('Socket emit failed:', e.message);
   }
 
-  res.status(201).json({
+  res.status(alreadyRecorded ? 200 : 201).json({
     success: true,
-    message: 'Investment successful',
+    message: alreadyRecorded ? 'Investment already recorded' : 'Investment successful',
     data: {
       investment: {
         id: investment.id,
         amount: investment.amount,
         ownershipPercentage: investment.ownership_percentage,
+        shares: investment.share_count,
+        pricePerShare: investment.price_per_share,
+        instrumentType: investment.instrument_type,
+        conversionStatus: investment.conversion_status,
+        status: investment.status,
+        coolingOffEndsAt: investment.cooling_off_ends_at,
+        fundingRound: allocatedRound && {
+          id: allocatedRound.id,
+          roundName: allocatedRound.round_name,
+          raisedAmount: allocatedRound.raised_amount,
+          targetAmount: allocatedRound.target_amount,
+          isCompleted: allocatedRound.is_completed
+        },
         company: {
           id: companyId,
-          name: investment.companies.name,
-          industry: investment.companies.industry,
-          tokenId: investment.companies.blockchain_token_id
+          name: company.name,
+          industry: company.industry,
+          tokenId: company.blockchain_token_id
         },
         isBlockchainVerified: investment.is_blockchain_verified,
         createdAt: investment.created_at
@@ -301,6 +330,7 @@ router.get('/my-investments', authMiddleware, asyncHandler(async (req, res) => {
         name,
         industry,
         valuation,
+        shares_outstanding,
         blockchain_token_id,
         is_blockchain_verified,
         profiles:owner_id (
@@ -319,15 +349,23 @@ router.get('/my-investments', authMiddleware, asyncHandler(async (req, res) => {
     });
   }
 
+  // On-chain share balances override recorded ownership for blockchain investments
+  const holdings = await getWalletShareHoldings(req.user.walletAddress);
+  const ownershipOf = resolveOwnership(investments, holdings);
+
   // Calculate current values and returns
   const enhancedInvestments = await Promise.all(investments.map(async (investment) => {
     let currentValue = investment.amount;
     let returnPercentage = 0;
+    const ownership = ownershipOf(investment);
 
     // Get current company valuation to calculate current investment value
-    if (investment.companies) {
+    if (isUnconverted(investment)) {
+      currentValue = unconvertedValue(investment);
+      returnPercentage = ((currentValue - investment.amount) / investment.amount) * 100;
+    } else if (investment.companies) {
       const currentValuation = investment.companies.valuation;
-      currentValue = (investment.ownership_percentage / 100) * currentValuation;
+      currentValue = (ownership.ownershipPercentage / 100) * currentValuation;
       returnPercentage = ((currentValue - investment.amount) / investment.amount) * 100;
     }
 
@@ -354,8 +392,18 @@ router.get('/my-investments', authMiddleware, asyncHandler(async (req, res) => {
       amount: investment.amount,
       currentValue,
       returnPercentage,
-      ownershipPercentage: investment.ownership_percentage,
+      ownershipPercentage: ownership.ownershipPercentage,
+      ownershipSource: ownership.source,
+      companyShares: holdings.get(investment.company_id)?.shares || null,
       investmentType: investment.investment_type,
+      instrumentType: investment.instrument_type,
+      conversionStatus: investment.conversion_status,
+      instrumentTerms: investment.instrument_terms,
+      status: investment.status,
+      coolingOffEndsAt: investment.cooling_off_ends_at,
+      canCancel: !investmentLifecycle.cancellationError(investment, investorId),
+      cancelledAt: investment.cancelled_at,
+      refundedAt: investment.refunded_at,
       isBlockchainVerified: investment.is_blockchain_verified,
       company: {
         id: investment.companies.id,
@@ -372,9 +420,10 @@ router.get('/my-investments', authMiddleware, asyncHandler(async (req, res) => {
     };
   }));
 
-  // Calculate portfolio summary
-  const totalInvested = enhancedInvestments.reduce((sum, inv) => sum + inv.amount, 0);
-  const currentPortfolioValue = enhancedInvestments.reduce((sum, inv) => sum + inv.currentValue, 0);
+  // Cancelled and refunded investments are listed but no longer part of the portfolio
+  const activeInvestments = enhancedInvestments.filter(inv => ACTIVE_INVESTMENT_STATUSES.includes(inv.status));
+  const totalInvested = activeInvestments.reduce((sum, inv) => sum + inv.amount, 0);
+  const currentPortfolioValue = activeInvestments.reduce((sum, inv) => sum + inv.currentValue, 0);
   const totalReturn = currentPortfolioValue - totalInvested;
   const totalReturnPercentage = totalInvested > 0 ? (totalReturn / totalInvested) * 100 : 0;
 
@@ -382,17 +431,77 @@ router.get('/my-investments', authMiddleware, asyncHandler(async (req, res) => {
     success: true,
     data: {
       investments: enhancedInvestments,
+      shareHoldings: nonZeroHoldings(holdings),
       summary: {
         totalInvested,
         currentPortfolioValue,
         totalReturn,
         totalReturnPercentage,
-        investmentCount: enhancedInvestments.length
+        investmentCount: activeInvestments.length
       }
     }
   });
 }));
 
+// Export the user's investments as a CSV, XLSX or PDF statement. Takes the same search,
+// status and date filters as the My Investments page; `to` dates include the whole day.
+router.get('/export', authMiddleware, [
+  query('format').optional().isIn(['csv', 'xlsx', 'pdf']).withMessage('Format must be csv, xlsx or pdf'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('status').optional().isIn(['pending', 'confirmed', 'cancelled', 'refundable', 'refunded', 'refund_failed']).withMessage('Invalid status'),
+  query('search').optional().isString().isLength({ max: 100 })
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid query parameters',
+      errors: errors.array()
+    });
+  }
+
+  const { format = 'csv', search, status } = req.query;
+  const from = req.query.from ? new Date(req.query.from) : null;
+  let to = null;
+  if (req.query.to) {
+    to = new Date(req.query.to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) to.setUTCHours(23, 59, 59, 999);
+  }
+
+  let rows;
+  try {
+    rows = await investmentExport.rows(req.user, { search, status, from, to });
+  } catch (exportError) {
+    console.error('❌ Investment export error:', exportError);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to export investments'
+    });
+  }
+
+  const filename = `investments_${new Date().toISOString().slice(0, 10)}`;
+  res.set('Cache-Control', 'no-store');
+  res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  if (format === 'xlsx') {
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    await investmentExport.toWorkbook(rows).xlsx.write(res);
+    return res.end();
+  }
+
+  if (format === 'pdf') {
+    res.set('Content-Type', 'application/pdf');
+    const doc = investmentExport.toPdf(rows, { from, to });
+    doc.pipe(res);
+    doc.end();
+    return;
+  }
+
+  res.set('Content-Type', 'text/csv');
+  res.send(investmentExport.toCsv(rows));
+}));
+
 // Get investment details
 router.get('/:id', authMiddleware, asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -437,10 +546,14 @@ router.get('/:id', authMiddleware, asyncHandler(async (req, res) => {
   // Calculate current value
   let currentValue = investment.amount;
   let returnPercentage = 0;
+  const ownershipPercentage = currentOwnershipPercentage(investment, investment.companies?.shares_outstanding);
   
-  if (investment.companies) {
+  if (isUnconverted(investment)) {
+    currentValue = unconvertedValue(investment);
+    returnPercentage = ((currentValue - investment.amount) / investment.amount) * 100;
+  } else if (investment.companies) {
     const currentValuation = investment.companies.valuation;
-    currentValue = (investment.ownership_percentage / 100) * currentValuation;
+    currentValue = (ownershipPercentage / 100) * currentValuation;
     returnPercentage = ((currentValue - investment.amount) / investment.amount) * 100;
   }
 
@@ -452,8 +565,23 @@ router.get('/:id', authMiddleware, asyncHandler(async (req, res) => {
         amount: investment.amount,
         currentValue,
         returnPercentage,
-        ownershipPercentage: investment.ownership_percentage,
+        ownershipPercentage,
+        shares: investment.share_count,
+        pricePerShare: investment.price_per_share,
+        instrumentType: investment.instrument_type,
+        conversionStatus: investment.conversion_status,
+        instrumentTerms: investment.instrument_terms,
+        conversionPrice: investment.conversion_price,
+        accruedInterest: isUnconverted(investment)
+          ? unconvertedValue(investment) - parseFloat(investment.amount)
+          : investment.accrued_interest,
         investmentType: investment.investment_type,
+        status: investment.status,
+        coolingOffEndsAt: investment.cooling_off_ends_at,
+        canCancel: !investmentLifecycle.cancellationError(investment, userId),
+        cancelledAt: investment.cancelled_at,
+        refundedAt: investment.refunded_at,
+        refundTxHash: investment.refund_tx_hash,
         isBlockchainVerified: investment.is_blockchain_verified,
         txHash: investment.blockchain_tx_hash,
         company: {
@@ -480,6 +608,62 @@ router.get('/:id', authMiddleware, asyncHandler(async (req, res) => {
   });
 }));
 
+// Cancel a pending investment within its cooling-off period
+const cancelInvestment = asyncHandler(async (req, res) => {
+  const investorId = req.user.id;
+  const result = await investmentLifecycle.cancel(req.params.id, investorId);
+
+  if (result.error) {
+    return res.status(result.error.status).json({
+      success: false,
+      message: result.error.message
+    });
+  }
+
+  try {
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user:${investorId}`).emit('portfolio:updated', {
+        type: 'investment-cancelled',
+        investmentId: result.investment.id,
+        amount: result.investment.amount,
+        companyId: result.companyId,
+        timestamp: Date.now()
+      });
+
+      io.to(`company:${result.companyId}`).emit('company:updated', {
+        id: result.companyId,
+        totalInvestment: result.totalInvestment,
+        investorCount: result.investorCount
+      });
+    }
+  } catch (e) {
+    console.warn('Socket emit failed:', e.message);
+  }
+
+  const refundPending = result.refund && !result.refund.success;
+  res.json({
+    success: true,
+    message: refundPending
+      ? 'Investment cancelled; the escrow refund will be retried'
+      : 'Investment cancelled',
+    data: {
+      investment: {
+        id: result.investment.id,
+        amount: result.investment.amount,
+        status: result.investment.status,
+        cancelledAt: result.investment.cancelled_at,
+        refundedAt: result.investment.refunded_at,
+        refundTxHash: result.investment.refund_tx_hash
+      },
+      refund: result.refund
+    }
+  });
+});
+
+router.delete('/:id', authMiddleware, cancelInvestment);
+router.post('/:id/cancel', authMiddleware, cancelInvestment);
+
 // Get company's investments (for company owners)
 router.get('/company/:companyId', authMiddleware, asyncHandler(async (req, res) => {
   const { companyId } = req.params;
@@ -488,7 +672,7 @@ router.get('/company/:companyId', authMiddleware, asyncHandler(async (req, res)
   // Verify ownership
   const { data: company } = await supabase
     .from('companies')
-    .select('owner_id')
+    .select('owner_id, shares_outstanding')
     .eq('id', companyId)
     .single();
 
@@ -520,8 +704,9 @@ router.get('/company/:companyId', authMiddleware, asyncHandler(async (req, res)
     });
   }
 
-  const totalInvestment = investments.reduce((sum, inv) => sum + inv.amount, 0);
-  const investorCount = investments.length;
+  const standing = investments.filter(inv => ACTIVE_INVESTMENT_STATUSES.includes(inv.status));
+  const totalInvestment = standing.reduce((sum, inv) => sum + inv.amount, 0);
+  const investorCount = standing.length;
 
   res.json({
     success: true,
@@ -529,8 +714,13 @@ router.get('/company/:companyId', authMiddleware, asyncHandler(async (req, res)
       investments: investments.map(inv => ({
         id: inv.id,
         amount: inv.amount,
-        ownershipPercentage: inv.ownership_percentage,
+        ownershipPercentage: currentOwnershipPercentage(inv, company.shares_outstanding),
+        shares: inv.share_count,
+        instrumentType: inv.instrument_type,
+        conversionStatus: inv.conversion_status,
         investmentType: inv.investment_type,
+        status: inv.status,
+        coolingOffEndsAt: inv.cooling_off_ends_at,
         isBlockchainVerified: inv.is_blockchain_verified,
         investor: {
           firstName: inv.profiles?.first_name,
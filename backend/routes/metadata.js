@@ -0,0 +1,184 @@
+const express = require('express');
+const { supabaseAdmin } = require('../config/supabase');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Public base URL of this API, used for image links inside the metadata
+const apiBaseUrl = (req) =>
+  (process.env.API_URL || `${req.protocol}://${req.get('host')}/api`).replace(/\/$/, '');
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const fetchTokenCompany = async (tokenId) => {
+  const { data: company, error } = await supabaseAdmin
+    .from('companies')
+    .select(`
+      id,
+      name,
+      description,
+      industry,
+      valuation,
+      shares_outstanding,
+      investor_count,
+      is_active,
+      is_blockchain_verified,
+      email_verified,
+      created_at,
+      milestones (
+        id,
+        verified
+      ),
+      company_verifications (
+        id,
+        status
+      )
+    `)
+    .eq('blockchain_token_id', tokenId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return company;
+};
+
+// ERC-1155 clients substitute {id} as 64 lower-case hex digits; plain decimal ids also work
+const parseShareId = (id) => {
+  if (/^[0-9a-fA-F]{64}$/.test(id)) return BigInt(`0x${id}`).toString();
+  if (/^\d+$/.test(id)) return BigInt(id).toString();
+  return null;
+};
+
+// ERC-1155 metadata JSON for a company's share class (VyaaparAIShares id N = company token N)
+router.get('/shares/:id', asyncHandler(async (req, res) => {
+  const tokenId = parseShareId(req.params.id);
+
+  if (tokenId === null) {
+    return res.status(400).json({
+      success: false,
+      message: 'Share ID must be a decimal integer or 64 hex digits'
+    });
+  }
+
+  const company = await fetchTokenCompany(tokenId);
+  if (!company) {
+    return res.status(404).json({
+      success: false,
+      message: 'Token not found'
+    });
+  }
+
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const sharesOutstanding = parseInt(company.shares_outstanding || 0);
+
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json({
+    name: `${company.name} Shares`,
+    description: `Shares of ${company.name} issued on Vyaapar.AI. ${company.description}`,
+    image: `${apiBaseUrl(req)}/metadata/${tokenId}/image.svg`,
+    external_url: `${frontendUrl}/dashboard/companies/${company.id}`,
+    decimals: 0,
+    attributes: [
+      { trait_type: 'Company Token', value: parseInt(tokenId), display_type: 'number' },
+      { trait_type: 'Industry', value: company.industry },
+      { trait_type: 'Shares Outstanding', value: sharesOutstanding, display_type: 'number' },
+      {
+        trait_type: 'Price Per Share',
+        value: sharesOutstanding > 0 ? parseFloat(company.valuation) / sharesOutstanding : 0,
+        display_type: 'number'
+      }
+    ]
+  });
+}));
+
+// ERC-721 metadata JSON for a company token
+router.get('/:tokenId', asyncHandler(async (req, res) => {
+  const { tokenId } = req.params;
+
+  if (!/^\d+$/.test(tokenId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Token ID must be a non-negative integer'
+    });
+  }
+
+  const company = await fetchTokenCompany(tokenId);
+  if (!company) {
+    return res.status(404).json({
+      success: false,
+      message: 'Token not found'
+    });
+  }
+
+  const verifiedMilestones = (company.milestones || []).filter(m => m.verified).length;
+  const cinVerified = (company.company_verifications || []).some(v => v.status === 'Active');
+
+  const badges = [];
+  if (company.is_blockchain_verified) badges.push('Blockchain Verified');
+  if (company.email_verified) badges.push('Email Verified');
+  if (cinVerified) badges.push('CIN Verified');
+
+  const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json({
+    name: company.name,
+    description: company.description,
+    image: `${apiBaseUrl(req)}/metadata/${tokenId}/image.svg`,
+    external_url: `${frontendUrl}/dashboard/companies/${company.id}`,
+    attributes: [
+      { trait_type: 'Industry', value: company.industry },
+      { trait_type: 'Valuation', value: parseFloat(company.valuation), display_type: 'number' },
+      { trait_type: 'Investor Count', value: parseInt(company.investor_count || 0), display_type: 'number' },
+      { trait_type: 'Verified Milestones', value: verifiedMilestones, display_type: 'number' },
+      { trait_type: 'Status', value: company.is_active ? 'Active' : 'Paused' },
+      { trait_type: 'Registered', value: Math.floor(new Date(company.created_at).getTime() / 1000), display_type: 'date' },
+      ...badges.map(badge => ({ trait_type: 'Verification', value: badge }))
+    ]
+  });
+}));
+
+// Generated card image referenced by the metadata
+router.get('/:tokenId/image.svg', asyncHandler(async (req, res) => {
+  const { tokenId } = req.params;
+
+  if (!/^\d+$/.test(tokenId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Token ID must be a non-negative integer'
+    });
+  }
+
+  const company = await fetchTokenCompany(tokenId);
+  if (!company) {
+    return res.status(404).json({
+      success: false,
+      message: 'Token not found'
+    });
+  }
+
+  const initials = company.name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(word => word[0].toUpperCase())
+    .join('');
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="512" height="512" viewBox="0 0 512 512">
+  <rect width="512" height="512" rx="32" fill="#4F46E5"/>
+  <text x="256" y="250" font-family="Helvetica, Arial, sans-serif" font-size="160" font-weight="bold" fill="#ffffff" text-anchor="middle">${escapeXml(initials)}</text>
+  <text x="256" y="350" font-family="Helvetica, Arial, sans-serif" font-size="32" fill="#E0E7FF" text-anchor="middle">${escapeXml(company.name)}</text>
+  <text x="256" y="400" font-family="Helvetica, Arial, sans-serif" font-size="22" fill="#C7D2FE" text-anchor="middle">${escapeXml(company.industry)} · #${escapeXml(tokenId)}</text>
+</svg>`;
+
+  res.set('Cache-Control', 'public, max-age=300');
+  res.type('image/svg+xml').send(svg);
+}));
+
+module.exports = router;
@@ -1,9 +1,10 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { supabase } = require('../config/supabase');
-const { authMiddleware } = require('../middleware/auth');
+const { supabase, supabaseAdmin } = require('../config/supabase');
+const { authMiddleware, roleMiddleware } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const blockchainService = require('../config/blockchain');
+const { recordValuationChange } = require('../utils/valuationHistory');
 
 const router = express.Router();
 
@@ -42,17 +43,20 @@ router.post('/', authMiddleware, [
 
   let blockchainData = null;
 
-  // Handle blockchain milestone completion
-  if (company.blockchain_token_id && req.user.walletAddress) {
-    try {
-      blockchainData = await blockchainService.completeMilestone(
-        company.blockchain_token_id,
-        milestoneType,
-        description,
-        valuationImpact
-      );
-    } catch (error) {
-      console.error('Blockchain milestone error:', error);
+  // Record the milestone on-chain first; the platform role signs for the founder
+  if (company.blockchain_token_id && blockchainService.contract) {
+    blockchainData = await blockchainService.completeMilestone(
+      company.blockchain_token_id,
+      milestoneType,
+      description,
+      valuationImpact
+    );
+
+    if (!blockchainData.success) {
+      return res.status(502).json({
+        success: false,
+        message: `On-chain milestone creation failed: ${blockchainData.error}`
+      });
     }
   }
 
@@ -65,8 +69,9 @@ router.post('/', authMiddleware, [
       description,
       valuation_impact: parseFloat(valuationImpact),
       blockchain_tx_hash: blockchainData?.txHash,
+      blockchain_milestone_index: blockchainData?.milestoneIndex ?? null,
       is_blockchain_verified: !!blockchainData?.success,
-      verified: false, // Will be verified by admin/automated process
+      verified: false, // Will be verified by a verifier
       created_at: new Date().toISOString()
     })
     .select(`
@@ -130,38 +135,76 @@ router.get('/company/:companyId', asyncHandler(async (req, res) => {
   });
 }));
 
-// Verify milestone (admin only)
-router.patch('/:id/verify', authMiddleware, [
+// Verify milestone (verifiers and admins only)
+router.patch('/:id/verify', authMiddleware, roleMiddleware('verifier'), [
   body('verified').isBoolean(),
   body('verificationNotes').optional().trim()
 ], asyncHandler(async (req, res) => {
-  // For now, allow company owners to verify their own milestones
-  // In production, this should be restricted to admins or automated verification
-  
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
   const { id } = req.params;
   const { verified, verificationNotes } = req.body;
 
-  const { data: milestone } = await supabase
+  const { data: milestone } = await supabaseAdmin
     .from('milestones')
     .select(`
       *,
       companies!inner (
         owner_id,
-        valuation
+        valuation,
+        blockchain_token_id
       )
     `)
     .eq('id', id)
     .single();
 
-  if (!milestone || milestone.companies.owner_id !== req.user.id) {
+  if (!milestone) {
+    return res.status(404).json({
+      success: false,
+      message: 'Milestone not found'
+    });
+  }
+
+  if (milestone.companies.owner_id === req.user.id) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied'
+      message: 'You cannot verify milestones of your own company'
     });
   }
 
+  if (verified && milestone.verified) {
+    return res.status(409).json({
+      success: false,
+      message: 'Milestone is already verified'
+    });
+  }
+
+  // Verify on-chain first so the contract applies the valuation impact too
+  let blockchainData = null;
+  const onchainIndex = milestone.blockchain_milestone_index;
+  if (verified && milestone.companies.blockchain_token_id && onchainIndex !== null && onchainIndex !== undefined) {
+    blockchainData = await blockchainService.verifyMilestone(
+      milestone.companies.blockchain_token_id,
+      onchainIndex
+    );
+
+    if (!blockchainData.success) {
+      return res.status(502).json({
+        success: false,
+        message: `On-chain milestone verification failed: ${blockchainData.error}`
+      });
+    }
+  }
+
   // Update milestone verification
-  const { data: updatedMilestone, error } = await supabase
+  const { data: updatedMilestone, error } = await supabaseAdmin
     .from('milestones')
     .update({
       verified,
@@ -180,21 +223,43 @@ router.patch('/:id/verify', authMiddleware, [
     });
   }
 
-  // If milestone is verified and has valuation impact, update company valuation
-  if (verified && milestone.valuation_impact > 0) {
-    await supabase
+  // Apply the milestone's valuation impact when it becomes verified, and take it back out
+  // when a verified milestone is unverified. The contract has no unverify, so the on-chain
+  // valuation keeps the impact.
+  if (verified !== !!milestone.verified && milestone.valuation_impact > 0) {
+    const impact = parseFloat(milestone.valuation_impact);
+    const newValuation = parseFloat(milestone.companies.valuation) + (verified ? impact : -impact);
+    const { error: valuationError } = await supabaseAdmin
       .from('companies')
       .update({
-        valuation: milestone.companies.valuation + milestone.valuation_impact,
+        valuation: newValuation,
         updated_at: new Date().toISOString()
       })
       .eq('id', milestone.company_id);
+
+    if (!valuationError) {
+      await recordValuationChange({
+        companyId: milestone.company_id,
+        previousValuation: milestone.companies.valuation,
+        newValuation,
+        reason: verified ? 'milestone_verified' : 'milestone_unverified',
+        milestoneId: milestone.id
+      });
+    }
   }
 
+  // Keep the company's verified milestone count current
+  await supabaseAdmin.rpc('increment_milestone_count', {
+    company_id: milestone.company_id
+  });
+
   res.json({
     success: true,
     message: 'Milestone verification updated',
-    data: { milestone: updatedMilestone }
+    data: {
+      milestone: updatedMilestone,
+      blockchain: blockchainData
+    }
   });
 }));
 
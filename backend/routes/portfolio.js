@@ -1,10 +1,93 @@
 const express = require('express');
+const { validationResult, query } = require('express-validator');
 const { supabaseAdmin } = require('../config/supabase');
 const { authMiddleware } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { getWalletShareHoldings, resolveOwnership, nonZeroHoldings } = require('../utils/shareHoldings');
+const { isUnconverted, unconvertedValue } = require('../utils/investmentPricing');
+const { ACTIVE_INVESTMENT_STATUSES } = require('../utils/investmentRecords');
+const portfolioPerformance = require('../services/portfolioPerformance');
+const taxReport = require('../services/taxReport');
+const { returnMetrics } = require('../utils/returnMetrics');
+const { toBuffer } = require('../utils/pdfDocument');
 
 const router = express.Router();
 
+// SAFEs and notes carry at principal plus interest; shares at their part of the valuation
+const currentValueOf = (investment, ownership) => (isUnconverted(investment)
+  ? unconvertedValue(investment)
+  : (ownership.ownershipPercentage / 100) * investment.companies.valuation);
+
+// XIRR, MOIC, TVPI and DPI per investment, per company and for the whole portfolio
+async function portfolioReturns(userId, walletAddress) {
+  const [{ data: investments, error }, { data: distributions, error: distributionsError }] = await Promise.all([
+    supabaseAdmin
+      .from('investments')
+      .select(`
+        *,
+        companies (
+          id,
+          name,
+          industry,
+          valuation,
+          shares_outstanding
+        )
+      `)
+      .eq('investor_id', userId)
+      .in('status', ACTIVE_INVESTMENT_STATUSES)
+      .order('created_at', { ascending: true }),
+    supabaseAdmin
+      .from('distributions')
+      .select('company_id, investment_id, amount, distributed_at')
+      .eq('investor_id', userId)
+  ]);
+
+  if (error) {
+    throw new Error(`Failed to fetch investments: ${error.message}`);
+  }
+  if (distributionsError) {
+    console.error('❌ Failed to fetch distributions:', distributionsError);
+  }
+
+  const holdings = await getWalletShareHoldings(walletAddress);
+  const ownershipOf = resolveOwnership(investments, holdings);
+  const asOf = new Date();
+  const payouts = (distributions || []).map(d => ({ ...d, amount: parseFloat(d.amount), date: d.distributed_at }));
+
+  const positions = investments.map(investment => ({
+    investment,
+    contribution: { amount: parseFloat(investment.amount), date: investment.created_at },
+    value: currentValueOf(investment, ownershipOf(investment))
+  }));
+
+  const metricsFor = (held, paid) => returnMetrics({
+    contributions: held.map(p => p.contribution),
+    distributions: paid,
+    value: held.reduce((sum, p) => sum + p.value, 0),
+    asOf
+  });
+
+  const companies = [...new Set(investments.map(inv => inv.company_id))].map(companyId => {
+    const company = investments.find(inv => inv.company_id === companyId).companies;
+    return {
+      company: { id: company.id, name: company.name, industry: company.industry },
+      ...metricsFor(positions.filter(p => p.investment.company_id === companyId), payouts.filter(d => d.company_id === companyId))
+    };
+  });
+
+  return {
+    portfolio: metricsFor(positions, payouts),
+    companies: companies.sort((a, b) => b.paidIn - a.paidIn),
+    investments: positions.map(p => ({
+      id: p.investment.id,
+      companyId: p.investment.company_id,
+      companyName: p.investment.companies.name,
+      createdAt: p.investment.created_at,
+      ...metricsFor([p], payouts.filter(d => d.investment_id === p.investment.id))
+    }))
+  };
+}
+
 // Get user's portfolio summary
 router.get('/', authMiddleware, asyncHandler(async (req, res) => {
   const userId = req.user.id;
@@ -23,10 +106,13 @@ router.get('/', authMiddleware, asyncHandler(async (req, res) => {
         industry,
         valuation,
         total_investment,
+        shares_outstanding,
+        blockchain_token_id,
         created_at
       )
     `)
     .eq('investor_id', userId)
+    .in('status', ACTIVE_INVESTMENT_STATUSES)
     .order('created_at', { ascending: false });
 
   if (error) {
@@ -36,6 +122,10 @@ router.get('/', authMiddleware, asyncHandler(async (req, res) => {
     });
   }
 
+  // On-chain share balances override recorded ownership for blockchain investments
+  const holdings = await getWalletShareHoldings(req.user.walletAddress);
+  const ownershipOf = resolveOwnership(investments, holdings);
+
   // Calculate portfolio metrics
   let totalInvested = 0;
   let currentPortfolioValue = 0;
@@ -44,9 +134,9 @@ router.get('/', authMiddleware, asyncHandler(async (req, res) => {
 
   const enhancedInvestments = investments.map(investment => {
     const { companies: company } = investment;
+    const ownership = ownershipOf(investment);
     
-    // Calculate current value based on ownership percentage
-    const currentValue = (investment.ownership_percentage / 100) * company.valuation;
+    const currentValue = currentValueOf(investment, ownership);
     const returnAmount = currentValue - investment.amount;
     const returnPercentage = (returnAmount / investment.amount) * 100;
 
@@ -79,7 +169,10 @@ router.get('/', authMiddleware, asyncHandler(async (req, res) => {
       currentValue,
       returnAmount,
       returnPercentage,
-      ownershipPercentage: investment.ownership_percentage,
+      ownershipPercentage: ownership.ownershipPercentage,
+      ownershipSource: ownership.source,
+      instrumentType: investment.instrument_type,
+      conversionStatus: investment.conversion_status,
       company: {
         id: company.id,
         name: company.name,
@@ -118,6 +211,7 @@ router.get('/', authMiddleware, asyncHandler(async (req, res) => {
         companiesCount: new Set(investments.map(inv => inv.companies.id)).size
       },
       investments: enhancedInvestments,
+      shareHoldings: nonZeroHoldings(holdings),
       industryBreakdown: Object.values(industryBreakdown),
       topPerformers,
       recentActivity: recentInvestments,
@@ -133,33 +227,35 @@ router.get('/performance', authMiddleware, asyncHandler(async (req, res) => {
 
   res.set('Cache-Control', 'no-store');
 
+  if (!portfolioPerformance.periods().includes(period)) {
+    return res.status(400).json({
+      success: false,
+      message: `Period must be one of ${portfolioPerformance.periods().join(', ')}`
+    });
+  }
+
   try {
-    // Simplified performance data for now
-    const performanceData = [
-      { date: '2025-08-28', value: 95000, investment: 100000 },
-      { date: '2025-09-05', value: 102000, investment: 100000 },
-      { date: '2025-09-12', value: 98000, investment: 100000 },
-      { date: '2025-09-19', value: 110000, investment: 100000 },
-      { date: '2025-09-26', value: 115000, investment: 100000 },
-      { date: '2025-09-28', value: 120000, investment: 100000 }
-    ];
-
-    // Calculate performance metrics
-    const startValue = performanceData[0]?.value || 0;
-    const endValue = performanceData[performanceData.length - 1]?.value || 0;
-    const totalReturn = endValue - startValue;
-    const totalReturnPercentage = startValue > 0 ? ((totalReturn / startValue) * 100) : 0;
+    const { timeline, interval } = await portfolioPerformance.getSeries(userId, period);
+
+    // Period return excludes money added during the period
+    const first = timeline[0];
+    const last = timeline[timeline.length - 1];
+    const periodReturn = (last.value - first.value) - (last.contributions - first.contributions);
+    const periodBase = first.value + (last.contributions - first.contributions);
 
     res.json({
       success: true,
       data: {
-        timeline: performanceData,
+        timeline,
         summary: {
-          totalInvestment: 100000,
-          currentValue: endValue,
-          totalReturn,
-          totalReturnPercentage: totalReturnPercentage.toFixed(2),
-          period
+          totalInvestment: last.contributions,
+          currentValue: last.value,
+          totalReturn: last.return,
+          totalReturnPercentage: last.returnPercentage,
+          periodReturn,
+          periodReturnPercentage: periodBase > 0 ? (periodReturn / periodBase) * 100 : 0,
+          period,
+          interval
         }
       }
     });
@@ -174,6 +270,56 @@ router.get('/performance', authMiddleware, asyncHandler(async (req, res) => {
   }
 }));
 
+// Capital gains report for an Indian financial year, e.g. ?fy=2025-26 (defaults to the current year)
+router.get('/tax-report', authMiddleware, [
+  query('fy').optional().custom(value => !!taxReport.parseFinancialYear(value))
+    .withMessage('Financial year must look like 2025-26'),
+  query('format').optional().isIn(['json', 'csv', 'pdf']).withMessage('Format must be json, csv or pdf')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid query parameters',
+      errors: errors.array()
+    });
+  }
+
+  const fy = req.query.fy || taxReport.currentFinancialYear();
+
+  let report;
+  try {
+    report = await taxReport.build(req.user.id, fy);
+  } catch (buildError) {
+    console.error('❌ Tax report error:', buildError);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to build tax report'
+    });
+  }
+
+  res.set('Cache-Control', 'no-store');
+  const filename = `capital_gains_fy_${fy}`;
+
+  if (req.query.format === 'csv') {
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send(taxReport.toCsv(report));
+  }
+
+  if (req.query.format === 'pdf') {
+    const pdf = await toBuffer(taxReport.toPdf(report));
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    return res.send(pdf);
+  }
+
+  res.json({
+    success: true,
+    data: report
+  });
+}));
+
 // Get portfolio analytics
 router.get('/analytics', authMiddleware, asyncHandler(async (req, res) => {
   const userId = req.user.id;
@@ -193,14 +339,19 @@ router.get('/analytics', authMiddleware, asyncHandler(async (req, res) => {
     });
   }
 
+  const returns = await portfolioReturns(userId, req.user.walletAddress);
+
   res.json({
     success: true,
-    data: analytics || {
-      diversificationScore: 0,
-      riskLevel: 'Unknown',
-      averageCompanyAge: 0,
-      sectorAllocation: [],
-      investmentTrends: []
+    data: {
+      ...(analytics || {
+        diversificationScore: 0,
+        riskLevel: 'Unknown',
+        averageCompanyAge: 0,
+        sectorAllocation: [],
+        investmentTrends: []
+      }),
+      returns
     }
   });
 }));
@@ -3,6 +3,7 @@ const { body, validationResult } = require('express-validator');
 const { supabase } = require('../config/supabase');
 const { authMiddleware } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const investorStatements = require('../services/investorStatements');
 
 const router = express.Router();
 
@@ -119,4 +120,52 @@ router.get('/activity', authMiddleware, asyncHandler(async (req, res) => {
   });
 }));
 
+// Monthly investor statements, newest first
+router.get('/statements', authMiddleware, asyncHandler(async (req, res) => {
+  try {
+    const statements = await investorStatements.list(req.user.id);
+
+    res.json({
+      success: true,
+      data: { statements }
+    });
+  } catch (error) {
+    console.error('❌ Statements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch statements'
+    });
+  }
+}));
+
+// Download a statement PDF
+router.get('/statements/:id/download', authMiddleware, asyncHandler(async (req, res) => {
+  let statement;
+  try {
+    statement = await investorStatements.download(req.params.id, req.user.id);
+  } catch (error) {
+    console.error('❌ Statement download error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch statement'
+    });
+  }
+
+  if (!statement) {
+    return res.status(404).json({
+      success: false,
+      message: 'Statement not found'
+    });
+  }
+
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `attachment; filename="${statement.filename}"`);
+  res.send(statement.buffer);
+}));
+
+// Diagnostics: statement scheduler
+router.get('/statements/scheduler/status', asyncHandler(async (req, res) => {
+  res.json({ success: true, data: investorStatements.getStatus() });
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,50 @@
+require('dotenv').config();
+const reconciliation = require('../services/reconciliation');
+
+// Usage: node scripts/reconcile-blockchain.js [--apply] [--json]
+async function reconcileBlockchain() {
+  const apply = process.argv.includes('--apply');
+  const asJson = process.argv.includes('--json');
+
+  console.log(`🔍 Reconciling database with contract (${apply ? 'APPLY' : 'dry run'})...`);
+
+  const report = await reconciliation.run({ apply });
+
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+    return report;
+  }
+
+  report.findings.forEach((finding, index) => {
+    const status = finding.repaired ? '✅ repaired' : finding.repair ? '🛠️  repairable' : '⚠️  manual';
+    console.log(`${index + 1}. [${finding.type}] ${finding.message} (${status})`);
+    console.log(`   expected: ${JSON.stringify(finding.expected)}`);
+    console.log(`   actual:   ${JSON.stringify(finding.actual)}`);
+  });
+
+  console.log('\n=== Reconciliation Summary ===');
+  console.log(`🏢 Companies checked: ${report.summary.companiesChecked}`);
+  console.log(`❗ Mismatches: ${report.summary.mismatches}`);
+  console.log(`🛠️  Repairable: ${report.summary.repairable}`);
+  console.log(`✅ Repaired: ${report.summary.repaired}`);
+  if (report.repairErrors.length > 0) {
+    console.log(`❌ Repair errors: ${report.repairErrors.length}`);
+  }
+  if (!apply && report.summary.repairable > 0) {
+    console.log('\nRun again with --apply to repair the database.');
+  }
+
+  return report;
+}
+
+// Run the reconciliation
+if (require.main === module) {
+  reconcileBlockchain()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('🚨 Reconciliation failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { reconcileBlockchain };
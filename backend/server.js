@@ -19,9 +19,16 @@ const milestoneRoutes = require('./routes/milestones');
 const userRoutes = require('./routes/users');
 const blockchainRoutes = require('./routes/blockchain');
 const debugRoutes = require('./routes/debug');
+const adminRoutes = require('./routes/admin');
+const metadataRoutes = require('./routes/metadata');
+
+// Service imports
+const blockchainIndexer = require('./services/blockchainIndexer');
+const fundingScheduler = require('./services/fundingScheduler');
+const investorStatements = require('./services/investorStatements');
 
 // Middleware imports
-const { authMiddleware } = require('./middleware/auth');
+const { authMiddleware, adminMiddleware } = require('./middleware/auth');
 const { errorHandler } = require('./middleware/errorHandler');
 
 const app = express();
@@ -43,7 +50,8 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-wallet-address']
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-wallet-address', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Rate limiting
@@ -85,6 +93,8 @@ app.use('/api/milestones', milestoneRoutes);
 app.use('/api/users', authMiddleware, userRoutes);
 app.use('/api/blockchain', blockchainRoutes);
 app.use('/api/debug', debugRoutes);
+app.use('/api/admin', authMiddleware, adminMiddleware, adminRoutes);
+app.use('/api/metadata', metadataRoutes);
 
 // Serve uploaded files
 app.use('/uploads', express.static('uploads'));
@@ -126,6 +136,21 @@ httpServer.listen(PORT, () => {
   console.log(`🔗 Frontend URL: ${process.env.FRONTEND_URL}`);
   console.log(`⛓️  Blockchain RPC: ${process.env.BLOCKCHAIN_RPC_URL}`);
   console.log(`🔌 Socket.IO server ready`);
+
+  // Keep Supabase in sync with on-chain activity
+  if (process.env.CONTRACT_ADDRESS && process.env.ENABLE_BLOCKCHAIN_INDEXER !== 'false') {
+    blockchainIndexer.start(io);
+  }
+
+  // Move funding rounds through their lifecycle as start and end times pass
+  if (process.env.ENABLE_FUNDING_SCHEDULER !== 'false') {
+    fundingScheduler.start(io);
+  }
+
+  // Generate and email investor statements once each month ends
+  if (process.env.ENABLE_STATEMENT_SCHEDULER !== 'false') {
+    investorStatements.start();
+  }
 });
 
 module.exports = app;
\ No newline at end of file
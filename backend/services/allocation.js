@@ -0,0 +1,233 @@
+const { isConvertible } = require('@vyaapar/pricing');
+const { supabaseAdmin } = require('../config/supabase');
+const { convertibleInvestmentFields } = require('../utils/investmentPricing');
+const { ACTIVE_INVESTMENT_STATUSES, recordInvestment } = require('../utils/investmentRecords');
+
+const toCents = (value) => Math.round(parseFloat(value || 0) * 100);
+
+/**
+ * Settles commitment rounds once they close. A successful round is filled up to its
+ * target, pro-rata or existing shareholders first, and each allocation becomes an
+ * investment priced at the round's pre-money share price. Pledges are never charged
+ * up front, so whatever is not allocated is simply released.
+ */
+class Allocation {
+  // Split `targetCents` across commitments pro-rata, handing leftover cents to the
+  // largest remainders so the round fills exactly
+  proRata(commitments, targetCents) {
+    const total = commitments.reduce((sum, c) => sum + c.cents, 0);
+    if (total <= targetCents) {
+      return commitments.map(c => ({ ...c, allocatedCents: c.cents }));
+    }
+
+    const shares = commitments.map(c => {
+      const exact = (c.cents * targetCents) / total;
+      return { ...c, allocatedCents: Math.floor(exact), remainder: exact - Math.floor(exact) };
+    });
+
+    let leftover = targetCents - shares.reduce((sum, c) => sum + c.allocatedCents, 0);
+    [...shares]
+      .sort((a, b) => b.remainder - a.remainder)
+      .forEach(c => {
+        if (leftover > 0 && c.allocatedCents < c.cents) {
+          c.allocatedCents += 1;
+          leftover -= 1;
+        }
+      });
+
+    return shares.map(({ remainder, ...c }) => c);
+  }
+
+  // Fill lower tiers first; the tier that no longer fits is scaled pro-rata
+  byPriority(commitments, targetCents) {
+    const tiers = [...new Set(commitments.map(c => c.tier))].sort((a, b) => a - b);
+    let remaining = targetCents;
+    const result = [];
+
+    for (const tier of tiers) {
+      const inTier = commitments.filter(c => c.tier === tier);
+      const allocated = this.proRata(inTier, remaining);
+      remaining -= allocated.reduce((sum, c) => sum + c.allocatedCents, 0);
+      result.push(...allocated);
+    }
+    return result;
+  }
+
+  // Settle a closed commitment round; safe to re-run, only pledged commitments are touched
+  async settle(roundId) {
+    const { data: round, error: roundError } = await supabaseAdmin
+      .from('funding_rounds')
+      .select('*, companies (id, name, valuation, shares_outstanding)')
+      .eq('id', roundId)
+      .single();
+
+    if (roundError) {
+      throw new Error(`Failed to fetch funding round: ${roundError.message}`);
+    }
+    if (round.allocation_method === 'first_come') {
+      return { allocated: 0, released: 0, allocations: [] };
+    }
+    if (round.status !== 'succeeded' && round.status !== 'failed') {
+      throw new Error(`${round.round_name} has not closed yet`);
+    }
+
+    const { data: pledged, error: pledgedError } = await supabaseAdmin
+      .from('funding_commitments')
+      .select('*')
+      .eq('funding_round_id', round.id)
+      .eq('status', 'pledged')
+      .order('created_at', { ascending: true });
+
+    if (pledgedError) {
+      throw new Error(`Failed to fetch commitments: ${pledgedError.message}`);
+    }
+
+    const tiers = round.allocation_method === 'priority'
+      ? await this.priorityTiers(round, pledged)
+      : new Map();
+
+    const commitments = pledged.map(c => ({ id: c.id, investorId: c.investor_id, cents: toCents(c.amount), tier: tiers.get(c.investor_id) ?? 1 }));
+    const targetCents = round.status === 'succeeded' ? toCents(round.target_amount) : 0;
+    const plan = round.allocation_method === 'priority'
+      ? this.byPriority(commitments, targetCents)
+      : this.proRata(commitments, targetCents);
+
+    const allocations = await this.recordAllocations(round, plan);
+    const allocatedTotal = allocations.reduce((sum, a) => sum + a.allocatedAmount, 0);
+
+    if (allocatedTotal > 0) {
+      await supabaseAdmin
+        .from('funding_rounds')
+        .update({
+          raised_amount: parseFloat(round.raised_amount || 0) + allocatedTotal,
+          allocated_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', round.id);
+    }
+
+    console.log(`📊 Settled ${round.round_name}: ${allocations.length} commitments, ${allocatedTotal} allocated`);
+    return {
+      allocated: allocatedTotal,
+      released: allocations.reduce((sum, a) => sum + a.releasedAmount, 0),
+      allocations
+    };
+  }
+
+  // Investors who already hold shares in the company come first
+  async priorityTiers(round, commitments) {
+    const { data: existing, error } = await supabaseAdmin
+      .from('investments')
+      .select('investor_id')
+      .eq('company_id', round.company_id)
+      .lt('created_at', round.start_time)
+      .in('status', ACTIVE_INVESTMENT_STATUSES)
+      .in('investor_id', commitments.map(c => c.investor_id));
+
+    if (error) {
+      throw new Error(`Failed to fetch existing shareholders: ${error.message}`);
+    }
+
+    const holders = new Set(existing.map(inv => inv.investor_id));
+    return new Map(commitments.map(c => [c.investor_id, holders.has(c.investor_id) ? 0 : 1]));
+  }
+
+  // record_investment prices each allocation against the company row it locks. A priced
+  // investment leaves the share price unchanged, so every allocation buys at the same price.
+  async recordAllocations(round, plan) {
+    const convertible = isConvertible(round.instrument_type);
+    const now = new Date().toISOString();
+    const allocations = [];
+
+    for (const entry of plan) {
+      const allocatedAmount = entry.allocatedCents / 100;
+      const releasedAmount = (entry.cents - entry.allocatedCents) / 100;
+
+      // Claim the commitment first so a concurrent settle cannot allocate it twice
+      const { data: claimed } = await supabaseAdmin
+        .from('funding_commitments')
+        .update({
+          status: allocatedAmount > 0 ? 'allocated' : 'released',
+          priority_tier: entry.tier,
+          allocated_amount: allocatedAmount,
+          released_amount: releasedAmount,
+          allocated_at: now,
+          updated_at: now
+        })
+        .eq('id', entry.id)
+        .eq('status', 'pledged')
+        .select('id')
+        .maybeSingle();
+
+      if (!claimed) continue;
+
+      let investmentId = null;
+      if (allocatedAmount > 0) {
+        // Allocation activities are logged below, so record_investment skips its own
+        const { investment, error } = await recordInvestment({
+          company_id: round.company_id,
+          investor_id: entry.investorId,
+          amount: allocatedAmount,
+          ...(convertible ? convertibleInvestmentFields(round) : {}),
+          funding_round_id: round.id,
+          investment_type: 'traditional',
+          created_at: now
+        }, { description: null });
+
+        if (error) {
+          console.error(`❌ Failed to record allocation for commitment ${entry.id}:`, error);
+          await supabaseAdmin
+            .from('funding_commitments')
+            .update({ status: 'pledged', allocated_amount: null, released_amount: null, allocated_at: null })
+            .eq('id', entry.id);
+          continue;
+        }
+
+        investmentId = investment.id;
+        await supabaseAdmin
+          .from('funding_commitments')
+          .update({ investment_id: investmentId })
+          .eq('id', entry.id);
+      }
+
+      allocations.push({
+        commitmentId: entry.id,
+        investorId: entry.investorId,
+        tier: entry.tier,
+        committedAmount: entry.cents / 100,
+        allocatedAmount,
+        releasedAmount,
+        investmentId
+      });
+    }
+
+    await this.recordActivities(round, allocations);
+    return allocations;
+  }
+
+  async recordActivities(round, allocations) {
+    const rows = allocations.map(a => ({
+      user_id: a.investorId,
+      activity_type: a.allocatedAmount > 0 ? 'commitment_allocated' : 'commitment_released',
+      description: a.allocatedAmount > 0
+        ? `Allocated ${a.allocatedAmount} of your ${a.committedAmount} commitment in ${round.round_name} for ${round.companies.name}`
+        : `Your ${a.committedAmount} commitment in ${round.round_name} for ${round.companies.name} was released`,
+      metadata: {
+        roundId: round.id,
+        companyId: round.company_id,
+        commitmentId: a.commitmentId,
+        investmentId: a.investmentId,
+        allocatedAmount: a.allocatedAmount,
+        releasedAmount: a.releasedAmount
+      }
+    }));
+    if (rows.length === 0) return;
+
+    const { error } = await supabaseAdmin.from('user_activities').insert(rows);
+    if (error) {
+      console.error('❌ Failed to record allocation activity:', error);
+    }
+  }
+}
+
+module.exports = new Allocation();
@@ -0,0 +1,667 @@
+const { ethers } = require('ethers');
+const { supabaseAdmin } = require('../config/supabase');
+const blockchainService = require('../config/blockchain');
+const {
+  onchainInvestmentFields,
+  recordInvestment,
+  adoptRecordedInvestment,
+  recordOnchainRefund
+} = require('../utils/investmentRecords');
+const { findRoundByBlockchainId, releaseRoundAllocation } = require('../utils/fundingRounds');
+const { recordValuationChange } = require('../utils/valuationHistory');
+const fundingScheduler = require('./fundingScheduler');
+
+const INDEXED_EVENTS = [
+  'CompanyCreated',
+  'InvestmentReceived',
+  'MilestoneCompleted',
+  'MilestoneVerified',
+  'FundingRoundCreated',
+  'FundingRoundCompleted',
+  'ContributionCancelled',
+  'RefundClaimed',
+  'Transfer'
+];
+
+const ZERO_ADDRESS = ethers.ZeroAddress.toLowerCase();
+
+/**
+ * Follows VyaaparAI contract events and mirrors them into Supabase.
+ * Progress is stored in blockchain_indexer_state so restarts resume where
+ * they left off; every handler is idempotent so a range can be replayed safely.
+ */
+class BlockchainIndexer {
+  constructor() {
+    this.io = null;
+    this.timer = null;
+    this.running = false;
+    this.lastProcessedBlock = null;
+    this.lastError = null;
+    this.lastRunAt = null;
+    this.pollInterval = parseInt(process.env.INDEXER_POLL_INTERVAL_MS) || 15000;
+    this.blockRange = parseInt(process.env.INDEXER_BLOCK_RANGE) || 2000;
+    this.confirmations = parseInt(process.env.INDEXER_CONFIRMATIONS) || 0;
+  }
+
+  start(io) {
+    if (this.timer) return;
+    this.io = io || null;
+    console.log('🛰️  Blockchain indexer started', {
+      pollInterval: this.pollInterval,
+      blockRange: this.blockRange,
+      confirmations: this.confirmations
+    });
+    this.schedule(0);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  schedule(delay) {
+    this.timer = setTimeout(async () => {
+      await this.tick();
+      if (this.timer) this.schedule(this.pollInterval);
+    }, delay);
+  }
+
+  getStatus() {
+    return {
+      enabled: !!this.timer,
+      running: this.running,
+      contract: process.env.CONTRACT_ADDRESS || null,
+      lastProcessedBlock: this.lastProcessedBlock,
+      lastRunAt: this.lastRunAt,
+      lastError: this.lastError
+    };
+  }
+
+  async tick() {
+    if (this.running || !blockchainService.contract || !blockchainService.provider) return;
+    this.running = true;
+
+    try {
+      const contractAddress = String(blockchainService.contract.target).toLowerCase();
+      if (this.lastProcessedBlock === null) {
+        this.lastProcessedBlock = await this.loadState(contractAddress);
+      }
+
+      const head = (await blockchainService.provider.getBlockNumber()) - this.confirmations;
+
+      while (this.lastProcessedBlock < head) {
+        const fromBlock = this.lastProcessedBlock + 1;
+        const toBlock = Math.min(head, fromBlock + this.blockRange - 1);
+
+        await this.processRange(contractAddress, fromBlock, toBlock);
+
+        this.lastProcessedBlock = toBlock;
+        await this.saveState(contractAddress, toBlock);
+      }
+
+      this.lastError = null;
+    } catch (error) {
+      console.error('❌ Blockchain indexer error:', error.message);
+      this.lastError = error.message;
+    } finally {
+      this.lastRunAt = new Date().toISOString();
+      this.running = false;
+    }
+  }
+
+  async loadState(contractAddress) {
+    const { data, error } = await supabaseAdmin
+      .from('blockchain_indexer_state')
+      .select('last_processed_block')
+      .eq('contract_address', contractAddress)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load indexer state: ${error.message}`);
+    }
+
+    if (data) {
+      return Number(data.last_processed_block);
+    }
+
+    // First run: start just before the configured deployment block
+    return (parseInt(process.env.INDEXER_START_BLOCK) || 0) - 1;
+  }
+
+  async saveState(contractAddress, blockNumber) {
+    const { error } = await supabaseAdmin
+      .from('blockchain_indexer_state')
+      .upsert({
+        contract_address: contractAddress,
+        last_processed_block: blockNumber,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'contract_address' });
+
+    if (error) {
+      throw new Error(`Failed to save indexer state: ${error.message}`);
+    }
+  }
+
+  async processRange(contractAddress, fromBlock, toBlock) {
+    const iface = blockchainService.contract.interface;
+    const topics = INDEXED_EVENTS.map(name => iface.getEvent(name).topicHash);
+
+    const logs = await blockchainService.provider.getLogs({
+      address: contractAddress,
+      fromBlock,
+      toBlock,
+      topics: [topics]
+    });
+
+    for (const log of logs) {
+      let event;
+      try {
+        event = iface.parseLog(log);
+      } catch {
+        continue;
+      }
+      if (!event) continue;
+
+      // Handlers throw on database errors so the range is retried on the next tick
+      await this.handleEvent(event, log);
+    }
+
+    if (logs.length > 0) {
+      console.log(`🛰️  Indexed ${logs.length} events in blocks ${fromBlock}-${toBlock}`);
+    }
+  }
+
+  async handleEvent(event, log) {
+    switch (event.name) {
+      case 'CompanyCreated':
+        return this.onCompanyCreated(event.args, log);
+      case 'InvestmentReceived':
+        return this.onInvestmentReceived(event.args, log);
+      case 'MilestoneCompleted':
+        return this.onMilestoneCompleted(event.args, log);
+      case 'MilestoneVerified':
+        return this.onMilestoneVerified(event.args, log);
+      case 'FundingRoundCreated':
+        return this.onFundingRoundCreated(event.args, log);
+      case 'FundingRoundCompleted':
+        return this.onFundingRoundCompleted(event.args, log);
+      case 'ContributionCancelled':
+        return this.onContributionCancelled(event.args, log);
+      case 'RefundClaimed':
+        return this.onRefundClaimed(event.args, log);
+      case 'Transfer':
+        return this.onTransfer(event.args, log);
+      default:
+        return null;
+    }
+  }
+
+  // Event handlers
+
+  async onCompanyCreated(args, log) {
+    const tokenId = args.tokenId.toString();
+
+    const existing = await this.findCompanyByToken(tokenId);
+    if (existing) {
+      if (!existing.is_blockchain_verified || !existing.blockchain_tx_hash) {
+        await this.updateCompany(existing.id, {
+          is_blockchain_verified: true,
+          blockchain_tx_hash: existing.blockchain_tx_hash || log.transactionHash
+        });
+      }
+      return;
+    }
+
+    // A registration whose mint response lost the token id: same mint transaction and the
+    // NFT went to its owner's wallet. Names are not unique enough to link on.
+    const { data: byTx, error: txError } = await supabaseAdmin
+      .from('companies')
+      .select('id, blockchain_token_id, profiles:owner_id (wallet_address)')
+      .eq('blockchain_tx_hash', log.transactionHash.toLowerCase())
+      .maybeSingle();
+    if (txError) throw txError;
+
+    if (byTx) {
+      const ownerMatches = byTx.profiles?.wallet_address?.toLowerCase() === args.owner.toLowerCase();
+      if (!byTx.blockchain_token_id && ownerMatches) {
+        await this.updateCompany(byTx.id, {
+          blockchain_token_id: tokenId,
+          is_blockchain_verified: true
+        });
+      } else {
+        console.warn(`⚠️  Indexer: company ${byTx.id} from mint tx ${log.transactionHash} does not match token ${tokenId} owned by ${args.owner}, skipping`);
+      }
+      return;
+    }
+
+    const owner = await this.findProfileByWallet(args.owner);
+    if (!owner) {
+      console.warn(`⚠️  Indexer: no profile for wallet ${args.owner}, cannot create company for token ${tokenId}`);
+      return;
+    }
+
+    const onchain = await blockchainService.getCompany(tokenId);
+    const details = onchain.success ? onchain.data : {};
+
+    const { error } = await supabaseAdmin
+      .from('companies')
+      .insert({
+        name: args.name,
+        description: details.description || args.name,
+        industry: details.industry || 'Unknown',
+        valuation: parseFloat(ethers.formatEther(args.valuation)),
+        owner_id: owner.id,
+        blockchain_token_id: tokenId,
+        blockchain_tx_hash: log.transactionHash.toLowerCase(),
+        is_blockchain_verified: true,
+        created_at: this.toISOString(args.timestamp)
+      });
+    if (error && error.code !== '23505') throw error;
+  }
+
+  async onInvestmentReceived(args, log) {
+    const tokenId = args.companyTokenId.toString();
+
+    const { data: existing, error: existingError } = await supabaseAdmin
+      .from('investments')
+      .select('id, is_blockchain_verified')
+      .eq('blockchain_tx_hash', log.transactionHash.toLowerCase())
+      .maybeSingle();
+    if (existingError) throw existingError;
+
+    if (existing) {
+      if (!existing.is_blockchain_verified) {
+        const { error } = await supabaseAdmin
+          .from('investments')
+          .update({ is_blockchain_verified: true })
+          .eq('id', existing.id);
+        if (error) throw error;
+      }
+      return;
+    }
+
+    const company = await this.findCompanyByToken(tokenId);
+    if (!company) {
+      console.warn(`⚠️  Indexer: investment ${log.transactionHash} targets unknown token ${tokenId}`);
+      return;
+    }
+
+    const investor = await this.findProfileByWallet(args.investor);
+    if (!investor) {
+      console.warn(`⚠️  Indexer: no profile for investor wallet ${args.investor} (tx ${log.transactionHash})`);
+      return;
+    }
+
+    // Same ETH -> USD conversion as POST /api/blockchain/invest
+    const amountEth = parseFloat(ethers.formatEther(args.amount));
+    const rate = parseFloat(process.env.ETH_USD_RATE || '0');
+    const amountUsd = Number.isFinite(rate) && rate > 0 ? amountEth * rate : amountEth;
+    const amount = parseFloat(amountUsd.toFixed(2));
+
+    // Same round and status rules as POST /api/blockchain/invest: escrowed round contributions
+    // are pending until the deadline the contract recorded for them
+    const roundId = args.roundId.toString();
+    const contribution = roundId === '0' ? null : await blockchainService.getRoundContribution(log.transactionHash);
+    const onchain = await onchainInvestmentFields({ roundId, ...contribution }, amount);
+    if (onchain.error) {
+      console.warn(`⚠️  Indexer: ${onchain.error} (tx ${log.transactionHash})`);
+      return;
+    }
+
+    // Same transaction as the API routes: shares, post-money valuation, aggregates and activity
+    const { investment, totalInvestment, investorCount, error } = await recordInvestment({
+      company_id: company.id,
+      investor_id: investor.id,
+      amount,
+      amount_eth: ethers.formatEther(args.amount),
+      blockchain_tx_hash: log.transactionHash.toLowerCase(),
+      is_blockchain_verified: true,
+      investment_type: 'blockchain',
+      ...onchain.fields,
+      created_at: this.toISOString(args.timestamp)
+    }, {
+      description: `Invested ${amountEth} ETH (~$${amountUsd.toFixed(2)}) in ${company.name}`,
+      metadata: { txHash: log.transactionHash, amountEth, amountUsd, source: 'indexer' }
+    });
+
+    if (error) {
+      if (error.code === '23505') {
+        // An API route recorded the transaction in the meantime
+        const { countedHere } = await adoptRecordedInvestment(log.transactionHash.toLowerCase(), onchain.countedRound?.id, amount);
+        if (countedHere && onchain.countedRound.is_completed) {
+          await fundingScheduler.announceClosed(onchain.countedRound, company, this.io);
+        }
+        return;
+      }
+      if (onchain.countedRound) await releaseRoundAllocation(onchain.countedRound.id, amount);
+      throw error;
+    }
+
+    if (onchain.countedRound?.is_completed) {
+      await fundingScheduler.announceClosed(onchain.countedRound, company, this.io);
+    }
+
+    this.emit(`user:${investor.id}`, 'portfolio:updated', {
+      type: 'investment-created',
+      investmentId: investment.id,
+      amount: investment.amount,
+      companyId: company.id,
+      timestamp: Date.now()
+    });
+    this.emit(`company:${company.id}`, 'company:updated', {
+      id: company.id,
+      totalInvestment,
+      investorCount
+    });
+  }
+
+  async onMilestoneCompleted(args, log) {
+    const tokenId = args.companyTokenId.toString();
+
+    const { data: existing, error: existingError } = await supabaseAdmin
+      .from('milestones')
+      .select('id, is_blockchain_verified, blockchain_milestone_index')
+      .eq('blockchain_tx_hash', log.transactionHash)
+      .maybeSingle();
+    if (existingError) throw existingError;
+
+    if (existing) {
+      if (!existing.is_blockchain_verified || existing.blockchain_milestone_index === null) {
+        const { error } = await supabaseAdmin
+          .from('milestones')
+          .update({
+            is_blockchain_verified: true,
+            blockchain_milestone_index: Number(args.milestoneIndex)
+          })
+          .eq('id', existing.id);
+        if (error) throw error;
+      }
+      return;
+    }
+
+    const company = await this.findCompanyByToken(tokenId);
+    if (!company) {
+      console.warn(`⚠️  Indexer: milestone ${log.transactionHash} targets unknown token ${tokenId}`);
+      return;
+    }
+
+    // The event carries no description, so read it back from the contract
+    let description = args.milestoneType;
+    const onchain = await blockchainService.getCompanyMilestones(tokenId);
+    if (onchain.success) {
+      const match = onchain.data[Number(args.milestoneIndex)];
+      if (match?.description) description = match.description;
+    }
+
+    const { error } = await supabaseAdmin
+      .from('milestones')
+      .insert({
+        company_id: company.id,
+        milestone_type: args.milestoneType,
+        description,
+        valuation_impact: parseFloat(ethers.formatEther(args.valuationImpact)),
+        blockchain_tx_hash: log.transactionHash,
+        blockchain_milestone_index: Number(args.milestoneIndex),
+        is_blockchain_verified: true,
+        verified: false,
+        created_at: this.toISOString(args.timestamp)
+      });
+    if (error) throw error;
+  }
+
+  // Valuation changes are applied by the verify route; here we only mirror the flag
+  async onMilestoneVerified(args) {
+    const tokenId = args.companyTokenId.toString();
+
+    const company = await this.findCompanyByToken(tokenId);
+    if (!company) return;
+
+    const { data: milestone, error } = await supabaseAdmin
+      .from('milestones')
+      .select('id, verified')
+      .eq('company_id', company.id)
+      .eq('blockchain_milestone_index', Number(args.milestoneIndex))
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!milestone || milestone.verified) return;
+
+    const verifier = await this.findProfileByWallet(args.verifier);
+    const { error: updateError } = await supabaseAdmin
+      .from('milestones')
+      .update({
+        verified: true,
+        verified_at: this.toISOString(args.timestamp),
+        verified_by: verifier?.id || null
+      })
+      .eq('id', milestone.id);
+    if (updateError) throw updateError;
+  }
+
+  async onFundingRoundCreated(args, log) {
+    const tokenId = args.companyTokenId.toString();
+
+    const company = await this.findCompanyByToken(tokenId);
+    if (!company) {
+      console.warn(`⚠️  Indexer: funding round ${args.roundId} targets unknown token ${tokenId}`);
+      return;
+    }
+
+    const { error } = await supabaseAdmin
+      .from('funding_rounds')
+      .upsert({
+        company_id: company.id,
+        blockchain_round_id: args.roundId.toString(),
+        blockchain_tx_hash: log.transactionHash,
+        is_blockchain_verified: true,
+        round_name: args.roundName,
+        target_amount: parseFloat(ethers.formatEther(args.targetAmount)),
+        valuation_cap: parseFloat(ethers.formatEther(args.valuationCap)),
+        minimum_investment: parseFloat(ethers.formatEther(args.minimumInvestment)),
+        start_time: this.toISOString(args.startTime),
+        end_time: this.toISOString(args.endTime)
+      }, { onConflict: 'blockchain_round_id' });
+    if (error) throw error;
+  }
+
+  async onFundingRoundCompleted(args) {
+    const { error } = await supabaseAdmin
+      .from('funding_rounds')
+      .update({
+        raised_amount: parseFloat(ethers.formatEther(args.totalRaised)),
+        is_active: false,
+        is_completed: true
+      })
+      .eq('blockchain_round_id', args.roundId.toString());
+    if (error) throw error;
+  }
+
+  // A round contribution taken back out of escrow in its cooling-off period, by the platform
+  // for a cancelled investment or by the investor directly on the contract
+  async onContributionCancelled(args, log) {
+    const round = await findRoundByBlockchainId(args.roundId);
+    if (!round) return;
+
+    const { data: investment, error } = await supabaseAdmin
+      .from('investments')
+      .select('id, status')
+      .eq('funding_round_id', round.id)
+      .eq('blockchain_contribution_id', args.contributionId.toString())
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!investment) {
+      console.warn(`⚠️  Indexer: cancelled contribution ${args.contributionId} of round ${args.roundId} has no investment (tx ${log.transactionHash})`);
+      return;
+    }
+    if (investment.status === 'refunded') return;
+
+    await this.recordRefund([investment.id], round, log);
+  }
+
+  // An investor's contributions to a failed round returned from escrow, claimed by the
+  // investor or by the platform for them
+  async onRefundClaimed(args, log) {
+    const round = await findRoundByBlockchainId(args.roundId);
+    if (!round) return;
+
+    const investor = await this.findProfileByWallet(args.investor);
+    if (!investor) return;
+
+    const { data: investments, error } = await supabaseAdmin
+      .from('investments')
+      .select('id')
+      .eq('funding_round_id', round.id)
+      .eq('investor_id', investor.id)
+      .eq('investment_type', 'blockchain')
+      .in('status', ['pending', 'confirmed', 'refundable']);
+    if (error) throw error;
+    if (investments.length === 0) return;
+
+    await this.recordRefund(investments.map(inv => inv.id), round, log);
+  }
+
+  async recordRefund(investmentIds, round, log) {
+    const result = await recordOnchainRefund(investmentIds, log.transactionHash.toLowerCase());
+    if (!result || result.investments.length === 0) return;
+
+    await recordValuationChange({
+      companyId: round.company_id,
+      previousValuation: result.previousValuation,
+      newValuation: result.valuation,
+      reason: 'refund'
+    });
+
+    for (const investment of result.investments) {
+      this.emit(`user:${investment.investor_id}`, 'portfolio:updated', {
+        type: 'investment-refunded',
+        investmentId: investment.id,
+        amount: investment.amount,
+        companyId: round.company_id,
+        timestamp: Date.now()
+      });
+    }
+    this.emit(`company:${round.company_id}`, 'company:updated', {
+      id: round.company_id,
+      totalInvestment: result.totalInvestment,
+      investorCount: result.investorCount
+    });
+  }
+
+  async onTransfer(args, log) {
+    // Mints are handled by CompanyCreated
+    if (args.from.toLowerCase() === ZERO_ADDRESS) return;
+
+    const tokenId = args.tokenId.toString();
+    const company = await this.findCompanyByToken(tokenId);
+    if (!company) return;
+
+    const newOwnerWallet = args.to.toLowerCase();
+    const newOwner = await this.findProfileByWallet(newOwnerWallet);
+
+    if (!newOwner) {
+      // Nobody on the platform holds the receiving wallet; park the company for an admin
+      console.warn(`⚠️  Indexer: token ${tokenId} moved to unknown wallet ${args.to}, flagging for review`);
+      await this.updateCompany(company.id, {
+        owner_review_required: true,
+        pending_owner_wallet: newOwnerWallet
+      });
+      this.emit(`company:${company.id}`, 'company:updated', {
+        id: company.id,
+        ownerReviewRequired: true
+      });
+      return;
+    }
+
+    if (company.owner_id === newOwner.id && !company.owner_review_required) return;
+
+    const previousOwnerId = company.owner_id;
+    await this.updateCompany(company.id, {
+      owner_id: newOwner.id,
+      owner_review_required: false,
+      pending_owner_wallet: null
+    });
+
+    if (previousOwnerId !== newOwner.id) {
+      const metadata = {
+        companyId: company.id,
+        tokenId,
+        from: args.from,
+        to: args.to,
+        txHash: log.transactionHash,
+        source: 'indexer'
+      };
+      await supabaseAdmin
+        .from('user_activities')
+        .insert([
+          {
+            user_id: previousOwnerId,
+            activity_type: 'company_transferred',
+            description: `Transferred ownership of ${company.name}`,
+            metadata
+          },
+          {
+            user_id: newOwner.id,
+            activity_type: 'company_received',
+            description: `Received ownership of ${company.name}`,
+            metadata
+          }
+        ]);
+    }
+
+    this.emit(`company:${company.id}`, 'company:updated', {
+      id: company.id,
+      ownerId: newOwner.id,
+      ownerReviewRequired: false
+    });
+  }
+
+  // Helpers
+
+  async findCompanyByToken(tokenId) {
+    const { data, error } = await supabaseAdmin
+      .from('companies')
+      .select('id, name, owner_id, valuation, shares_outstanding, blockchain_tx_hash, is_blockchain_verified, owner_review_required')
+      .eq('blockchain_token_id', tokenId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async findProfileByWallet(address) {
+    const { data, error } = await supabaseAdmin
+      .from('profiles')
+      .select('id, wallet_address')
+      .eq('wallet_address', address.toLowerCase())
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async updateCompany(companyId, updates) {
+    const { error } = await supabaseAdmin
+      .from('companies')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', companyId);
+    if (error) throw error;
+  }
+
+  toISOString(seconds) {
+    return new Date(Number(seconds) * 1000).toISOString();
+  }
+
+  emit(room, event, payload) {
+    try {
+      this.io?.to(room).emit(event, payload);
+    } catch (e) {
+      console.warn('Socket emit failed (indexer):', e.message);
+    }
+  }
+}
+
+module.exports = new BlockchainIndexer();
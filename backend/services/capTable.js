@@ -0,0 +1,269 @@
+const { INITIAL_SHARES, ownershipPercentage, pricePerShare, conversionPrice } = require('@vyaapar/pricing');
+const { supabaseAdmin } = require('../config/supabase');
+const blockchainService = require('../config/blockchain');
+const { unconvertedValue } = require('../utils/investmentPricing');
+const { ACTIVE_INVESTMENT_STATUSES } = require('../utils/investmentRecords');
+const { toCsv } = require('../utils/csv');
+
+/**
+ * Builds a company's cap table from the investments ledger: the founder's
+ * initial shares plus the shares issued to each investor, with on-chain share
+ * balances alongside where the company is tokenized.
+ */
+class CapTable {
+  async build(companyId) {
+    const { data: company, error } = await supabaseAdmin
+      .from('companies')
+      .select(`
+        id,
+        name,
+        owner_id,
+        valuation,
+        shares_outstanding,
+        blockchain_token_id,
+        profiles:owner_id (
+          id,
+          first_name,
+          last_name,
+          wallet_address
+        )
+      `)
+      .eq('id', companyId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch company: ${error.message}`);
+    }
+    if (!company) {
+      return null;
+    }
+
+    const [{ data: investments, error: invError }, { data: rounds, error: roundsError }] = await Promise.all([
+      supabaseAdmin
+        .from('investments')
+        .select(`
+          id,
+          investor_id,
+          amount,
+          share_count,
+          instrument_type,
+          instrument_terms,
+          conversion_status,
+          created_at,
+          profiles:investor_id (
+            first_name,
+            last_name,
+            wallet_address
+          )
+        `)
+        .eq('company_id', companyId)
+        .in('status', ACTIVE_INVESTMENT_STATUSES)
+        .order('created_at', { ascending: true }),
+      supabaseAdmin
+        .from('funding_rounds')
+        .select('id, round_name, instrument_type, target_amount, raised_amount, valuation_cap, start_time, end_time, is_completed')
+        .eq('company_id', companyId)
+        .order('start_time', { ascending: true })
+    ]);
+
+    if (invError) {
+      throw new Error(`Failed to fetch investments: ${invError.message}`);
+    }
+    if (roundsError) {
+      throw new Error(`Failed to fetch funding rounds: ${roundsError.message}`);
+    }
+
+    const founder = {
+      holderId: company.owner_id,
+      name: this.displayName(company.profiles) || 'Founder',
+      role: 'founder',
+      walletAddress: company.profiles?.wallet_address || null,
+      shares: INITIAL_SHARES,
+      invested: 0,
+      firstInvestmentAt: null
+    };
+
+    const holders = this.aggregateHolders(founder, investments);
+    const totalShares = holders.reduce((sum, h) => sum + h.shares, 0);
+    const valuation = parseFloat(company.valuation);
+
+    const shareholders = holders
+      .map(holder => ({
+        ...holder,
+        ownershipPercentage: ownershipPercentage(holder.shares, totalShares),
+        value: (holder.shares / totalShares) * valuation
+      }))
+      .sort((a, b) => b.shares - a.shares);
+
+    await this.attachOnchainBalances(company, shareholders);
+    const convertibles = this.convertibles(investments, valuation, totalShares);
+
+    return {
+      company: {
+        id: company.id,
+        name: company.name,
+        valuation,
+        tokenId: company.blockchain_token_id
+      },
+      summary: {
+        totalShares,
+        recordedSharesOutstanding: parseInt(company.shares_outstanding || INITIAL_SHARES),
+        pricePerShare: pricePerShare(valuation, totalShares),
+        shareholderCount: shareholders.length,
+        investorCount: shareholders.filter(h => h.role === 'investor').length,
+        totalInvested: investments.reduce((sum, inv) => sum + parseFloat(inv.amount || 0), 0),
+        unconvertedPrincipal: convertibles.reduce((sum, c) => sum + c.principal, 0)
+      },
+      shareholders,
+      convertibles,
+      rounds: this.roundHistory(founder, investments, rounds || [])
+    };
+  }
+
+  // Sum shares per investor; rows recorded before share pricing count as zero shares
+  aggregateHolders(founder, investments) {
+    const byInvestor = new Map();
+    byInvestor.set(founder.holderId, { ...founder });
+
+    for (const inv of investments) {
+      const shares = parseInt(inv.share_count || 0);
+      const existing = byInvestor.get(inv.investor_id);
+      if (existing) {
+        existing.shares += shares;
+        existing.invested += parseFloat(inv.amount || 0);
+        existing.firstInvestmentAt = existing.firstInvestmentAt || inv.created_at;
+        continue;
+      }
+
+      byInvestor.set(inv.investor_id, {
+        holderId: inv.investor_id,
+        name: this.displayName(inv.profiles) || 'Investor',
+        role: 'investor',
+        walletAddress: inv.profiles?.wallet_address || null,
+        shares,
+        invested: parseFloat(inv.amount || 0),
+        firstInvestmentAt: inv.created_at
+      });
+    }
+
+    return [...byInvestor.values()];
+  }
+
+  // Outstanding SAFEs and notes, with the shares each would receive if a round priced at today's valuation
+  convertibles(investments, valuation, totalShares) {
+    return investments
+      .filter(inv => inv.conversion_status === 'unconverted')
+      .map(inv => {
+        const terms = inv.instrument_terms || {};
+        const carryingValue = unconvertedValue(inv);
+        const { method, price } = conversionPrice({
+          roundPricePerShare: pricePerShare(valuation, totalShares),
+          sharesOutstanding: totalShares,
+          valuationCap: terms.valuationCap,
+          discountRate: terms.discountRate
+        });
+
+        return {
+          investmentId: inv.id,
+          holderId: inv.investor_id,
+          name: this.displayName(inv.profiles) || 'Investor',
+          instrumentType: inv.instrument_type,
+          principal: parseFloat(inv.amount),
+          carryingValue,
+          terms,
+          estimatedConversionPrice: price,
+          estimatedConversionMethod: method,
+          estimatedShares: price > 0 ? Math.floor(carryingValue / price) : 0,
+          createdAt: inv.created_at
+        };
+      });
+  }
+
+  /**
+   * Ownership after each funding round. An investment belongs to the round whose
+   * window contains it; each snapshot covers every investment up to the round's close.
+   */
+  roundHistory(founder, investments, rounds) {
+    const snapshot = (label, included, cutoff = null, round = null) => {
+      const holders = this.aggregateHolders(founder, included);
+      const totalShares = holders.reduce((sum, h) => sum + h.shares, 0);
+      const inRound = round
+        ? investments.filter(inv => {
+          const at = new Date(inv.created_at);
+          return at >= new Date(round.start_time) && at <= new Date(round.end_time);
+        })
+        : [];
+
+      return {
+        roundId: round?.id || null,
+        roundName: label,
+        closedAt: cutoff ? cutoff.toISOString() : null,
+        isCompleted: round ? !!round.is_completed : null,
+        raised: inRound.reduce((sum, inv) => sum + parseFloat(inv.amount || 0), 0),
+        sharesIssued: inRound.reduce((sum, inv) => sum + parseInt(inv.share_count || 0), 0),
+        totalShares,
+        ownership: holders.map(h => ({
+          holderId: h.holderId,
+          name: h.name,
+          role: h.role,
+          shares: h.shares,
+          ownershipPercentage: ownershipPercentage(h.shares, totalShares)
+        }))
+      };
+    };
+
+    const now = new Date();
+    const history = [snapshot('Founding', [])];
+    for (const round of rounds) {
+      const end = new Date(round.end_time);
+      const cutoff = end > now ? now : end;
+      history.push(snapshot(round.round_name, investments.filter(inv => new Date(inv.created_at) <= cutoff), cutoff, round));
+    }
+    history.push(snapshot('Current', investments, now));
+    return history;
+  }
+
+  // On-chain share balance of every holder with a wallet, when the company is tokenized
+  async attachOnchainBalances(company, shareholders) {
+    if (company.blockchain_token_id === null || company.blockchain_token_id === undefined) {
+      return;
+    }
+
+    await blockchainService.ready;
+    if (!blockchainService.sharesContract) {
+      return;
+    }
+
+    await Promise.all(shareholders.map(async (holder) => {
+      if (!holder.walletAddress) return;
+      const result = await blockchainService.getShareBalances(holder.walletAddress, [company.blockchain_token_id]);
+      if (result.success) {
+        holder.onchainShares = parseInt(result.data[0].shares);
+        holder.onchainOwnershipPercentage = result.data[0].ownershipPercentage;
+      }
+    }));
+  }
+
+  displayName(profile) {
+    if (!profile) return null;
+    return [profile.first_name, profile.last_name].filter(Boolean).join(' ') || null;
+  }
+
+  toCsv(capTable) {
+    const header = ['Holder', 'Role', 'Wallet', 'Shares', 'Ownership %', 'Invested', 'Current Value', 'On-chain Shares'];
+    const rows = capTable.shareholders.map(h => [
+      h.name,
+      h.role,
+      h.walletAddress,
+      h.shares,
+      h.ownershipPercentage.toFixed(4),
+      h.invested.toFixed(2),
+      h.value.toFixed(2),
+      h.onchainShares
+    ]);
+
+    return toCsv(header, rows);
+  }
+}
+
+module.exports = new CapTable();
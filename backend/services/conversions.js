@@ -0,0 +1,106 @@
+const { supabaseAdmin } = require('../config/supabase');
+const blockchainService = require('../config/blockchain');
+
+/**
+ * Converts a company's outstanding SAFEs and convertible notes into shares when
+ * a priced round closes successfully. Each position converts at the lower of its cap price
+ * and the discounted round price; notes convert principal plus accrued interest.
+ * Conversion runs in one transaction under the company row lock (convert_round_positions in
+ * database/investment_functions.sql). For companies registered on-chain the contract then
+ * issues each position's shares to the investor's wallet.
+ */
+class Conversions {
+  async convertForRound(roundId) {
+    const { data, error } = await supabaseAdmin.rpc('convert_round_positions', { p_round_id: roundId });
+
+    if (error) {
+      throw new Error(`Failed to convert positions: ${error.message}`);
+    }
+    if (!data) {
+      return { converted: 0, sharesIssued: 0, conversions: [] };
+    }
+
+    const conversions = data.conversions.map(c => ({
+      investmentId: c.investment_id,
+      investorId: c.investor_id,
+      instrumentType: c.instrument_type,
+      principal: parseFloat(c.principal),
+      accruedInterest: parseFloat(c.accrued_interest),
+      method: c.method,
+      conversionPrice: parseFloat(c.conversion_price),
+      shares: parseInt(c.shares)
+    }));
+    const issued = parseInt(data.shares_issued);
+
+    console.log(`🔁 Converted ${conversions.length} positions into ${issued} shares for round ${roundId}`);
+
+    if (conversions.length > 0) {
+      await this.issueOnchain();
+    }
+
+    return { converted: conversions.length, sharesIssued: issued, conversions };
+  }
+
+  // Issue the shares of converted positions that are still pending on-chain. Each position is
+  // claimed first so two backends never mint it twice; a failure puts it back with its error
+  // for the funding scheduler's next tick.
+  async issueOnchain() {
+    if (!blockchainService.contract) return;
+
+    const { data: positions, error } = await supabaseAdmin
+      .from('investments')
+      .select('id, amount, share_count, conversion_price, companies:company_id (blockchain_token_id), profiles:investor_id (wallet_address)')
+      .eq('onchain_conversion_status', 'pending');
+
+    if (error) {
+      throw new Error(`Failed to fetch conversions to issue on-chain: ${error.message}`);
+    }
+
+    for (const position of positions) {
+      const wallet = position.profiles?.wallet_address;
+      if (!wallet) {
+        await this.setOnchainStatus(position.id, 'pending', { conversion_error: 'Investor has no wallet address' });
+        continue;
+      }
+
+      const { data: claimed } = await this.setOnchainStatus(position.id, 'pending', { onchain_conversion_status: 'issuing' });
+      if (!claimed) continue;
+
+      const result = await blockchainService.issueConvertedShares(
+        position.companies.blockchain_token_id,
+        wallet,
+        position.share_count,
+        position.amount,
+        position.conversion_price
+      );
+
+      if (!result.success) {
+        console.error(`❌ Issuing converted shares of investment ${position.id} failed:`, result.error);
+        await this.setOnchainStatus(position.id, 'issuing', { onchain_conversion_status: 'pending', conversion_error: result.error });
+        continue;
+      }
+
+      const { error: issuedError } = await this.setOnchainStatus(position.id, 'issuing', {
+        onchain_conversion_status: 'issued',
+        conversion_tx_hash: result.txHash,
+        conversion_error: null
+      });
+      if (issuedError) {
+        // Left issuing so it is not minted again; an admin records the transaction
+        console.error(`❌ Converted shares of investment ${position.id} were issued in ${result.txHash} but could not be recorded:`, issuedError);
+      }
+    }
+  }
+
+  async setOnchainStatus(investmentId, expectedStatus, updates) {
+    return supabaseAdmin
+      .from('investments')
+      .update(updates)
+      .eq('id', investmentId)
+      .eq('onchain_conversion_status', expectedStatus)
+      .select('id')
+      .maybeSingle();
+  }
+}
+
+module.exports = new Conversions();
@@ -0,0 +1,415 @@
+const { supabaseAdmin } = require('../config/supabase');
+const blockchainService = require('../config/blockchain');
+const emailService = require('../utils/emailService');
+const allocation = require('./allocation');
+const conversions = require('./conversions');
+const investmentLifecycle = require('./investmentLifecycle');
+const { emitRoundCompleted, failFundingRound } = require('../utils/fundingRounds');
+const { ACTIVE_INVESTMENT_STATUSES } = require('../utils/investmentRecords');
+const { recordValuationChange } = require('../utils/valuationHistory');
+
+const LIVE_STATUSES = ['upcoming', 'open', 'closing_soon'];
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Moves funding rounds through upcoming -> open -> closing_soon -> succeeded/failed
+ * on a timer. Every transition is a compare-and-set on the previous status, so a
+ * round is only announced once even if several backends run the scheduler.
+ */
+class FundingScheduler {
+  constructor() {
+    this.io = null;
+    this.timer = null;
+    this.running = false;
+    this.lastRunAt = null;
+    this.lastError = null;
+    this.interval = parseInt(process.env.FUNDING_SCHEDULER_INTERVAL_MS) || 60000;
+    this.closingSoonMs = (parseFloat(process.env.FUNDING_CLOSING_SOON_HOURS) || 48) * HOUR_MS;
+  }
+
+  start(io) {
+    if (this.timer) return;
+    this.io = io || null;
+    console.log('⏰ Funding scheduler started', {
+      interval: this.interval,
+      closingSoonHours: this.closingSoonMs / HOUR_MS
+    });
+    this.schedule(0);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  schedule(delay) {
+    this.timer = setTimeout(async () => {
+      await this.tick();
+      if (this.timer) this.schedule(this.interval);
+    }, delay);
+  }
+
+  getStatus() {
+    return {
+      enabled: !!this.timer,
+      running: this.running,
+      lastRunAt: this.lastRunAt,
+      lastError: this.lastError
+    };
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+    this.lastError = null;
+
+    try {
+      const { data: rounds, error } = await supabaseAdmin
+        .from('funding_rounds')
+        .select(`
+          *,
+          companies (
+            id,
+            name,
+            owner_id,
+            blockchain_token_id
+          )
+        `)
+        .in('status', LIVE_STATUSES);
+
+      if (error) {
+        throw new Error(`Failed to fetch funding rounds: ${error.message}`);
+      }
+
+      const now = new Date();
+      for (const round of rounds) {
+        const next = this.nextStatus(round, now);
+        if (next !== round.status) {
+          await this.transition(round, next);
+        }
+      }
+
+      // Investments leave their cooling-off window, escrowed round shares unlock and converted
+      // shares are issued on-chain on the same timer
+      await investmentLifecycle.confirmElapsed(now);
+      await investmentLifecycle.releaseRoundShares(now);
+      await investmentLifecycle.retryRefunds(now);
+      await investmentLifecycle.refundFailedRounds();
+      await conversions.issueOnchain();
+    } catch (error) {
+      console.error('❌ Funding scheduler error:', error.message);
+      this.lastError = error.message;
+    } finally {
+      this.lastRunAt = new Date().toISOString();
+      this.running = false;
+    }
+  }
+
+  nextStatus(round, now) {
+    const raised = parseFloat(round.raised_amount || 0);
+    const target = parseFloat(round.target_amount);
+    const start = new Date(round.start_time);
+    const end = new Date(round.end_time);
+
+    // Commitment rounds stay open past their target so they can be oversubscribed
+    if (round.allocation_method && round.allocation_method !== 'first_come') {
+      if (now >= end) return parseFloat(round.committed_amount || 0) >= target ? 'succeeded' : 'failed';
+    } else if (round.is_completed || raised >= target) {
+      return 'succeeded';
+    }
+    if (now >= end) return 'failed';
+    if (now < start) return 'upcoming';
+    if (end - now <= this.closingSoonMs) return 'closing_soon';
+    return 'open';
+  }
+
+  async transition(round, status) {
+    if (status === 'failed') {
+      return this.fail(round);
+    }
+
+    const closed = status === 'succeeded' || status === 'failed';
+    const updates = {
+      status,
+      status_changed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    if (closed) {
+      updates.is_active = false;
+      updates.is_completed = status === 'succeeded';
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('funding_rounds')
+      .update(updates)
+      .eq('id', round.id)
+      .eq('status', round.status)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error(`❌ Failed to move round ${round.id} to ${status}:`, error);
+      return;
+    }
+    if (!updated) return;
+
+    console.log(`⏰ Funding round ${round.round_name} (${round.id}): ${round.status} -> ${status}`);
+    const company = round.companies;
+
+    // A short round can skip straight from upcoming to closing_soon
+    if (round.status === 'upcoming' && !closed) {
+      if (this.needsOnchainRound(updated, company) && !(await this.openOnchain(updated, company))) {
+        // No escrow to invest into yet: hold the round back and retry on the next tick
+        await supabaseAdmin
+          .from('funding_rounds')
+          .update({ status: 'upcoming', status_changed_at: round.status_changed_at })
+          .eq('id', round.id)
+          .eq('status', status);
+        return;
+      }
+      await this.announceOpened(updated, company);
+    }
+
+    if (status === 'closing_soon') {
+      await this.announceClosingSoon(updated, company);
+    } else if (closed) {
+      const settled = await this.settleCommitments(updated);
+      await this.announceClosed(settled || updated, company);
+    }
+  }
+
+  // A failed round takes its investments back out of the company in the same transaction
+  // that closes it; its escrowed contributions are refunded on-chain later in the tick
+  async fail(round) {
+    let failed;
+    try {
+      failed = await failFundingRound(round.id, round.status);
+    } catch (error) {
+      console.error(`❌ Failed to move round ${round.id} to failed:`, error.message);
+      return;
+    }
+    if (!failed) return;
+
+    console.log(`⏰ Funding round ${round.round_name} (${round.id}): ${round.status} -> failed`, {
+      reversedInvestments: failed.investments.length
+    });
+
+    await recordValuationChange({
+      companyId: round.company_id,
+      previousValuation: failed.previousValuation,
+      newValuation: failed.valuation,
+      reason: 'round_failed'
+    });
+
+    // Announce what the round had raised when it closed, and tell everyone it reversed
+    const investorIds = failed.investments.map(inv => inv.investor_id);
+    const settled = await this.settleCommitments(failed.round);
+    await this.announceClosed(settled || { ...failed.round, raised_amount: round.raised_amount }, round.companies, this.io, investorIds);
+  }
+
+  // Called when a round opens, both by the scheduler and when a round is created already open
+  async announceOpened(round, company, io = this.io) {
+    this.emit(io, null, 'funding:started', {
+      roundId: round.id,
+      companyId: company.id,
+      companyName: company.name,
+      roundName: round.round_name,
+      instrumentType: round.instrument_type,
+      targetAmount: parseFloat(round.target_amount),
+      minimumInvestment: parseFloat(round.minimum_investment || 0),
+      endTime: round.end_time
+    });
+
+    await this.recordActivities([company.owner_id], 'funding_round_started', `${round.round_name} for ${company.name} is open for investment`, round);
+  }
+
+  async announceClosingSoon(round, company) {
+    const investorIds = await this.roundInvestorIds(round.id);
+    const endsAt = new Date(round.end_time);
+    const message = `${round.round_name} for ${company.name} closes on ${endsAt.toUTCString()}`;
+
+    await this.recordActivities([company.owner_id, ...investorIds], 'funding_round_closing', message, round);
+
+    for (const userId of investorIds) {
+      this.emit(this.io, `user:${userId}`, 'notification', {
+        type: 'info',
+        message,
+        roundId: round.id,
+        companyId: company.id
+      });
+    }
+    await this.emailClosingSoon(investorIds, round, company);
+  }
+
+  // Called for every closed round, including ones closed by an investment reaching the target
+  async announceClosed(round, company, io = this.io, reversedInvestorIds = []) {
+    const status = round.status === 'failed' ? 'failed' : 'succeeded';
+    if (status === 'succeeded') {
+      await this.convertOutstanding(round);
+    }
+    emitRoundCompleted(io, round, company, status);
+
+    const investorIds = [...reversedInvestorIds, ...(await this.roundInvestorIds(round.id))];
+    const description = status === 'succeeded'
+      ? `${round.round_name} for ${company.name} reached its target`
+      : `${round.round_name} for ${company.name} closed below its target`;
+    await this.recordActivities([company.owner_id, ...investorIds], `funding_round_${status}`, description, round);
+  }
+
+  // A successful priced round converts the company's outstanding SAFEs and notes
+  async convertOutstanding(round) {
+    if (round.instrument_type !== 'priced_equity') return;
+
+    try {
+      await conversions.convertForRound(round.id);
+    } catch (error) {
+      console.error(`❌ Conversion of convertible positions failed for round ${round.id}:`, error.message);
+    }
+  }
+
+  // Allocate a closed commitment round and tell each investor what they received
+  async settleCommitments(round) {
+    if (!round.allocation_method || round.allocation_method === 'first_come') return null;
+
+    try {
+      const result = await allocation.settle(round.id);
+      for (const a of result.allocations) {
+        this.emit(this.io, `user:${a.investorId}`, 'notification', {
+          type: 'info',
+          message: a.allocatedAmount > 0
+            ? `${round.round_name}: ${a.allocatedAmount} of your ${a.committedAmount} commitment was allocated`
+            : `${round.round_name}: your ${a.committedAmount} commitment was released`,
+          roundId: round.id
+        });
+        if (a.investmentId) {
+          this.emit(this.io, `user:${a.investorId}`, 'portfolio:updated', {
+            type: 'investment-created',
+            investmentId: a.investmentId,
+            amount: a.allocatedAmount,
+            companyId: round.company_id,
+            timestamp: Date.now()
+          });
+        }
+      }
+      return { ...round, raised_amount: parseFloat(round.raised_amount || 0) + result.allocated };
+    } catch (error) {
+      console.error(`❌ Failed to settle commitments for round ${round.id}:`, error.message);
+      return null;
+    }
+  }
+
+  needsOnchainRound(round, company) {
+    return !!(company.blockchain_token_id && blockchainService.contract && !round.blockchain_round_id &&
+      round.instrument_type === 'priced_equity' && (round.allocation_method || 'first_come') === 'first_come');
+  }
+
+  // Rounds created with a future start are opened on-chain when they start. False if that failed.
+  async openOnchain(round, company) {
+    const durationSeconds = Math.floor((new Date(round.end_time) - Date.now()) / 1000);
+    if (durationSeconds <= 0) return false;
+
+    const result = await blockchainService.createFundingRound(
+      company.blockchain_token_id,
+      round.round_name,
+      round.target_amount,
+      round.valuation_cap || 0,
+      round.minimum_investment || 0,
+      durationSeconds
+    );
+
+    if (!result.success) {
+      console.error(`❌ Failed to open round ${round.id} on-chain:`, result.error);
+      this.lastError = `Round ${round.id} could not be opened on-chain: ${result.error}`;
+      return false;
+    }
+
+    const { error } = await supabaseAdmin
+      .from('funding_rounds')
+      .update({
+        blockchain_round_id: result.roundId || null,
+        blockchain_tx_hash: result.txHash,
+        is_blockchain_verified: !!result.roundId
+      })
+      .eq('id', round.id);
+
+    if (error) {
+      console.error(`❌ Failed to record on-chain round ${result.roundId} for round ${round.id}:`, error);
+    }
+    return true;
+  }
+
+  // Investors in the round, including anyone with a live or settled commitment
+  async roundInvestorIds(roundId) {
+    const [{ data: investments, error }, { data: commitments, error: commitmentsError }] = await Promise.all([
+      supabaseAdmin.from('investments').select('investor_id').eq('funding_round_id', roundId).in('status', ACTIVE_INVESTMENT_STATUSES),
+      supabaseAdmin.from('funding_commitments').select('investor_id').eq('funding_round_id', roundId).neq('status', 'withdrawn')
+    ]);
+
+    if (error || commitmentsError) {
+      console.error('❌ Failed to fetch round investors:', error || commitmentsError);
+      return [];
+    }
+    return [...new Set([...investments, ...commitments].map(row => row.investor_id))];
+  }
+
+  async recordActivities(userIds, activityType, description, round) {
+    const rows = [...new Set(userIds.filter(Boolean))].map(userId => ({
+      user_id: userId,
+      activity_type: activityType,
+      description,
+      metadata: {
+        roundId: round.id,
+        companyId: round.company_id,
+        status: round.status,
+        raisedAmount: parseFloat(round.raised_amount || 0),
+        targetAmount: parseFloat(round.target_amount)
+      }
+    }));
+    if (rows.length === 0) return;
+
+    const { error } = await supabaseAdmin.from('user_activities').insert(rows);
+    if (error) {
+      console.error('❌ Failed to record funding round activity:', error);
+    }
+  }
+
+  // Email investors who have not switched off email or investment alerts
+  async emailClosingSoon(investorIds, round, company) {
+    if (!process.env.SMTP_HOST || investorIds.length === 0) return;
+
+    const [{ data: profiles }, { data: preferences }] = await Promise.all([
+      supabaseAdmin.from('profiles').select('id, email, first_name').in('id', investorIds),
+      supabaseAdmin.from('user_preferences').select('user_id, email_notifications, investment_alerts').in('user_id', investorIds)
+    ]);
+
+    const optedOut = new Set((preferences || [])
+      .filter(p => p.email_notifications === false || p.investment_alerts === false)
+      .map(p => p.user_id));
+
+    for (const profile of profiles || []) {
+      if (!profile.email || optedOut.has(profile.id)) continue;
+      await emailService.sendRoundClosingEmail(profile.email, {
+        firstName: profile.first_name,
+        companyName: company.name,
+        companyId: company.id,
+        roundName: round.round_name,
+        endTime: round.end_time,
+        raisedAmount: parseFloat(round.raised_amount || 0),
+        targetAmount: parseFloat(round.target_amount)
+      });
+    }
+  }
+
+  emit(io, room, event, payload) {
+    if (!io) return;
+    try {
+      (room ? io.to(room) : io).emit(event, payload);
+    } catch (e) {
+      console.warn('Socket emit failed (funding scheduler):', e.message);
+    }
+  }
+}
+
+module.exports = new FundingScheduler();
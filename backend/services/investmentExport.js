@@ -0,0 +1,162 @@
+const ExcelJS = require('exceljs');
+const { supabaseAdmin } = require('../config/supabase');
+const { getWalletShareHoldings, resolveOwnership } = require('../utils/shareHoldings');
+const { isUnconverted, unconvertedValue } = require('../utils/investmentPricing');
+const { ACTIVE_INVESTMENT_STATUSES } = require('../utils/investmentRecords');
+const { toCsv } = require('../utils/csv');
+const pdf = require('../utils/pdfDocument');
+
+const COLUMNS = [
+  { key: 'date', header: 'Date', width: 12 },
+  { key: 'company', header: 'Company', width: 28 },
+  { key: 'industry', header: 'Industry', width: 18 },
+  { key: 'instrument', header: 'Instrument', width: 14 },
+  { key: 'amount', header: 'Amount', width: 14, decimals: 2, numFmt: '#,##0.00' },
+  { key: 'currentValue', header: 'Current Value', width: 14, decimals: 2, numFmt: '#,##0.00' },
+  { key: 'ownership', header: 'Ownership %', width: 12, decimals: 4, numFmt: '0.0000' },
+  { key: 'status', header: 'Status', width: 12 },
+  { key: 'verification', header: 'Verification', width: 14 },
+  { key: 'txHash', header: 'Transaction Hash', width: 68 }
+];
+
+/**
+ * A user's investments as a downloadable statement (CSV, XLSX or PDF), filtered the
+ * same way as the My Investments page: company name search, status and a date range.
+ */
+class InvestmentExport {
+  async rows(user, { search, status, from, to } = {}) {
+    let query = supabaseAdmin
+      .from('investments')
+      .select(`
+        id,
+        company_id,
+        amount,
+        share_count,
+        ownership_percentage,
+        investment_type,
+        instrument_type,
+        instrument_terms,
+        conversion_status,
+        status,
+        is_blockchain_verified,
+        blockchain_tx_hash,
+        created_at,
+        companies (
+          id,
+          name,
+          industry,
+          valuation,
+          shares_outstanding
+        )
+      `)
+      .eq('investor_id', user.id)
+      .order('created_at', { ascending: false });
+
+    if (status) query = query.eq('status', status);
+    if (from) query = query.gte('created_at', from.toISOString());
+    if (to) query = query.lte('created_at', to.toISOString());
+
+    const { data: investments, error } = await query;
+    if (error) {
+      throw new Error(`Failed to fetch investments: ${error.message}`);
+    }
+
+    const term = (search || '').trim().toLowerCase();
+    const matching = term
+      ? investments.filter(inv => (inv.companies?.name || '').toLowerCase().includes(term))
+      : investments;
+
+    const holdings = await getWalletShareHoldings(user.walletAddress);
+    const ownershipOf = resolveOwnership(matching, holdings);
+
+    return matching.map(investment => {
+      const ownership = ownershipOf(investment);
+      const currentValue = isUnconverted(investment)
+        ? unconvertedValue(investment)
+        : (ownership.ownershipPercentage / 100) * (investment.companies?.valuation || 0);
+
+      return {
+        date: investment.created_at.slice(0, 10),
+        company: investment.companies?.name || 'Unknown',
+        industry: investment.companies?.industry || '',
+        instrument: investment.instrument_type || 'equity',
+        amount: parseFloat(investment.amount),
+        currentValue,
+        ownership: ownership.ownershipPercentage,
+        status: investment.status,
+        verification: investment.is_blockchain_verified
+          ? 'verified'
+          : (investment.investment_type === 'blockchain' ? 'unverified' : 'off-chain'),
+        txHash: investment.blockchain_tx_hash || ''
+      };
+    });
+  }
+
+  toCsv(rows) {
+    return toCsv(
+      COLUMNS.map(c => c.header),
+      rows.map(row => COLUMNS.map(c => (c.decimals ? row[c.key].toFixed(c.decimals) : row[c.key])))
+    );
+  }
+
+  toWorkbook(rows) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Vyaapar.AI';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet('Investments', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = COLUMNS.map(({ key, header, width, numFmt }) => ({
+      key,
+      header,
+      width,
+      style: numFmt ? { numFmt } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(rows);
+
+    return workbook;
+  }
+
+  toPdf(rows, { from, to } = {}) {
+    const range = from || to
+      ? `${from ? from.toISOString().slice(0, 10) : 'start'} to ${to ? to.toISOString().slice(0, 10) : 'today'}`
+      : 'All time';
+    const doc = pdf.createDocument({
+      title: 'Investment Statement',
+      subtitle: `${range} · generated ${new Date().toISOString().slice(0, 10)}`
+    });
+
+    const active = rows.filter(r => ACTIVE_INVESTMENT_STATUSES.includes(r.status));
+    pdf.heading(doc, 'Summary');
+    pdf.keyValues(doc, [
+      ['Investments', rows.length],
+      ['Invested (active)', active.reduce((sum, r) => sum + r.amount, 0).toFixed(2)],
+      ['Current value (active)', active.reduce((sum, r) => sum + r.currentValue, 0).toFixed(2)]
+    ]);
+
+    pdf.heading(doc, 'Investments');
+    pdf.table(doc, [
+      { header: 'Date', width: 0.1 },
+      { header: 'Company', width: 0.18 },
+      { header: 'Amount', width: 0.11, align: 'right' },
+      { header: 'Value', width: 0.11, align: 'right' },
+      { header: 'Own. %', width: 0.08, align: 'right' },
+      { header: 'Status', width: 0.1 },
+      { header: 'Verification', width: 0.1 },
+      { header: 'Tx Hash', width: 0.22 }
+    ], rows.map(r => [
+      r.date,
+      r.company,
+      r.amount.toFixed(2),
+      r.currentValue.toFixed(2),
+      r.ownership.toFixed(4),
+      r.status,
+      r.verification,
+      r.txHash ? `${r.txHash.slice(0, 10)}…${r.txHash.slice(-8)}` : '—'
+    ]));
+
+    return doc;
+  }
+}
+
+module.exports = new InvestmentExport();
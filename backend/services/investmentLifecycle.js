@@ -0,0 +1,281 @@
+const { supabaseAdmin } = require('../config/supabase');
+const blockchainService = require('../config/blockchain');
+const { cancelInvestmentRecord } = require('../utils/investmentRecords');
+const { recordValuationChange } = require('../utils/valuationHistory');
+
+/**
+ * Moves investments through pending -> confirmed, or pending -> cancelled -> refunded
+ * when the investor cancels inside the cooling-off window. Escrowed round contributions
+ * are made for the investor's wallet and refunded to it by the platform; a refund that
+ * has not gone through when the contract's window closes ends as refund_failed. A round
+ * that fails leaves its escrowed contributions refundable until the contract has paid
+ * them back.
+ */
+class InvestmentLifecycle {
+  // Why `investment` cannot be cancelled by `investorId` right now, or null when it can
+  cancellationError(investment, investorId, now = new Date()) {
+    if (!investment || investment.investor_id !== investorId) {
+      return { status: 404, message: 'Investment not found' };
+    }
+    if (investment.status !== 'pending') {
+      return { status: 400, message: `Investment is ${investment.status} and can no longer be cancelled` };
+    }
+    if (!investment.cooling_off_ends_at || new Date(investment.cooling_off_ends_at) <= now) {
+      return { status: 400, message: 'The cooling-off period for this investment has ended' };
+    }
+    return null;
+  }
+
+  async cancel(investmentId, investorId) {
+    const { data: investment, error } = await supabaseAdmin
+      .from('investments')
+      .select('*, funding_rounds:funding_round_id (id, round_name, blockchain_round_id), profiles:investor_id (wallet_address)')
+      .eq('id', investmentId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch investment: ${error.message}`);
+    }
+
+    const rejection = this.cancellationError(investment, investorId);
+    if (rejection) {
+      return { error: rejection };
+    }
+
+    const cancelled = await cancelInvestmentRecord(investmentId, investorId);
+    if (!cancelled) {
+      // Lost a race with the cooling-off window or another cancel
+      return { error: { status: 409, message: 'Investment can no longer be cancelled' } };
+    }
+
+    await recordValuationChange({
+      companyId: investment.company_id,
+      previousValuation: cancelled.previousValuation,
+      newValuation: cancelled.valuation,
+      reason: 'cancellation'
+    });
+
+    let refund = null;
+    if (this.isEscrowed(investment)) {
+      refund = await this.refund({ ...investment, ...cancelled.investment });
+    }
+
+    console.log(`↩️ Investment ${investmentId} cancelled`, { amount: investment.amount, refunded: !!refund?.success });
+
+    return {
+      investment: refund?.investment || cancelled.investment,
+      refund,
+      companyId: investment.company_id,
+      totalInvestment: cancelled.totalInvestment,
+      investorCount: cancelled.investorCount
+    };
+  }
+
+  isEscrowed(investment) {
+    return investment.investment_type === 'blockchain' && !!investment.funding_rounds?.blockchain_round_id;
+  }
+
+  // Return a cancelled round contribution from escrow to the investor's wallet and mark the
+  // investment refunded. The contract is asked for the ETH it holds (amount_eth), never the
+  // converted `amount`. A failure is kept on the row for retryRefunds.
+  async refund(investment) {
+    const wallet = investment.profiles?.wallet_address;
+    let result;
+    if (!wallet) {
+      result = { success: false, error: 'Investor has no wallet address' };
+    } else if (investment.blockchain_contribution_id == null) {
+      result = { success: false, error: 'No on-chain contribution is recorded for this investment' };
+    } else {
+      result = await blockchainService.cancelContribution(
+        investment.funding_rounds.blockchain_round_id,
+        wallet,
+        investment.blockchain_contribution_id
+      );
+      if (result.success && investment.amount_eth && Number(result.amountEth) !== Number(investment.amount_eth)) {
+        console.warn(`⚠️ Investment ${investment.id} recorded ${investment.amount_eth} ETH but the contract refunded ${result.amountEth} ETH`);
+      }
+    }
+
+    if (!result.success) {
+      console.error(`❌ Escrow refund failed for investment ${investment.id}:`, result.error);
+      await supabaseAdmin
+        .from('investments')
+        .update({ refund_error: result.error })
+        .eq('id', investment.id);
+      return { success: false, error: result.error };
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('investments')
+      .update({
+        status: 'refunded',
+        refunded_at: new Date().toISOString(),
+        refund_tx_hash: result.txHash
+      })
+      .eq('id', investment.id)
+      .eq('status', 'cancelled')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error(`❌ Failed to mark investment ${investment.id} refunded:`, error);
+    }
+
+    return { success: true, txHash: result.txHash, investment: updated || null };
+  }
+
+  // Confirm investments whose cooling-off window has passed
+  async confirmElapsed(now = new Date()) {
+    const { data, error } = await supabaseAdmin
+      .from('investments')
+      .update({ status: 'confirmed', confirmed_at: now.toISOString() })
+      .eq('status', 'pending')
+      .lte('cooling_off_ends_at', now.toISOString())
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to confirm investments: ${error.message}`);
+    }
+    if (data.length > 0) {
+      console.log(`✅ Confirmed ${data.length} investments past their cooling-off period`);
+    }
+    return data.length;
+  }
+
+  // Unlock the escrowed shares of succeeded on-chain rounds once none of their
+  // contributions is still inside its cooling-off window
+  async releaseRoundShares(now = new Date()) {
+    if (!blockchainService.contract) return;
+
+    const { data: rounds, error } = await supabaseAdmin
+      .from('funding_rounds')
+      .select('id, round_name, blockchain_round_id, companies (blockchain_token_id), investments (status)')
+      .eq('status', 'succeeded')
+      .not('blockchain_round_id', 'is', null)
+      .is('shares_released_at', null);
+
+    if (error) {
+      throw new Error(`Failed to fetch rounds awaiting share release: ${error.message}`);
+    }
+
+    for (const round of rounds) {
+      if (!round.companies?.blockchain_token_id) continue;
+      if ((round.investments || []).some(inv => inv.status === 'pending')) continue;
+
+      const result = await blockchainService.releaseRoundShares(round.blockchain_round_id, round.companies.blockchain_token_id);
+      if (!result.success) {
+        console.error(`❌ Share release failed for round ${round.id}:`, result.error);
+        continue;
+      }
+
+      await supabaseAdmin
+        .from('funding_rounds')
+        .update({ shares_released_at: now.toISOString() })
+        .eq('id', round.id);
+      console.log(`🔓 Released escrowed shares of ${round.round_name} (${round.id})`, { transactions: result.txHashes.length });
+    }
+  }
+
+  // Retry escrow refunds that failed when the investment was cancelled. The contract only
+  // refunds inside the cooling-off window, so once it has closed the refund is marked failed
+  // for an admin to settle instead of being retried forever.
+  async retryRefunds(now = new Date()) {
+    const { data: investments, error } = await supabaseAdmin
+      .from('investments')
+      .select('*, funding_rounds:funding_round_id (id, round_name, blockchain_round_id), profiles:investor_id (wallet_address)')
+      .eq('status', 'cancelled')
+      .eq('investment_type', 'blockchain')
+      .is('refund_tx_hash', null)
+      .not('funding_round_id', 'is', null);
+
+    if (error) {
+      throw new Error(`Failed to fetch unrefunded investments: ${error.message}`);
+    }
+
+    for (const investment of investments.filter(inv => this.isEscrowed(inv))) {
+      if (new Date(investment.cooling_off_ends_at) <= now) {
+        await this.markRefundFailed(investment);
+      } else {
+        await this.refund(investment);
+      }
+    }
+  }
+
+  // Claim the escrowed contributions to failed rounds back for their investors, one claim
+  // per wallet and round since the contract refunds them together. Whatever is still
+  // refundable is retried on the next tick.
+  async refundFailedRounds() {
+    if (!blockchainService.contract) return;
+
+    const { data: investments, error } = await supabaseAdmin
+      .from('investments')
+      .select('id, funding_round_id, funding_rounds:funding_round_id (id, round_name, blockchain_round_id), profiles:investor_id (wallet_address)')
+      .eq('status', 'refundable');
+
+    if (error) {
+      throw new Error(`Failed to fetch refundable investments: ${error.message}`);
+    }
+
+    const claims = new Map();
+    for (const investment of investments) {
+      const key = `${investment.funding_round_id}:${investment.profiles?.wallet_address}`;
+      claims.set(key, [...(claims.get(key) || []), investment]);
+    }
+    for (const claim of claims.values()) {
+      await this.claimRoundRefund(claim);
+    }
+  }
+
+  async claimRoundRefund(investments) {
+    const [{ funding_rounds: round, profiles }] = investments;
+    const ids = investments.map(inv => inv.id);
+    const result = profiles?.wallet_address
+      ? await blockchainService.claimRefundFor(round.blockchain_round_id, profiles.wallet_address)
+      : { success: false, error: 'Investor has no wallet address' };
+
+    if (!result.success) {
+      console.error(`❌ Refund from failed round ${round.id} failed:`, result.error);
+      await supabaseAdmin
+        .from('investments')
+        .update({ refund_error: result.error })
+        .in('id', ids);
+      return;
+    }
+
+    const { error } = await supabaseAdmin
+      .from('investments')
+      .update({
+        status: 'refunded',
+        refunded_at: new Date().toISOString(),
+        refund_tx_hash: result.txHash,
+        refund_error: null
+      })
+      .in('id', ids)
+      .eq('status', 'refundable');
+
+    if (error) {
+      console.error(`❌ Failed to mark investments of failed round ${round.id} refunded:`, error);
+      return;
+    }
+    console.log(`↩️ Refunded ${ids.length} investments from failed round ${round.round_name} (${round.id})`, { amountEth: result.amountEth });
+  }
+
+  async markRefundFailed(investment) {
+    const { error } = await supabaseAdmin
+      .from('investments')
+      .update({
+        status: 'refund_failed',
+        refund_error: investment.refund_error || 'Cooling-off period ended before the refund went through'
+      })
+      .eq('id', investment.id)
+      .eq('status', 'cancelled');
+
+    if (error) {
+      console.error(`❌ Failed to mark refund of investment ${investment.id} failed:`, error);
+      return;
+    }
+    console.error(`❌ Escrow refund for investment ${investment.id} given up: the cooling-off period has ended`);
+  }
+}
+
+module.exports = new InvestmentLifecycle();
@@ -0,0 +1,465 @@
+const { supabaseAdmin } = require('../config/supabase');
+const emailService = require('../utils/emailService');
+const portfolioPerformance = require('./portfolioPerformance');
+const pdf = require('../utils/pdfDocument');
+
+const HOUR_MS = 60 * 60 * 1000;
+// PostgREST returns at most this many rows per request
+const PAGE_SIZE = 1000;
+// Ids per `in` filter, keeping request URLs short
+const ID_BATCH = 200;
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const isoDate = (date) => new Date(date).toISOString().slice(0, 10);
+const money = (amount) => Number(amount || 0).toFixed(2);
+
+// Every row of a query, fetched a page at a time; `build` must return a fresh, fully ordered query
+async function selectAll(build) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await build().range(from, from + PAGE_SIZE - 1);
+    if (error) return { data: null, error };
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return { data: rows, error: null };
+  }
+}
+
+/**
+ * Produces a PDF statement for every investor with holdings or activity in the month
+ * that just ended (UTC calendar months), stores it in investor_statements and emails
+ * it to investors with email notifications on. A statement is only created and sent
+ * once per investor and month, even if several backends run the scheduler.
+ */
+class InvestorStatements {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastRunAt = null;
+    this.lastError = null;
+    this.interval = parseInt(process.env.STATEMENT_SCHEDULER_INTERVAL_MS) || HOUR_MS;
+  }
+
+  start() {
+    if (this.timer) return;
+    console.log('🧾 Statement scheduler started', { interval: this.interval });
+    this.schedule(0);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  schedule(delay) {
+    this.timer = setTimeout(async () => {
+      await this.tick();
+      if (this.timer) this.schedule(this.interval);
+    }, delay);
+  }
+
+  getStatus() {
+    return {
+      enabled: !!this.timer,
+      running: this.running,
+      lastRunAt: this.lastRunAt,
+      lastError: this.lastError
+    };
+  }
+
+  async tick(now = new Date()) {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const period = this.previousMonth(now);
+      await this.retryEmails(period);
+      const created = await this.generateMonth(period);
+      if (created > 0) {
+        console.log(`🧾 Generated ${created} investor statement(s)`);
+      }
+      this.lastRunAt = new Date().toISOString();
+      this.lastError = null;
+    } catch (error) {
+      console.error('❌ Statement scheduler error:', error);
+      this.lastError = error.message;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  month(year, monthIndex) {
+    const start = new Date(Date.UTC(year, monthIndex, 1));
+    const end = new Date(Date.UTC(year, monthIndex + 1, 1) - 1);
+    return { label: `${MONTHS[start.getUTCMonth()]} ${start.getUTCFullYear()}`, start, end };
+  }
+
+  previousMonth(now) {
+    return this.month(now.getUTCFullYear(), now.getUTCMonth() - 1);
+  }
+
+  // Creates the missing statements for a month; returns how many were created
+  async generateMonth(period) {
+    const [{ data: investments, error }, { data: existing, error: existingError }] = await Promise.all([
+      selectAll(() => supabaseAdmin
+        .from('investments')
+        .select(`
+          id,
+          investor_id,
+          company_id,
+          amount,
+          share_count,
+          price_per_share,
+          instrument_type,
+          instrument_terms,
+          conversion_status,
+          converted_at,
+          status,
+          cancelled_at,
+          created_at,
+          companies (
+            id,
+            name,
+            valuation,
+            shares_outstanding
+          )
+        `)
+        .lte('created_at', period.end.toISOString())
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })),
+      selectAll(() => supabaseAdmin
+        .from('investor_statements')
+        .select('user_id')
+        .eq('period_start', isoDate(period.start))
+        .order('user_id', { ascending: true }))
+    ]);
+
+    if (error) {
+      throw new Error(`Failed to fetch investments: ${error.message}`);
+    }
+    if (existingError) {
+      throw new Error(`Failed to fetch statements: ${existingError.message}`);
+    }
+
+    const done = new Set((existing || []).map(s => s.user_id));
+    const byInvestor = new Map();
+    for (const investment of investments) {
+      if (done.has(investment.investor_id)) continue;
+      if (!byInvestor.has(investment.investor_id)) byInvestor.set(investment.investor_id, []);
+      byInvestor.get(investment.investor_id).push(investment);
+    }
+
+    const investorIds = [...byInvestor.keys()].filter(id => this.isEligible(byInvestor.get(id), period));
+    if (investorIds.length === 0) return 0;
+
+    const { profileById, optedOut } = await this.recipients(investorIds);
+
+    let created = 0;
+    for (const investorId of investorIds) {
+      try {
+        const profile = profileById.get(investorId) || { id: investorId };
+        const statement = await this.build(byInvestor.get(investorId), period);
+        const buffer = await pdf.toBuffer(this.toPdf(statement, profile));
+
+        const stored = await this.store(investorId, statement, buffer);
+        if (!stored) continue;
+        created++;
+
+        if (!optedOut.has(investorId)) {
+          await this.email(stored, profile, buffer);
+        }
+      } catch (statementError) {
+        console.error(`❌ Failed to generate statement for ${investorId}:`, statementError);
+      }
+    }
+    return created;
+  }
+
+  // Profiles and email opt-outs for a set of investors, looked up in batches
+  async recipients(investorIds) {
+    const profileById = new Map();
+    const optedOut = new Set();
+
+    for (let i = 0; i < investorIds.length; i += ID_BATCH) {
+      const ids = investorIds.slice(i, i + ID_BATCH);
+      const [{ data: profiles }, { data: preferences }] = await Promise.all([
+        supabaseAdmin.from('profiles').select('id, email, first_name, last_name').in('id', ids),
+        supabaseAdmin.from('user_preferences').select('user_id, email_notifications').in('user_id', ids)
+      ]);
+      (profiles || []).forEach(p => profileById.set(p.id, p));
+      (preferences || []).filter(p => p.email_notifications === false).forEach(p => optedOut.add(p.user_id));
+    }
+
+    return { profileById, optedOut };
+  }
+
+  // Resend statements for the month whose email failed on an earlier tick
+  async retryEmails(period) {
+    if (!process.env.SMTP_HOST) return;
+
+    const { data: unsent, error } = await selectAll(() => supabaseAdmin
+      .from('investor_statements')
+      .select('id, user_id, period_start, summary')
+      .eq('period_start', isoDate(period.start))
+      .is('emailed_at', null)
+      .order('id', { ascending: true }));
+
+    if (error) {
+      throw new Error(`Failed to fetch unsent statements: ${error.message}`);
+    }
+    if (unsent.length === 0) return;
+
+    const { profileById, optedOut } = await this.recipients([...new Set(unsent.map(s => s.user_id))]);
+    for (const stored of unsent) {
+      const profile = profileById.get(stored.user_id);
+      if (!profile?.email || optedOut.has(stored.user_id)) continue;
+
+      const file = await this.download(stored.id, stored.user_id);
+      if (file) {
+        await this.email(stored, profile, file.buffer);
+      }
+    }
+  }
+
+  // Investors who held something at month end, or invested or cancelled during the month
+  isEligible(investments, period) {
+    const during = (date) => date && new Date(date) >= period.start && new Date(date) <= period.end;
+    return investments.some(inv => portfolioPerformance.heldAt(inv, period.end)
+      || during(inv.created_at)
+      || during(inv.cancelled_at));
+  }
+
+  async build(investments, period) {
+    const companyIds = [...new Set(investments.map(inv => inv.company_id))];
+    const [{ data: history, error }, { data: milestones, error: milestonesError }] = await Promise.all([
+      supabaseAdmin
+        .from('valuation_history')
+        .select('company_id, previous_valuation, new_valuation, change_reason, created_at')
+        .in('company_id', companyIds)
+        .gt('created_at', investments[0].created_at)
+        .order('created_at', { ascending: true }),
+      supabaseAdmin
+        .from('milestones')
+        .select('company_id, milestone_type, description, valuation_impact, verified, created_at')
+        .in('company_id', companyIds)
+        .gte('created_at', period.start.toISOString())
+        .lte('created_at', period.end.toISOString())
+        .order('created_at', { ascending: true })
+    ]);
+
+    if (error) {
+      throw new Error(`Failed to fetch valuation history: ${error.message}`);
+    }
+    if (milestonesError) {
+      throw new Error(`Failed to fetch milestones: ${milestonesError.message}`);
+    }
+
+    const priceAt = portfolioPerformance.priceHistory(investments, history);
+    const openingAt = new Date(period.start.getTime() - 1);
+    const snapshot = (date) => investments.reduce((totals, inv) => {
+      if (!portfolioPerformance.heldAt(inv, date)) return totals;
+      totals.contributions += parseFloat(inv.amount);
+      totals.value += portfolioPerformance.valueAt(inv, date, priceAt);
+      return totals;
+    }, { contributions: 0, value: 0 });
+
+    const opening = snapshot(openingAt);
+    const closing = snapshot(period.end);
+
+    // Companies the investor held at some point during the month
+    const heldCompanies = new Set(investments
+      .filter(inv => new Date(inv.created_at) <= period.end
+        && (!inv.cancelled_at || new Date(inv.cancelled_at) >= period.start))
+      .map(inv => inv.company_id));
+    const companyName = new Map(investments.map(inv => [inv.company_id, inv.companies?.name || 'Unknown']));
+    const inPeriod = (date) => new Date(date) >= period.start && new Date(date) <= period.end;
+
+    return {
+      period: {
+        label: period.label,
+        start: isoDate(period.start),
+        end: isoDate(period.end)
+      },
+      openingValue: opening.value,
+      closingValue: closing.value,
+      openingContributions: opening.contributions,
+      closingContributions: closing.contributions,
+      // Change in value not explained by money added or withdrawn
+      valueChange: (closing.value - opening.value) - (closing.contributions - opening.contributions),
+      newInvestments: investments
+        .filter(inv => inPeriod(inv.created_at))
+        .map(inv => ({
+          date: isoDate(inv.created_at),
+          company: companyName.get(inv.company_id),
+          instrumentType: inv.instrument_type || 'equity',
+          amount: parseFloat(inv.amount),
+          status: inv.status
+        })),
+      valuationChanges: history
+        .filter(row => inPeriod(row.created_at)
+          && heldCompanies.has(row.company_id)
+          && !portfolioPerformance.isIssuance(row.change_reason))
+        .map(row => ({
+          date: isoDate(row.created_at),
+          company: companyName.get(row.company_id),
+          previousValuation: parseFloat(row.previous_valuation),
+          newValuation: parseFloat(row.new_valuation),
+          reason: row.change_reason
+        })),
+      milestones: (milestones || [])
+        .filter(m => heldCompanies.has(m.company_id))
+        .map(m => ({
+          date: isoDate(m.created_at),
+          company: companyName.get(m.company_id),
+          type: m.milestone_type,
+          description: m.description,
+          verified: !!m.verified
+        }))
+    };
+  }
+
+  toPdf(statement, profile) {
+    const name = [profile.first_name, profile.last_name].filter(Boolean).join(' ');
+    const doc = pdf.createDocument({
+      title: `Investor Statement · ${statement.period.label}`,
+      subtitle: `${name ? `${name} · ` : ''}${statement.period.start} to ${statement.period.end}`
+    });
+
+    pdf.heading(doc, 'Summary');
+    pdf.keyValues(doc, [
+      ['Opening portfolio value', money(statement.openingValue)],
+      ['Closing portfolio value', money(statement.closingValue)],
+      ['Net invested this month', money(statement.closingContributions - statement.openingContributions)],
+      ['Change in value', money(statement.valueChange)]
+    ]);
+
+    pdf.heading(doc, 'New investments');
+    pdf.table(doc, [
+      { header: 'Date', width: 0.15 },
+      { header: 'Company', width: 0.35 },
+      { header: 'Instrument', width: 0.15 },
+      { header: 'Status', width: 0.15 },
+      { header: 'Amount', width: 0.2, align: 'right' }
+    ], statement.newInvestments.map(i => [i.date, i.company, i.instrumentType, i.status, money(i.amount)]));
+
+    pdf.heading(doc, 'Valuation changes');
+    pdf.table(doc, [
+      { header: 'Date', width: 0.15 },
+      { header: 'Company', width: 0.3 },
+      { header: 'Reason', width: 0.15 },
+      { header: 'Previous', width: 0.15, align: 'right' },
+      { header: 'New', width: 0.15, align: 'right' },
+      { header: 'Change', width: 0.1, align: 'right' }
+    ], statement.valuationChanges.map(v => [
+      v.date,
+      v.company,
+      v.reason,
+      money(v.previousValuation),
+      money(v.newValuation),
+      v.previousValuation > 0 ? `${(((v.newValuation - v.previousValuation) / v.previousValuation) * 100).toFixed(1)}%` : '—'
+    ]));
+
+    pdf.heading(doc, 'Milestones');
+    pdf.table(doc, [
+      { header: 'Date', width: 0.15 },
+      { header: 'Company', width: 0.25 },
+      { header: 'Type', width: 0.15 },
+      { header: 'Description', width: 0.35 },
+      { header: 'Verified', width: 0.1 }
+    ], statement.milestones.map(m => [m.date, m.company, m.type, m.description, m.verified ? 'Yes' : 'No']));
+
+    pdf.note(doc, 'Values use the latest recorded company valuations and are in the platform currency.');
+    return doc;
+  }
+
+  // Null when another run already stored this investor's statement for the month
+  async store(userId, statement, buffer) {
+    const { data, error } = await supabaseAdmin
+      .from('investor_statements')
+      .insert({
+        user_id: userId,
+        period_start: statement.period.start,
+        period_end: statement.period.end,
+        summary: {
+          label: statement.period.label,
+          openingValue: statement.openingValue,
+          closingValue: statement.closingValue,
+          valueChange: statement.valueChange,
+          newInvestments: statement.newInvestments.length,
+          valuationChanges: statement.valuationChanges.length,
+          milestones: statement.milestones.length
+        },
+        pdf: `\\x${buffer.toString('hex')}`
+      })
+      .select('id, period_start, summary')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return null;
+      throw new Error(`Failed to store statement: ${error.message}`);
+    }
+    return data;
+  }
+
+  // Statements left with emailed_at unset are retried on later ticks
+  async email(stored, profile, buffer) {
+    if (!process.env.SMTP_HOST || !profile.email) return;
+
+    const result = await emailService.sendMonthlyStatementEmail(profile.email, {
+      firstName: profile.first_name,
+      periodLabel: stored.summary.label,
+      openingValue: money(stored.summary.openingValue),
+      closingValue: money(stored.summary.closingValue),
+      filename: this.filename(stored),
+      pdf: buffer
+    });
+
+    if (result.success) {
+      await supabaseAdmin
+        .from('investor_statements')
+        .update({ emailed_at: new Date().toISOString() })
+        .eq('id', stored.id);
+    }
+  }
+
+  async list(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('investor_statements')
+      .select('id, period_start, period_end, summary, emailed_at, created_at')
+      .eq('user_id', userId)
+      .order('period_start', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to fetch statements: ${error.message}`);
+    }
+    return data;
+  }
+
+  // The stored PDF, or null if the statement is not the user's
+  async download(id, userId) {
+    const { data, error } = await supabaseAdmin
+      .from('investor_statements')
+      .select('id, period_start, pdf')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch statement: ${error.message}`);
+    }
+    if (!data) return null;
+
+    // bytea comes back hex encoded
+    return {
+      filename: this.filename(data),
+      buffer: Buffer.from(data.pdf.replace(/^\\x/, ''), 'hex')
+    };
+  }
+
+  filename(statement) {
+    return `statement_${statement.period_start.slice(0, 7)}.pdf`;
+  }
+}
+
+module.exports = new InvestorStatements();
@@ -0,0 +1,191 @@
+const { pricePerShare, isConvertible } = require('@vyaapar/pricing');
+const { supabaseAdmin } = require('../config/supabase');
+const { unconvertedValue } = require('../utils/investmentPricing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days covered by each period; ALL starts at the first investment
+const PERIOD_DAYS = { '1W': 7, '1M': 30, '3M': 90, '6M': 182, '1Y': 365 };
+const DAILY_MAX_DAYS = 90;
+
+// Valuation changes that issue or cancel shares at the going price, so they move the
+// valuation without moving the share price
+const ISSUANCE_REASONS = new Set(['investment', 'conversion', 'cancellation', 'refund']);
+
+const endOfDay = (date) => {
+  const d = new Date(date);
+  d.setUTCHours(23, 59, 59, 999);
+  return d;
+};
+
+/**
+ * Rebuilds a user's portfolio value over time by replaying their investments against
+ * valuation_history. Share prices are anchored at today's price (valuation / shares
+ * outstanding) and walked back through each earlier valuation change, so the last
+ * point always matches the live portfolio.
+ */
+class PortfolioPerformance {
+  periods() {
+    return [...Object.keys(PERIOD_DAYS), 'ALL'];
+  }
+
+  async getSeries(userId, period = '1M', now = new Date()) {
+    const { data: investments, error } = await supabaseAdmin
+      .from('investments')
+      .select(`
+        id,
+        company_id,
+        amount,
+        share_count,
+        price_per_share,
+        instrument_type,
+        instrument_terms,
+        conversion_status,
+        converted_at,
+        status,
+        cancelled_at,
+        created_at,
+        companies (
+          id,
+          valuation,
+          shares_outstanding
+        )
+      `)
+      .eq('investor_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch investments: ${error.message}`);
+    }
+
+    const { start, interval } = this.range(period, investments, now);
+    const dates = this.sampleDates(start, now, interval);
+
+    if (investments.length === 0) {
+      return { period, interval, timeline: dates.map(date => this.point(date, 0, 0)) };
+    }
+
+    const companyIds = [...new Set(investments.map(inv => inv.company_id))];
+    const { data: history, error: historyError } = await supabaseAdmin
+      .from('valuation_history')
+      .select('company_id, previous_valuation, new_valuation, change_reason, created_at')
+      .in('company_id', companyIds)
+      .gt('created_at', new Date(Math.min(start.getTime(), new Date(investments[0].created_at).getTime())).toISOString())
+      .order('created_at', { ascending: true });
+
+    if (historyError) {
+      throw new Error(`Failed to fetch valuation history: ${historyError.message}`);
+    }
+
+    const priceAt = this.priceHistory(investments, history);
+
+    const timeline = dates.map(date => {
+      let contributions = 0;
+      let value = 0;
+      for (const investment of investments) {
+        if (!this.heldAt(investment, date)) continue;
+        contributions += parseFloat(investment.amount);
+        value += this.valueAt(investment, date, priceAt);
+      }
+      return this.point(date, contributions, value);
+    });
+
+    return { period, interval, timeline };
+  }
+
+  range(period, investments, now) {
+    if (PERIOD_DAYS[period]) {
+      const days = PERIOD_DAYS[period];
+      return {
+        start: new Date(now.getTime() - days * DAY_MS),
+        interval: days <= DAILY_MAX_DAYS ? 'day' : 'week'
+      };
+    }
+
+    const first = investments[0] ? new Date(investments[0].created_at) : now;
+    return {
+      start: first,
+      interval: (now - first) / DAY_MS <= DAILY_MAX_DAYS ? 'day' : 'week'
+    };
+  }
+
+  // One point per day or week from `start`, closing on `now` itself
+  sampleDates(start, now, interval) {
+    const step = (interval === 'week' ? 7 : 1) * DAY_MS;
+    const dates = [];
+    for (let t = endOfDay(start).getTime(); t < now.getTime(); t += step) {
+      dates.push(new Date(t));
+    }
+    dates.push(now);
+    return dates;
+  }
+
+  isIssuance(changeReason) {
+    return ISSUANCE_REASONS.has(changeReason);
+  }
+
+  // Price per share of each company at any time, walked back from today's price
+  priceHistory(investments, history) {
+    const changesByCompany = new Map();
+    for (const row of history) {
+      const previous = parseFloat(row.previous_valuation);
+      const next = parseFloat(row.new_valuation);
+      if (this.isIssuance(row.change_reason) || !(previous > 0) || !(next > 0)) continue;
+      if (!changesByCompany.has(row.company_id)) changesByCompany.set(row.company_id, []);
+      changesByCompany.get(row.company_id).push({ at: new Date(row.created_at), factor: next / previous });
+    }
+
+    const currentPrice = new Map(investments.map(inv => [
+      inv.company_id,
+      pricePerShare(inv.companies?.valuation, inv.companies?.shares_outstanding)
+    ]));
+
+    return (companyId, date) => {
+      let price = currentPrice.get(companyId) || 0;
+      for (const change of changesByCompany.get(companyId) || []) {
+        if (change.at > date) price /= change.factor;
+      }
+      return price;
+    };
+  }
+
+  heldAt(investment, date) {
+    if (new Date(investment.created_at) > date) return false;
+    if (investment.cancelled_at && new Date(investment.cancelled_at) <= date) return false;
+    return true;
+  }
+
+  valueAt(investment, date, priceAt) {
+    const convertible = isConvertible(investment.instrument_type);
+    const convertedBy = investment.converted_at && new Date(investment.converted_at) <= date;
+
+    // SAFEs and notes carry at principal plus interest until they convert
+    if (convertible && !convertedBy) {
+      return unconvertedValue(investment, date);
+    }
+
+    const shares = parseFloat(investment.share_count || 0);
+    if (shares > 0) {
+      return shares * priceAt(investment.company_id, date);
+    }
+
+    // Older rows without a share count move with the share price from when they were made
+    const entryPrice = priceAt(investment.company_id, new Date(investment.created_at));
+    return entryPrice > 0
+      ? parseFloat(investment.amount) * (priceAt(investment.company_id, date) / entryPrice)
+      : parseFloat(investment.amount);
+  }
+
+  point(date, contributions, value) {
+    const gain = value - contributions;
+    return {
+      date: date.toISOString().slice(0, 10),
+      contributions,
+      value,
+      return: gain,
+      returnPercentage: contributions > 0 ? (gain / contributions) * 100 : 0
+    };
+  }
+}
+
+module.exports = new PortfolioPerformance();
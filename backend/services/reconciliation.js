@@ -0,0 +1,341 @@
+const { supabaseAdmin } = require('../config/supabase');
+const blockchainService = require('../config/blockchain');
+const { ACTIVE_INVESTMENT_STATUSES } = require('../utils/investmentRecords');
+
+// Tolerance when comparing ETH-derived amounts stored as DECIMAL(15,2)
+const AMOUNT_EPSILON = 0.01;
+
+/**
+ * Compares companies, investments and milestones in Supabase with the
+ * VyaaparAI contract and optionally repairs the database side.
+ * Repairs only ever touch the database; the chain is treated as the source of truth.
+ */
+class Reconciliation {
+  async run({ apply = false } = {}) {
+    await blockchainService.ready;
+    if (!blockchainService.contract) {
+      throw new Error('Contract not initialized');
+    }
+
+    const startedAt = new Date().toISOString();
+    const findings = [];
+
+    const { data: companies, error } = await supabaseAdmin
+      .from('companies')
+      .select(`
+        id,
+        name,
+        owner_id,
+        total_investment,
+        investor_count,
+        blockchain_token_id,
+        blockchain_tx_hash,
+        is_blockchain_verified,
+        profiles:owner_id (
+          wallet_address
+        )
+      `)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch companies: ${error.message}`);
+    }
+
+    for (const company of companies) {
+      findings.push(...await this.checkCompany(company));
+    }
+
+    findings.push(...await this.checkInvestmentTransactions());
+
+    let repaired = 0;
+    const repairErrors = [];
+    if (apply) {
+      for (const finding of findings) {
+        if (!finding.repair) continue;
+        const { table, id, updates } = finding.repair;
+        const { error: repairError } = await supabaseAdmin
+          .from(table)
+          .update(updates)
+          .eq('id', id);
+
+        if (repairError) {
+          repairErrors.push({ type: finding.type, id, error: repairError.message });
+        } else {
+          finding.repaired = true;
+          repaired++;
+        }
+      }
+    }
+
+    return {
+      mode: apply ? 'apply' : 'dry-run',
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      summary: {
+        companiesChecked: companies.length,
+        mismatches: findings.length,
+        repairable: findings.filter(f => f.repair).length,
+        repaired,
+        byType: findings.reduce((acc, f) => {
+          acc[f.type] = (acc[f.type] || 0) + 1;
+          return acc;
+        }, {})
+      },
+      findings,
+      repairErrors
+    };
+  }
+
+  async checkCompany(company) {
+    const findings = [];
+    const timestamp = new Date().toISOString();
+
+    // Aggregates are derived from the investments table and can drift on their own
+    const { data: investments, error: invError } = await supabaseAdmin
+      .from('investments')
+      .select('id, amount, investor_id')
+      .eq('company_id', company.id)
+      .in('status', ACTIVE_INVESTMENT_STATUSES);
+    if (invError) {
+      throw new Error(`Failed to fetch investments for ${company.name}: ${invError.message}`);
+    }
+
+    const dbTotal = investments.reduce((sum, inv) => sum + parseFloat(inv.amount || 0), 0);
+    const dbInvestors = new Set(investments.map(inv => inv.investor_id)).size;
+    if (Math.abs(dbTotal - parseFloat(company.total_investment || 0)) > AMOUNT_EPSILON ||
+        dbInvestors !== parseInt(company.investor_count || 0)) {
+      findings.push({
+        type: 'aggregate_mismatch',
+        entity: 'company',
+        id: company.id,
+        companyId: company.id,
+        message: `${company.name}: stored totals differ from investment rows`,
+        expected: { totalInvestment: dbTotal, investorCount: dbInvestors },
+        actual: { totalInvestment: parseFloat(company.total_investment || 0), investorCount: parseInt(company.investor_count || 0) },
+        repair: {
+          table: 'companies',
+          id: company.id,
+          updates: { total_investment: dbTotal, investor_count: dbInvestors, updated_at: timestamp }
+        }
+      });
+    }
+
+    if (company.blockchain_token_id === null || company.blockchain_token_id === undefined) {
+      if (company.is_blockchain_verified) {
+        findings.push({
+          type: 'missing_token',
+          entity: 'company',
+          id: company.id,
+          companyId: company.id,
+          message: `${company.name}: marked verified but has no token ID`,
+          expected: { isBlockchainVerified: false },
+          actual: { isBlockchainVerified: true },
+          repair: {
+            table: 'companies',
+            id: company.id,
+            updates: { is_blockchain_verified: false, updated_at: timestamp }
+          }
+        });
+      }
+      return findings;
+    }
+
+    const tokenId = company.blockchain_token_id;
+    const onchain = await blockchainService.getCompany(tokenId);
+    if (!onchain.success && onchain.reason !== 'Company does not exist') {
+      // Node or network trouble says nothing about the token; report it without a repair
+      findings.push({
+        type: 'rpc_error',
+        entity: 'company',
+        id: company.id,
+        companyId: company.id,
+        message: `${company.name}: could not read token ${tokenId} from the chain`,
+        expected: null,
+        actual: { error: onchain.error },
+        repair: null
+      });
+      return findings;
+    }
+    if (!onchain.success) {
+      findings.push({
+        type: 'missing_token',
+        entity: 'company',
+        id: company.id,
+        companyId: company.id,
+        message: `${company.name}: token ${tokenId} does not exist on-chain`,
+        expected: { tokenId: null },
+        actual: { tokenId },
+        repair: {
+          table: 'companies',
+          id: company.id,
+          updates: {
+            blockchain_token_id: null,
+            blockchain_tx_hash: null,
+            is_blockchain_verified: false,
+            updated_at: timestamp
+          }
+        }
+      });
+      return findings;
+    }
+
+    const chainCompany = onchain.data;
+
+    if (!company.is_blockchain_verified) {
+      findings.push({
+        type: 'unverified_token',
+        entity: 'company',
+        id: company.id,
+        companyId: company.id,
+        message: `${company.name}: token ${tokenId} exists but company is not marked verified`,
+        expected: { isBlockchainVerified: true },
+        actual: { isBlockchainVerified: false },
+        repair: {
+          table: 'companies',
+          id: company.id,
+          updates: { is_blockchain_verified: true, updated_at: timestamp }
+        }
+      });
+    }
+
+    const ownerWallet = company.profiles?.wallet_address?.toLowerCase() || null;
+    if (ownerWallet !== chainCompany.owner.toLowerCase()) {
+      findings.push({
+        type: 'owner_mismatch',
+        entity: 'company',
+        id: company.id,
+        companyId: company.id,
+        message: `${company.name}: on-chain owner ${chainCompany.owner} is not the owner's wallet`,
+        expected: { ownerWallet: chainCompany.owner },
+        actual: { ownerWallet },
+        repair: await this.ownerRepair(company, chainCompany.owner, timestamp)
+      });
+    }
+
+    // Compare blockchain-backed investment rows with the contract's investment list
+    const chainInvestments = await blockchainService.getCompanyInvestments(tokenId);
+    if (chainInvestments.success) {
+      // The contract keeps cancelled and refunded contributions in its list, so compare every status
+      const { data: dbChainRows, error: chainRowsError } = await supabaseAdmin
+        .from('investments')
+        .select('id, amount')
+        .eq('company_id', company.id)
+        .not('blockchain_tx_hash', 'is', null);
+      if (chainRowsError) {
+        throw new Error(`Failed to fetch blockchain investments for ${company.name}: ${chainRowsError.message}`);
+      }
+
+      const rate = parseFloat(process.env.ETH_USD_RATE || '0');
+      const toUsd = (eth) => (Number.isFinite(rate) && rate > 0 ? eth * rate : eth);
+
+      const chainTotal = toUsd(chainInvestments.data.reduce((sum, inv) => sum + parseFloat(inv.amount), 0));
+      const dbChainTotal = dbChainRows.reduce((sum, inv) => sum + parseFloat(inv.amount || 0), 0);
+
+      if (chainInvestments.data.length !== dbChainRows.length ||
+          Math.abs(chainTotal - dbChainTotal) > AMOUNT_EPSILON * Math.max(1, chainInvestments.data.length)) {
+        findings.push({
+          type: 'investment_total_mismatch',
+          entity: 'company',
+          id: company.id,
+          companyId: company.id,
+          message: `${company.name}: on-chain investments differ from recorded blockchain investments`,
+          expected: { count: chainInvestments.data.length, total: chainTotal },
+          actual: { count: dbChainRows.length, total: dbChainTotal },
+          repair: null
+        });
+      }
+    }
+
+    // Compare milestones recorded on-chain with blockchain-backed milestone rows
+    const chainMilestones = await blockchainService.getCompanyMilestones(tokenId);
+    if (chainMilestones.success) {
+      const { data: milestones, error: msError } = await supabaseAdmin
+        .from('milestones')
+        .select('id, blockchain_tx_hash, is_blockchain_verified')
+        .eq('company_id', company.id)
+        .eq('is_blockchain_verified', true);
+      if (msError) {
+        throw new Error(`Failed to fetch milestones for ${company.name}: ${msError.message}`);
+      }
+
+      if (chainMilestones.data.length !== milestones.length) {
+        findings.push({
+          type: 'milestone_count_mismatch',
+          entity: 'company',
+          id: company.id,
+          companyId: company.id,
+          message: `${company.name}: ${chainMilestones.data.length} milestones on-chain, ${milestones.length} recorded`,
+          expected: { count: chainMilestones.data.length },
+          actual: { count: milestones.length },
+          repair: null
+        });
+      }
+    }
+
+    return findings;
+  }
+
+  // Point owner_id at the profile holding the on-chain owner wallet, if there is one
+  async ownerRepair(company, chainOwner, timestamp) {
+    const { data: profile } = await supabaseAdmin
+      .from('profiles')
+      .select('id')
+      .eq('wallet_address', chainOwner.toLowerCase())
+      .maybeSingle();
+
+    if (!profile || profile.id === company.owner_id) {
+      return null;
+    }
+
+    return {
+      table: 'companies',
+      id: company.id,
+      updates: { owner_id: profile.id, updated_at: timestamp }
+    };
+  }
+
+  // Investments whose tx hash has no successful receipt on this chain
+  async checkInvestmentTransactions() {
+    const findings = [];
+
+    const { data: investments, error } = await supabaseAdmin
+      .from('investments')
+      .select('id, company_id, blockchain_tx_hash, is_blockchain_verified')
+      .not('blockchain_tx_hash', 'is', null);
+
+    if (error) {
+      throw new Error(`Failed to fetch investments: ${error.message}`);
+    }
+
+    for (const investment of investments) {
+      let receipt = null;
+      try {
+        receipt = await blockchainService.provider.getTransactionReceipt(investment.blockchain_tx_hash);
+      } catch (e) {
+        console.warn(`Receipt lookup failed for ${investment.blockchain_tx_hash}:`, e.message);
+        continue;
+      }
+
+      if (receipt && receipt.status === 1) continue;
+
+      findings.push({
+        type: 'orphaned_tx_hash',
+        entity: 'investment',
+        id: investment.id,
+        companyId: investment.company_id,
+        message: receipt
+          ? `Investment ${investment.id}: transaction ${investment.blockchain_tx_hash} reverted`
+          : `Investment ${investment.id}: transaction ${investment.blockchain_tx_hash} not found on-chain`,
+        expected: { isBlockchainVerified: false },
+        actual: { isBlockchainVerified: investment.is_blockchain_verified },
+        repair: investment.is_blockchain_verified
+          ? { table: 'investments', id: investment.id, updates: { is_blockchain_verified: false } }
+          : null
+      });
+    }
+
+    return findings;
+  }
+}
+
+module.exports = new Reconciliation();
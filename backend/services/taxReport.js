@@ -0,0 +1,304 @@
+const { supabaseAdmin } = require('../config/supabase');
+const portfolioPerformance = require('./portfolioPerformance');
+const { ACTIVE_INVESTMENT_STATUSES } = require('../utils/investmentRecords');
+const { toCsv } = require('../utils/csv');
+const pdf = require('../utils/pdfDocument');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// Unlisted shares are long-term when held for more than 24 months if transferred on or
+// after 23 July 2024, and more than 36 months before that (Finance (No. 2) Act, 2024)
+const HOLDING_RULE_CHANGE = new Date('2024-07-23T00:00:00+05:30');
+const LONG_TERM_MONTHS = 24;
+const LONG_TERM_MONTHS_BEFORE_CHANGE = 36;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+// Calendar date in IST, the timezone financial years are drawn in
+const isoDate = (date) => new Date(new Date(date).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+/**
+ * Capital gains report for an Indian financial year (April to March, IST). Each investment
+ * is its own lot. Lots exited during the year (exit distributions) report realized gains;
+ * lots still held at year end (or today, for the current year) report unrealized gains at
+ * the share price rebuilt from valuation_history. Dividends are listed separately.
+ */
+class TaxReport {
+  // "2025-26" -> 1 April 2025 to 31 March 2026, IST. Null if the label is malformed.
+  parseFinancialYear(label) {
+    const match = /^(\d{4})-(\d{2})$/.exec(label || '');
+    if (!match) return null;
+
+    const startYear = parseInt(match[1]);
+    if ((startYear + 1) % 100 !== parseInt(match[2])) return null;
+
+    return {
+      label,
+      start: new Date(`${startYear}-04-01T00:00:00+05:30`),
+      end: new Date(new Date(`${startYear + 1}-04-01T00:00:00+05:30`).getTime() - 1)
+    };
+  }
+
+  currentFinancialYear(now = new Date()) {
+    const ist = new Date(now.getTime() + IST_OFFSET_MS);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  }
+
+  holdingTerm(acquiredAt, transferredAt) {
+    const months = transferredAt >= HOLDING_RULE_CHANGE ? LONG_TERM_MONTHS : LONG_TERM_MONTHS_BEFORE_CHANGE;
+    // Count calendar months on the IST date, independent of the server's timezone
+    const longTermAfter = new Date(new Date(acquiredAt).getTime() + IST_OFFSET_MS);
+    longTermAfter.setUTCMonth(longTermAfter.getUTCMonth() + months);
+    return transferredAt.getTime() > longTermAfter.getTime() - IST_OFFSET_MS ? 'long_term' : 'short_term';
+  }
+
+  async build(userId, label, now = new Date()) {
+    const fy = this.parseFinancialYear(label);
+    if (!fy) {
+      throw new Error(`Invalid financial year: ${label}`);
+    }
+    const asOf = now < fy.end ? now : fy.end;
+
+    const [{ data: investments, error }, { data: distributions, error: distributionsError }] = await Promise.all([
+      supabaseAdmin
+        .from('investments')
+        .select(`
+          id,
+          company_id,
+          amount,
+          share_count,
+          price_per_share,
+          instrument_type,
+          instrument_terms,
+          conversion_status,
+          converted_at,
+          status,
+          cancelled_at,
+          created_at,
+          companies (
+            id,
+            name,
+            valuation,
+            shares_outstanding
+          )
+        `)
+        .eq('investor_id', userId)
+        .in('status', ACTIVE_INVESTMENT_STATUSES)
+        .lte('created_at', asOf.toISOString())
+        .order('created_at', { ascending: true }),
+      supabaseAdmin
+        .from('distributions')
+        .select('id, company_id, investment_id, amount, distribution_type, distributed_at')
+        .eq('investor_id', userId)
+        .lte('distributed_at', fy.end.toISOString())
+        .order('distributed_at', { ascending: true })
+    ]);
+
+    if (error) {
+      throw new Error(`Failed to fetch investments: ${error.message}`);
+    }
+    if (distributionsError) {
+      console.error('❌ Failed to fetch distributions:', distributionsError);
+    }
+
+    const priceAt = await this.priceHistory(investments);
+    const lots = investments.map((investment, index) => ({
+      lot: index + 1,
+      investment,
+      acquiredAt: new Date(investment.created_at),
+      cost: parseFloat(investment.amount),
+      proceeds: 0,
+      exitedAt: null
+    }));
+
+    const dividends = [];
+    for (const distribution of distributions || []) {
+      const at = new Date(distribution.distributed_at);
+      const amount = parseFloat(distribution.amount);
+
+      if (distribution.distribution_type === 'dividend') {
+        if (at >= fy.start) dividends.push(distribution);
+        continue;
+      }
+
+      // Payouts go to their lot, or pro-rata by cost across the company's lots held at the time
+      for (const { lot, share } of this.allocate(distribution, lots, at)) {
+        if (distribution.distribution_type === 'return_of_capital') {
+          lot.cost -= amount * share;
+        } else {
+          lot.proceeds += amount * share;
+          lot.exitedAt = lot.exitedAt && lot.exitedAt > at ? lot.exitedAt : at;
+        }
+      }
+    }
+
+    const rows = [];
+    for (const lot of lots) {
+      if (lot.exitedAt && lot.exitedAt < fy.start) continue;
+
+      const realized = !!lot.exitedAt;
+      const date = realized ? lot.exitedAt : asOf;
+      const value = realized ? lot.proceeds : portfolioPerformance.valueAt(lot.investment, asOf, priceAt);
+
+      rows.push({
+        lot: lot.lot,
+        investmentId: lot.investment.id,
+        company: lot.investment.companies?.name,
+        instrumentType: lot.investment.instrument_type,
+        acquiredAt: isoDate(lot.acquiredAt),
+        cost: round2(lot.cost),
+        type: realized ? 'realized' : 'unrealized',
+        date: isoDate(date),
+        value: round2(value),
+        gain: round2(value - lot.cost),
+        holdingDays: Math.floor((date - lot.acquiredAt) / DAY_MS),
+        term: this.holdingTerm(lot.acquiredAt, date)
+      });
+    }
+
+    return {
+      financialYear: fy.label,
+      periodStart: isoDate(fy.start),
+      periodEnd: isoDate(fy.end),
+      asOf: isoDate(asOf),
+      lots: rows,
+      dividends: dividends.map(d => ({
+        company: investments.find(inv => inv.company_id === d.company_id)?.companies?.name || null,
+        amount: round2(parseFloat(d.amount)),
+        date: isoDate(d.distributed_at)
+      })),
+      summary: this.summarize(rows, dividends)
+    };
+  }
+
+  async priceHistory(investments) {
+    if (investments.length === 0) {
+      return () => 0;
+    }
+
+    const { data: history, error } = await supabaseAdmin
+      .from('valuation_history')
+      .select('company_id, previous_valuation, new_valuation, change_reason, created_at')
+      .in('company_id', [...new Set(investments.map(inv => inv.company_id))])
+      .gt('created_at', investments[0].created_at)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch valuation history: ${error.message}`);
+    }
+    return portfolioPerformance.priceHistory(investments, history);
+  }
+
+  allocate(distribution, lots, at) {
+    if (distribution.investment_id) {
+      const lot = lots.find(l => l.investment.id === distribution.investment_id);
+      return lot ? [{ lot, share: 1 }] : [];
+    }
+
+    const held = lots.filter(l => l.investment.company_id === distribution.company_id && l.acquiredAt <= at);
+    const totalCost = held.reduce((sum, l) => sum + l.cost, 0);
+    return held.map(lot => ({ lot, share: totalCost > 0 ? lot.cost / totalCost : 1 / held.length }));
+  }
+
+  summarize(rows, dividends) {
+    const total = (type, term) => round2(rows
+      .filter(r => r.type === type && r.term === term)
+      .reduce((sum, r) => sum + r.gain, 0));
+
+    return {
+      realized: { shortTerm: total('realized', 'short_term'), longTerm: total('realized', 'long_term') },
+      unrealized: { shortTerm: total('unrealized', 'short_term'), longTerm: total('unrealized', 'long_term') },
+      dividendIncome: round2(dividends.reduce((sum, d) => sum + parseFloat(d.amount), 0)),
+      lotCount: rows.length
+    };
+  }
+
+  toCsv(report) {
+    const header = ['Lot', 'Company', 'Instrument', 'Acquired', 'Cost', 'Type', 'Sale / Valuation Date', 'Proceeds / Value', 'Gain', 'Holding Days', 'Term'];
+    const rows = report.lots.map(r => [
+      r.lot,
+      r.company,
+      r.instrumentType,
+      r.acquiredAt,
+      r.cost.toFixed(2),
+      r.type,
+      r.date,
+      r.value.toFixed(2),
+      r.gain.toFixed(2),
+      r.holdingDays,
+      r.term
+    ]);
+    const { summary } = report;
+    const totals = [
+      [],
+      ['Financial year', report.financialYear],
+      ['Realized short-term gain', summary.realized.shortTerm.toFixed(2)],
+      ['Realized long-term gain', summary.realized.longTerm.toFixed(2)],
+      ['Unrealized short-term gain', summary.unrealized.shortTerm.toFixed(2)],
+      ['Unrealized long-term gain', summary.unrealized.longTerm.toFixed(2)],
+      ['Dividend income', summary.dividendIncome.toFixed(2)]
+    ];
+
+    return toCsv(header, [...rows, ...totals]);
+  }
+
+  toPdf(report) {
+    const doc = pdf.createDocument({
+      title: `Capital Gains Report FY ${report.financialYear}`,
+      subtitle: `${report.periodStart} to ${report.periodEnd} · unrealized gains valued as of ${report.asOf}`
+    });
+
+    const { summary } = report;
+    pdf.heading(doc, 'Summary');
+    pdf.keyValues(doc, [
+      ['Realized short-term gain', summary.realized.shortTerm.toFixed(2)],
+      ['Realized long-term gain', summary.realized.longTerm.toFixed(2)],
+      ['Unrealized short-term gain', summary.unrealized.shortTerm.toFixed(2)],
+      ['Unrealized long-term gain', summary.unrealized.longTerm.toFixed(2)],
+      ['Dividend income', summary.dividendIncome.toFixed(2)]
+    ]);
+
+    pdf.heading(doc, 'Lots');
+    pdf.table(doc, [
+      { header: 'Lot', width: 0.05 },
+      { header: 'Company', width: 0.19 },
+      { header: 'Acquired', width: 0.1 },
+      { header: 'Cost', width: 0.1, align: 'right' },
+      { header: 'Type', width: 0.1 },
+      { header: 'Date', width: 0.1 },
+      { header: 'Proceeds / Value', width: 0.12, align: 'right' },
+      { header: 'Gain', width: 0.1, align: 'right' },
+      { header: 'Days', width: 0.06, align: 'right' },
+      { header: 'Term', width: 0.08 }
+    ], report.lots.map(r => [
+      r.lot,
+      r.company,
+      r.acquiredAt,
+      r.cost.toFixed(2),
+      r.type,
+      r.date,
+      r.value.toFixed(2),
+      r.gain.toFixed(2),
+      r.holdingDays,
+      r.term === 'long_term' ? 'Long' : 'Short'
+    ]));
+
+    if (report.dividends.length > 0) {
+      pdf.heading(doc, 'Dividends');
+      pdf.table(doc, [
+        { header: 'Company', width: 0.5 },
+        { header: 'Date', width: 0.25 },
+        { header: 'Amount', width: 0.25, align: 'right' }
+      ], report.dividends.map(d => [d.company, d.date, d.amount.toFixed(2)]));
+    }
+
+    pdf.note(doc, 'Unlisted shares are long-term when held for more than 24 months (36 months for transfers before 23 July 2024). ' +
+      'Amounts are in the platform currency; unrealized gains are not taxable until the shares are transferred. ' +
+      'This report is a working aid and not tax advice.');
+
+    return doc;
+  }
+}
+
+module.exports = new TaxReport();
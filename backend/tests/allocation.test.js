@@ -0,0 +1,47 @@
+jest.mock('../config/supabase', () => ({ supabase: {}, supabaseAdmin: {} }));
+
+const allocation = require('../services/allocation');
+
+const commitment = (id, cents, tier = 1) => ({ id, investorId: `investor-${id}`, cents, tier });
+const total = (plan) => plan.reduce((sum, c) => sum + c.allocatedCents, 0);
+
+describe('proRata', () => {
+  it('allocates every commitment in full when undersubscribed', () => {
+    const plan = allocation.proRata([commitment('a', 4000), commitment('b', 5000)], 10000);
+    expect(plan.map(c => c.allocatedCents)).toEqual([4000, 5000]);
+  });
+
+  it('hands leftover cents to the largest remainders so the round fills exactly', () => {
+    const plan = allocation.proRata([commitment('a', 100), commitment('b', 100), commitment('c', 100)], 100);
+
+    expect(total(plan)).toBe(100);
+    expect(plan.map(c => c.allocatedCents).sort((x, y) => y - x)).toEqual([34, 33, 33]);
+    expect(plan.every(c => c.remainder === undefined)).toBe(true);
+  });
+
+  it('never allocates more than a commitment or the target', () => {
+    const commitments = [commitment('a', 1), commitment('b', 333), commitment('c', 6667), commitment('d', 2999)];
+    const plan = allocation.proRata(commitments, 7001);
+
+    expect(total(plan)).toBe(7001);
+    plan.forEach(c => expect(c.allocatedCents).toBeLessThanOrEqual(c.cents));
+  });
+
+  it('allocates nothing to a failed round', () => {
+    const plan = allocation.proRata([commitment('a', 100)], 0);
+    expect(plan[0].allocatedCents).toBe(0);
+  });
+});
+
+describe('byPriority', () => {
+  it('fills lower tiers first and scales the tier that no longer fits', () => {
+    const plan = allocation.byPriority([
+      commitment('new', 5000, 2),
+      commitment('existing', 6000, 1),
+      commitment('other', 5000, 2)
+    ], 10000);
+    const allocated = Object.fromEntries(plan.map(c => [c.id, c.allocatedCents]));
+
+    expect(allocated).toEqual({ existing: 6000, new: 2000, other: 2000 });
+  });
+});
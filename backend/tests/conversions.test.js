@@ -0,0 +1,141 @@
+jest.mock('../config/supabase', () => ({ supabase: {}, supabaseAdmin: { from: jest.fn(), rpc: jest.fn() } }));
+jest.mock('../config/blockchain', () => ({ contract: {}, issueConvertedShares: jest.fn() }));
+
+const { supabaseAdmin } = require('../config/supabase');
+const blockchainService = require('../config/blockchain');
+const conversions = require('../services/conversions');
+const { mockQuery: query } = require('./helpers/supabaseQuery');
+
+const pending = (overrides = {}) => ({
+  id: 'inv-1',
+  amount: 50000,
+  share_count: 12500,
+  conversion_price: 4,
+  companies: { blockchain_token_id: 3 },
+  profiles: { wallet_address: '0xinvestor' },
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('convertForRound', () => {
+  it('converts the round\'s positions in one call and maps what converted', async () => {
+    supabaseAdmin.rpc.mockResolvedValue({
+      data: {
+        conversions: [{
+          investment_id: 'inv-1',
+          investor_id: 'investor-1',
+          instrument_type: 'convertible_note',
+          principal: '50000.00',
+          accrued_interest: '2000.00',
+          method: 'cap',
+          conversion_price: '4.0000',
+          shares: 13000
+        }],
+        shares_issued: 13000,
+        previous_valuation: '1000000.00',
+        valuation: '1050000.00'
+      },
+      error: null
+    });
+    supabaseAdmin.from.mockReturnValue(query({ data: [], error: null }));
+
+    const result = await conversions.convertForRound('round-1');
+
+    expect(supabaseAdmin.rpc).toHaveBeenCalledWith('convert_round_positions', { p_round_id: 'round-1' });
+    expect(result).toEqual({
+      converted: 1,
+      sharesIssued: 13000,
+      conversions: [{
+        investmentId: 'inv-1',
+        investorId: 'investor-1',
+        instrumentType: 'convertible_note',
+        principal: 50000,
+        accruedInterest: 2000,
+        method: 'cap',
+        conversionPrice: 4,
+        shares: 13000
+      }]
+    });
+    // Issues what it converted straight away
+    expect(supabaseAdmin.from).toHaveBeenCalledWith('investments');
+  });
+
+  it('reports nothing converted when the round was not a succeeded priced round', async () => {
+    supabaseAdmin.rpc.mockResolvedValue({ data: null, error: null });
+
+    const result = await conversions.convertForRound('round-1');
+
+    expect(result).toEqual({ converted: 0, sharesIssued: 0, conversions: [] });
+    expect(supabaseAdmin.from).not.toHaveBeenCalled();
+  });
+
+  it('throws the database error', async () => {
+    supabaseAdmin.rpc.mockResolvedValue({ data: null, error: { message: 'Funding round not found' } });
+
+    await expect(conversions.convertForRound('round-1')).rejects.toThrow('Failed to convert positions: Funding round not found');
+  });
+});
+
+describe('issueOnchain', () => {
+  it('claims each pending position before minting its shares', async () => {
+    const claim = query({ data: { id: 'inv-1' }, error: null });
+    const issued = query({ data: { id: 'inv-1' }, error: null });
+    supabaseAdmin.from
+      .mockReturnValueOnce(query({ data: [pending()], error: null }))
+      .mockReturnValueOnce(claim)
+      .mockReturnValueOnce(issued);
+    blockchainService.issueConvertedShares.mockResolvedValue({ success: true, txHash: '0xissue' });
+
+    await conversions.issueOnchain();
+
+    expect(claim.update).toHaveBeenCalledWith({ onchain_conversion_status: 'issuing' });
+    expect(claim.calls).toContainEqual(['eq', 'onchain_conversion_status', 'pending']);
+    expect(blockchainService.issueConvertedShares).toHaveBeenCalledWith(3, '0xinvestor', 12500, 50000, 4);
+    expect(issued.update).toHaveBeenCalledWith({
+      onchain_conversion_status: 'issued',
+      conversion_tx_hash: '0xissue',
+      conversion_error: null
+    });
+    expect(issued.calls).toContainEqual(['eq', 'onchain_conversion_status', 'issuing']);
+  });
+
+  it('skips a position another backend already claimed', async () => {
+    supabaseAdmin.from
+      .mockReturnValueOnce(query({ data: [pending()], error: null }))
+      .mockReturnValueOnce(query({ data: null, error: null }));
+
+    await conversions.issueOnchain();
+
+    expect(blockchainService.issueConvertedShares).not.toHaveBeenCalled();
+  });
+
+  it('puts a failed issuance back with its error for the next tick', async () => {
+    const release = query();
+    supabaseAdmin.from
+      .mockReturnValueOnce(query({ data: [pending()], error: null }))
+      .mockReturnValueOnce(query({ data: { id: 'inv-1' }, error: null }))
+      .mockReturnValueOnce(release);
+    blockchainService.issueConvertedShares.mockResolvedValue({ success: false, error: 'Company does not exist' });
+
+    await conversions.issueOnchain();
+
+    expect(release.update).toHaveBeenCalledWith({ onchain_conversion_status: 'pending', conversion_error: 'Company does not exist' });
+  });
+
+  it('leaves positions of investors without a wallet pending', async () => {
+    const note = query();
+    supabaseAdmin.from
+      .mockReturnValueOnce(query({ data: [pending({ profiles: { wallet_address: null } })], error: null }))
+      .mockReturnValueOnce(note);
+
+    await conversions.issueOnchain();
+
+    expect(blockchainService.issueConvertedShares).not.toHaveBeenCalled();
+    expect(note.update).toHaveBeenCalledWith({ conversion_error: 'Investor has no wallet address' });
+  });
+});
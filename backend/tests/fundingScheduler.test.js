@@ -0,0 +1,124 @@
+jest.mock('../config/supabase', () => ({ supabase: {}, supabaseAdmin: { from: jest.fn() } }));
+jest.mock('../config/blockchain', () => ({ contract: null }));
+jest.mock('../utils/emailService', () => ({ sendRoundClosingEmail: jest.fn() }));
+jest.mock('../services/allocation', () => ({ settle: jest.fn() }));
+jest.mock('../services/conversions', () => ({ convertForRound: jest.fn() }));
+jest.mock('../services/investmentLifecycle', () => ({}));
+jest.mock('../utils/valuationHistory', () => ({ recordValuationChange: jest.fn() }));
+jest.mock('../utils/fundingRounds', () => ({ emitRoundCompleted: jest.fn(), failFundingRound: jest.fn() }));
+
+const { supabaseAdmin } = require('../config/supabase');
+const { emitRoundCompleted, failFundingRound } = require('../utils/fundingRounds');
+const { recordValuationChange } = require('../utils/valuationHistory');
+const scheduler = require('../services/fundingScheduler');
+const { mockQuery } = require('./helpers/supabaseQuery');
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2026-03-01T12:00:00Z');
+const at = (hours) => new Date(now.getTime() + hours * HOUR).toISOString();
+
+const round = (overrides = {}) => ({
+  id: 'round-1',
+  company_id: 'company-1',
+  round_name: 'Seed',
+  status: 'open',
+  instrument_type: 'priced_equity',
+  allocation_method: 'first_come',
+  raised_amount: 400,
+  target_amount: 1000,
+  start_time: at(-24),
+  end_time: at(24 * 7),
+  companies: { id: 'company-1', name: 'Acme', owner_id: 'founder-1' },
+  ...overrides
+});
+
+// Route supabase queries by table, each table answering with `results[table]`
+const tables = (results = {}) => {
+  const queries = {};
+  supabaseAdmin.from.mockImplementation(table => {
+    queries[table] = queries[table] || [];
+    const query = mockQuery(results[table] || { data: [], error: null });
+    queries[table].push(query);
+    return query;
+  });
+  return queries;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  scheduler.io = null;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('nextStatus', () => {
+  it('holds a round back until it starts and opens it afterwards', () => {
+    expect(scheduler.nextStatus(round({ start_time: at(1) }), now)).toBe('upcoming');
+    expect(scheduler.nextStatus(round(), now)).toBe('open');
+  });
+
+  it('marks a round closing soon inside the closing window', () => {
+    expect(scheduler.nextStatus(round({ end_time: at(12) }), now)).toBe('closing_soon');
+  });
+
+  it('succeeds a round at its target and fails one that ends below it', () => {
+    expect(scheduler.nextStatus(round({ raised_amount: 1000 }), now)).toBe('succeeded');
+    expect(scheduler.nextStatus(round({ end_time: at(0) }), now)).toBe('failed');
+  });
+
+  it('keeps commitment rounds open past their target and decides them at the end', () => {
+    const commitments = { allocation_method: 'pro_rata', committed_amount: 1500 };
+    expect(scheduler.nextStatus(round(commitments), now)).toBe('open');
+    expect(scheduler.nextStatus(round({ ...commitments, end_time: at(0) }), now)).toBe('succeeded');
+    expect(scheduler.nextStatus(round({ ...commitments, committed_amount: 900, end_time: at(0) }), now)).toBe('failed');
+  });
+});
+
+describe('transition', () => {
+  it('only moves a round on from the status it was read in', async () => {
+    const queries = tables({ funding_rounds: { data: null, error: null } });
+
+    await scheduler.transition(round(), 'closing_soon');
+
+    const [update] = queries.funding_rounds;
+    expect(update.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'closing_soon' }));
+    expect(update.calls).toContainEqual(['eq', 'status', 'open']);
+    expect(queries.user_activities).toBeUndefined();
+  });
+
+  it('reverses a failed round\'s investments and tells their investors', async () => {
+    failFundingRound.mockResolvedValue({
+      round: round({ status: 'failed', raised_amount: 0 }),
+      investments: [{ id: 'inv-1', investor_id: 'investor-1', amount: 400, status: 'refundable' }],
+      previousValuation: 10400,
+      valuation: 10000
+    });
+    const queries = tables();
+
+    await scheduler.transition(round(), 'failed');
+
+    expect(failFundingRound).toHaveBeenCalledWith('round-1', 'open');
+    expect(recordValuationChange).toHaveBeenCalledWith(expect.objectContaining({
+      companyId: 'company-1',
+      previousValuation: 10400,
+      newValuation: 10000,
+      reason: 'round_failed'
+    }));
+    // Announced with what the round had raised when it closed
+    expect(emitRoundCompleted).toHaveBeenCalledWith(null, expect.objectContaining({ raised_amount: 400 }), expect.anything(), 'failed');
+    const [activities] = queries.user_activities[0].insert.mock.calls[0];
+    expect(activities.map(a => a.user_id).sort()).toEqual(['founder-1', 'investor-1']);
+    expect(activities.every(a => a.activity_type === 'funding_round_failed')).toBe(true);
+  });
+
+  it('does nothing when another scheduler already failed the round', async () => {
+    failFundingRound.mockResolvedValue(null);
+    const queries = tables();
+
+    await scheduler.transition(round(), 'failed');
+
+    expect(recordValuationChange).not.toHaveBeenCalled();
+    expect(emitRoundCompleted).not.toHaveBeenCalled();
+    expect(queries.user_activities).toBeUndefined();
+  });
+});
@@ -0,0 +1,16 @@
+// A supabase query builder that records its calls and resolves to `result`, awaited
+// directly or through maybeSingle()
+function mockQuery(result = { data: null, error: null }) {
+  const query = { calls: [] };
+  ['select', 'insert', 'update', 'delete', 'eq', 'neq', 'in', 'is', 'not', 'lte'].forEach(method => {
+    query[method] = jest.fn((...args) => {
+      query.calls.push([method, ...args]);
+      return query;
+    });
+  });
+  query.maybeSingle = jest.fn(() => Promise.resolve(result));
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+}
+
+module.exports = { mockQuery };
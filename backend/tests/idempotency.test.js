@@ -0,0 +1,146 @@
+jest.mock('../config/supabase', () => ({ supabase: {}, supabaseAdmin: { from: jest.fn() } }));
+jest.mock('../config/blockchain', () => ({ txTimeoutMs: 10 * 60 * 1000 }));
+
+const { supabaseAdmin } = require('../config/supabase');
+const { idempotency } = require('../middleware/idempotency');
+const { mockQuery: query } = require('./helpers/supabaseQuery');
+
+const MINUTE = 60 * 1000;
+const duplicate = { data: null, error: { code: '23505', message: 'duplicate key value' } };
+
+const request = (key = 'key-1', body = { companyId: 'company-1', amount: 1000 }) => ({
+  method: 'POST',
+  baseUrl: '/api/investments',
+  path: '/',
+  body,
+  user: { id: 'investor-1' },
+  header: jest.fn(name => (name === 'Idempotency-Key' ? key : undefined))
+});
+
+const response = () => {
+  const res = { statusCode: 200, headers: {} };
+  res.status = jest.fn(code => { res.statusCode = code; return res; });
+  res.json = jest.fn(() => res);
+  res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+  res.on = jest.fn();
+  return res;
+};
+
+// The stored row for a first request with the same key and body
+const storedRow = async (overrides = {}) => {
+  const insert = query();
+  supabaseAdmin.from.mockReturnValueOnce(insert);
+  await idempotency(request(), response(), jest.fn());
+  const [row] = insert.insert.mock.calls[0];
+  jest.clearAllMocks();
+  return { ...row, created_at: new Date().toISOString(), ...overrides };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('idempotency', () => {
+  it('passes requests without a key straight through', async () => {
+    const next = jest.fn();
+
+    await idempotency(request(null), response(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(supabaseAdmin.from).not.toHaveBeenCalled();
+  });
+
+  it('claims a new key and stores the response once it is sent', async () => {
+    const insert = query();
+    const store = query();
+    supabaseAdmin.from.mockReturnValueOnce(insert).mockReturnValueOnce(store);
+    const res = response();
+    const next = jest.fn();
+
+    await idempotency(request(), res, next);
+    expect(next).toHaveBeenCalled();
+    expect(insert.insert).toHaveBeenCalledWith(expect.objectContaining({ idempotency_key: 'key-1', status: 'in_progress' }));
+
+    res.status(201).json({ success: true, data: { id: 'inv-1' } });
+
+    expect(store.update).toHaveBeenCalledWith({
+      status: 'completed',
+      response_status: 201,
+      response_body: { success: true, data: { id: 'inv-1' } }
+    });
+  });
+
+  it('releases the key when the request fails with a server error', async () => {
+    const release = query();
+    supabaseAdmin.from.mockReturnValueOnce(query()).mockReturnValueOnce(release);
+    const res = response();
+
+    await idempotency(request(), res, jest.fn());
+    res.status(500).json({ success: false, message: 'Failed to create investment' });
+
+    expect(release.delete).toHaveBeenCalled();
+    expect(release.update).not.toHaveBeenCalled();
+  });
+
+  it('replays the stored response of a completed request', async () => {
+    const row = await storedRow({ status: 'completed', response_status: 201, response_body: { success: true } });
+    supabaseAdmin.from
+      .mockReturnValueOnce(query(duplicate))
+      .mockReturnValueOnce(query({ data: row, error: null }));
+    const res = response();
+    const next = jest.fn();
+
+    await idempotency(request(), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.headers['Idempotent-Replayed']).toBe('true');
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ success: true });
+  });
+
+  it('rejects a key reused for a different request', async () => {
+    const row = await storedRow({ status: 'completed', response_status: 201, response_body: { success: true } });
+    supabaseAdmin.from
+      .mockReturnValueOnce(query(duplicate))
+      .mockReturnValueOnce(query({ data: row, error: null }));
+    const res = response();
+
+    await idempotency(request('key-1', { companyId: 'company-1', amount: 2000 }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(422);
+  });
+
+  it('keeps a request waiting on its transaction in progress past the old five minutes', async () => {
+    const row = await storedRow({ status: 'in_progress', created_at: new Date(Date.now() - 8 * MINUTE).toISOString() });
+    supabaseAdmin.from
+      .mockReturnValueOnce(query(duplicate))
+      .mockReturnValueOnce(query({ data: row, error: null }));
+    const res = response();
+    const next = jest.fn();
+
+    await idempotency(request(), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('reclaims a key whose request outlived the transaction timeout', async () => {
+    const row = await storedRow({ status: 'in_progress', created_at: new Date(Date.now() - 20 * MINUTE).toISOString() });
+    const forget = query();
+    const reclaim = query();
+    supabaseAdmin.from
+      .mockReturnValueOnce(query(duplicate))
+      .mockReturnValueOnce(query({ data: row, error: null }))
+      .mockReturnValueOnce(forget)
+      .mockReturnValueOnce(reclaim);
+    const next = jest.fn();
+
+    await idempotency(request(), response(), next);
+
+    expect(forget.delete).toHaveBeenCalled();
+    expect(forget.calls).toContainEqual(['eq', 'created_at', row.created_at]);
+    expect(reclaim.insert).toHaveBeenCalled();
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,169 @@
+jest.mock('../config/supabase', () => ({ supabase: {}, supabaseAdmin: { from: jest.fn() } }));
+jest.mock('../config/blockchain', () => ({ contract: {}, cancelContribution: jest.fn(), claimRefundFor: jest.fn() }));
+jest.mock('../utils/investmentRecords', () => ({ cancelInvestmentRecord: jest.fn() }));
+jest.mock('../utils/valuationHistory', () => ({ recordValuationChange: jest.fn() }));
+
+const { supabaseAdmin } = require('../config/supabase');
+const blockchainService = require('../config/blockchain');
+const { cancelInvestmentRecord } = require('../utils/investmentRecords');
+const lifecycle = require('../services/investmentLifecycle');
+const { mockQuery: query } = require('./helpers/supabaseQuery');
+
+const now = new Date('2026-01-10T12:00:00Z');
+const escrowed = (overrides = {}) => ({
+  id: 'inv-1',
+  investor_id: 'investor-1',
+  company_id: 'company-1',
+  status: 'pending',
+  amount: 1000,
+  amount_eth: '0.5',
+  investment_type: 'blockchain',
+  blockchain_contribution_id: '3',
+  cooling_off_ends_at: '2026-01-11T12:00:00Z',
+  funding_rounds: { id: 'round-1', blockchain_round_id: 7 },
+  profiles: { wallet_address: '0xinvestor' },
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('cancellationError', () => {
+  it('allows the investor to cancel a pending investment inside its window', () => {
+    expect(lifecycle.cancellationError(escrowed(), 'investor-1', now)).toBeNull();
+  });
+
+  it('hides investments of other investors', () => {
+    expect(lifecycle.cancellationError(escrowed(), 'investor-2', now).status).toBe(404);
+  });
+
+  it('refuses investments that are no longer pending or past their window', () => {
+    expect(lifecycle.cancellationError(escrowed({ status: 'confirmed' }), 'investor-1', now).status).toBe(400);
+    expect(lifecycle.cancellationError(escrowed({ cooling_off_ends_at: '2026-01-10T12:00:00Z' }), 'investor-1', now).status).toBe(400);
+  });
+});
+
+describe('refund', () => {
+  it('cancels the investment\'s own contribution on chain and marks it refunded', async () => {
+    blockchainService.cancelContribution.mockResolvedValue({ success: true, txHash: '0xrefund', amountEth: '0.5' });
+    const update = query({ data: { id: 'inv-1', status: 'refunded' }, error: null });
+    supabaseAdmin.from.mockReturnValue(update);
+
+    const result = await lifecycle.refund(escrowed({ status: 'cancelled' }));
+
+    expect(blockchainService.cancelContribution).toHaveBeenCalledWith(7, '0xinvestor', '3');
+    expect(result).toEqual({ success: true, txHash: '0xrefund', investment: { id: 'inv-1', status: 'refunded' } });
+    expect(update.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'refunded', refund_tx_hash: '0xrefund' }));
+    expect(update.calls).toContainEqual(['eq', 'status', 'cancelled']);
+  });
+
+  it('keeps the error on the investment when there is no contribution to cancel', async () => {
+    const update = query();
+    supabaseAdmin.from.mockReturnValue(update);
+
+    const result = await lifecycle.refund(escrowed({ blockchain_contribution_id: null }));
+
+    expect(blockchainService.cancelContribution).not.toHaveBeenCalled();
+    expect(result.success).toBe(false);
+    expect(update.update).toHaveBeenCalledWith({ refund_error: result.error });
+  });
+
+  it('keeps the contract\'s error on the investment', async () => {
+    blockchainService.cancelContribution.mockResolvedValue({ success: false, error: 'Cooling-off period has ended' });
+    const update = query();
+    supabaseAdmin.from.mockReturnValue(update);
+
+    const result = await lifecycle.refund(escrowed({ status: 'cancelled' }));
+
+    expect(result).toEqual({ success: false, error: 'Cooling-off period has ended' });
+    expect(update.update).toHaveBeenCalledWith({ refund_error: 'Cooling-off period has ended' });
+  });
+});
+
+describe('cancel', () => {
+  it('reverses the investment and refunds an escrowed contribution', async () => {
+    const investment = escrowed({ cooling_off_ends_at: new Date(Date.now() + 60000).toISOString() });
+    supabaseAdmin.from
+      .mockReturnValueOnce(query({ data: investment, error: null }))
+      .mockReturnValueOnce(query({ data: { ...investment, status: 'refunded' }, error: null }));
+    cancelInvestmentRecord.mockResolvedValue({
+      investment: { ...investment, status: 'cancelled' },
+      previousValuation: 11000,
+      valuation: 10000,
+      totalInvestment: 0,
+      investorCount: 0
+    });
+    blockchainService.cancelContribution.mockResolvedValue({ success: true, txHash: '0xrefund', amountEth: '0.5' });
+
+    const result = await lifecycle.cancel('inv-1', 'investor-1');
+
+    expect(cancelInvestmentRecord).toHaveBeenCalledWith('inv-1', 'investor-1');
+    expect(result.refund.success).toBe(true);
+    expect(result.investment.status).toBe('refunded');
+  });
+
+  it('reports a conflict when the investment was settled in the meantime', async () => {
+    const investment = escrowed({ cooling_off_ends_at: new Date(Date.now() + 60000).toISOString() });
+    supabaseAdmin.from.mockReturnValueOnce(query({ data: investment, error: null }));
+    cancelInvestmentRecord.mockResolvedValue(null);
+
+    const result = await lifecycle.cancel('inv-1', 'investor-1');
+
+    expect(result.error.status).toBe(409);
+    expect(blockchainService.cancelContribution).not.toHaveBeenCalled();
+  });
+});
+
+describe('retryRefunds', () => {
+  it('retries refunds inside the window and gives up on the rest', async () => {
+    const open = escrowed({ id: 'open', status: 'cancelled' });
+    const closed = escrowed({ id: 'closed', status: 'cancelled', cooling_off_ends_at: '2026-01-09T12:00:00Z' });
+    const markFailed = query();
+    const markRefunded = query({ data: { id: 'open', status: 'refunded' }, error: null });
+    supabaseAdmin.from
+      .mockReturnValueOnce(query({ data: [open, closed], error: null }))
+      .mockReturnValueOnce(markRefunded)
+      .mockReturnValueOnce(markFailed);
+    blockchainService.cancelContribution.mockResolvedValue({ success: true, txHash: '0xrefund', amountEth: '0.5' });
+
+    await lifecycle.retryRefunds(now);
+
+    expect(blockchainService.cancelContribution).toHaveBeenCalledTimes(1);
+    expect(markRefunded.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'refunded' }));
+    expect(markFailed.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'refund_failed' }));
+    expect(markFailed.calls).toContainEqual(['eq', 'id', 'closed']);
+  });
+});
+
+describe('refundFailedRounds', () => {
+  it('claims each investor\'s contributions to a failed round back once', async () => {
+    const refundable = (id, wallet) => ({
+      id,
+      funding_round_id: 'round-1',
+      funding_rounds: { id: 'round-1', round_name: 'Seed', blockchain_round_id: 7 },
+      profiles: { wallet_address: wallet }
+    });
+    const markA = query();
+    const markB = query();
+    supabaseAdmin.from
+      .mockReturnValueOnce(query({ data: [refundable('a1', '0xa'), refundable('b1', '0xb'), refundable('a2', '0xa')], error: null }))
+      .mockReturnValueOnce(markA)
+      .mockReturnValueOnce(markB);
+    blockchainService.claimRefundFor
+      .mockResolvedValueOnce({ success: true, txHash: '0xrefund', amountEth: '1.5' })
+      .mockResolvedValueOnce({ success: false, error: 'Funding round has not ended' });
+
+    await lifecycle.refundFailedRounds();
+
+    expect(blockchainService.claimRefundFor.mock.calls).toEqual([[7, '0xa'], [7, '0xb']]);
+    expect(markA.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'refunded', refund_tx_hash: '0xrefund' }));
+    expect(markA.calls).toContainEqual(['in', 'id', ['a1', 'a2']]);
+    expect(markA.calls).toContainEqual(['eq', 'status', 'refundable']);
+    // Left refundable for the next tick
+    expect(markB.update).toHaveBeenCalledWith({ refund_error: 'Funding round has not ended' });
+  });
+});
@@ -0,0 +1,75 @@
+const pricing = require('@vyaapar/pricing');
+
+describe('quoteInvestment', () => {
+  it('issues new shares at the pre-money price and moves the valuation to post-money', () => {
+    const quote = pricing.quoteInvestment({ amount: 100000, valuation: 1000000, sharesOutstanding: 10000000 });
+
+    expect(quote.pricePerShare).toBe(0.1);
+    expect(quote.shares).toBe(1000000);
+    expect(quote.postMoneyValuation).toBe(1100000);
+    expect(quote.sharesOutstandingAfter).toBe(11000000);
+    // Same basis points VyaaparAI.sol emits in InvestmentReceived
+    expect(quote.ownershipBasisPoints).toBe(909);
+  });
+
+  it('rounds the share count down like the contract', () => {
+    const quote = pricing.quoteInvestment({ amount: 1, valuation: 3, sharesOutstanding: 10 });
+    expect(quote.shares).toBe(3);
+  });
+
+  it('quotes nothing for a zero amount or an unvalued company', () => {
+    expect(pricing.quoteInvestment({ amount: 0, valuation: 1000000, sharesOutstanding: 10000000 }).shares).toBe(0);
+    expect(pricing.quoteInvestment({ amount: 100, valuation: 0, sharesOutstanding: 10000000 }).shares).toBe(0);
+  });
+
+  it('falls back to the initial share count when none is recorded', () => {
+    const quote = pricing.quoteInvestment({ amount: '100000', valuation: '1000000', sharesOutstanding: 0 });
+    expect(quote.sharesOutstandingBefore).toBe(pricing.INITIAL_SHARES);
+    expect(quote.shares).toBe(1000000);
+  });
+});
+
+describe('dilute', () => {
+  it('shrinks an existing stake by the share issuance', () => {
+    expect(pricing.dilute(10, 10000000, 12500000)).toBeCloseTo(8);
+  });
+});
+
+describe('accruedInterest', () => {
+  const note = { principal: 1000, interestRate: 10, startDate: '2024-01-01T00:00:00Z', maturityDate: '2025-12-31T00:00:00Z' };
+
+  it('accrues simple annual interest', () => {
+    expect(pricing.accruedInterest({ ...note, asOf: new Date('2024-12-31T00:00:00Z') })).toBeCloseTo(100);
+  });
+
+  it('stops accruing at maturity', () => {
+    const atMaturity = pricing.accruedInterest({ ...note, asOf: new Date(note.maturityDate) });
+    expect(pricing.accruedInterest({ ...note, asOf: new Date('2027-01-01T00:00:00Z') })).toBeCloseTo(atMaturity);
+  });
+
+  it('is zero without a rate', () => {
+    expect(pricing.accruedInterest({ ...note, interestRate: 0 })).toBe(0);
+  });
+});
+
+describe('conversion', () => {
+  const round = { roundPricePerShare: 1, sharesOutstanding: 10000000 };
+
+  it('converts at the cap price when it is lower than the discounted price', () => {
+    expect(pricing.conversionPrice({ ...round, valuationCap: 5000000, discountRate: 20 })).toEqual({ method: 'cap', price: 0.5 });
+  });
+
+  it('converts at the discounted price when it is lower than the cap price', () => {
+    expect(pricing.conversionPrice({ ...round, valuationCap: 9000000, discountRate: 20 })).toEqual({ method: 'discount', price: 0.8 });
+  });
+
+  it('converts at the round price without a cap or discount', () => {
+    expect(pricing.conversionPrice(round)).toEqual({ method: 'round', price: 1 });
+  });
+
+  it('converts principal plus interest into whole shares', () => {
+    const position = pricing.convertPosition({ ...round, principal: 1000, interest: 1, discountRate: 30 });
+    expect(position.convertedAmount).toBe(1001);
+    expect(position.shares).toBe(Math.floor(1001 / 0.7));
+  });
+});
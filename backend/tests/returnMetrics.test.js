@@ -0,0 +1,80 @@
+const { xirr, returnMetrics } = require('../utils/returnMetrics');
+
+describe('xirr', () => {
+  it('is 100% for money doubled over a year', () => {
+    const rate = xirr([
+      { amount: -1000, date: '2024-01-01T00:00:00Z' },
+      { amount: 2000, date: '2024-12-31T00:00:00Z' }
+    ]);
+    expect(rate).toBeCloseTo(1, 6);
+  });
+
+  it('weights flows by their dates', () => {
+    const rate = xirr([
+      { amount: -1000, date: '2023-01-01T00:00:00Z' },
+      { amount: -1000, date: '2024-01-01T00:00:00Z' },
+      { amount: 2310, date: '2025-01-01T00:00:00Z' }
+    ]);
+    // 1000 * 1.1^2 + 1000 * 1.1 = 2310
+    expect(rate).toBeCloseTo(0.1, 3);
+  });
+
+  it('handles a total loss', () => {
+    const rate = xirr([
+      { amount: -1000, date: '2024-01-01T00:00:00Z' },
+      { amount: 1, date: '2025-01-01T00:00:00Z' }
+    ]);
+    expect(rate).toBeGreaterThan(-1);
+    expect(rate).toBeLessThan(-0.99);
+  });
+
+  it('is null without a sign change', () => {
+    expect(xirr([
+      { amount: -1000, date: '2024-01-01T00:00:00Z' },
+      { amount: -500, date: '2024-06-01T00:00:00Z' }
+    ])).toBeNull();
+  });
+
+  it('is null when every flow falls on the same day', () => {
+    expect(xirr([
+      { amount: -1000, date: '2024-01-01T00:00:00Z' },
+      { amount: 1200, date: '2024-01-01T00:00:00Z' }
+    ])).toBeNull();
+  });
+});
+
+describe('returnMetrics', () => {
+  it('reports multiples and a percentage xirr', () => {
+    const metrics = returnMetrics({
+      contributions: [{ amount: 1000, date: '2024-01-01T00:00:00Z' }],
+      distributions: [{ amount: 500, date: '2024-07-01T00:00:00Z' }],
+      value: 1000,
+      asOf: new Date('2024-12-31T00:00:00Z')
+    });
+
+    expect(metrics.totalValue).toBe(1500);
+    expect(metrics.gain).toBe(500);
+    expect(metrics.moic).toBe(1.5);
+    expect(metrics.tvpi).toBe(1.5);
+    expect(metrics.dpi).toBe(0.5);
+    expect(metrics.rvpi).toBe(1);
+    expect(metrics.xirr).toBeGreaterThan(50);
+  });
+
+  it('leaves dpi null until something is distributed', () => {
+    const metrics = returnMetrics({
+      contributions: [{ amount: 1000, date: '2024-01-01T00:00:00Z' }],
+      value: 1000,
+      asOf: new Date('2024-12-31T00:00:00Z')
+    });
+
+    expect(metrics.dpi).toBeNull();
+    expect(metrics.xirr).toBeCloseTo(0, 6);
+  });
+
+  it('has no multiples without paid-in capital', () => {
+    const metrics = returnMetrics({ contributions: [], value: 0 });
+    expect(metrics.moic).toBeNull();
+    expect(metrics.xirr).toBeNull();
+  });
+});
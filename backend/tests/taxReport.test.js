@@ -0,0 +1,44 @@
+jest.mock('../config/supabase', () => ({ supabase: {}, supabaseAdmin: {} }));
+
+const taxReport = require('../services/taxReport');
+
+describe('parseFinancialYear', () => {
+  it('spans 1 April to 31 March in IST', () => {
+    const fy = taxReport.parseFinancialYear('2025-26');
+
+    expect(fy.label).toBe('2025-26');
+    expect(fy.start.toISOString()).toBe('2025-03-31T18:30:00.000Z');
+    expect(fy.end.toISOString()).toBe('2026-03-31T18:29:59.999Z');
+  });
+
+  it('handles the century rollover', () => {
+    expect(taxReport.parseFinancialYear('2099-00').end.toISOString()).toBe('2100-03-31T18:29:59.999Z');
+  });
+
+  it.each(['2025-27', '2025', '25-26', '', null, undefined])('rejects %p', (label) => {
+    expect(taxReport.parseFinancialYear(label)).toBeNull();
+  });
+});
+
+describe('currentFinancialYear', () => {
+  it('switches on 1 April IST', () => {
+    expect(taxReport.currentFinancialYear(new Date('2025-03-31T18:29:59Z'))).toBe('2024-25');
+    expect(taxReport.currentFinancialYear(new Date('2025-03-31T18:30:00Z'))).toBe('2025-26');
+  });
+});
+
+describe('holdingTerm', () => {
+  it('is long-term only after more than 24 months for transfers from 23 July 2024', () => {
+    const acquired = new Date('2023-01-31T20:00:00Z');
+
+    expect(taxReport.holdingTerm(acquired, new Date('2025-01-31T20:00:00Z'))).toBe('short_term');
+    expect(taxReport.holdingTerm(acquired, new Date('2025-01-31T20:00:01Z'))).toBe('long_term');
+  });
+
+  it('needs more than 36 months for transfers before 23 July 2024', () => {
+    const acquired = new Date('2021-06-01T00:00:00Z');
+
+    expect(taxReport.holdingTerm(acquired, new Date('2024-05-01T00:00:00Z'))).toBe('short_term');
+    expect(taxReport.holdingTerm(acquired, new Date('2024-06-02T00:00:00Z'))).toBe('long_term');
+  });
+});
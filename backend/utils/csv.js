@@ -0,0 +1,20 @@
+// Minimal CSV writer for report downloads; quotes cells containing commas, quotes or newlines
+const FORMULA_PREFIX = /^[=+\-@]/;
+const NUMBER = /^-?\d+(\.\d+)?$/;
+
+// Spreadsheets run text starting with = + - @ as a formula; a leading ' keeps it text.
+// Plain numbers such as negative gains are left alone.
+const neutralize = (text) => (FORMULA_PREFIX.test(text) && !NUMBER.test(text) ? `'${text}` : text);
+
+const escapeCell = (value) => {
+  const text = neutralize(value === null || value === undefined ? '' : String(value));
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(escapeCell).join(',')).join('\n');
+}
+
+module.exports = {
+  toCsv
+};
@@ -83,6 +83,64 @@ class EmailService {
             return { success: false, error: error.message };
         }
     }
+
+    async sendRoundClosingEmail(to, { firstName, companyName, companyId, roundName, endTime, raisedAmount, targetAmount }) {
+        const companyLink = `${process.env.FRONTEND_URL}/dashboard/companies/${companyId}`;
+        const progress = targetAmount > 0 ? Math.min(100, (raisedAmount / targetAmount) * 100).toFixed(0) : 0;
+
+        const mailOptions = {
+            from: `"Vyaapar AI" <${process.env.SMTP_FROM}>`,
+            to,
+            subject: `${roundName} for ${companyName} is closing soon`,
+            html: `
+                <h1>${roundName} is closing soon</h1>
+                <p>Hello ${firstName || 'there'},</p>
+                <p>The ${roundName} round for ${companyName}, which you invested in, closes on ${new Date(endTime).toUTCString()}.</p>
+                <p>It has raised ${raisedAmount} of its ${targetAmount} target (${progress}%).</p>
+                <p><a href="${companyLink}">View ${companyName}</a></p>
+                <p>Best regards,<br>Vyaapar AI Team</p>
+            `
+        };
+
+        try {
+            const info = await this.transporter.sendMail(mailOptions);
+            console.log('Round closing email sent:', info.messageId);
+            return { success: true, messageId: info.messageId };
+        } catch (error) {
+            console.error('Error sending round closing email:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async sendMonthlyStatementEmail(to, { firstName, periodLabel, openingValue, closingValue, filename, pdf }) {
+        const profileLink = `${process.env.FRONTEND_URL}/profile`;
+
+        const mailOptions = {
+            from: `"Vyaapar AI" <${process.env.SMTP_FROM}>`,
+            to,
+            subject: `Your Vyaapar AI statement for ${periodLabel}`,
+            html: `
+                <h1>Your ${periodLabel} statement</h1>
+                <p>Hello ${firstName || 'there'},</p>
+                <p>Your investor statement for ${periodLabel} is attached.</p>
+                <p>Your portfolio went from ${openingValue} to ${closingValue} over the month.</p>
+                <p>Past statements are available from <a href="${profileLink}">your profile</a>.</p>
+                <p>Best regards,<br>Vyaapar AI Team</p>
+            `,
+            attachments: [
+                { filename, content: pdf, contentType: 'application/pdf' }
+            ]
+        };
+
+        try {
+            const info = await this.transporter.sendMail(mailOptions);
+            console.log('Monthly statement email sent:', info.messageId);
+            return { success: true, messageId: info.messageId };
+        } catch (error) {
+            console.error('Error sending monthly statement email:', error);
+            return { success: false, error: error.message };
+        }
+    }
 }
 
 module.exports = new EmailService();
\ No newline at end of file
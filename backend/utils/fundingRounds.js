@@ -0,0 +1,144 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// The round an investment goes to: the requested round, or else the company's latest
+// active round that has started. Null when the company is not raising a round.
+async function findRoundForInvestment(companyId, fundingRoundId = null) {
+  let query = supabaseAdmin
+    .from('funding_rounds')
+    .select('*')
+    .eq('company_id', companyId);
+
+  if (fundingRoundId) {
+    query = query.eq('id', fundingRoundId);
+  } else {
+    query = query
+      .eq('is_active', true)
+      .eq('is_completed', false)
+      .lte('start_time', new Date().toISOString())
+      .order('start_time', { ascending: false })
+      .limit(1);
+  }
+
+  const { data, error } = await query.maybeSingle();
+  if (error) {
+    throw new Error(`Failed to fetch funding round: ${error.message}`);
+  }
+  return data;
+}
+
+// The platform round opened on-chain as `blockchainRoundId`, or null if there is none
+async function findRoundByBlockchainId(blockchainRoundId) {
+  const { data, error } = await supabaseAdmin
+    .from('funding_rounds')
+    .select('*')
+    .eq('blockchain_round_id', String(blockchainRoundId))
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch funding round: ${error.message}`);
+  }
+  return data;
+}
+
+// Why `amount` cannot be invested in `round` right now, or null when it can
+function roundRuleViolation(round, amount, now = new Date()) {
+  const raised = parseFloat(round.raised_amount || 0);
+  const target = parseFloat(round.target_amount);
+  const minimum = parseFloat(round.minimum_investment || 0);
+
+  if (!round.is_active || round.is_completed) {
+    return `${round.round_name} is closed`;
+  }
+  if (round.allocation_method && round.allocation_method !== 'first_come') {
+    return `${round.round_name} takes commitments, which are allocated when it closes`;
+  }
+  if (new Date(round.start_time) > now) {
+    return `${round.round_name} opens on ${new Date(round.start_time).toISOString()}`;
+  }
+  if (new Date(round.end_time) <= now) {
+    return `${round.round_name} ended on ${new Date(round.end_time).toISOString()}`;
+  }
+  if (amount < minimum) {
+    return `Minimum investment in ${round.round_name} is ${minimum}`;
+  }
+  if (raised + amount > target) {
+    return `${round.round_name} has ${Math.max(0, target - raised)} left before reaching its target of ${target}`;
+  }
+  return null;
+}
+
+// Atomically add `amount` to the round's raised_amount, re-checking every rule in the
+// database. Returns the updated round, or null if another investment got there first.
+async function reserveRoundAllocation(roundId, amount) {
+  const { data, error } = await supabaseAdmin.rpc('reserve_round_allocation', {
+    p_round_id: roundId,
+    p_amount: amount
+  });
+  if (error) {
+    throw new Error(`Failed to reserve round allocation: ${error.message}`);
+  }
+  return data?.[0] || null;
+}
+
+async function releaseRoundAllocation(roundId, amount) {
+  const { error } = await supabaseAdmin.rpc('release_round_allocation', {
+    p_round_id: roundId,
+    p_amount: amount
+  });
+  if (error) {
+    console.error('❌ Failed to release round allocation:', error);
+  }
+}
+
+// Close a round below its target and reverse every investment that still stands in it, in
+// one transaction. Resolves to { round, investments, previousValuation, valuation }, or null
+// when the round has already left `previousStatus`.
+async function failFundingRound(roundId, previousStatus) {
+  const { data, error } = await supabaseAdmin.rpc('fail_funding_round', {
+    p_round_id: roundId,
+    p_previous_status: previousStatus
+  });
+  if (error) {
+    throw new Error(`Failed to close funding round: ${error.message}`);
+  }
+  if (!data) {
+    return null;
+  }
+
+  return {
+    round: data.round,
+    investments: data.investments,
+    previousValuation: parseFloat(data.previous_valuation),
+    valuation: parseFloat(data.valuation)
+  };
+}
+
+// Broadcast a closed round; company pages and listings both listen
+function emitRoundCompleted(io, round, company, status = 'succeeded') {
+  if (!io) return;
+  try {
+    io.emit('funding:completed', {
+      roundId: round.id,
+      companyId: company.id,
+      companyName: company.name,
+      roundName: round.round_name,
+      instrumentType: round.instrument_type,
+      raisedAmount: parseFloat(round.raised_amount),
+      targetAmount: parseFloat(round.target_amount),
+      status,
+      completedAt: round.updated_at || new Date().toISOString()
+    });
+  } catch (e) {
+    console.warn('Socket emit failed (funding):', e.message);
+  }
+}
+
+module.exports = {
+  findRoundForInvestment,
+  findRoundByBlockchainId,
+  roundRuleViolation,
+  reserveRoundAllocation,
+  releaseRoundAllocation,
+  failFundingRound,
+  emitRoundCompleted
+};
@@ -0,0 +1,64 @@
+const { quoteInvestment, ownershipPercentage, accruedInterest } = require('@vyaapar/pricing');
+
+// Quote an investment against the company's current valuation and share count. This is a
+// preview only: record_investment prices the row again against the locked company row.
+function priceInvestment(company, amount) {
+  return quoteInvestment({
+    amount,
+    valuation: company.valuation,
+    sharesOutstanding: company.shares_outstanding
+  });
+}
+
+// Current ownership of an investment row: its shares against today's share count, so
+// later investments dilute it. Rows recorded before share pricing keep their stored value.
+function currentOwnershipPercentage(investment, sharesOutstanding) {
+  if (investment.share_count === null || investment.share_count === undefined) {
+    return parseFloat(investment.ownership_percentage || 0);
+  }
+  return ownershipPercentage(investment.share_count, sharesOutstanding);
+}
+
+// Columns for a SAFE or note position. It holds no shares and leaves the valuation
+// untouched until the company's next priced round converts it (services/conversions).
+function convertibleInvestmentFields(round) {
+  return {
+    funding_round_id: round.id,
+    instrument_type: round.instrument_type,
+    instrument_terms: {
+      valuationCap: round.valuation_cap !== null ? parseFloat(round.valuation_cap) : null,
+      discountRate: round.discount_rate !== null ? parseFloat(round.discount_rate) : null,
+      interestRate: round.interest_rate !== null ? parseFloat(round.interest_rate) : null,
+      maturityDate: round.maturity_date
+    },
+    conversion_status: 'unconverted',
+    ownership_percentage: 0,
+    share_count: 0
+  };
+}
+
+const isUnconverted = (investment) => investment.conversion_status === 'unconverted';
+
+// Unconverted positions are carried at principal plus interest accrued so far
+function unconvertedValue(investment, asOf = new Date()) {
+  const principal = parseFloat(investment.amount);
+  if (investment.instrument_type !== 'convertible_note') {
+    return principal;
+  }
+  const terms = investment.instrument_terms || {};
+  return principal + accruedInterest({
+    principal,
+    interestRate: terms.interestRate,
+    startDate: investment.created_at,
+    maturityDate: terms.maturityDate,
+    asOf
+  });
+}
+
+module.exports = {
+  priceInvestment,
+  currentOwnershipPercentage,
+  convertibleInvestmentFields,
+  isUnconverted,
+  unconvertedValue
+};
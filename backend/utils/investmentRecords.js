@@ -0,0 +1,180 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { findRoundByBlockchainId, reserveRoundAllocation, releaseRoundAllocation } = require('./fundingRounds');
+
+// Investments that still count towards holdings and company aggregates
+const ACTIVE_INVESTMENT_STATUSES = ['pending', 'confirmed'];
+const HOUR_MS = 60 * 60 * 1000;
+
+const coolingOffMs = () => (parseFloat(process.env.INVESTMENT_COOLING_OFF_HOURS) || 0) * HOUR_MS;
+
+// Status fields for a new investment. Only investments whose funds are still held, off-chain
+// or in a round's escrow, get a cooling-off window; the rest are confirmed straight away.
+// Escrowed contributions pass the contract's deadline so the database never outlives it.
+function initialStatusFields(refundable, now = new Date(), coolingOffEndsAt = null) {
+  const endsAt = coolingOffEndsAt ? new Date(coolingOffEndsAt) : new Date(now.getTime() + coolingOffMs());
+  if (!refundable || endsAt <= now) {
+    return { status: 'confirmed' };
+  }
+  return {
+    status: 'pending',
+    cooling_off_ends_at: endsAt.toISOString()
+  };
+}
+
+// Round and status fields for an investment proven on-chain, shared by POST /api/blockchain/invest
+// and the indexer. A round contribution (roundId > 0) is linked to the platform round and counted
+// towards it, keeps its contract contribution id for cancellation, and stays pending until the
+// contract's cooling-off deadline for it since it is still in escrow; a direct investment was
+// paid to the founder and is confirmed. Resolves to { fields, countedRound } (the round after
+// counting the amount, if it fitted), or { error } when the on-chain round is not one of the platform's.
+async function onchainInvestmentFields({ roundId, contributionId, coolingOffEndsAt }, amount, now = new Date()) {
+  if (!roundId || String(roundId) === '0') {
+    return { fields: { funding_round_id: null, ...initialStatusFields(false) }, countedRound: null };
+  }
+
+  const round = await findRoundByBlockchainId(roundId);
+  if (!round) {
+    return { error: `On-chain round ${roundId} is not linked to a funding round` };
+  }
+
+  // The contract has already taken the funds, so a contribution outside the database's
+  // limits (e.g. replayed after the round ended) is still recorded against the round
+  const countedRound = await reserveRoundAllocation(round.id, amount);
+  if (!countedRound) {
+    console.warn(`⚠️  Contribution of ${amount} to ${round.round_name} (${round.id}) is outside its limits and was not added to raised_amount`);
+  }
+
+  return {
+    fields: {
+      funding_round_id: round.id,
+      blockchain_contribution_id: contributionId ?? null,
+      counted_in_round: !!countedRound,
+      ...initialStatusFields(true, now, coolingOffEndsAt)
+    },
+    countedRound
+  };
+}
+
+// Insert an investment row, price its shares and move the company to its post-money valuation
+// (priced equity only), bump the company's total_investment and distinct investor_count, and
+// log the investor's activity unless `description` is null, all in one transaction under the
+// company row lock (database/investment_functions.sql). Resolves to { investment,
+// totalInvestment, investorCount, valuation, sharesOutstanding } or { error } with the Postgres error.
+async function recordInvestment(record, { description, metadata = {} }) {
+  const { data, error } = await supabaseAdmin.rpc('record_investment', {
+    p_investment: record,
+    p_activity_description: description,
+    p_activity_metadata: metadata
+  });
+
+  if (error) {
+    return { error };
+  }
+
+  return {
+    investment: data.investment,
+    totalInvestment: parseFloat(data.total_investment),
+    investorCount: data.investor_count,
+    valuation: parseFloat(data.valuation),
+    sharesOutstanding: parseInt(data.shares_outstanding)
+  };
+}
+
+// The investment another writer (the indexer or an API route) recorded for `txHash` first, after
+// this writer's insert hit the unique key. This writer's round reservation of `amount`, if any,
+// is handed to that row when it went uncounted and released otherwise, so the contribution is
+// in raised_amount exactly once. Resolves to { investment, countedHere } (countedHere when the
+// reservation was handed over); investment is null if no row is found.
+async function adoptRecordedInvestment(txHash, countedRoundId, amount) {
+  const { data: existing, error } = await supabaseAdmin
+    .from('investments')
+    .select('*')
+    .eq('blockchain_tx_hash', txHash)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch recorded investment: ${error.message}`);
+  }
+  if (!countedRoundId) {
+    return { investment: existing, countedHere: false };
+  }
+
+  let adopted = false;
+  if (existing && !existing.counted_in_round && existing.funding_round_id === countedRoundId) {
+    const { data, error: adoptError } = await supabaseAdmin
+      .from('investments')
+      .update({ counted_in_round: true })
+      .eq('id', existing.id)
+      .eq('counted_in_round', false)
+      .select('id');
+    if (adoptError) {
+      console.error(`❌ Failed to count investment ${existing.id} towards its round:`, adoptError);
+    }
+    adopted = !adoptError && data.length > 0;
+  }
+  if (!adopted) {
+    await releaseRoundAllocation(countedRoundId, amount);
+  }
+  return {
+    investment: existing && { ...existing, counted_in_round: existing.counted_in_round || adopted },
+    countedHere: adopted
+  };
+}
+
+// Mark investments of one company refunded by the contract in `txHash`, reversing any that still
+// stood (database/investment_functions.sql). Replays skip investments already refunded.
+async function recordOnchainRefund(investmentIds, txHash) {
+  const { data, error } = await supabaseAdmin.rpc('record_onchain_refund', {
+    p_investment_ids: investmentIds,
+    p_tx_hash: txHash
+  });
+
+  if (error) {
+    throw new Error(`Failed to record on-chain refund: ${error.message}`);
+  }
+  if (!data) {
+    return null;
+  }
+
+  return {
+    investments: data.investments,
+    previousValuation: parseFloat(data.previous_valuation),
+    valuation: parseFloat(data.valuation),
+    totalInvestment: parseFloat(data.total_investment),
+    investorCount: data.investor_count
+  };
+}
+
+// Cancel a pending investment and reverse its company aggregates, shares and round allocation
+// in one transaction (database/investment_functions.sql). Resolves to null when it cannot be cancelled.
+async function cancelInvestmentRecord(investmentId, investorId) {
+  const { data, error } = await supabaseAdmin.rpc('cancel_investment', {
+    p_investment_id: investmentId,
+    p_investor_id: investorId
+  });
+
+  if (error) {
+    throw new Error(`Failed to cancel investment: ${error.message}`);
+  }
+  if (!data) {
+    return null;
+  }
+
+  return {
+    investment: data.investment,
+    previousValuation: parseFloat(data.previous_valuation),
+    valuation: parseFloat(data.valuation),
+    totalInvestment: parseFloat(data.total_investment),
+    investorCount: data.investor_count
+  };
+}
+
+module.exports = {
+  ACTIVE_INVESTMENT_STATUSES,
+  initialStatusFields,
+  onchainInvestmentFields,
+  recordInvestment,
+  adoptRecordedInvestment,
+  recordOnchainRefund,
+  cancelInvestmentRecord
+};
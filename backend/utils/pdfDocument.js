@@ -0,0 +1,95 @@
+const PDFDocument = require('pdfkit');
+
+const MUTED = '#6b7280';
+const RULE = '#e5e7eb';
+
+// A4 report with a title block; pipe it to a response or collect it with toBuffer
+function createDocument({ title, subtitle }) {
+  const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: title, Author: 'Vyaapar.AI' } });
+
+  doc.font('Helvetica-Bold').fontSize(16).text(title);
+  if (subtitle) {
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED).text(subtitle).fillColor('black');
+  }
+  doc.moveDown();
+  return doc;
+}
+
+function heading(doc, text) {
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(12).text(text, doc.page.margins.left);
+  doc.moveDown(0.3);
+}
+
+// Label / value lines, e.g. report totals
+function keyValues(doc, pairs) {
+  doc.fontSize(10);
+  for (const [label, value] of pairs) {
+    doc.font('Helvetica').text(`${label}: `, doc.page.margins.left, doc.y, { continued: true });
+    doc.font('Helvetica-Bold').text(String(value));
+  }
+}
+
+function note(doc, text) {
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(8).fillColor(MUTED).text(text, doc.page.margins.left).fillColor('black');
+}
+
+/**
+ * Draw a table that breaks across pages, repeating the header row.
+ * columns: [{ header, width, align }] where width is a fraction of the printable width.
+ */
+function table(doc, columns, rows) {
+  const left = doc.page.margins.left;
+  const printable = doc.page.width - left - doc.page.margins.right;
+  const widths = columns.map(c => c.width * printable);
+
+  const drawRow = (cells, bold) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    const texts = cells.map(cell => (cell === null || cell === undefined ? '' : String(cell)));
+    const height = Math.max(...texts.map((text, i) => doc.heightOfString(text, { width: widths[i] - 4 }))) + 6;
+
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      if (!bold) drawRow(columns.map(c => c.header), true);
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    }
+
+    const top = doc.y;
+    let x = left;
+    texts.forEach((text, i) => {
+      doc.text(text, x + 2, top + 3, { width: widths[i] - 4, align: columns[i].align || 'left' });
+      x += widths[i];
+    });
+
+    doc.y = top + height;
+    doc.moveTo(left, doc.y).lineTo(left + printable, doc.y).strokeColor(RULE).stroke();
+  };
+
+  drawRow(columns.map(c => c.header), true);
+  if (rows.length === 0) {
+    drawRow(['None', ...columns.slice(1).map(() => '')], false);
+  }
+  rows.forEach(row => drawRow(row, false));
+  doc.x = left;
+}
+
+// Finish the document and resolve with its bytes (for email attachments and storage)
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+module.exports = {
+  createDocument,
+  heading,
+  keyValues,
+  note,
+  table,
+  toBuffer
+};
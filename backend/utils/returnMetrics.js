@@ -0,0 +1,95 @@
+// Private-market return metrics from dated cash flows. Contributions are negative
+// flows, distributions positive, and the current value (NAV) is treated as a final
+// distribution on `asOf`. Percentages are 0-100 like the rest of the portfolio API.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365;
+
+// Annualised rate r where sum(amount / (1 + r)^(days / 365)) = 0. Null when the flows
+// have no sign change or all fall on the same day.
+function xirr(cashFlows) {
+  const flows = cashFlows
+    .filter(f => Number.isFinite(f.amount) && f.amount !== 0)
+    .map(f => ({ amount: f.amount, time: new Date(f.date).getTime() }));
+
+  if (!flows.some(f => f.amount > 0) || !flows.some(f => f.amount < 0)) return null;
+
+  const start = Math.min(...flows.map(f => f.time));
+  const years = flows.map(f => (f.time - start) / DAY_MS / YEAR_DAYS);
+  if (Math.max(...years) === 0) return null;
+
+  const npv = (rate) => flows.reduce((sum, f, i) => sum + f.amount / Math.pow(1 + rate, years[i]), 0);
+  const slope = (rate) => flows.reduce((sum, f, i) => sum - (years[i] * f.amount) / Math.pow(1 + rate, years[i] + 1), 0);
+
+  // Newton's method converges quickly for ordinary portfolios
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const value = npv(rate);
+    const derivative = slope(rate);
+    if (!Number.isFinite(value) || !derivative) break;
+    const next = rate - value / derivative;
+    if (!Number.isFinite(next) || next <= -1) break;
+    if (Math.abs(next - rate) < 1e-9) return next;
+    rate = next;
+  }
+
+  // Otherwise bisect, widening the upper bound for very short, very profitable holdings
+  let low = -0.999999;
+  let high = 10;
+  let lowValue = npv(low);
+  while (lowValue * npv(high) > 0 && high < 1e9) high *= 10;
+  if (lowValue * npv(high) > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const midValue = npv(mid);
+    if (Math.abs(midValue) < 1e-7 || high - low < 1e-12) return mid;
+    if (lowValue * midValue < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      lowValue = midValue;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * MOIC, TVPI, DPI, RVPI and XIRR for one position, company or portfolio.
+ *   contributions: [{ amount, date }]  capital paid in (positive amounts)
+ *   distributions: [{ amount, date }]  cash returned to the investor
+ *   value:         current value of what is still held
+ * DPI is null until something has been distributed. With no fees or carry, MOIC and
+ * TVPI coincide for a direct investor; both are reported for familiarity.
+ */
+function returnMetrics({ contributions, distributions = [], value, asOf = new Date() }) {
+  const paidIn = contributions.reduce((sum, c) => sum + c.amount, 0);
+  const distributed = distributions.reduce((sum, d) => sum + d.amount, 0);
+  const totalValue = distributed + value;
+
+  const rate = xirr([
+    ...contributions.map(c => ({ amount: -c.amount, date: c.date })),
+    ...distributions.map(d => ({ amount: d.amount, date: d.date })),
+    { amount: value, date: asOf }
+  ]);
+
+  const multiple = (amount) => (paidIn > 0 ? amount / paidIn : null);
+
+  return {
+    paidIn,
+    distributed,
+    value,
+    totalValue,
+    gain: totalValue - paidIn,
+    moic: multiple(totalValue),
+    tvpi: multiple(totalValue),
+    dpi: distributions.length > 0 ? multiple(distributed) : null,
+    rvpi: multiple(value),
+    xirr: rate === null ? null : rate * 100
+  };
+}
+
+module.exports = {
+  xirr,
+  returnMetrics
+};
@@ -0,0 +1,88 @@
+const { supabaseAdmin } = require('../config/supabase');
+const blockchainService = require('../config/blockchain');
+const { currentOwnershipPercentage } = require('./investmentPricing');
+const { ACTIVE_INVESTMENT_STATUSES } = require('./investmentRecords');
+
+// On-chain share positions of a wallet across all tokenized companies (including zero
+// balances), keyed by company id. Empty when there is no wallet or share token.
+async function getWalletShareHoldings(walletAddress) {
+  const holdings = new Map();
+  if (!walletAddress || !blockchainService.isValidAddress(walletAddress)) {
+    return holdings;
+  }
+
+  await blockchainService.ready;
+  if (!blockchainService.sharesContract) {
+    return holdings;
+  }
+
+  const { data: companies, error } = await supabaseAdmin
+    .from('companies')
+    .select('id, name, industry, valuation, blockchain_token_id')
+    .not('blockchain_token_id', 'is', null);
+
+  if (error || !companies || companies.length === 0) {
+    if (error) console.error('❌ Failed to load tokenized companies:', error);
+    return holdings;
+  }
+
+  const result = await blockchainService.getShareBalances(
+    walletAddress,
+    companies.map(c => c.blockchain_token_id)
+  );
+  if (!result.success) {
+    return holdings;
+  }
+
+  result.data.forEach((balance, i) => {
+    const company = companies[i];
+    holdings.set(company.id, {
+      companyId: company.id,
+      companyName: company.name,
+      industry: company.industry,
+      tokenId: balance.tokenId,
+      shares: balance.shares,
+      ownershipPercentage: balance.ownershipPercentage,
+      currentValue: (balance.ownershipPercentage / 100) * parseFloat(company.valuation)
+    });
+  });
+
+  return holdings;
+}
+
+// Ownership of each investment row. Rows backed by an on-chain investment take their
+// ownership from the wallet's share balance, split across the company's on-chain rows
+// in proportion to their recorded ownership, so transferred shares reduce every row.
+function resolveOwnership(investments, holdings) {
+  const recordedByCompany = {};
+  // Cancelled and refunded investments no longer hold anything
+  const recordedOwnership = (inv) => (!inv.status || ACTIVE_INVESTMENT_STATUSES.includes(inv.status)
+    ? currentOwnershipPercentage(inv, inv.companies?.shares_outstanding)
+    : 0);
+  investments.filter(inv => inv.blockchain_tx_hash).forEach(inv => {
+    recordedByCompany[inv.company_id] = (recordedByCompany[inv.company_id] || 0) + recordedOwnership(inv);
+  });
+
+  return (investment) => {
+    const holding = holdings.get(investment.company_id);
+    const recorded = recordedOwnership(investment);
+    if (!holding || !investment.blockchain_tx_hash) {
+      return { ownershipPercentage: recorded, source: 'database' };
+    }
+
+    const companyRecorded = recordedByCompany[investment.company_id];
+    const ratio = companyRecorded > 0 ? recorded / companyRecorded : 0;
+    return { ownershipPercentage: holding.ownershipPercentage * ratio, source: 'blockchain' };
+  };
+}
+
+// Positions with a non-zero balance, e.g. for listing shares received by transfer
+function nonZeroHoldings(holdings) {
+  return [...holdings.values()].filter(holding => holding.shares !== '0');
+}
+
+module.exports = {
+  getWalletShareHoldings,
+  resolveOwnership,
+  nonZeroHoldings
+};
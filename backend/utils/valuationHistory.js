@@ -0,0 +1,36 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+// Append a row to valuation_history; failures are logged, never thrown,
+// so a history write cannot undo a valuation change that already happened
+async function recordValuationChange({ companyId, previousValuation, newValuation, reason, milestoneId = null }) {
+  const previous = parseFloat(previousValuation);
+  const next = parseFloat(newValuation);
+
+  if (!Number.isFinite(previous) || !Number.isFinite(next) || previous === next) {
+    return null;
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('valuation_history')
+    .insert({
+      company_id: companyId,
+      previous_valuation: previous,
+      new_valuation: next,
+      change_reason: reason,
+      milestone_id: milestoneId,
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('❌ Failed to record valuation history:', error);
+    return null;
+  }
+
+  return data;
+}
+
+module.exports = {
+  recordValuationChange
+};
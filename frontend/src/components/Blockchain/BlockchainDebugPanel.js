@@ -21,6 +21,9 @@ const BlockchainDebugPanel = () => {
   const [ownedTokens, setOwnedTokens] = useState([]);
   const [contract, setContract] = useState(null);
   const [loadingTokens, setLoadingTokens] = useState(false);
+  const [shareHoldings, setShareHoldings] = useState([]);
+  const [shareToken, setShareToken] = useState('');
+  const [loadingShares, setLoadingShares] = useState(false);
 
   // Initialize contract and address
   useEffect(() => {
@@ -137,6 +140,26 @@ const BlockchainDebugPanel = () => {
     }
   };
 
+  // Load company share balances held by the wallet
+  const loadShareHoldings = async () => {
+    if (!connected || !address) {
+      toast.error('Wallet not connected');
+      return;
+    }
+
+    setLoadingShares(true);
+    try {
+      const response = await apiMethods.blockchain.getShareHoldings(address);
+      setShareToken(response.data.data.shareToken);
+      setShareHoldings(response.data.data.holdings);
+    } catch (error) {
+      console.error('Error loading share holdings:', error);
+      toast.error(error.response?.data?.message || 'Failed to load share holdings');
+    } finally {
+      setLoadingShares(false);
+    }
+  };
+
   return (
     <div className="bg-white rounded-lg shadow-md p-6 mb-6">
       <h3 className="text-lg font-medium text-gray-900 mb-4">Blockchain Debug Panel</h3>
@@ -270,6 +293,45 @@ const BlockchainDebugPanel = () => {
           )}
         </div>
       )}
+
+      {/* Company Shares */}
+      {connected && (
+        <div className="mb-6">
+          <div className="flex justify-between items-center mb-2">
+            <h4 className="text-md font-medium text-gray-800">Your Company Shares</h4>
+            <button
+              onClick={loadShareHoldings}
+              disabled={loadingShares || !connected}
+              className="btn btn-sm btn-secondary"
+            >
+              {loadingShares ? 'Loading...' : 'Refresh Shares'}
+            </button>
+          </div>
+
+          {shareToken && (
+            <p className="text-sm mb-2">
+              <span className="font-medium">Share Token:</span>
+              <span className="ml-2 font-mono text-sm break-all">{shareToken}</span>
+            </p>
+          )}
+
+          {loadingShares ? (
+            <p className="text-gray-600">Loading shares...</p>
+          ) : shareHoldings.length > 0 ? (
+            <div className="space-y-2">
+              {shareHoldings.map(holding => (
+                <div key={holding.tokenId} className="border border-gray-200 rounded-md p-3 text-sm">
+                  <p className="mb-1"><span className="font-medium">{holding.companyName}</span> (Token #{holding.tokenId})</p>
+                  <p className="mb-1">Shares: {Number(holding.shares).toLocaleString()}</p>
+                  <p>Ownership: {holding.ownershipPercentage}%</p>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-gray-600">No company shares found for this wallet</p>
+          )}
+        </div>
+      )}
     </div>
   );
 };
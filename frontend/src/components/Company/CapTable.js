@@ -0,0 +1,255 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Download, PieChart, Users } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { apiMethods } from '../../services/api';
+import { DoughnutChart, BarChart } from '../Charts';
+import LoadingSpinner from '../UI/LoadingSpinner';
+import Card from '../UI/Card';
+import { formatCurrency, formatNumber, formatPercentage } from '../../utils/helpers';
+
+const HOLDER_COLORS = [
+  '#3B82F6',
+  '#10B981',
+  '#F59E0B',
+  '#8B5CF6',
+  '#EF4444',
+  '#06B6D4',
+  '#F97316',
+  '#84CC16',
+];
+
+const CapTable = ({ companyId, companyName }) => {
+  const [capTable, setCapTable] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchCapTable = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const response = await apiMethods.companies.getCapTable(companyId);
+      setCapTable(response.data.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load cap table');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [companyId]);
+
+  useEffect(() => {
+    fetchCapTable();
+  }, [fetchCapTable]);
+
+  const exportCsv = async () => {
+    try {
+      const response = await apiMethods.companies.exportCapTable(companyId);
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `${(companyName || 'company').replace(/[^a-z0-9]+/gi, '_').toLowerCase()}_cap_table.csv`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    } catch (err) {
+      console.error('Failed to export cap table:', err);
+      toast.error('Failed to export cap table');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (error || !capTable) {
+    return (
+      <Card>
+        <p className="text-sm text-red-600">{error || 'Cap table unavailable'}</p>
+      </Card>
+    );
+  }
+
+  const { summary, shareholders, rounds, convertibles = [] } = capTable;
+  const colorFor = (index) => HOLDER_COLORS[index % HOLDER_COLORS.length];
+
+  const ownershipData = {
+    labels: shareholders.map(h => h.name),
+    datasets: [
+      {
+        data: shareholders.map(h => Number(h.ownershipPercentage.toFixed(2))),
+        backgroundColor: shareholders.map((_, i) => colorFor(i)),
+        borderWidth: 1,
+      },
+    ],
+  };
+
+  // One stacked bar per round, one segment per shareholder
+  const roundsData = {
+    labels: rounds.map(r => r.roundName),
+    datasets: shareholders.map((holder, i) => ({
+      label: holder.name,
+      data: rounds.map(r => {
+        const entry = r.ownership.find(o => o.holderId === holder.holderId);
+        return entry ? Number(entry.ownershipPercentage.toFixed(2)) : 0;
+      }),
+      backgroundColor: colorFor(i),
+    })),
+  };
+
+  const roundsOptions = {
+    scales: {
+      x: { stacked: true, grid: { display: false } },
+      y: { stacked: true, max: 100, ticks: { callback: (value) => `${value}%` } },
+    },
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <PieChart className="w-5 h-5 text-primary-600" />
+            <h3 className="text-lg font-semibold text-gray-900">Cap Table</h3>
+          </div>
+          <button onClick={exportCsv} className="btn btn-outline btn-sm inline-flex items-center">
+            <Download className="w-4 h-4 mr-2" />
+            Export CSV
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+          <div>
+            <p className="text-gray-500">Fully Diluted Shares</p>
+            <p className="font-medium text-gray-900">{formatNumber(summary.totalShares)}</p>
+          </div>
+          <div>
+            <p className="text-gray-500">Price per Share</p>
+            <p className="font-medium text-gray-900">{formatCurrency(summary.pricePerShare)}</p>
+          </div>
+          <div>
+            <p className="text-gray-500">Shareholders</p>
+            <p className="font-medium text-gray-900">{formatNumber(summary.shareholderCount)}</p>
+          </div>
+          <div>
+            <p className="text-gray-500">Total Invested</p>
+            <p className="font-medium text-gray-900">{formatCurrency(summary.totalInvested)}</p>
+          </div>
+        </div>
+      </Card>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <Card>
+          <DoughnutChart data={ownershipData} height={280} title="Current Ownership" />
+        </Card>
+        <Card>
+          <BarChart data={roundsData} options={roundsOptions} height={280} title="Ownership by Round" />
+        </Card>
+      </div>
+
+      <Card>
+        <div className="flex items-center space-x-2 mb-4">
+          <Users className="w-5 h-5 text-gray-500" />
+          <h4 className="font-medium text-gray-900">Shareholders</h4>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 pr-4">Holder</th>
+                <th className="py-2 pr-4">Role</th>
+                <th className="py-2 pr-4 text-right">Shares</th>
+                <th className="py-2 pr-4 text-right">Ownership</th>
+                <th className="py-2 pr-4 text-right">Invested</th>
+                <th className="py-2 pr-4 text-right">Value</th>
+                <th className="py-2 text-right">On-chain</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shareholders.map(holder => (
+                <tr key={holder.holderId} className="border-b last:border-0">
+                  <td className="py-2 pr-4 font-medium text-gray-900">{holder.name}</td>
+                  <td className="py-2 pr-4 capitalize text-gray-600">{holder.role}</td>
+                  <td className="py-2 pr-4 text-right">{formatNumber(holder.shares)}</td>
+                  <td className="py-2 pr-4 text-right">{formatPercentage(holder.ownershipPercentage)}</td>
+                  <td className="py-2 pr-4 text-right">{formatCurrency(holder.invested)}</td>
+                  <td className="py-2 pr-4 text-right">{formatCurrency(holder.value)}</td>
+                  <td className="py-2 text-right text-gray-600">
+                    {holder.onchainShares !== undefined ? formatNumber(holder.onchainShares) : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
+      {convertibles.length > 0 && (
+        <Card>
+          <div className="flex items-center justify-between mb-4">
+            <h4 className="font-medium text-gray-900">SAFEs &amp; Convertible Notes</h4>
+            <p className="text-sm text-gray-500">{formatCurrency(summary.unconvertedPrincipal)} unconverted</p>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-4">Holder</th>
+                  <th className="py-2 pr-4">Instrument</th>
+                  <th className="py-2 pr-4 text-right">Principal</th>
+                  <th className="py-2 pr-4 text-right">Cap</th>
+                  <th className="py-2 pr-4 text-right">Discount</th>
+                  <th className="py-2 text-right">Est. Shares</th>
+                </tr>
+              </thead>
+              <tbody>
+                {convertibles.map(position => (
+                  <tr key={position.investmentId} className="border-b last:border-0">
+                    <td className="py-2 pr-4 font-medium text-gray-900">{position.name}</td>
+                    <td className="py-2 pr-4 text-gray-600">
+                      {position.instrumentType === 'convertible_note' ? 'Convertible Note' : 'SAFE'}
+                    </td>
+                    <td className="py-2 pr-4 text-right">{formatCurrency(position.principal)}</td>
+                    <td className="py-2 pr-4 text-right">
+                      {position.terms.valuationCap ? formatCurrency(position.terms.valuationCap) : '—'}
+                    </td>
+                    <td className="py-2 pr-4 text-right">
+                      {position.terms.discountRate ? formatPercentage(position.terms.discountRate) : '—'}
+                    </td>
+                    <td className="py-2 text-right">{formatNumber(position.estimatedShares)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500 mt-3">
+            Estimated at the current share price. Positions convert when the next priced round opens.
+          </p>
+        </Card>
+      )}
+
+      <Card>
+        <h4 className="font-medium text-gray-900 mb-4">Round History</h4>
+        <div className="space-y-3">
+          {rounds.map(round => (
+            <div key={`${round.roundId || round.roundName}`} className="flex justify-between text-sm border-b last:border-0 pb-2">
+              <div>
+                <p className="font-medium text-gray-900">{round.roundName}</p>
+                <p className="text-gray-500">{formatNumber(round.totalShares)} shares outstanding</p>
+              </div>
+              <div className="text-right">
+                <p className="text-gray-900">{round.roundId ? formatCurrency(round.raised) : ''}</p>
+                <p className="text-gray-500">{round.roundId ? `${formatNumber(round.sharesIssued)} shares issued` : ''}</p>
+              </div>
+            </div>
+          ))}
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+export default CapTable;
@@ -4,6 +4,7 @@ import { useParams, Link } from 'react-router-dom';
 import Card from '../../components/UI/Card';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
 import CompanyVerification from '../../components/Verification/CompanyVerification';
+import CapTable from '../../components/Company/CapTable';
 import { apiMethods } from '../../services/api';
 import socketService from '../../utils/socket';
 import { formatCurrency, formatNumber, formatDate } from '../../utils/helpers';
@@ -16,6 +17,7 @@ const CompanyDetail = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [verifying, setVerifying] = useState(false);
+  const [activeTab, setActiveTab] = useState('overview');
 
   const handleCompanySocketUpdate = useCallback((data) => {
     if (!company || !data) return;
@@ -128,107 +130,136 @@ const CompanyDetail = () => {
         <p className="text-gray-600 mt-2">{company.description}</p>
       </div>
 
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-        {/* Company Info */}
-        <Card>
-          <div className="space-y-4">
-            <div className="flex items-center space-x-3">
-              <div className="w-12 h-12 bg-primary-100 rounded-lg flex items-center justify-center">
-                <Building2 className="w-6 h-6 text-primary-600" />
-              </div>
-              <div>
-                <h3 className="font-semibold text-gray-900">{company.name}</h3>
-                <p className="text-sm text-gray-500">{company.industry}</p>
-              </div>
-            </div>
-            <div className="flex items-center text-sm">
-              {company.isBlockchainVerified ? (
-                <span className="inline-flex items-center text-green-600 font-medium">
-                  <ShieldCheck className="w-4 h-4 mr-1" />
-                  Verified on-chain{company.tokenId ? ` · Token #${company.tokenId}` : ''}
-                </span>
-              ) : (
-                <span className="inline-flex items-center text-amber-600 font-medium">
-                  <ShieldAlert className="w-4 h-4 mr-1" />
-                  Not verified on-chain
-                </span>
-              )}
-            </div>
-            <div className="flex items-center text-sm text-gray-600">
-              <Calendar className="w-4 h-4 mr-2" />
-              Founded {company.foundedDate ? formatDate(company.foundedDate) : 'N/A'}
-            </div>
-            <div className="flex items-center text-sm text-gray-600">
-              <TrendingUp className="w-4 h-4 mr-2" />
-              Status: <span className="ml-1 font-medium text-gray-900">{company.status || 'active'}</span>
-            </div>
-            <div className="flex items-center text-sm text-gray-600">
-              <DollarSign className="w-4 h-4 mr-2" />
-              Valuation: <span className="ml-1 font-medium text-gray-900">{formatCurrency(company.valuation)}</span>
-            </div>
-            <div className="flex items-center text-sm text-gray-600">
-              <DollarSign className="w-4 h-4 mr-2" />
-              Funding Goal: <span className="ml-1 font-medium text-gray-900">{formatCurrency(company.fundingGoal || company.valuation || 0)}</span>
-            </div>
-            <div className="flex items-center text-sm text-gray-600">
-              <DollarSign className="w-4 h-4 mr-2" />
-              Raised: <span className="ml-1 font-medium text-gray-900">{formatCurrency(company.totalInvestment || 0)}</span>
-            </div>
-            <div className="flex items-center text-sm text-gray-600">
-              <Users className="w-4 h-4 mr-2" />
-              Investors: <span className="ml-1 font-medium text-gray-900">{formatNumber(company.investorCount || 0)}</span>
-            </div>
-          </div>
-        </Card>
-
-        {/* Funding Progress & Actions */}
-        <Card>
-          <div className="space-y-4">
-            <div className="flex justify-between text-sm">
-              <span className="text-gray-600">Funding Progress</span>
-              <span className="font-medium text-gray-900">
-                {Math.round(((company.totalInvestment || 0) / (company.fundingGoal || company.valuation || 1)) * 100)}%
-              </span>
-            </div>
-            <div className="w-full bg-gray-200 rounded-full h-2">
-              <div
-                className="bg-primary-600 h-2 rounded-full transition-all"
-                style={{
-                  width: `${Math.min(((company.totalInvestment || 0) / (company.fundingGoal || company.valuation || 1)) * 100, 100)}%`
-                }}
-              />
-            </div>
-            <p className="text-xs text-gray-500">
-              Goal: {formatCurrency(company.fundingGoal || company.valuation || 0)} | Raised: {formatCurrency(company.totalInvestment || 0)}
-            </p>
-
-            <div className="pt-4 flex space-x-4">
-              <Link
-                to={`/companies/${company.id}/invest`}
-                className="flex-1 btn btn-primary"
-              >
-                Invest
-              </Link>
+      {company.isOwner && (
+        <div className="border-b border-gray-200 mb-6">
+          <nav className="-mb-px flex space-x-8">
+            {[
+              { id: 'overview', label: 'Overview' },
+              { id: 'cap-table', label: 'Cap Table' }
+            ].map(tab => (
               <button
-                onClick={verifyOnChain}
-                disabled={company.isBlockchainVerified || verifying}
-                className={`flex-1 btn ${company.isBlockchainVerified ? 'btn-disabled' : 'btn-outline'}`}
-                title={company.isBlockchainVerified ? 'Already verified' : 'Verify on-chain'}
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id)}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === tab.id
+                    ? 'border-primary-500 text-primary-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
               >
-                {verifying ? <LoadingSpinner size="small" className="mr-2" /> : null}
-                {company.isBlockchainVerified ? 'Verified' : 'Verify on-chain'}
+                {tab.label}
               </button>
-            </div>
+            ))}
+          </nav>
+        </div>
+      )}
+
+      {activeTab === 'cap-table' && company.isOwner ? (
+        <CapTable companyId={company.id} companyName={company.name} />
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {/* Company Info */}
+            <Card>
+              <div className="space-y-4">
+                <div className="flex items-center space-x-3">
+                  <div className="w-12 h-12 bg-primary-100 rounded-lg flex items-center justify-center">
+                    <Building2 className="w-6 h-6 text-primary-600" />
+                  </div>
+                  <div>
+                    <h3 className="font-semibold text-gray-900">{company.name}</h3>
+                    <p className="text-sm text-gray-500">{company.industry}</p>
+                  </div>
+                </div>
+                <div className="flex items-center text-sm">
+                  {company.isBlockchainVerified ? (
+                    <span className="inline-flex items-center text-green-600 font-medium">
+                      <ShieldCheck className="w-4 h-4 mr-1" />
+                      Verified on-chain{company.tokenId ? ` · Token #${company.tokenId}` : ''}
+                    </span>
+                  ) : (
+                    <span className="inline-flex items-center text-amber-600 font-medium">
+                      <ShieldAlert className="w-4 h-4 mr-1" />
+                      Not verified on-chain
+                    </span>
+                  )}
+                </div>
+                <div className="flex items-center text-sm text-gray-600">
+                  <Calendar className="w-4 h-4 mr-2" />
+                  Founded {company.foundedDate ? formatDate(company.foundedDate) : 'N/A'}
+                </div>
+                <div className="flex items-center text-sm text-gray-600">
+                  <TrendingUp className="w-4 h-4 mr-2" />
+                  Status: <span className="ml-1 font-medium text-gray-900">{company.status || 'active'}</span>
+                </div>
+                <div className="flex items-center text-sm text-gray-600">
+                  <DollarSign className="w-4 h-4 mr-2" />
+                  Valuation: <span className="ml-1 font-medium text-gray-900">{formatCurrency(company.valuation)}</span>
+                </div>
+                <div className="flex items-center text-sm text-gray-600">
+                  <DollarSign className="w-4 h-4 mr-2" />
+                  Funding Goal: <span className="ml-1 font-medium text-gray-900">{formatCurrency(company.fundingGoal || company.valuation || 0)}</span>
+                </div>
+                <div className="flex items-center text-sm text-gray-600">
+                  <DollarSign className="w-4 h-4 mr-2" />
+                  Raised: <span className="ml-1 font-medium text-gray-900">{formatCurrency(company.totalInvestment || 0)}</span>
+                </div>
+                <div className="flex items-center text-sm text-gray-600">
+                  <Users className="w-4 h-4 mr-2" />
+                  Investors: <span className="ml-1 font-medium text-gray-900">{formatNumber(company.investorCount || 0)}</span>
+                </div>
+              </div>
+            </Card>
+
+            {/* Funding Progress & Actions */}
+            <Card>
+              <div className="space-y-4">
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-600">Funding Progress</span>
+                  <span className="font-medium text-gray-900">
+                    {Math.round(((company.totalInvestment || 0) / (company.fundingGoal || company.valuation || 1)) * 100)}%
+                  </span>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div
+                    className="bg-primary-600 h-2 rounded-full transition-all"
+                    style={{
+                      width: `${Math.min(((company.totalInvestment || 0) / (company.fundingGoal || company.valuation || 1)) * 100, 100)}%`
+                    }}
+                  />
+                </div>
+                <p className="text-xs text-gray-500">
+                  Goal: {formatCurrency(company.fundingGoal || company.valuation || 0)} | Raised: {formatCurrency(company.totalInvestment || 0)}
+                </p>
+
+                <div className="pt-4 flex space-x-4">
+                  <Link
+                    to={`/companies/${company.id}/invest`}
+                    className="flex-1 btn btn-primary"
+                  >
+                    Invest
+                  </Link>
+                  <button
+                    onClick={verifyOnChain}
+                    disabled={company.isBlockchainVerified || verifying}
+                    className={`flex-1 btn ${company.isBlockchainVerified ? 'btn-disabled' : 'btn-outline'}`}
+                    title={company.isBlockchainVerified ? 'Already verified' : 'Verify on-chain'}
+                  >
+                    {verifying ? <LoadingSpinner size="small" className="mr-2" /> : null}
+                    {company.isBlockchainVerified ? 'Verified' : 'Verify on-chain'}
+                  </button>
+                </div>
+              </div>
+            </Card>
           </div>
-        </Card>
-      </div>
 
-      {/* Verification and Risk Analysis */}
-      <div className="mt-6">
-        <CompanyVerification companyId={id} company={company} />
-      </div>
+          {/* Verification and Risk Analysis */}
+          <div className="mt-6">
+            <CompanyVerification companyId={id} company={company} />
+          </div>
 
-      {/* Milestones, Funding Rounds, etc. can be added here */}
+          {/* Milestones, Funding Rounds, etc. can be added here */}
+        </>
+      )}
     </div>
   );
 };
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import { ethers } from 'ethers';
@@ -11,7 +11,7 @@ import LoadingSpinner from '../../components/UI/LoadingSpinner';
 import useWalletStore from '../../store/walletStore';
 
 // Services & Utils
-import { apiMethods } from '../../services/api';
+import { apiMethods, createIdempotencyKey } from '../../services/api';
 import web3Service from '../../utils/web3';
 
 const InvestCompany = () => {
@@ -24,6 +24,8 @@ const InvestCompany = () => {
   const [success, setSuccess] = useState(null);
   const [amount, setAmount] = useState('');
   const [paymentMethod, setPaymentMethod] = useState('fiat'); // 'fiat' or 'blockchain'
+  // One key per investment attempt, so a resubmitted form is recorded once
+  const idempotencyKey = useRef(null);
   const { isConnected, address } = useWalletStore();
 
   // Fetch company details
@@ -57,10 +59,12 @@ const InvestCompany = () => {
   }, [paymentMethod, isConnected]);
 
   const handleAmountChange = (e) => {
+    idempotencyKey.current = null;
     setAmount(e.target.value);
   };
 
   const handlePaymentMethodChange = (e) => {
+    idempotencyKey.current = null;
     setPaymentMethod(e.target.value);
   };
 
@@ -74,6 +78,10 @@ const InvestCompany = () => {
       return;
     }
 
+    if (!idempotencyKey.current) {
+      idempotencyKey.current = createIdempotencyKey();
+    }
+
     setIsSubmitting(true);
 
     try {
@@ -119,9 +127,10 @@ const InvestCompany = () => {
         txHash: tx.txHash
       };
 
-      const response = await apiMethods.investments.createBlockchainInvestment(investmentData);
+      const response = await apiMethods.investments.createBlockchainInvestment(investmentData, idempotencyKey.current);
 
       if (response.data.success) {
+        idempotencyKey.current = null;
         setSuccess('Investment successful! Transaction has been recorded on the blockchain.');
         toast.success('Investment successful!');
         
@@ -150,9 +159,10 @@ const InvestCompany = () => {
         amount: Number(amount),
       };
 
-      const response = await apiMethods.investments.create(payload);
+      const response = await apiMethods.investments.create(payload, idempotencyKey.current);
       
       if (response.data.success) {
+        idempotencyKey.current = null;
         setSuccess('Investment successful!');
         toast.success('Investment successful!');
         
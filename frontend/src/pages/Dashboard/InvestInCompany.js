@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { 
   DollarSign, 
@@ -16,7 +16,8 @@ import LoadingSpinner from '../../components/UI/LoadingSpinner';
 
 // Utils
 import { formatCurrency, formatNumber, formatPercentage } from '../../utils/helpers';
-import { apiMethods } from '../../services/api';
+import { apiMethods, createIdempotencyKey } from '../../services/api';
+import { quoteInvestment } from '@vyaapar/pricing';
 import web3Service from '../../utils/web3';
 import toast from 'react-hot-toast';
 
@@ -37,6 +38,8 @@ const InvestInCompany = () => {
   const [investmentAmount, setInvestmentAmount] = useState('');
   const [paymentMethod, setPaymentMethod] = useState('traditional');
   const [showConfirmation, setShowConfirmation] = useState(false);
+  // One key per investment attempt, so a retried confirm is recorded once
+  const idempotencyKey = useRef(null);
 
   const fetchCompany = useCallback(async () => {
     try {
@@ -72,10 +75,12 @@ const InvestInCompany = () => {
     fetchCompany();
   }, [id, isAuthenticated, navigate, fetchCompany]);
 
-  const calculateOwnership = () => {
-    if (!investmentAmount || !company?.valuation) return 0;
-    return (parseFloat(investmentAmount) / company.valuation) * 100;
-  };
+  // Same share-price model as the backend and the contract
+  const quote = quoteInvestment({
+    amount: investmentAmount,
+    valuation: company?.valuation,
+    sharesOutstanding: company?.sharesOutstanding
+  });
 
   const handleInvestmentSubmit = async (e) => {
     e.preventDefault();
@@ -106,7 +111,16 @@ const InvestInCompany = () => {
     setShowConfirmation(true);
   };
 
+  // A different amount or payment method is a new investment
+  useEffect(() => {
+    idempotencyKey.current = null;
+  }, [investmentAmount, paymentMethod]);
+
   const confirmInvestment = async () => {
+    if (!idempotencyKey.current) {
+      idempotencyKey.current = createIdempotencyKey();
+    }
+
     try {
       setIsInvesting(true);
       setError(null);
@@ -142,7 +156,8 @@ const InvestInCompany = () => {
           companyId: id,
           amount: amountEth,
           txHash
-        });
+        }, idempotencyKey.current);
+        idempotencyKey.current = null;
 
         navigate('/portfolio', {
           state: {
@@ -159,8 +174,9 @@ const InvestInCompany = () => {
           walletAddress: null
         };
 
-        const response = await apiMethods.investments.create(investmentData);
+        const response = await apiMethods.investments.create(investmentData, idempotencyKey.current);
         if (response.data.success) {
+          idempotencyKey.current = null;
           navigate('/portfolio', {
             state: {
               message: `Successfully invested $${formatCurrency(investmentAmount)} in ${company.name}!`,
@@ -322,7 +338,7 @@ const InvestInCompany = () => {
                   </div>
                   {investmentAmount && (
                     <p className="text-sm text-gray-500 mt-1">
-                      This will give you approximately {formatPercentage(calculateOwnership())} ownership
+                      This will give you approximately {formatPercentage(quote.ownershipPercentage)} ownership
                     </p>
                   )}
                 </div>
@@ -394,7 +410,19 @@ const InvestInCompany = () => {
                       {paymentMethod === 'traditional' && (
                         <div className="flex justify-between">
                           <span className="text-gray-600">Estimated Ownership</span>
-                          <span className="font-medium">{formatPercentage(calculateOwnership())}</span>
+                          <span className="font-medium">{formatPercentage(quote.ownershipPercentage)}</span>
+                        </div>
+                      )}
+                      {paymentMethod === 'traditional' && (
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Shares ({formatCurrency(quote.pricePerShare)} each)</span>
+                          <span className="font-medium">{formatNumber(quote.shares)}</span>
+                        </div>
+                      )}
+                      {paymentMethod === 'traditional' && (
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Post-money Valuation</span>
+                          <span className="font-medium">{formatCurrency(quote.postMoneyValuation)}</span>
                         </div>
                       )}
                       <div className="flex justify-between">
@@ -9,7 +9,8 @@ import {
   ArrowDownRight,
   Search,
   Filter,
-  Download
+  Download,
+  Clock
 } from 'lucide-react';
 
 // Components
@@ -17,7 +18,7 @@ import Card from '../../components/UI/Card';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
 
 // Utils
-import { formatCurrency, formatPercentage, formatDate } from '../../utils/helpers';
+import { formatCurrency, formatPercentage, formatDate, formatCountdown } from '../../utils/helpers';
 import { apiMethods } from '../../services/api';
 import socketService from '../../services/socket';
 
@@ -31,16 +32,34 @@ const Investments = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('');
   const [dateRange, setDateRange] = useState('');
+  const [now, setNow] = useState(Date.now());
+  const [cancellingId, setCancellingId] = useState(null);
+  const [exportFormat, setExportFormat] = useState('csv');
 
   const { user } = useAuthStore();
 
   const statusOptions = [
     { value: '', label: 'All Status' },
-    { value: 'active', label: 'Active' },
-    { value: 'completed', label: 'Completed' },
-    { value: 'pending', label: 'Pending' }
+    { value: 'pending', label: 'Pending' },
+    { value: 'confirmed', label: 'Confirmed' },
+    { value: 'cancelled', label: 'Cancelled' },
+    { value: 'refundable', label: 'Refund Pending' },
+    { value: 'refunded', label: 'Refunded' },
+    { value: 'refund_failed', label: 'Refund Failed' }
   ];
 
+  const statusStyles = {
+    pending: 'bg-warning-100 text-warning-800',
+    confirmed: 'bg-success-100 text-success-800',
+    cancelled: 'bg-gray-100 text-gray-800',
+    refundable: 'bg-warning-100 text-warning-800',
+    refunded: 'bg-info-100 text-info-800',
+    refund_failed: 'bg-danger-100 text-danger-800'
+  };
+
+  // Cancelled and refunded investments stay listed but are out of the portfolio
+  const isStanding = (inv) => inv.status === 'pending' || inv.status === 'confirmed';
+
   const dateRangeOptions = [
     { value: '', label: 'All Time' },
     { value: '7d', label: 'Last 7 days' },
@@ -49,6 +68,14 @@ const Investments = () => {
     { value: '1y', label: 'Last year' }
   ];
 
+  const dateRangeDays = { '7d': 7, '30d': 30, '90d': 90, '1y': 365 };
+
+  const exportFormatOptions = [
+    { value: 'csv', label: 'CSV' },
+    { value: 'xlsx', label: 'Excel' },
+    { value: 'pdf', label: 'PDF' }
+  ];
+
   const fetchInvestments = useCallback(async () => {
     try {
       setIsLoading(true);
@@ -69,14 +96,14 @@ const Investments = () => {
         amount: inv.amount ?? 0,
         currentValue: inv.currentValue ?? inv.amount ?? 0,
         investmentType: inv.investmentType || 'traditional',
-        status: inv.status || (inv.investmentType === 'blockchain' 
-          ? (inv.isBlockchainVerified ? 'completed' : 'pending')
-          : 'active'),
+        status: inv.status || 'confirmed',
+        coolingOffEndsAt: inv.coolingOffEndsAt,
+        canCancel: !!inv.canCancel,
         companyName: inv.company?.name || 'Unknown',
         companyIndustry: inv.company?.industry || '—',
         investmentDate: inv.createdAt || inv.created_at || new Date().toISOString()
       }));
-      setInvestments(mapped);
+      setInvestments(statusFilter ? mapped.filter(inv => inv.status === statusFilter) : mapped);
     } catch (error) {
       console.error('Failed to fetch investments:', error);
       setError('Failed to load investments. Please try again.');
@@ -117,9 +144,35 @@ const Investments = () => {
     fetchInvestments();
   }, [searchTerm, statusFilter, dateRange, fetchInvestments]);
 
+  // Tick the cooling-off countdowns while any investment can still be cancelled
+  const hasCancellable = investments.some(inv => inv.canCancel);
+  useEffect(() => {
+    if (!hasCancellable) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [hasCancellable]);
+
+  const cancelInvestment = async (investment) => {
+    if (!window.confirm(`Cancel your ${formatCurrency(investment.amount)} investment in ${investment.companyName}?`)) {
+      return;
+    }
+
+    try {
+      setCancellingId(investment.id);
+      const response = await apiMethods.investments.cancel(investment.id);
+      toast.success(response.data?.message || 'Investment cancelled');
+      fetchInvestments();
+    } catch (error) {
+      console.error('Failed to cancel investment:', error);
+      toast.error(error.response?.data?.message || 'Failed to cancel investment');
+    } finally {
+      setCancellingId(null);
+    }
+  };
+
   const calculateStats = () => {
     // Ensure investments is an array
-    const investmentsArray = Array.isArray(investments) ? investments : [];
+    const investmentsArray = (Array.isArray(investments) ? investments : []).filter(isStanding);
     
     const totalInvested = investmentsArray.reduce((sum, inv) => sum + (inv.amount || 0), 0);
     const currentValue = investmentsArray.reduce((sum, inv) => sum + (inv.currentValue || 0), 0);
@@ -131,7 +184,7 @@ const Investments = () => {
       currentValue,
       totalGainLoss,
       totalReturn,
-      activeInvestments: investmentsArray.filter(inv => inv.status === 'active').length
+      activeInvestments: investmentsArray.length
     };
   };
 
@@ -139,14 +192,20 @@ const Investments = () => {
 
   const exportInvestments = async () => {
     try {
-      const response = await apiMethods.investments.export({
-        responseType: 'blob'
-      });
+      // Export what the filters on this page select
+      const params = { format: exportFormat };
+      if (searchTerm) params.search = searchTerm;
+      if (statusFilter) params.status = statusFilter;
+      if (dateRangeDays[dateRange]) {
+        params.from = new Date(Date.now() - dateRangeDays[dateRange] * 24 * 60 * 60 * 1000).toISOString();
+      }
+
+      const response = await apiMethods.investments.export(params);
       
       const url = window.URL.createObjectURL(new Blob([response.data]));
       const link = document.createElement('a');
       link.href = url;
-      link.setAttribute('download', `investments_${new Date().getTime()}.csv`);
+      link.setAttribute('download', `investments_${new Date().getTime()}.${exportFormat}`);
       document.body.appendChild(link);
       link.click();
       link.remove();
@@ -178,7 +237,18 @@ const Investments = () => {
           <h1 className="text-3xl font-bold text-gray-900">My Investments</h1>
           <p className="text-gray-600 mt-2">Track and manage your investment portfolio</p>
         </div>
-        <div className="mt-4 sm:mt-0">
+        <div className="mt-4 sm:mt-0 flex items-center space-x-2">
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            className="input w-28"
+          >
+            {exportFormatOptions.map(option => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
           <button 
             onClick={exportInvestments}
             className="btn btn-outline inline-flex items-center"
@@ -339,12 +409,16 @@ const Investments = () => {
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Date
                   </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Cooling-off
+                  </th>
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
                 {Array.isArray(investments) && investments.map((investment) => {
                   const gainLoss = investment.currentValue - investment.amount;
                   const returnPercentage = (gainLoss / investment.amount) * 100;
+                  const timeLeft = investment.canCancel ? formatCountdown(investment.coolingOffEndsAt, now) : '';
 
                   return (
                     <tr key={investment.id} className="hover:bg-gray-50">
@@ -395,18 +469,33 @@ const Investments = () => {
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
-                          investment.status === 'active' 
-                            ? 'bg-success-100 text-success-800'
-                            : investment.status === 'completed'
-                            ? 'bg-info-100 text-info-800'
-                            : 'bg-warning-100 text-warning-800'
+                          statusStyles[investment.status] || statusStyles.pending
                         }`}>
-                          {investment.status}
+                          {investment.status?.replace('_', ' ')}
                         </span>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         {formatDate(investment.investmentDate)}
                       </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        {timeLeft ? (
+                          <div className="flex items-center space-x-3">
+                            <span className="inline-flex items-center text-warning-700">
+                              <Clock className="w-4 h-4 mr-1" />
+                              {timeLeft} left
+                            </span>
+                            <button
+                              onClick={() => cancelInvestment(investment)}
+                              disabled={cancellingId === investment.id}
+                              className="btn btn-outline text-xs px-2 py-1"
+                            >
+                              {cancellingId === investment.id ? 'Cancelling...' : 'Cancel'}
+                            </button>
+                          </div>
+                        ) : (
+                          <span className="text-gray-400">—</span>
+                        )}
+                      </td>
                     </tr>
                   );
                 })}
@@ -63,20 +63,21 @@ const Overview = () => {
         apiMethods.portfolio.getPerformance('1M')
       ]);
 
+      const timeline = performanceResponse.data?.data?.timeline || [];
       const dashboardInfo = {
         ...portfolioResponse.data,
-        performanceData: performanceResponse.data.performanceData || [],
+        performanceData: timeline,
       };
 
       setDashboardData(dashboardInfo);
 
       // Prepare chart data
-      if (performanceResponse.data.performanceData) {
+      if (timeline.length > 0) {
         const chartInfo = {
-          portfolioTrend: performanceResponse.data.performanceData.map(item => ({
+          portfolioTrend: timeline.map(item => ({
             date: new Date(item.date).toLocaleDateString(),
-            portfolioValue: item.portfolioValue,
-            totalInvested: item.totalInvested,
+            portfolioValue: item.value,
+            totalInvested: item.contributions,
           })),
           industryAllocation: portfolioResponse.data.industryAllocation?.map(item => ({
             industry: item.name,
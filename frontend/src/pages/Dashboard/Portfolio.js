@@ -9,8 +9,11 @@ import {
   ArrowUpRight,
   ArrowDownRight,
   BarChart3,
-  Calendar
+  Calendar,
+  Download,
+  FileText
 } from 'lucide-react';
+import toast from 'react-hot-toast';
 
 // Components
 import Card from '../../components/UI/Card';
@@ -25,11 +28,22 @@ import socketService from '../../utils/socket';
 // Store
 import useAuthStore from '../../store/authStore';
 
+// Indian financial years (April to March), current year first
+const financialYears = (count = 5) => {
+  const now = new Date();
+  const startYear = now.getMonth() >= 3 ? now.getFullYear() : now.getFullYear() - 1;
+  return Array.from({ length: count }, (_, i) => {
+    const year = startYear - i;
+    return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+  });
+};
+
 const Portfolio = () => {
   const [portfolioData, setPortfolioData] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [timeRange, setTimeRange] = useState('1M');
+  const [taxYear, setTaxYear] = useState(() => financialYears()[0]);
 
   const { user } = useAuthStore();
 
@@ -42,6 +56,23 @@ const Portfolio = () => {
     { value: 'ALL', label: 'All Time' }
   ];
 
+  const exportTaxReport = async (format) => {
+    try {
+      const response = await apiMethods.portfolio.exportTaxReport(taxYear, format);
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `capital_gains_fy_${taxYear}.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    } catch (err) {
+      console.error('Failed to export tax report:', err);
+      toast.error('Failed to export tax report');
+    }
+  };
+
   const fetchPortfolioData = useCallback(async () => {
     try {
       setIsLoading(true);
@@ -59,7 +90,7 @@ const Portfolio = () => {
 
       const s = summaryData.summary || {};
       const industry = Array.isArray(summaryData.industryBreakdown) ? summaryData.industryBreakdown : [];
-      const perfHistory = Array.isArray(summaryData.performanceHistory) ? summaryData.performanceHistory : (Array.isArray(perfData.timeline) ? perfData.timeline : []);
+      const perfHistory = Array.isArray(perfData.timeline) ? perfData.timeline : [];
 
       // Map to UI expected fields
       const mapped = {
@@ -81,10 +112,11 @@ const Portfolio = () => {
           })),
         recentPerformance: perfHistory.map(p => ({
           date: p.date,
-          portfolioValue: p.currentValue ?? p.value ?? 0,
-          totalInvested: p.investmentAmount ?? p.investment ?? 0
+          portfolioValue: p.value,
+          totalInvested: p.contributions
         })),
-        riskScore: typeof analyticsData.riskScore === 'number' ? analyticsData.riskScore : 5
+        riskScore: typeof analyticsData.riskScore === 'number' ? analyticsData.riskScore : 5,
+        returns: analyticsData.returns || null
       };
 
       setPortfolioData(mapped);
@@ -153,9 +185,20 @@ const Portfolio = () => {
     industryAllocation = [],
     topHoldings = [],
     recentPerformance = [],
-    riskScore = 0
+    riskScore = 0,
+    returns = null
   } = portfolioData || {};
 
+  // Multiples and XIRR are null when there is nothing to measure yet
+  const formatMultiple = (value) => (value === null || value === undefined ? '—' : `${Number(value).toFixed(2)}x`);
+  const formatRate = (value) => (value === null || value === undefined ? '—' : formatPercentage(value));
+  const returnCards = returns ? [
+    { label: 'XIRR', value: formatRate(returns.portfolio.xirr), hint: 'Annualised, from dated cash flows' },
+    { label: 'MOIC', value: formatMultiple(returns.portfolio.moic), hint: 'Total value / invested' },
+    { label: 'TVPI', value: formatMultiple(returns.portfolio.tvpi), hint: '(Distributions + value) / paid-in' },
+    { label: 'DPI', value: formatMultiple(returns.portfolio.dpi), hint: returns.portfolio.dpi === null ? 'No distributions yet' : 'Distributions / paid-in' }
+  ] : [];
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -326,6 +369,91 @@ const Portfolio = () => {
         )}
       </Card>
 
+      {/* Return Metrics */}
+      {returns && returns.companies.length > 0 && (
+        <Card>
+          <div className="flex items-center justify-between mb-6">
+            <h3 className="text-lg font-semibold text-gray-900">Return Metrics</h3>
+            <Calendar className="w-5 h-5 text-gray-400" />
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-6 mb-6">
+            {returnCards.map(card => (
+              <div key={card.label}>
+                <p className="text-sm font-medium text-gray-600">{card.label}</p>
+                <p className="text-2xl font-bold text-gray-900">{card.value}</p>
+                <p className="text-xs text-gray-500 mt-1">{card.hint}</p>
+              </div>
+            ))}
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Company', 'Invested', 'Distributed', 'Value', 'MOIC', 'TVPI', 'DPI', 'XIRR'].map(heading => (
+                    <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {returns.companies.map(row => (
+                  <tr key={row.company.id}>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">{row.company.name}</div>
+                      <div className="text-xs text-gray-500">{row.company.industry}</div>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{formatCurrency(row.paidIn)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{formatCurrency(row.distributed)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{formatCurrency(row.value)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{formatMultiple(row.moic)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{formatMultiple(row.tvpi)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{formatMultiple(row.dpi)}</td>
+                    <td className={`px-4 py-3 whitespace-nowrap text-sm font-medium ${
+                      (row.xirr || 0) >= 0 ? 'text-success-600' : 'text-danger-600'
+                    }`}>
+                      {formatRate(row.xirr)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </Card>
+      )}
+
+      {/* Tax Report */}
+      <Card>
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div className="flex items-center space-x-2">
+            <FileText className="w-5 h-5 text-primary-600" />
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Capital Gains Report</h3>
+              <p className="text-sm text-gray-500">Short and long-term gains per lot for an Indian financial year</p>
+            </div>
+          </div>
+          <div className="flex items-center space-x-2">
+            <select
+              value={taxYear}
+              onChange={(e) => setTaxYear(e.target.value)}
+              className="input w-32"
+            >
+              {financialYears().map(year => (
+                <option key={year} value={year}>FY {year}</option>
+              ))}
+            </select>
+            <button onClick={() => exportTaxReport('csv')} className="btn btn-outline btn-sm inline-flex items-center">
+              <Download className="w-4 h-4 mr-2" />
+              CSV
+            </button>
+            <button onClick={() => exportTaxReport('pdf')} className="btn btn-outline btn-sm inline-flex items-center">
+              <Download className="w-4 h-4 mr-2" />
+              PDF
+            </button>
+          </div>
+        </div>
+      </Card>
+
       {/* Portfolio Insights */}
       <Card>
         <div className="flex items-center justify-between mb-6">
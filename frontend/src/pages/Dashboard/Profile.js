@@ -11,7 +11,9 @@ import {
   Save,
   Camera,
   Eye,
-  EyeOff
+  EyeOff,
+  FileText,
+  Download
 } from 'lucide-react';
 import { useForm } from 'react-hook-form';
 import toast from 'react-hot-toast';
@@ -25,7 +27,8 @@ import Card from '../../components/UI/Card';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
 
 // Utils
-import api from '../../utils/api';
+import api, { apiMethods } from '../../utils/api';
+import { formatCurrency, formatDate } from '../../utils/helpers';
 import web3Service from '../../utils/web3';
 
 const Profile = () => {
@@ -35,6 +38,7 @@ const Profile = () => {
   const [showCurrentPassword, setShowCurrentPassword] = useState(false);
   const [showNewPassword, setShowNewPassword] = useState(false);
   const [activeTab, setActiveTab] = useState('profile');
+  const [statements, setStatements] = useState(null);
 
   const { user, updateProfile } = useAuthStore();
   const walletStore = useWalletStore();
@@ -139,11 +143,41 @@ const Profile = () => {
     }
   };
 
+  // Monthly statements load the first time the tab is opened
+  useEffect(() => {
+    if (activeTab !== 'statements' || statements) return;
+    apiMethods.users.getStatements()
+      .then(response => setStatements(response.data?.data?.statements || []))
+      .catch(error => {
+        console.error('Failed to load statements:', error);
+        toast.error('Failed to load statements');
+        setStatements([]);
+      });
+  }, [activeTab, statements]);
+
+  const downloadStatement = async (statement) => {
+    try {
+      const response = await apiMethods.users.downloadStatement(statement.id);
+
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `statement_${statement.period_start.slice(0, 7)}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    } catch (error) {
+      console.error('Failed to download statement:', error);
+      toast.error('Failed to download statement');
+    }
+  };
+
   const tabs = [
     { id: 'profile', label: 'Profile', icon: User },
     { id: 'security', label: 'Security', icon: Shield },
     { id: 'wallet', label: 'Wallet', icon: Wallet },
-    { id: 'notifications', label: 'Notifications', icon: Bell }
+    { id: 'notifications', label: 'Notifications', icon: Bell },
+    { id: 'statements', label: 'Statements', icon: FileText }
   ];
 
   return (
@@ -560,6 +594,49 @@ const Profile = () => {
           </div>
         </Card>
       )}
+
+      {activeTab === 'statements' && (
+        <Card>
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">Monthly Statements</h3>
+          <p className="text-sm text-gray-500 mb-6">
+            A statement is generated after each month you hold investments or invest, and emailed to you when email notifications are on.
+          </p>
+
+          {!statements ? (
+            <div className="flex justify-center py-8">
+              <LoadingSpinner />
+            </div>
+          ) : statements.length === 0 ? (
+            <div className="text-center py-8">
+              <FileText className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+              <p className="text-sm text-gray-500">No statements yet</p>
+            </div>
+          ) : (
+            <div className="divide-y divide-gray-200">
+              {statements.map(statement => (
+                <div key={statement.id} className="flex items-center justify-between py-4">
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {statement.summary?.label || formatDate(statement.period_start)}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      {formatCurrency(statement.summary?.openingValue || 0)} → {formatCurrency(statement.summary?.closingValue || 0)}
+                      {statement.emailed_at && ' · Emailed'}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => downloadStatement(statement)}
+                    className="btn btn-outline btn-sm inline-flex items-center"
+                  >
+                    <Download className="w-4 h-4 mr-2" />
+                    PDF
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </Card>
+      )}
     </div>
   );
 };
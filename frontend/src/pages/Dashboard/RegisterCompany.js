@@ -1,10 +1,10 @@
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Search } from 'lucide-react';
 import Card from '../../components/UI/Card';
 import LoadingSpinner from '../../components/UI/LoadingSpinner';
 import CINLookup from '../../components/CINLookup/CINLookup';
-import { apiMethods } from '../../services/api';
+import { apiMethods, createIdempotencyKey } from '../../services/api';
 import { useNavigate } from 'react-router-dom';
 import web3Service from '../../utils/web3';
 import useWalletStore from '../../store/walletStore';
@@ -37,6 +37,8 @@ const RegisterCompany = () => {
   const [success, setSuccess] = useState(null);
   const [showCINLookup, setShowCINLookup] = useState(false);
   const [selectedCompanyInfo, setSelectedCompanyInfo] = useState(null);
+  // Reused across resubmits of the same form so a company is registered once
+  const idempotencyKey = useRef(null);
   const navigate = useNavigate();
   const { isConnected, address } = useWalletStore();
 
@@ -52,6 +54,7 @@ const RegisterCompany = () => {
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
     const val = type === 'checkbox' ? checked : value;
+    idempotencyKey.current = null;
     setForm((prev) => ({ ...prev, [name]: val }));
     
     // Clear errors when blockchain option changes
@@ -62,6 +65,7 @@ const RegisterCompany = () => {
 
   const handleCINSelect = (companyInfo) => {
     setSelectedCompanyInfo(companyInfo);
+    idempotencyKey.current = null;
     setForm(prev => ({
       ...prev,
       cin: companyInfo.cin,
@@ -99,6 +103,10 @@ const RegisterCompany = () => {
       return;
     }
     
+    if (!idempotencyKey.current) {
+      idempotencyKey.current = createIdempotencyKey();
+    }
+
     setIsLoading(true);
     
     try {
@@ -111,9 +119,10 @@ const RegisterCompany = () => {
       };
       
       console.log('Registering company with payload:', payload);
-      const response = await apiMethods.companies.register(payload);
+      const response = await apiMethods.companies.register(payload, idempotencyKey.current);
       
       if (response.data.success) {
+        idempotencyKey.current = null;
         console.log('Company registration successful:', response.data);
         setSuccess('Company registered successfully!');
         
@@ -7,6 +7,17 @@ const api = axios.create({
   timeout: 30000,
 });
 
+// Reuse one key for every attempt at the same action (e.g. per confirm dialog) so
+// double clicks and retries are recorded once. Only callers that hold such a key send one:
+// a fresh key per request would never match a retry.
+export const createIdempotencyKey = () => (
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`
+);
+
+const withIdempotencyKey = (key) => (key ? { headers: { 'Idempotency-Key': key } } : undefined);
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
@@ -131,25 +142,30 @@ const apiMethods = {
   companies: {
     getAll: (params) => api.get('/companies', { params }),
     getById: (id) => api.get(`/companies/${id}`),
-    register: (companyData) => api.post('/companies/register', companyData),
-    create: (companyData) => api.post('/companies/register', companyData), // Alias for register
+    register: (companyData, idempotencyKey) => api.post('/companies/register', companyData, withIdempotencyKey(idempotencyKey)),
+    create: (companyData, idempotencyKey) => api.post('/companies/register', companyData, withIdempotencyKey(idempotencyKey)), // Alias for register
     update: (id, updates) => api.put(`/companies/${id}`, updates),
     getUserCompanies: () => api.get('/companies/user/my-companies'),
     verifyBlockchain: (id) => api.post(`/companies/${id}/verify-blockchain`),
     getBlockchainStatus: (id) => api.get(`/companies/${id}/blockchain-status`),
     verifyEmail: (id, token) => api.post(`/companies/${id}/verify-email`, { token }),
     getRiskAnalysis: (id) => api.get(`/companies/${id}/risk-analysis`),
+    getValuationHistory: (id, params) => api.get(`/companies/${id}/valuation-history`, { params }),
+    getCapTable: (id) => api.get(`/companies/${id}/cap-table`),
+    exportCapTable: (id) => api.get(`/companies/${id}/cap-table`, { params: { format: 'csv' }, responseType: 'blob' }),
     searchByName: (name, mode = 'SW') => api.get('/companies/search/by-name', { params: { name, mode } }),
     searchByPAN: (pan) => api.get('/companies/search/by-pan', { params: { pan } }),
   },
 
   // Investment endpoints
   investments: {
-    create: (investmentData) => api.post('/investments', investmentData),
-    createBlockchainInvestment: (data) => api.post('/blockchain/invest', data),
+    create: (investmentData, idempotencyKey) => api.post('/investments', investmentData, withIdempotencyKey(idempotencyKey)),
+    createBlockchainInvestment: (data, idempotencyKey) => api.post('/blockchain/invest', data, withIdempotencyKey(idempotencyKey)),
     getUserInvestments: () => api.get('/investments/my-investments'),
     getById: (id) => api.get(`/investments/${id}`),
     getCompanyInvestments: (companyId) => api.get(`/investments/company/${companyId}`),
+    cancel: (id) => api.post(`/investments/${id}/cancel`),
+    export: (params) => api.get('/investments/export', { params, responseType: 'blob' }),
   },
 
   // Portfolio endpoints
@@ -157,14 +173,23 @@ const apiMethods = {
     getSummary: () => api.get('/portfolio'),
     getPerformance: (period) => api.get('/portfolio/performance', { params: { period } }),
     getAnalytics: () => api.get('/portfolio/analytics'),
+    getTaxReport: (fy) => api.get('/portfolio/tax-report', { params: { fy } }),
+    exportTaxReport: (fy, format) => api.get('/portfolio/tax-report', { params: { fy, format }, responseType: 'blob' }),
   },
 
   // Funding rounds endpoints
   funding: {
-    create: (roundData) => api.post('/funding', roundData),
+    create: (roundData, idempotencyKey) => api.post('/funding', roundData, withIdempotencyKey(idempotencyKey)),
     getActive: () => api.get('/funding/active'),
     getById: (id) => api.get(`/funding/${id}`),
     update: (id, updates) => api.put(`/funding/${id}`, updates),
+    getCompanyRounds: (companyId) => api.get(`/funding/company/${companyId}`),
+    syncCompanyRounds: (companyId) => api.post(`/funding/company/${companyId}/sync`),
+    convert: (id) => api.post(`/funding/${id}/convert`),
+    commit: (id, amount) => api.post(`/funding/${id}/commitments`, { amount }),
+    withdrawCommitment: (id) => api.delete(`/funding/${id}/commitments`),
+    getCommitments: (id) => api.get(`/funding/${id}/commitments`),
+    allocate: (id) => api.post(`/funding/${id}/allocate`),
   },
 
   // Milestones endpoints
@@ -179,13 +204,16 @@ const apiMethods = {
     getProfile: () => api.get('/users/profile'),
     updateProfile: (updates) => api.put('/users/profile', updates),
     getActivity: () => api.get('/users/activity'),
+    getStatements: () => api.get('/users/statements'),
+    downloadStatement: (id) => api.get(`/users/statements/${id}/download`, { responseType: 'blob' }),
   },
 
   // Blockchain endpoints
   blockchain: {
     verifyTransaction: (txHash) => api.post('/blockchain/verify-transaction', { txHash }),
-    investInCompany: (data) => api.post('/blockchain/invest', data),
-    status: () => api.get('/blockchain/status')
+    investInCompany: (data, idempotencyKey) => api.post('/blockchain/invest', data, withIdempotencyKey(idempotencyKey)),
+    status: () => api.get('/blockchain/status'),
+    getShareHoldings: (address) => api.get(`/blockchain/shares/${address}`)
   },
 };
 
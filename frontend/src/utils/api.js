@@ -148,6 +148,8 @@ const apiMethods = {
     getSummary: () => api.get('/portfolio'),
     getPerformance: (period) => api.get('/portfolio/performance', { params: { period } }),
     getAnalytics: () => api.get('/portfolio/analytics'),
+    getTaxReport: (fy) => api.get('/portfolio/tax-report', { params: { fy } }),
+    exportTaxReport: (fy, format) => api.get('/portfolio/tax-report', { params: { fy, format }, responseType: 'blob' }),
   },
 
   // Funding rounds endpoints
@@ -170,6 +172,8 @@ const apiMethods = {
     getProfile: () => api.get('/users/profile'),
     updateProfile: (updates) => api.put('/users/profile', updates),
     getActivity: () => api.get('/users/activity'),
+    getStatements: () => api.get('/users/statements'),
+    downloadStatement: (id) => api.get(`/users/statements/${id}/download`, { responseType: 'blob' }),
   },
 };
 
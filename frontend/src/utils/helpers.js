@@ -81,6 +81,23 @@ export const formatRelativeTime = (date) => {
   return 'just now';
 };
 
+// Time left until a date (e.g., "1d 4h 12m", "12m 05s"); empty once it has passed
+export const formatCountdown = (date, now = Date.now()) => {
+  if (!date) return '';
+
+  const remaining = Math.floor((new Date(date) - now) / 1000);
+  if (remaining <= 0) return '';
+
+  const days = Math.floor(remaining / 86400);
+  const hours = Math.floor((remaining % 86400) / 3600);
+  const minutes = Math.floor((remaining % 3600) / 60);
+  const seconds = remaining % 60;
+
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+};
+
 // Compact number formatting (e.g., 1.2K, 1.5M)
 export const formatCompactNumber = (number) => {
   if (number === null || number === undefined) return '0';
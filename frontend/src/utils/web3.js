@@ -7,7 +7,7 @@ const CONTRACT_ABI = [
   "function investInCompany(uint256 companyTokenId) public payable",
   "function completeMilestone(uint256 companyTokenId, string memory milestoneType, string memory description, uint256 valuationImpact) public",
   "function getCompany(uint256 tokenId) public view returns (tuple(uint256 tokenId, string name, string description, string industry, uint256 valuation, uint256 totalInvestment, uint256 milestoneCount, address owner, uint256 createdAt, bool isActive))",
-  "function getCompanyInvestments(uint256 tokenId) public view returns (tuple(uint256 companyTokenId, address investor, uint256 amount, uint256 timestamp, uint256 ownershipPercentage)[])",
+  "function getCompanyInvestments(uint256 tokenId) public view returns (tuple(uint256 companyTokenId, address investor, uint256 amount, uint256 timestamp, uint256 ownershipPercentage, uint256 roundId, uint256 shares, uint256 cancellableUntil, bool refunded)[])",
   "function getUserInvestments(address user) public view returns (uint256[])",
   "function getCompanyMilestones(uint256 tokenId) public view returns (tuple(uint256 companyTokenId, string milestoneType, string description, uint256 timestamp, bool verified, uint256 valuationImpact)[])"
 ];
@@ -298,7 +298,11 @@ class Web3Service {
         investor: inv.investor,
         amount: ethers.formatEther(inv.amount),
         timestamp: inv.timestamp.toString(),
-        ownershipPercentage: inv.ownershipPercentage.toString()
+        ownershipPercentage: inv.ownershipPercentage.toString(),
+        roundId: inv.roundId.toString(),
+        shares: inv.shares.toString(),
+        cancellableUntil: inv.cancellableUntil.toString(),
+        refunded: inv.refunded
       }));
     } catch (error) {
       console.error('Failed to get company investments:', error);
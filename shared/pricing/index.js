@@ -0,0 +1,162 @@
+/**
+ * Share-price model for company investments. Mirrors VyaaparAI.sol exactly:
+ *
+ *   pricePerShare  = valuation / sharesOutstanding          (valuation is pre-money)
+ *   newShares      = floor(amount * sharesOutstanding / valuation)
+ *   postMoney      = valuation + amount                     (becomes the new valuation)
+ *   ownership      = shares / sharesOutstanding
+ *
+ * Every company starts with INITIAL_SHARES founder shares. Investors receive new
+ * shares, so existing holders are diluted by preMoney / postMoney.
+ *
+ * SAFEs and convertible notes hold no shares until the next priced round, where
+ * they convert at the lower of the cap price and the discounted round price.
+ */
+
+const INITIAL_SHARES = 10000000;
+const BASIS_POINTS = 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INSTRUMENT_TYPES = {
+  PRICED_EQUITY: 'priced_equity',
+  SAFE: 'safe',
+  CONVERTIBLE_NOTE: 'convertible_note'
+};
+
+const toNumber = (value, fallback = 0) => {
+  const n = typeof value === 'string' ? parseFloat(value) : Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+const outstandingOrDefault = (sharesOutstanding) => {
+  const n = toNumber(sharesOutstanding, INITIAL_SHARES);
+  return n > 0 ? n : INITIAL_SHARES;
+};
+
+function pricePerShare(valuation, sharesOutstanding) {
+  return toNumber(valuation) / outstandingOrDefault(sharesOutstanding);
+}
+
+// Percentage (0-100) of the company held by `shares`
+function ownershipPercentage(shares, sharesOutstanding) {
+  return (toNumber(shares) / outstandingOrDefault(sharesOutstanding)) * 100;
+}
+
+/**
+ * Quote an investment of `amount` at the company's current (pre-money) valuation.
+ */
+function quoteInvestment({ amount, valuation, sharesOutstanding }) {
+  const investment = toNumber(amount);
+  const preMoneyValuation = toNumber(valuation);
+  const outstanding = outstandingOrDefault(sharesOutstanding);
+
+  if (investment <= 0 || preMoneyValuation <= 0) {
+    return {
+      amount: investment,
+      preMoneyValuation,
+      postMoneyValuation: preMoneyValuation,
+      pricePerShare: pricePerShare(preMoneyValuation, outstanding),
+      shares: 0,
+      sharesOutstandingBefore: outstanding,
+      sharesOutstandingAfter: outstanding,
+      ownershipPercentage: 0,
+      ownershipBasisPoints: 0,
+      dilutionPercentage: 0
+    };
+  }
+
+  const shares = Math.floor((investment * outstanding) / preMoneyValuation);
+  const sharesOutstandingAfter = outstanding + shares;
+  const postMoneyValuation = preMoneyValuation + investment;
+
+  return {
+    amount: investment,
+    preMoneyValuation,
+    postMoneyValuation,
+    pricePerShare: preMoneyValuation / outstanding,
+    shares,
+    sharesOutstandingBefore: outstanding,
+    sharesOutstandingAfter,
+    ownershipPercentage: ownershipPercentage(shares, sharesOutstandingAfter),
+    ownershipBasisPoints: Math.floor((shares * BASIS_POINTS) / sharesOutstandingAfter),
+    // How much every existing holder's stake shrinks, in percent
+    dilutionPercentage: (shares / sharesOutstandingAfter) * 100
+  };
+}
+
+// An existing stake after new shares are issued
+function dilute(ownership, sharesOutstandingBefore, sharesOutstandingAfter) {
+  return toNumber(ownership) * (outstandingOrDefault(sharesOutstandingBefore) / outstandingOrDefault(sharesOutstandingAfter));
+}
+
+// Value of a share position at the company's current valuation
+function positionValue(shares, valuation, sharesOutstanding) {
+  return toNumber(shares) * pricePerShare(valuation, sharesOutstanding);
+}
+
+const isConvertible = (instrumentType) =>
+  instrumentType === INSTRUMENT_TYPES.SAFE || instrumentType === INSTRUMENT_TYPES.CONVERTIBLE_NOTE;
+
+// Simple annual interest on a note, accruing from `startDate` until `asOf` or maturity, whichever is first
+function accruedInterest({ principal, interestRate, startDate, maturityDate, asOf = new Date() }) {
+  const rate = toNumber(interestRate);
+  if (rate <= 0 || !startDate) return 0;
+
+  const start = new Date(startDate).getTime();
+  let end = new Date(asOf).getTime();
+  if (maturityDate) {
+    end = Math.min(end, new Date(maturityDate).getTime());
+  }
+  const days = Math.max(0, (end - start) / DAY_MS);
+  return toNumber(principal) * (rate / 100) * (days / 365);
+}
+
+/**
+ * Price at which a SAFE or note converts in a priced round: the cap price
+ * (valuationCap / pre-round shares) or the round price less the discount,
+ * whichever is lower. Without a cap or discount it converts at the round price.
+ */
+function conversionPrice({ roundPricePerShare, sharesOutstanding, valuationCap, discountRate }) {
+  const roundPrice = toNumber(roundPricePerShare);
+  const candidates = [{ method: 'round', price: roundPrice }];
+
+  const cap = toNumber(valuationCap);
+  if (cap > 0) {
+    candidates.push({ method: 'cap', price: cap / outstandingOrDefault(sharesOutstanding) });
+  }
+
+  const discount = toNumber(discountRate);
+  if (discount > 0 && discount < 100) {
+    candidates.push({ method: 'discount', price: roundPrice * (1 - discount / 100) });
+  }
+
+  return candidates.reduce((best, c) => (c.price > 0 && c.price < best.price ? c : best));
+}
+
+// Shares a convertible position receives in a priced round (principal plus any accrued interest)
+function convertPosition({ principal, interest = 0, roundPricePerShare, sharesOutstanding, valuationCap, discountRate }) {
+  const { method, price } = conversionPrice({ roundPricePerShare, sharesOutstanding, valuationCap, discountRate });
+  const convertedAmount = toNumber(principal) + toNumber(interest);
+
+  return {
+    method,
+    conversionPrice: price,
+    convertedAmount,
+    shares: price > 0 ? Math.floor(convertedAmount / price) : 0
+  };
+}
+
+module.exports = {
+  INITIAL_SHARES,
+  BASIS_POINTS,
+  INSTRUMENT_TYPES,
+  isConvertible,
+  accruedInterest,
+  conversionPrice,
+  convertPosition,
+  pricePerShare,
+  ownershipPercentage,
+  quoteInvestment,
+  dilute,
+  positionValue
+};
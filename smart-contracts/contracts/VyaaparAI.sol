@@ -4,18 +4,35 @@ pragma solidity ^0.8.19;
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./VyaaparAIShares.sol";
 
 /**
  * @title VyaaparAI
  * @dev Main contract for the Vyaapar.AI investment platform
  * Handles company registration, investments, and milestone management
  */
-contract VyaaparAI is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
+contract VyaaparAI is ERC721, ERC721URIStorage, Ownable, AccessControl, ReentrancyGuard {
     using Counters for Counters.Counter;
 
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
+    // The platform backend acts for founders whose company NFT sits in their own wallet
+    bytes32 public constant PLATFORM_ROLE = keccak256("PLATFORM_ROLE");
+    
+    // Founder shares issued when a company is minted. Pricing mirrors shared/pricing:
+    // price per share = valuation / sharesOutstanding, and investments add new shares
+    uint256 public constant INITIAL_SHARES = 10_000_000;
+
     Counters.Counter private _tokenIdCounter;
+    Counters.Counter private _roundIdCounter; // Round IDs start at 1 so 0 means "no round"
+    
+    // tokenURI falls back to <base><tokenId> for tokens without an explicit URI
+    string private _metadataBaseURI;
+    
+    // ERC-1155 share token; founders and investors receive shares of the company's id when it is set
+    VyaaparAIShares public shareToken;
     
     // Company structure
     struct Company {
@@ -31,13 +48,19 @@ contract VyaaparAI is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
         bool isActive;
     }
     
-    // Investment structure
+    // Investment structure. roundId is 0 for direct investments. A round contribution
+    // can be cancelled until its own cancellableUntil, fixed when it is made; refunded is
+    // set once it has been paid back out of escrow
     struct Investment {
         uint256 companyTokenId;
         address investor;
         uint256 amount;
         uint256 timestamp;
         uint256 ownershipPercentage;
+        uint256 roundId;
+        uint256 shares;
+        uint256 cancellableUntil;
+        bool refunded;
     }
     
     // Milestone structure
@@ -70,7 +93,20 @@ contract VyaaparAI is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
     mapping(address => uint256[]) public userInvestments;
     mapping(uint256 => Milestone[]) public companyMilestones;
     mapping(uint256 => FundingRound) public fundingRounds;
-    mapping(uint256 => uint256) public companyToFundingRound;
+    mapping(uint256 => uint256) public companyToFundingRound; // Latest round per company
+    mapping(uint256 => uint256[]) private _companyFundingRounds;
+    mapping(uint256 => mapping(address => uint256)) public roundContributions;
+    mapping(uint256 => bool) public roundFundsWithdrawn;
+    mapping(uint256 => mapping(address => uint256)) public roundShares;
+    // Indexes into companyInvestments of each investor's contributions to a round
+    mapping(uint256 => mapping(address => uint256[])) private _roundContributionIds;
+    mapping(uint256 => uint256) public sharesOutstanding;
+    
+    // Investors can cancel a round contribution for this long after making it. Changing
+    // the period only affects later contributions. A round's escrow cannot be withdrawn,
+    // nor its shares released, until every contribution to it is past its deadline
+    uint256 public coolingOffPeriod;
+    mapping(uint256 => uint256) public roundCancellableUntil;
     
     // Events
     event CompanyCreated(
@@ -81,52 +117,152 @@ contract VyaaparAI is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
         uint256 timestamp
     );
     
+    // roundId is 0 for direct investments
     event InvestmentReceived(
         uint256 indexed companyTokenId,
         address indexed investor,
+        uint256 indexed roundId,
         uint256 amount,
         uint256 ownershipPercentage,
         uint256 timestamp
     );
     
+    event SharesIssued(
+        uint256 indexed companyTokenId,
+        address indexed investor,
+        uint256 shares,
+        uint256 pricePerShare
+    );
+    
     event MilestoneCompleted(
         uint256 indexed companyTokenId,
+        uint256 milestoneIndex,
         string milestoneType,
         uint256 valuationImpact,
         uint256 timestamp
     );
     
+    event ValuationUpdated(
+        uint256 indexed tokenId,
+        uint256 oldValuation,
+        uint256 newValuation,
+        string reason
+    );
+    
+    event MilestoneVerified(
+        uint256 indexed companyTokenId,
+        uint256 milestoneIndex,
+        address indexed verifier,
+        uint256 valuationImpact,
+        uint256 timestamp
+    );
+    
     event FundingRoundCreated(
         uint256 indexed companyTokenId,
         uint256 indexed roundId,
         string roundName,
         uint256 targetAmount,
-        uint256 valuationCap
+        uint256 valuationCap,
+        uint256 minimumInvestment,
+        uint256 startTime,
+        uint256 endTime
     );
     
     event FundingRoundCompleted(
         uint256 indexed roundId,
+        uint256 indexed companyTokenId,
         uint256 totalRaised,
         uint256 timestamp
     );
+    
+    event FundingRoundWithdrawn(
+        uint256 indexed roundId,
+        address indexed recipient,
+        uint256 amount,
+        uint256 timestamp
+    );
+    
+    event RefundClaimed(
+        uint256 indexed roundId,
+        address indexed investor,
+        uint256 amount,
+        uint256 timestamp
+    );
+    
+    // contributionId is the contribution's index in the company's investments
+    event ContributionRecorded(
+        uint256 indexed roundId,
+        address indexed investor,
+        uint256 contributionId,
+        uint256 amount,
+        uint256 cancellableUntil
+    );
+    
+    event ContributionCancelled(
+        uint256 indexed roundId,
+        address indexed investor,
+        uint256 contributionId,
+        uint256 amount,
+        uint256 shares,
+        uint256 timestamp
+    );
+    
+    event SharesReleased(
+        uint256 indexed roundId,
+        address indexed investor,
+        uint256 shares
+    );
+    
+    event CoolingOffPeriodUpdated(uint256 period);
 
-    constructor() ERC721("VyaaparAI Company Token", "VYAI") {}
+    constructor() ERC721("VyaaparAI Company Token", "VYAI") {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(VERIFIER_ROLE, msg.sender);
+        _grantRole(PLATFORM_ROLE, msg.sender);
+    }
 
     /**
-     * @dev Register a new company and mint NFT token
+     * @dev Register a new company and mint NFT token to the caller
      */
     function mintCompany(
         string memory name,
         string memory description,
         string memory industry,
         uint256 valuation,
-        string memory tokenURI
+        string memory uri
     ) public returns (uint256) {
+        return _mintCompany(msg.sender, name, description, industry, valuation, uri);
+    }
+    
+    /**
+     * @dev Register a company on behalf of its founder (platform only).
+     * The founder's wallet receives the NFT and becomes the company owner.
+     */
+    function mintCompanyTo(
+        address to,
+        string memory name,
+        string memory description,
+        string memory industry,
+        uint256 valuation,
+        string memory uri
+    ) public onlyRole(PLATFORM_ROLE) returns (uint256) {
+        require(to != address(0), "Invalid founder address");
+        return _mintCompany(to, name, description, industry, valuation, uri);
+    }
+    
+    function _mintCompany(
+        address to,
+        string memory name,
+        string memory description,
+        string memory industry,
+        uint256 valuation,
+        string memory uri
+    ) internal returns (uint256) {
         uint256 tokenId = _tokenIdCounter.current();
         _tokenIdCounter.increment();
         
-        _safeMint(msg.sender, tokenId);
-        _setTokenURI(tokenId, tokenURI);
+        _safeMint(to, tokenId);
+        _setTokenURI(tokenId, uri);
         
         companies[tokenId] = Company({
             tokenId: tokenId,
@@ -136,12 +272,17 @@ contract VyaaparAI is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
             valuation: valuation,
             totalInvestment: 0,
             milestoneCount: 0,
-            owner: msg.sender,
+            owner: to,
             createdAt: block.timestamp,
             isActive: true
         });
         
-        emit CompanyCreated(tokenId, name, valuation, msg.sender, block.timestamp);
+        sharesOutstanding[tokenId] = INITIAL_SHARES;
+        if (address(shareToken) != address(0)) {
+            shareToken.mint(to, tokenId, INITIAL_SHARES);
+        }
+        
+        emit CompanyCreated(tokenId, name, valuation, to, block.timestamp);
         return tokenId;
     }
     
@@ -149,44 +290,73 @@ contract VyaaparAI is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
      * @dev Invest in a company
      */
     function investInCompany(uint256 companyTokenId) public payable nonReentrant {
-        require(_exists(companyTokenId), "Company does not exist");
+        _recordInvestment(companyTokenId, msg.sender, 0);
+        
+        // Transfer investment to company owner
+        payable(companies[companyTokenId].owner).transfer(msg.value);
+    }
+    
+    /**
+     * @dev Record an investment of msg.value by `investor` in a company, and in round
+     * `roundId` if it is not 0, without moving funds.
+     * New shares are issued at the pre-money share price and the valuation moves
+     * to post-money, diluting existing holders. Returns the shares issued.
+     */
+    function _recordInvestment(uint256 companyTokenId, address investor, uint256 roundId) internal returns (uint256 shares) {
+        _requireCompany(companyTokenId);
         require(msg.value > 0, "Investment amount must be greater than 0");
         require(companies[companyTokenId].isActive, "Company is not active");
         
         Company storage company = companies[companyTokenId];
+        uint256 preMoneyValuation = company.valuation;
+        uint256 outstanding = sharesOutstanding[companyTokenId];
+        
+        shares = (msg.value * outstanding) / preMoneyValuation;
+        require(shares > 0, "Investment below share price");
         
-        // Calculate ownership percentage based on current valuation
-        uint256 ownershipPercentage = (msg.value * 10000) / company.valuation; // Using basis points (10000 = 100%)
+        // Post-money ownership in basis points (10000 = 100%)
+        uint256 ownershipPercentage = (shares * 10000) / (outstanding + shares);
+        sharesOutstanding[companyTokenId] = outstanding + shares;
         
         // Create investment record
         Investment memory newInvestment = Investment({
             companyTokenId: companyTokenId,
-            investor: msg.sender,
+            investor: investor,
             amount: msg.value,
             timestamp: block.timestamp,
-            ownershipPercentage: ownershipPercentage
+            ownershipPercentage: ownershipPercentage,
+            roundId: roundId,
+            shares: shares,
+            cancellableUntil: roundId == 0 ? 0 : block.timestamp + coolingOffPeriod,
+            refunded: false
         });
         
         companyInvestments[companyTokenId].push(newInvestment);
-        userInvestments[msg.sender].push(companyTokenId);
+        userInvestments[investor].push(companyTokenId);
         
         // Update company's total investment
         company.totalInvestment += msg.value;
         
-        // Transfer investment to company owner
-        payable(company.owner).transfer(msg.value);
-        
         emit InvestmentReceived(
             companyTokenId,
-            msg.sender,
+            investor,
+            roundId,
             msg.value,
             ownershipPercentage,
             block.timestamp
         );
+        
+        _setValuation(companyTokenId, preMoneyValuation + msg.value, "investment");
+        
+        if (address(shareToken) != address(0)) {
+            shareToken.mint(investor, companyTokenId, shares);
+        }
+        emit SharesIssued(companyTokenId, investor, shares, preMoneyValuation / outstanding);
     }
     
     /**
-     * @dev Complete a milestone for a company
+     * @dev Complete a milestone for a company. The valuation impact is only
+     * applied once a verifier confirms the milestone.
      */
     function completeMilestone(
         uint256 companyTokenId,
@@ -194,8 +364,8 @@ contract VyaaparAI is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
         string memory description,
         uint256 valuationImpact
     ) public {
-        require(_exists(companyTokenId), "Company does not exist");
-        require(ownerOf(companyTokenId) == msg.sender, "Only company owner can complete milestones");
+        _requireCompany(companyTokenId);
+        require(_isOwnerOrPlatform(companyTokenId), "Only company owner or platform can complete milestones");
         
         Company storage company = companies[companyTokenId];
         
@@ -212,19 +382,45 @@ contract VyaaparAI is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
         companyMilestones[companyTokenId].push(newMilestone);
         company.milestoneCount++;
         
-        // Apply valuation impact if positive
-        if (valuationImpact > 0) {
-            company.valuation += valuationImpact;
-        }
-        
         emit MilestoneCompleted(
             companyTokenId,
+            companyMilestones[companyTokenId].length - 1,
             milestoneType,
             valuationImpact,
             block.timestamp
         );
     }
     
+    /**
+     * @dev Verify a completed milestone and apply its valuation impact (verifiers only)
+     */
+    function verifyMilestone(uint256 companyTokenId, uint256 milestoneIndex) public onlyRole(VERIFIER_ROLE) {
+        _requireCompany(companyTokenId);
+        require(milestoneIndex < companyMilestones[companyTokenId].length, "Milestone does not exist");
+        
+        Milestone storage milestone = companyMilestones[companyTokenId][milestoneIndex];
+        require(!milestone.verified, "Milestone already verified");
+        
+        milestone.verified = true;
+        
+        // Apply valuation impact if positive
+        if (milestone.valuationImpact > 0) {
+            _setValuation(
+                companyTokenId,
+                companies[companyTokenId].valuation + milestone.valuationImpact,
+                "milestone_verified"
+            );
+        }
+        
+        emit MilestoneVerified(
+            companyTokenId,
+            milestoneIndex,
+            msg.sender,
+            milestone.valuationImpact,
+            block.timestamp
+        );
+    }
+    
     /**
      * @dev Create a funding round for a company
      */
@@ -236,11 +432,11 @@ contract VyaaparAI is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
         uint256 minimumInvestment,
         uint256 duration
     ) public returns (uint256) {
-        require(_exists(companyTokenId), "Company does not exist");
-        require(ownerOf(companyTokenId) == msg.sender, "Only company owner can create funding rounds");
+        _requireCompany(companyTokenId);
+        require(_isOwnerOrPlatform(companyTokenId), "Only company owner or platform can create funding rounds");
         
-        uint256 roundId = _tokenIdCounter.current();
-        _tokenIdCounter.increment();
+        _roundIdCounter.increment();
+        uint256 roundId = _roundIdCounter.current();
         
         fundingRounds[roundId] = FundingRound({
             companyTokenId: companyTokenId,
@@ -256,30 +452,61 @@ contract VyaaparAI is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
         });
         
         companyToFundingRound[companyTokenId] = roundId;
+        _companyFundingRounds[companyTokenId].push(roundId);
         
         emit FundingRoundCreated(
             companyTokenId,
             roundId,
             roundName,
             targetAmount,
-            valuationCap
+            valuationCap,
+            minimumInvestment,
+            block.timestamp,
+            block.timestamp + duration
         );
         
         return roundId;
     }
     
     /**
-     * @dev Invest in a funding round
+     * @dev Invest in a funding round. Contributions are held in escrow until
+     * the round completes (owner withdraws) or fails (investors claim refunds).
      */
     function investInFundingRound(uint256 roundId) public payable nonReentrant {
+        _contribute(roundId, msg.sender);
+    }
+    
+    /**
+     * @dev Invest in a funding round on an investor's behalf (platform only). The
+     * contribution, its shares and any refund belong to the investor, not the payer.
+     */
+    function investInFundingRoundFor(uint256 roundId, address investor) public payable nonReentrant onlyRole(PLATFORM_ROLE) {
+        require(investor != address(0), "Invalid investor");
+        _contribute(roundId, investor);
+    }
+    
+    function _contribute(uint256 roundId, address investor) internal {
         FundingRound storage round = fundingRounds[roundId];
         require(round.isActive, "Funding round is not active");
         require(block.timestamp <= round.endTime, "Funding round has ended");
         require(msg.value >= round.minimumInvestment, "Investment below minimum amount");
         require(round.raisedAmount + msg.value <= round.targetAmount, "Investment exceeds target");
         
-        // Process investment similar to direct company investment
-        investInCompany(round.companyTokenId);
+        // Record the investment but keep the funds in the contract and the shares locked
+        uint256 shares = _recordInvestment(round.companyTokenId, investor, roundId);
+        if (address(shareToken) != address(0)) {
+            shareToken.lock(investor, round.companyTokenId, shares);
+        }
+        roundContributions[roundId][investor] += msg.value;
+        roundShares[roundId][investor] += shares;
+        
+        uint256 contributionId = companyInvestments[round.companyTokenId].length - 1;
+        uint256 cancellableUntil = companyInvestments[round.companyTokenId][contributionId].cancellableUntil;
+        _roundContributionIds[roundId][investor].push(contributionId);
+        if (cancellableUntil > roundCancellableUntil[roundId]) {
+            roundCancellableUntil[roundId] = cancellableUntil;
+        }
+        emit ContributionRecorded(roundId, investor, contributionId, msg.value, cancellableUntil);
         
         // Update round totals
         round.raisedAmount += msg.value;
@@ -288,15 +515,177 @@ contract VyaaparAI is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
         if (round.raisedAmount >= round.targetAmount) {
             round.isActive = false;
             round.isCompleted = true;
-            emit FundingRoundCompleted(roundId, round.raisedAmount, block.timestamp);
+            emit FundingRoundCompleted(roundId, round.companyTokenId, round.raisedAmount, block.timestamp);
+        }
+    }
+    
+    /**
+     * @dev Withdraw the escrowed funds of a completed round (only company owner)
+     */
+    function withdrawFundingRound(uint256 roundId) public nonReentrant {
+        FundingRound storage round = fundingRounds[roundId];
+        require(round.isCompleted, "Funding round is not completed");
+        require(ownerOf(round.companyTokenId) == msg.sender, "Only company owner can withdraw funds");
+        require(!roundFundsWithdrawn[roundId], "Funds already withdrawn");
+        require(block.timestamp > roundCancellableUntil[roundId], "Cooling-off period has not ended");
+        
+        roundFundsWithdrawn[roundId] = true;
+        payable(msg.sender).transfer(round.raisedAmount);
+        
+        emit FundingRoundWithdrawn(roundId, msg.sender, round.raisedAmount, block.timestamp);
+    }
+    
+    /**
+     * @dev Unlock an investor's shares from a round that succeeded once no contribution
+     * can be cancelled any more. Anyone can call this for any investor.
+     */
+    function releaseShares(uint256 roundId, address investor) public {
+        FundingRound storage round = fundingRounds[roundId];
+        require(round.isCompleted, "Funding round is not completed");
+        require(block.timestamp > roundCancellableUntil[roundId], "Cooling-off period has not ended");
+        
+        uint256 shares = roundShares[roundId][investor];
+        require(shares > 0, "No locked shares");
+        
+        roundShares[roundId][investor] = 0;
+        if (address(shareToken) != address(0)) {
+            shareToken.unlock(investor, round.companyTokenId, shares);
+        }
+        
+        emit SharesReleased(roundId, investor, shares);
+    }
+    
+    /**
+     * @dev Claim back every contribution to a round that expired below its target.
+     * The round itself is left alone; it stops taking contributions at its end time.
+     */
+    function claimRefund(uint256 roundId) public nonReentrant {
+        _claimRefund(roundId, msg.sender);
+    }
+    
+    /**
+     * @dev Refund an investor's contributions to a failed round (platform only); the refund goes to the investor
+     */
+    function claimRefundFor(uint256 roundId, address investor) public nonReentrant onlyRole(PLATFORM_ROLE) {
+        _claimRefund(roundId, investor);
+    }
+    
+    function _claimRefund(uint256 roundId, address investor) internal {
+        FundingRound storage round = fundingRounds[roundId];
+        require(!round.isCompleted, "Funding round was successful");
+        require(round.endTime > 0 && block.timestamp > round.endTime, "Funding round has not ended");
+        
+        uint256 amount = roundContributions[roundId][investor];
+        require(amount > 0, "Nothing to refund");
+        
+        roundContributions[roundId][investor] = 0;
+        round.raisedAmount -= amount;
+        companies[round.companyTokenId].totalInvestment -= amount;
+        
+        uint256[] storage ids = _roundContributionIds[roundId][investor];
+        for (uint256 i = 0; i < ids.length; ++i) {
+            companyInvestments[round.companyTokenId][ids[i]].refunded = true;
+        }
+        
+        uint256 shares = roundShares[roundId][investor];
+        roundShares[roundId][investor] = 0;
+        _cancelShares(round.companyTokenId, investor, shares, "refund");
+        
+        payable(investor).transfer(amount);
+        
+        emit RefundClaimed(roundId, investor, amount, block.timestamp);
+    }
+    
+    /**
+     * @dev Cancel one round contribution within its own cooling-off period and take it
+     * back out of escrow. A round completed by the cancelled contribution reopens.
+     */
+    function cancelContribution(uint256 roundId, uint256 contributionId) public nonReentrant {
+        _cancelContribution(roundId, msg.sender, contributionId);
+    }
+    
+    /**
+     * @dev Cancel a contribution made for an investor (platform only); the refund goes to the investor
+     */
+    function cancelContributionFor(uint256 roundId, address investor, uint256 contributionId) public nonReentrant onlyRole(PLATFORM_ROLE) {
+        _cancelContribution(roundId, investor, contributionId);
+    }
+    
+    function _cancelContribution(uint256 roundId, address investor, uint256 contributionId) internal {
+        FundingRound storage round = fundingRounds[roundId];
+        require(contributionId < companyInvestments[round.companyTokenId].length, "Invalid contribution");
+        Investment storage contribution = companyInvestments[round.companyTokenId][contributionId];
+        require(
+            roundId != 0 && contribution.roundId == roundId && contribution.investor == investor && !contribution.refunded,
+            "Invalid contribution"
+        );
+        require(!roundFundsWithdrawn[roundId], "Funds already withdrawn");
+        require(block.timestamp <= contribution.cancellableUntil, "Cooling-off period has ended");
+        // Released shares are the investor's to transfer and can no longer be taken back
+        require(roundShares[roundId][investor] >= contribution.shares, "Shares already released");
+        
+        uint256 amount = contribution.amount;
+        uint256 shares = contribution.shares;
+        contribution.refunded = true;
+        roundContributions[roundId][investor] -= amount;
+        roundShares[roundId][investor] -= shares;
+        round.raisedAmount -= amount;
+        companies[round.companyTokenId].totalInvestment -= amount;
+        
+        if (round.isCompleted) {
+            round.isCompleted = false;
+            round.isActive = block.timestamp <= round.endTime;
+        }
+        
+        _cancelShares(round.companyTokenId, investor, shares, "cancellation");
+        
+        payable(investor).transfer(amount);
+        
+        emit ContributionCancelled(roundId, investor, contributionId, amount, shares, block.timestamp);
+    }
+    
+    /**
+     * @dev Cancel the escrow-locked shares of a contribution that is being returned, at the current share price
+     */
+    function _cancelShares(uint256 tokenId, address holder, uint256 shares, string memory reason) internal {
+        if (shares == 0) return;
+        
+        uint256 outstanding = sharesOutstanding[tokenId];
+        sharesOutstanding[tokenId] = outstanding - shares;
+        _setValuation(tokenId, (companies[tokenId].valuation * (outstanding - shares)) / outstanding, reason);
+        if (address(shareToken) != address(0)) {
+            shareToken.unlock(holder, tokenId, shares);
+            shareToken.burn(holder, tokenId, shares);
+        }
+    }
+    
+    /**
+     * @dev Issue the shares a SAFE or convertible note converted into in a priced round
+     * (platform only). Its principal was paid off-chain, so no funds move; the valuation
+     * grows by the principal as it would for an investment.
+     */
+    function issueConvertedShares(
+        uint256 tokenId,
+        address investor,
+        uint256 shares,
+        uint256 principal,
+        uint256 conversionPrice
+    ) public onlyRole(PLATFORM_ROLE) {
+        _requireCompany(tokenId);
+        
+        sharesOutstanding[tokenId] += shares;
+        _setValuation(tokenId, companies[tokenId].valuation + principal, "conversion");
+        if (address(shareToken) != address(0)) {
+            shareToken.mint(investor, tokenId, shares);
         }
+        emit SharesIssued(tokenId, investor, shares, conversionPrice);
     }
     
     /**
      * @dev Get company details
      */
     function getCompany(uint256 tokenId) public view returns (Company memory) {
-        require(_exists(tokenId), "Company does not exist");
+        _requireCompany(tokenId);
         return companies[tokenId];
     }
     
@@ -329,20 +718,83 @@ contract VyaaparAI is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Update company valuation (only owner)
+     * @dev Get all funding round IDs of a company, oldest first
+     */
+    function getCompanyFundingRounds(uint256 tokenId) public view returns (uint256[] memory) {
+        return _companyFundingRounds[tokenId];
+    }
+    
+    /**
+     * @dev Get the number of funding rounds a company has created
+     */
+    function getCompanyFundingRoundCount(uint256 tokenId) public view returns (uint256) {
+        return _companyFundingRounds[tokenId].length;
+    }
+    
+    /**
+     * @dev Get total number of funding rounds created on the platform
+     */
+    function totalFundingRounds() public view returns (uint256) {
+        return _roundIdCounter.current();
+    }
+    
+    /**
+     * @dev Current price of one share in wei
+     */
+    function pricePerShare(uint256 tokenId) public view returns (uint256) {
+        _requireCompany(tokenId);
+        return companies[tokenId].valuation / sharesOutstanding[tokenId];
+    }
+    
+    /**
+     * @dev Set the share token contract (platform only)
+     */
+    function setShareToken(address token) public onlyOwner {
+        shareToken = VyaaparAIShares(token);
+    }
+    
+    /**
+     * @dev Set how long round contributions can be cancelled (platform only)
+     */
+    function setCoolingOffPeriod(uint256 period) public onlyOwner {
+        coolingOffPeriod = period;
+        emit CoolingOffPeriodUpdated(period);
+    }
+    
+    /**
+     * @dev Update company valuation (owner or platform)
      */
     function updateCompanyValuation(uint256 tokenId, uint256 newValuation) public {
-        require(_exists(tokenId), "Company does not exist");
-        require(ownerOf(tokenId) == msg.sender, "Only company owner can update valuation");
+        _requireCompany(tokenId);
+        require(_isOwnerOrPlatform(tokenId), "Only company owner or platform can update valuation");
         
+        _setValuation(tokenId, newValuation, "owner_update");
+    }
+    
+    function _requireCompany(uint256 tokenId) internal view {
+        require(_exists(tokenId), "Company does not exist");
+    }
+    
+    function _isOwnerOrPlatform(uint256 tokenId) internal view returns (bool) {
+        return ownerOf(tokenId) == msg.sender || hasRole(PLATFORM_ROLE, msg.sender);
+    }
+    
+    /**
+     * @dev Change a company's valuation and notify indexers and marketplaces (ERC-4906)
+     */
+    function _setValuation(uint256 tokenId, uint256 newValuation, string memory reason) internal {
+        uint256 oldValuation = companies[tokenId].valuation;
         companies[tokenId].valuation = newValuation;
+        
+        emit ValuationUpdated(tokenId, oldValuation, newValuation, reason);
+        emit MetadataUpdate(tokenId);
     }
     
     /**
      * @dev Emergency pause for a company (only owner)
      */
     function pauseCompany(uint256 tokenId) public {
-        require(_exists(tokenId), "Company does not exist");
+        _requireCompany(tokenId);
         require(ownerOf(tokenId) == msg.sender, "Only company owner can pause company");
         
         companies[tokenId].isActive = false;
@@ -352,12 +804,49 @@ contract VyaaparAI is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
      * @dev Resume a paused company (only owner)
      */
     function resumeCompany(uint256 tokenId) public {
-        require(_exists(tokenId), "Company does not exist");
+        _requireCompany(tokenId);
         require(ownerOf(tokenId) == msg.sender, "Only company owner can resume company");
         
         companies[tokenId].isActive = true;
     }
     
+    /**
+     * @dev Keep Company.owner in sync with the NFT holder so that investment
+     * proceeds and owner-only actions follow the token when it is transferred
+     */
+    function _afterTokenTransfer(
+        address from,
+        address to,
+        uint256 firstTokenId,
+        uint256 batchSize
+    ) internal override {
+        super._afterTokenTransfer(from, to, firstTokenId, batchSize);
+        
+        if (from != address(0) && to != address(0)) {
+            companies[firstTokenId].owner = to;
+        }
+    }
+    
+    /**
+     * @dev Point token metadata at a new server (platform only)
+     */
+    function setMetadataBaseURI(string memory baseURI) public onlyOwner {
+        _metadataBaseURI = baseURI;
+        emit BatchMetadataUpdate(0, type(uint256).max);
+    }
+    
+    /**
+     * @dev Override or clear a token's URI; an empty URI falls back to the base URI (platform only)
+     */
+    function setTokenURI(uint256 tokenId, string memory uri) public onlyOwner {
+        _requireCompany(tokenId);
+        _setTokenURI(tokenId, uri);
+    }
+    
+    function _baseURI() internal view override returns (string memory) {
+        return _metadataBaseURI;
+    }
+    
     // Required overrides
     function _burn(uint256 tokenId) internal override(ERC721, ERC721URIStorage) {
         super._burn(tokenId);
@@ -367,7 +856,7 @@ contract VyaaparAI is ERC721, ERC721URIStorage, Ownable, ReentrancyGuard {
         return super.tokenURI(tokenId);
     }
     
-    function supportsInterface(bytes4 interfaceId) public view override(ERC721, ERC721URIStorage) returns (bool) {
+    function supportsInterface(bytes4 interfaceId) public view override(ERC721, ERC721URIStorage, AccessControl) returns (bool) {
         return super.supportsInterface(interfaceId);
     }
 }
\ No newline at end of file
@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+import "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155Supply.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title VyaaparAIShares
+ * @dev Transferable investor shares. Token id N is the share class of company NFT N
+ * on the VyaaparAI contract, which is the only account allowed to mint or burn.
+ * Shares bought into a funding round's escrow are locked until the round succeeds,
+ * so they are still with the investor if the contribution is cancelled or refunded.
+ */
+contract VyaaparAIShares is ERC1155, ERC1155Supply, Ownable {
+    address public minter;
+    
+    // Shares of a company id that the holder cannot transfer yet
+    mapping(address => mapping(uint256 => uint256)) public lockedBalance;
+
+    event MinterUpdated(address indexed previousMinter, address indexed newMinter);
+
+    modifier onlyMinter() {
+        require(msg.sender == minter, "Caller is not the minter");
+        _;
+    }
+
+    constructor(string memory uri_) ERC1155(uri_) {}
+
+    /**
+     * @dev Set the VyaaparAI contract as the share minter (only owner)
+     */
+    function setMinter(address newMinter) public onlyOwner {
+        emit MinterUpdated(minter, newMinter);
+        minter = newMinter;
+    }
+
+    function setURI(string memory newuri) public onlyOwner {
+        _setURI(newuri);
+    }
+
+    function mint(address to, uint256 companyTokenId, uint256 amount) external onlyMinter {
+        _mint(to, companyTokenId, amount, "");
+    }
+
+    function burn(address from, uint256 companyTokenId, uint256 amount) external onlyMinter {
+        _burn(from, companyTokenId, amount);
+    }
+
+    function lock(address account, uint256 companyTokenId, uint256 amount) external onlyMinter {
+        lockedBalance[account][companyTokenId] += amount;
+    }
+
+    function unlock(address account, uint256 companyTokenId, uint256 amount) external onlyMinter {
+        lockedBalance[account][companyTokenId] -= amount;
+    }
+
+    /**
+     * @dev Shares not covered by a lock can be transferred freely
+     */
+    function transferableBalance(address account, uint256 companyTokenId) public view returns (uint256) {
+        return balanceOf(account, companyTokenId) - lockedBalance[account][companyTokenId];
+    }
+
+    function _beforeTokenTransfer(
+        address operator,
+        address from,
+        address to,
+        uint256[] memory ids,
+        uint256[] memory amounts,
+        bytes memory data
+    ) internal override(ERC1155, ERC1155Supply) {
+        super._beforeTokenTransfer(operator, from, to, ids, amounts, data);
+
+        // Mints and burns come from the minter, which unlocks before burning
+        if (from != address(0) && to != address(0)) {
+            for (uint256 i = 0; i < ids.length; ++i) {
+                require(amounts[i] <= transferableBalance(from, ids[i]), "Shares are locked in escrow");
+            }
+        }
+    }
+}
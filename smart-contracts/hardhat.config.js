@@ -6,9 +6,10 @@ module.exports = {
   solidity: {
     version: "0.8.19",
     settings: {
+      // Tuned for size: VyaaparAI is close to the 24 KB contract size limit (EIP-170)
       optimizer: {
         enabled: true,
-        runs: 200
+        runs: 100
       }
     }
   },
@@ -24,6 +24,32 @@ async function main() {
   console.log("Contract deployed by:", receipt.from);
   console.log("Transaction hash:", deployTx.hash);
 
+  // Serve token metadata from the backend: tokenURI = <METADATA_BASE_URL>/<tokenId>
+  if (process.env.METADATA_BASE_URL) {
+    const baseURI = process.env.METADATA_BASE_URL.replace(/\/?$/, "/");
+    const setBaseTx = await vyaaparAI.setMetadataBaseURI(baseURI);
+    await setBaseTx.wait();
+    console.log("Metadata base URI set to:", baseURI);
+  }
+
+  // Deploy the ERC-1155 share token and let VyaaparAI mint investor shares
+  const sharesURI = process.env.METADATA_BASE_URL
+    ? process.env.METADATA_BASE_URL.replace(/\/?$/, "/") + "shares/{id}"
+    : "";
+  const VyaaparAIShares = await hre.ethers.getContractFactory("VyaaparAIShares");
+  const shares = await VyaaparAIShares.deploy(sharesURI);
+  await shares.waitForDeployment();
+  const sharesAddress = await shares.getAddress();
+
+  await (await shares.setMinter(contractAddress)).wait();
+  await (await vyaaparAI.setShareToken(sharesAddress)).wait();
+  console.log("VyaaparAIShares deployed to:", sharesAddress);
+
+  // Keep the on-chain cancellation window in line with the backend's
+  const coolingOffHours = parseFloat(process.env.INVESTMENT_COOLING_OFF_HOURS || "48");
+  await (await vyaaparAI.setCoolingOffPeriod(Math.round(coolingOffHours * 3600))).wait();
+  console.log("Cooling-off period set to:", coolingOffHours, "hours");
+
   // Save the contract address to a file for the frontend
   const fs = require("fs");
   const contractsDir = __dirname + "/../contractAddresses";
@@ -36,6 +62,7 @@ async function main() {
     contractsDir + "/contract-address.json",
     JSON.stringify({
       VyaaparAI: contractAddress,
+      VyaaparAIShares: sharesAddress,
       network: hre.network.name,
       deployer: receipt.from,
       blockNumber: receipt.blockNumber,
@@ -53,12 +80,17 @@ async function main() {
     fs.mkdirSync(frontendContractsDir, { recursive: true });
   }
   
-  // Copy the artifact
+  // Copy the artifacts
   if (fs.existsSync(artifactsSource)) {
     fs.copyFileSync(artifactsSource, frontendArtifacts);
     console.log("Contract artifacts copied to frontend");
   }
 
+  const sharesArtifactsSource = __dirname + "/../artifacts/contracts/VyaaparAIShares.sol/VyaaparAIShares.json";
+  if (fs.existsSync(sharesArtifactsSource)) {
+    fs.copyFileSync(sharesArtifactsSource, frontendContractsDir + "/VyaaparAIShares.json");
+  }
+
   console.log("Deployment complete!");
 }
 
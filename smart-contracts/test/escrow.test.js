@@ -0,0 +1,318 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const COOLING_OFF = 60 * 60;
+const ROUND_DURATION = 7 * 24 * 60 * 60;
+const ROUND_ID = 1;
+
+describe("VyaaparAI funding round escrow", function () {
+  // A company valued at 10 ETH, minted to its founder, with a platform-opened 2 ETH round
+  async function deployFixture() {
+    const [platform, founder, investor, other] = await ethers.getSigners();
+
+    const VyaaparAI = await ethers.getContractFactory("VyaaparAI");
+    const vyaaparAI = await VyaaparAI.deploy();
+    const VyaaparAIShares = await ethers.getContractFactory("VyaaparAIShares");
+    const shares = await VyaaparAIShares.deploy("");
+
+    await shares.setMinter(await vyaaparAI.getAddress());
+    await vyaaparAI.setShareToken(await shares.getAddress());
+    await vyaaparAI.setCoolingOffPeriod(COOLING_OFF);
+
+    await vyaaparAI.mintCompanyTo(founder.address, "Acme", "Acme makes things", "Manufacturing", ethers.parseEther("10"), "");
+    const tokenId = 0;
+
+    await vyaaparAI.createFundingRound(tokenId, "Seed", ethers.parseEther("2"), 0, ethers.parseEther("0.1"), ROUND_DURATION);
+
+    return { vyaaparAI, shares, platform, founder, investor, other, tokenId };
+  }
+
+  async function contribute(vyaaparAI, investor, amount) {
+    return vyaaparAI.investInFundingRoundFor(ROUND_ID, investor.address, { value: ethers.parseEther(amount) });
+  }
+
+  describe("platform role", function () {
+    it("lets the platform act for a founder who holds the company NFT", async function () {
+      const { vyaaparAI, tokenId } = await loadFixture(deployFixture);
+
+      await expect(vyaaparAI.updateCompanyValuation(tokenId, ethers.parseEther("12")))
+        .to.emit(vyaaparAI, "ValuationUpdated");
+      await expect(vyaaparAI.completeMilestone(tokenId, "product", "Shipped the first product", 0))
+        .to.emit(vyaaparAI, "MilestoneCompleted");
+    });
+
+    it("lets a platform key that does not own the contract register companies", async function () {
+      const { vyaaparAI, founder, other } = await loadFixture(deployFixture);
+      await vyaaparAI.grantRole(await vyaaparAI.PLATFORM_ROLE(), other.address);
+
+      await expect(vyaaparAI.connect(other).mintCompanyTo(founder.address, "Beta", "", "Retail", ethers.parseEther("1"), ""))
+        .to.emit(vyaaparAI, "CompanyCreated");
+      expect(await vyaaparAI.ownerOf(1)).to.equal(founder.address);
+      await expect(vyaaparAI.connect(founder).mintCompanyTo(founder.address, "Gamma", "", "Retail", ethers.parseEther("1"), ""))
+        .to.be.reverted;
+    });
+
+    it("rejects accounts that are neither owner nor platform", async function () {
+      const { vyaaparAI, other, tokenId } = await loadFixture(deployFixture);
+
+      await expect(vyaaparAI.connect(other).createFundingRound(tokenId, "Series A", 1, 0, 0, ROUND_DURATION))
+        .to.be.revertedWith("Only company owner or platform can create funding rounds");
+      await expect(vyaaparAI.connect(other).investInFundingRoundFor(ROUND_ID, other.address, { value: ethers.parseEther("1") }))
+        .to.be.reverted;
+    });
+  });
+
+  describe("contributions", function () {
+    it("credits the investor, not the paying platform wallet, and emits the round id", async function () {
+      const { vyaaparAI, shares, platform, investor, tokenId } = await loadFixture(deployFixture);
+
+      await expect(contribute(vyaaparAI, investor, "1"))
+        .to.emit(vyaaparAI, "InvestmentReceived")
+        .withArgs(tokenId, investor.address, ROUND_ID, ethers.parseEther("1"), 909, (t) => t > 0n);
+
+      expect(await vyaaparAI.roundContributions(ROUND_ID, investor.address)).to.equal(ethers.parseEther("1"));
+      expect(await vyaaparAI.roundContributions(ROUND_ID, platform.address)).to.equal(0);
+      // 1 ETH at 10 ETH pre-money buys a tenth of the 10,000,000 founder shares
+      expect(await shares.balanceOf(investor.address, tokenId)).to.equal(1000000);
+    });
+
+    it("locks escrowed shares against transfer", async function () {
+      const { vyaaparAI, shares, investor, other, tokenId } = await loadFixture(deployFixture);
+      await contribute(vyaaparAI, investor, "1");
+
+      expect(await shares.lockedBalance(investor.address, tokenId)).to.equal(1000000);
+      expect(await shares.transferableBalance(investor.address, tokenId)).to.equal(0);
+      await expect(shares.connect(investor).safeTransferFrom(investor.address, other.address, tokenId, 1, "0x"))
+        .to.be.revertedWith("Shares are locked in escrow");
+    });
+
+    it("leaves the founder's own shares transferable", async function () {
+      const { shares, founder, other, tokenId } = await loadFixture(deployFixture);
+
+      await expect(shares.connect(founder).safeTransferFrom(founder.address, other.address, tokenId, 100, "0x"))
+        .to.not.be.reverted;
+    });
+  });
+
+  describe("cancellation", function () {
+    it("records each contribution with its own cooling-off deadline", async function () {
+      const { vyaaparAI, investor } = await loadFixture(deployFixture);
+
+      const tx = contribute(vyaaparAI, investor, "1");
+      await expect(tx)
+        .to.emit(vyaaparAI, "ContributionRecorded")
+        .withArgs(ROUND_ID, investor.address, 0, ethers.parseEther("1"), (t) => t > 0n);
+      const { timestamp } = await ethers.provider.getBlock((await (await tx).wait()).blockNumber);
+      expect(await vyaaparAI.roundCancellableUntil(ROUND_ID)).to.equal(timestamp + COOLING_OFF);
+    });
+
+    it("refunds the investor's wallet inside the cooling-off period and burns the shares", async function () {
+      const { vyaaparAI, shares, investor, tokenId } = await loadFixture(deployFixture);
+      await contribute(vyaaparAI, investor, "1");
+      const amount = ethers.parseEther("1");
+
+      await expect(vyaaparAI.cancelContributionFor(ROUND_ID, investor.address, 0))
+        .to.changeEtherBalances([investor, vyaaparAI], [amount, -amount]);
+
+      expect(await vyaaparAI.roundContributions(ROUND_ID, investor.address)).to.equal(0);
+      expect(await shares.balanceOf(investor.address, tokenId)).to.equal(0);
+      expect(await shares.lockedBalance(investor.address, tokenId)).to.equal(0);
+      expect(await vyaaparAI.sharesOutstanding(tokenId)).to.equal(10000000);
+      expect((await vyaaparAI.getCompanyInvestments(tokenId))[0].refunded).to.equal(true);
+      await expect(vyaaparAI.cancelContributionFor(ROUND_ID, investor.address, 0)).to.be.revertedWith("Invalid contribution");
+    });
+
+    it("cancels one contribution and leaves the investor's others in escrow", async function () {
+      const { vyaaparAI, shares, investor, tokenId } = await loadFixture(deployFixture);
+      await contribute(vyaaparAI, investor, "1");
+      await contribute(vyaaparAI, investor, "0.5");
+      const [, second] = await vyaaparAI.getCompanyInvestments(tokenId);
+
+      await expect(vyaaparAI.cancelContributionFor(ROUND_ID, investor.address, 1))
+        .to.emit(vyaaparAI, "ContributionCancelled")
+        .withArgs(ROUND_ID, investor.address, 1, ethers.parseEther("0.5"), second.shares, (t) => t > 0n);
+
+      expect(await vyaaparAI.roundContributions(ROUND_ID, investor.address)).to.equal(ethers.parseEther("1"));
+      expect(await shares.lockedBalance(investor.address, tokenId)).to.equal(1000000);
+    });
+
+    it("rejects cancellation once the cooling-off period has ended", async function () {
+      const { vyaaparAI, investor } = await loadFixture(deployFixture);
+      await contribute(vyaaparAI, investor, "1");
+      await time.increase(COOLING_OFF + 1);
+
+      await expect(vyaaparAI.cancelContributionFor(ROUND_ID, investor.address, 0))
+        .to.be.revertedWith("Cooling-off period has ended");
+    });
+
+    it("does not reopen older contributions when the investor contributes again", async function () {
+      const { vyaaparAI, investor } = await loadFixture(deployFixture);
+      await contribute(vyaaparAI, investor, "1");
+      await time.increase(COOLING_OFF + 1);
+      await contribute(vyaaparAI, investor, "0.5");
+
+      await expect(vyaaparAI.cancelContributionFor(ROUND_ID, investor.address, 0))
+        .to.be.revertedWith("Cooling-off period has ended");
+      await expect(vyaaparAI.cancelContributionFor(ROUND_ID, investor.address, 1)).to.emit(vyaaparAI, "ContributionCancelled");
+    });
+
+    it("keeps each deadline when the cooling-off period is changed later", async function () {
+      const { vyaaparAI, investor } = await loadFixture(deployFixture);
+      await contribute(vyaaparAI, investor, "1");
+      await time.increase(COOLING_OFF + 1);
+      await vyaaparAI.setCoolingOffPeriod(COOLING_OFF * 10);
+
+      await expect(vyaaparAI.cancelContributionFor(ROUND_ID, investor.address, 0))
+        .to.be.revertedWith("Cooling-off period has ended");
+    });
+
+    it("cannot take back a contribution whose shares were released", async function () {
+      const { vyaaparAI, investor } = await loadFixture(deployFixture);
+      await contribute(vyaaparAI, investor, "2");
+      await time.increase(COOLING_OFF + 1);
+      await vyaaparAI.releaseShares(ROUND_ID, investor.address);
+      await vyaaparAI.setCoolingOffPeriod(COOLING_OFF * 10);
+
+      await expect(vyaaparAI.cancelContributionFor(ROUND_ID, investor.address, 0)).to.be.reverted;
+    });
+
+    it("rejects contributions that are not the investor's", async function () {
+      const { vyaaparAI, investor, other } = await loadFixture(deployFixture);
+      await contribute(vyaaparAI, investor, "1");
+
+      await expect(vyaaparAI.cancelContributionFor(ROUND_ID, other.address, 0)).to.be.revertedWith("Invalid contribution");
+      await expect(vyaaparAI.cancelContributionFor(ROUND_ID, investor.address, 5)).to.be.revertedWith("Invalid contribution");
+      await expect(vyaaparAI.connect(other).cancelContribution(ROUND_ID, 0)).to.be.revertedWith("Invalid contribution");
+    });
+
+    it("only lets the platform cancel for someone else", async function () {
+      const { vyaaparAI, investor, other } = await loadFixture(deployFixture);
+      await contribute(vyaaparAI, investor, "1");
+
+      await expect(vyaaparAI.connect(other).cancelContributionFor(ROUND_ID, investor.address, 0))
+        .to.be.reverted;
+    });
+
+    it("reopens a round that the cancelled contribution had completed", async function () {
+      const { vyaaparAI, investor, other } = await loadFixture(deployFixture);
+      await contribute(vyaaparAI, other, "0.5");
+      await expect(contribute(vyaaparAI, investor, "1.5")).to.emit(vyaaparAI, "FundingRoundCompleted");
+
+      await vyaaparAI.cancelContributionFor(ROUND_ID, investor.address, 1);
+
+      const round = await vyaaparAI.getFundingRound(ROUND_ID);
+      expect(round.isCompleted).to.equal(false);
+      expect(round.isActive).to.equal(true);
+      expect(round.raisedAmount).to.equal(ethers.parseEther("0.5"));
+    });
+  });
+
+  describe("failed rounds", function () {
+    it("lets the investor claim a refund after the round expires below target", async function () {
+      const { vyaaparAI, shares, investor, tokenId } = await loadFixture(deployFixture);
+      await contribute(vyaaparAI, investor, "1");
+      const amount = ethers.parseEther("1");
+
+      await expect(vyaaparAI.connect(investor).claimRefund(ROUND_ID)).to.be.revertedWith("Funding round has not ended");
+
+      await time.increase(ROUND_DURATION + 1);
+      await expect(vyaaparAI.connect(investor).claimRefund(ROUND_ID))
+        .to.changeEtherBalances([investor, vyaaparAI], [amount, -amount]);
+
+      expect(await shares.balanceOf(investor.address, tokenId)).to.equal(0);
+      expect(await shares.lockedBalance(investor.address, tokenId)).to.equal(0);
+      await expect(vyaaparAI.connect(investor).claimRefund(ROUND_ID)).to.be.revertedWith("Nothing to refund");
+    });
+
+    it("takes each refund out of the round total and marks the investment refunded", async function () {
+      const { vyaaparAI, investor, other, tokenId } = await loadFixture(deployFixture);
+      await contribute(vyaaparAI, investor, "0.5");
+      await contribute(vyaaparAI, investor, "0.25");
+      await contribute(vyaaparAI, other, "1");
+      await time.increase(ROUND_DURATION + 1);
+
+      await vyaaparAI.connect(investor).claimRefund(ROUND_ID);
+
+      const round = await vyaaparAI.getFundingRound(ROUND_ID);
+      expect(round.raisedAmount).to.equal(ethers.parseEther("1"));
+      expect(round.isActive).to.equal(true);
+      const investments = await vyaaparAI.getCompanyInvestments(tokenId);
+      expect(investments.map((inv) => inv.refunded)).to.deep.equal([true, true, false]);
+      expect(investments.every((inv) => inv.roundId === BigInt(ROUND_ID))).to.equal(true);
+
+      await expect(vyaaparAI.connect(other).claimRefund(ROUND_ID)).to.emit(vyaaparAI, "RefundClaimed");
+      expect((await vyaaparAI.getFundingRound(ROUND_ID)).raisedAmount).to.equal(0);
+    });
+
+    it("lets the platform refund the investor's wallet", async function () {
+      const { vyaaparAI, investor, other } = await loadFixture(deployFixture);
+      await contribute(vyaaparAI, investor, "1");
+      await time.increase(ROUND_DURATION + 1);
+      const amount = ethers.parseEther("1");
+
+      await expect(vyaaparAI.connect(other).claimRefundFor(ROUND_ID, investor.address)).to.be.reverted;
+      await expect(vyaaparAI.claimRefundFor(ROUND_ID, investor.address))
+        .to.changeEtherBalances([investor, vyaaparAI], [amount, -amount]);
+      await expect(vyaaparAI.connect(investor).claimRefund(ROUND_ID)).to.be.revertedWith("Nothing to refund");
+    });
+  });
+
+  describe("successful rounds", function () {
+    it("releases shares and funds only after the cooling-off period", async function () {
+      const { vyaaparAI, shares, founder, investor, other, tokenId } = await loadFixture(deployFixture);
+      await contribute(vyaaparAI, investor, "2");
+
+      await expect(vyaaparAI.releaseShares(ROUND_ID, investor.address)).to.be.revertedWith("Cooling-off period has not ended");
+      await expect(vyaaparAI.connect(founder).withdrawFundingRound(ROUND_ID)).to.be.revertedWith("Cooling-off period has not ended");
+
+      await time.increase(COOLING_OFF + 1);
+
+      const locked = await shares.lockedBalance(investor.address, tokenId);
+      await expect(vyaaparAI.connect(other).releaseShares(ROUND_ID, investor.address))
+        .to.emit(vyaaparAI, "SharesReleased")
+        .withArgs(ROUND_ID, investor.address, locked);
+      expect(await shares.lockedBalance(investor.address, tokenId)).to.equal(0);
+      await expect(shares.connect(investor).safeTransferFrom(investor.address, other.address, tokenId, 1, "0x"))
+        .to.not.be.reverted;
+      await expect(vyaaparAI.releaseShares(ROUND_ID, investor.address)).to.be.revertedWith("No locked shares");
+
+      const raised = ethers.parseEther("2");
+      await expect(vyaaparAI.connect(founder).withdrawFundingRound(ROUND_ID))
+        .to.changeEtherBalances([founder, vyaaparAI], [raised, -raised]);
+    });
+
+    it("does not release shares of a round that has not completed", async function () {
+      const { vyaaparAI, investor } = await loadFixture(deployFixture);
+      await contribute(vyaaparAI, investor, "1");
+      await time.increase(ROUND_DURATION + 1);
+
+      await expect(vyaaparAI.releaseShares(ROUND_ID, investor.address)).to.be.revertedWith("Funding round is not completed");
+    });
+  });
+
+  describe("converted positions", function () {
+    it("mints a conversion's shares and grows the valuation by its principal", async function () {
+      const { vyaaparAI, shares, investor, tokenId } = await loadFixture(deployFixture);
+      const principal = ethers.parseEther("1");
+      const price = ethers.parseEther("0.0000008");
+
+      await expect(vyaaparAI.issueConvertedShares(tokenId, investor.address, 1250000, principal, price))
+        .to.emit(vyaaparAI, "SharesIssued")
+        .withArgs(tokenId, investor.address, 1250000, price);
+
+      expect(await shares.balanceOf(investor.address, tokenId)).to.equal(1250000);
+      expect(await vyaaparAI.sharesOutstanding(tokenId)).to.equal(11250000);
+      expect((await vyaaparAI.getCompany(tokenId)).valuation).to.equal(ethers.parseEther("11"));
+      // No funds moved and nothing is escrowed
+      expect(await shares.lockedBalance(investor.address, tokenId)).to.equal(0);
+    });
+
+    it("only lets the platform issue converted shares", async function () {
+      const { vyaaparAI, founder, investor, tokenId } = await loadFixture(deployFixture);
+
+      await expect(vyaaparAI.connect(founder).issueConvertedShares(tokenId, investor.address, 1, 1, 1)).to.be.reverted;
+      await expect(vyaaparAI.issueConvertedShares(7, investor.address, 1, 1, 1)).to.be.revertedWith("Company does not exist");
+    });
+  });
+});